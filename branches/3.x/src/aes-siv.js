@@ -0,0 +1,502 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var Cipher = C_lib.Cipher;
+    var CipherParams = C_lib.CipherParams;
+    var BlockCipherMode = C_lib.BlockCipherMode;
+    var C_mode = C.mode;
+    var GCM = C_mode.GCM;
+    var C_algo = C.algo;
+    var AES = C_algo.AES;
+    var CMAC = C_algo.CMAC;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+    var KeySizeError = C_err.KeySizeError;
+
+    /**
+     * Abstract base template for ciphers that derive their IV from the whole message,
+     * so they can't output any of it until finalizing.
+     */
+    var SivCipher = Cipher.extend({
+        process: function (dataUpdate) {
+            this._append(dataUpdate);
+
+            // Nothing can be processed until the whole message has arrived
+            return WordArray.create();
+        },
+
+        _doProcessBlock: function () {
+            // Blocks are only collected until finalizing
+        },
+
+        _doFinalize: function () {
+            // Collect the whole message
+            var data = this._process(!!'flush');
+            data.clamp();
+
+            if (this._xformMode == this._ENC_XFORM_MODE) {
+                return this._doEncrypt(data);
+            } else {
+                return this._doDecrypt(data);
+            }
+        },
+
+        blockSize: 128/32
+    });
+
+    /**
+     * AES-SIV deterministic authenticated encryption algorithm, as specified in RFC 5297.
+     *
+     * The key is twice the length of an AES key: the first half authenticates, and the second half encrypts.
+     * The ciphertext starts with the 128-bit synthetic IV, which is also the authentication tag.
+     * Without a nonce, encryption is deterministic: the same message and associated data always give the same ciphertext,
+     * which reveals only whether messages repeat.
+     *
+     * Configuration options:
+     *
+     *     iv:  (Optional) A nonce of any length.
+     *     aad: (Optional) Additional authenticated data, or an array of up to 126 such headers, which are authenticated separately.
+     */
+    var AESSIV = C_algo.AESSIV = SivCipher.extend({
+        _doReset: function () {
+            // Shortcuts
+            var key = this._key;
+            var keySigBytes = key.sigBytes;
+
+            // Validate parameters
+            if (keySigBytes != 32 && keySigBytes != 48 && keySigBytes != 64) {
+                throw new KeySizeError('AES-SIV requires a 256, 384 or 512-bit key.');
+            }
+
+            // Split key
+            var nHalfKeyWords = keySigBytes / 8;
+            this._cmac = CMAC.create(AES, WordArray.create(key.words.slice(0, nHalfKeyWords)));
+            this._ctrCipher = AES.createEncryptor(WordArray.create(key.words.slice(nHalfKeyWords, nHalfKeyWords * 2)));
+        },
+
+        _doEncrypt: function (plaintext) {
+            var siv = this._s2v(plaintext);
+
+            return WordArray.create(siv, 16).concat(this._xorKeystream(siv, plaintext));
+        },
+
+        _doDecrypt: function (data) {
+            if (data.sigBytes < 16) {
+                throw new C_err.DecryptionError('AES-SIV ciphertext is shorter than its synthetic IV.');
+            }
+
+            // Split off synthetic IV
+            var siv = data.words.slice(0, 4);
+            var ciphertext = WordArray.create(data.words.slice(4), data.sigBytes - 16);
+
+            // Decrypt, then authenticate
+            var plaintext = this._xorKeystream(siv, ciphertext);
+            if (!WordArray.create(this._s2v(plaintext)).equals(WordArray.create(siv), { constantTime: true })) {
+                throw new C_err.AuthenticationError('AES-SIV authentication failed.');
+            }
+
+            return plaintext;
+        },
+
+        /**
+         * Computes the synthetic IV from the headers, the nonce and the plaintext.
+         *
+         * @param {WordArray} plaintext The plaintext.
+         *
+         * @return {Array} The synthetic IV words.
+         */
+        _s2v: function (plaintext) {
+            // Shortcuts
+            var cmac = this._cmac;
+            var cfg = this.cfg;
+
+            // The nonce is authenticated as the last header
+            var headers = cfg.aad === undefined ? [] : [].concat(cfg.aad);
+            if (cfg.iv) {
+                headers.push(cfg.iv);
+            }
+            if (headers.length > 126) {
+                throw new ParameterError('AES-SIV takes at most 126 headers, including the nonce.');
+            }
+
+            var d = computeCmac(cmac, WordArray.create([0, 0, 0, 0]));
+            for (var i = 0; i < headers.length; i++) {
+                var mac = computeCmac(cmac, WordArray.from(headers[i]));
+                CMAC._dbl(d);
+                for (var j = 0; j < 4; j++) {
+                    d[j] ^= mac[j];
+                }
+            }
+
+            // XOR d into the end of the plaintext, or into the padded plaintext if it's shorter than a block
+            if (plaintext.sigBytes >= 16) {
+                var t = plaintext.clone();
+                xorBytes(t.words, t.sigBytes - 16, d);
+            } else {
+                var t = padBlock(plaintext);
+                CMAC._dbl(d);
+                for (var i = 0; i < 4; i++) {
+                    t.words[i] ^= d[i];
+                }
+            }
+
+            return computeCmac(cmac, t);
+        },
+
+        /**
+         * Encrypts or decrypts data in counter mode, from a counter based on the synthetic IV.
+         *
+         * @param {Array} siv The synthetic IV words.
+         * @param {WordArray} data The data.
+         *
+         * @return {WordArray} The processed data.
+         */
+        _xorKeystream: function (siv, data) {
+            // Clear the top bit of the low two words, so that implementations with 32 or 64-bit counters agree
+            var counter = siv.slice(0);
+            counter[2] &= 0x7fffffff;
+            counter[3] &= 0x7fffffff;
+
+            var words = BlockCipherMode._zeroPad(data).words;
+            var ctr = C_mode.CTR.createEncryptor(this._ctrCipher, counter);
+            for (var offset = 0; offset < words.length; offset += 4) {
+                ctr.processBlock(words, offset);
+            }
+
+            var processed = WordArray.create(words, data.sigBytes);
+            processed.clamp();
+
+            return processed;
+        },
+
+        _stateExcludes: SivCipher._stateExcludes.concat(['_cmac', '_ctrCipher']),
+
+        keySize: 256/32,
+
+        ivSize: 0
+    });
+
+    /**
+     * Shortcut functions to the cipher's object interface.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.AESSIV.encrypt(message, key, cfg);
+     *     var plaintext  = CryptoJS.AESSIV.decrypt(ciphertext, key, cfg);
+     */
+    C.AESSIV = Cipher._createHelper(AESSIV);
+
+    /**
+     * Deterministic encryption shortcut functions, which take no nonce, and return the raw ciphertext.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.AESSIV.encryptDeterministic(message, key, { aad: headers });
+     *     var plaintext  = CryptoJS.AESSIV.decryptDeterministic(ciphertext, key, { aad: headers });
+     */
+    addDeterministicHelpers(C.AESSIV);
+
+    /**
+     * AES-GCM-SIV nonce misuse-resistant authenticated encryption algorithm, as specified in RFC 8452.
+     *
+     * Reusing a nonce reveals only whether messages repeat.
+     * RFC 8452 specifies 128 and 256-bit keys. 192-bit keys derive their encryption key the same way, but aren't standard.
+     *
+     * Configuration options:
+     *
+     *     iv:  The 96-bit nonce.
+     *     aad: (Optional) Additional authenticated data.
+     *     tag: The authentication tag to verify when decrypting.
+     *          If omitted from a decryption through SerializableCipher, the tag is split off the end of the ciphertext.
+     */
+    var AESGCMSIV = C_algo.AESGCMSIV = SivCipher.extend({
+        _doReset: function () {
+            // Shortcuts
+            var key = this._key;
+            var keySigBytes = key.sigBytes;
+            var nonce = this.cfg.iv;
+
+            // Validate parameters
+            if (keySigBytes != 16 && keySigBytes != 24 && keySigBytes != 32) {
+                throw new KeySizeError('AES-GCM-SIV requires a 128, 192 or 256-bit key.');
+            }
+            if (!nonce || nonce.sigBytes != 12) {
+                throw new C_err.IvSizeError('AES-GCM-SIV requires a 96-bit nonce.');
+            }
+
+            // Derive the keys for this nonce, from the first half of each block
+            var keyGenerator = AES.createEncryptor(key);
+            var nonceWords = nonce.words;
+            var derivedWords = [];
+            for (var i = 0; i < 2 + keySigBytes / 8; i++) {
+                var block = [i << 24, nonceWords[0], nonceWords[1], nonceWords[2]];
+                keyGenerator.encryptBlock(block, 0);
+                derivedWords.push(block[0], block[1]);
+            }
+
+            // POLYVAL is GHASH on byte-reversed blocks, with the hash key multiplied by x
+            var H = this._H = byteReverse(derivedWords, 0);
+            mulX(H);
+
+            this._encCipher = AES.createEncryptor(WordArray.create(derivedWords.slice(4)));
+        },
+
+        _doEncrypt: function (plaintext) {
+            var tag = this._computeTag(plaintext);
+            this.tag = WordArray.create(tag, 16);
+
+            return this._xorKeystream(tag, plaintext);
+        },
+
+        _doDecrypt: function (ciphertext) {
+            // Shortcut
+            var expectedTag = this.cfg.tag;
+
+            if (!expectedTag) {
+                throw new ParameterError('AES-GCM-SIV decryption requires an authentication tag.');
+            }
+
+            // Decrypt, then authenticate
+            var plaintext = this._xorKeystream(expectedTag.words.slice(0, 4), ciphertext);
+            var tag = this.tag = WordArray.create(this._computeTag(plaintext), 16);
+            if (!tag.equals(expectedTag, { constantTime: true })) {
+                throw new C_err.AuthenticationError('AES-GCM-SIV authentication tag mismatch.');
+            }
+
+            return plaintext;
+        },
+
+        /**
+         * Computes the authentication tag, which is also the initial counter block.
+         *
+         * @param {WordArray} plaintext The plaintext.
+         *
+         * @return {Array} The tag words.
+         */
+        _computeTag: function (plaintext) {
+            // Shortcuts
+            var H = this._H;
+            var aad = this.cfg.aad;
+            var nonceWords = this.cfg.iv.words;
+
+            if (aad) {
+                aad = WordArray.from(aad);
+            }
+            var aadSigBytes = aad ? aad.sigBytes : 0;
+
+            // POLYVAL
+            var S = [0, 0, 0, 0];
+            if (aadSigBytes) {
+                polyvalData(S, H, aad);
+            }
+            polyvalData(S, H, plaintext);
+
+            // Hash lengths in bits, which are little-endian, so reversed they're big-endian and swapped
+            var nPlaintextBytes = plaintext.sigBytes;
+            GCM._ghashBlock(S, H, [
+                Math.floor(nPlaintextBytes / 0x20000000), (nPlaintextBytes * 8) | 0,
+                Math.floor(aadSigBytes / 0x20000000), (aadSigBytes * 8) | 0
+            ], 0);
+            var tag = byteReverse(S, 0);
+
+            // Mix in nonce, and clear the top bit of the last byte
+            for (var i = 0; i < 3; i++) {
+                tag[i] ^= nonceWords[i];
+            }
+            tag[3] &= 0xffffff7f;
+
+            this._encCipher.encryptBlock(tag, 0);
+
+            return tag;
+        },
+
+        /**
+         * Encrypts or decrypts data in counter mode, from a counter based on the tag.
+         *
+         * @param {Array} tag The tag words.
+         * @param {WordArray} data The data.
+         *
+         * @return {WordArray} The processed data.
+         */
+        _xorKeystream: function (tag, data) {
+            // Shortcut
+            var cipher = this._encCipher;
+
+            // Set the top bit of the last byte
+            var counter = tag.slice(0);
+            counter[3] |= 0x80;
+
+            var words = BlockCipherMode._zeroPad(data).words;
+            for (var offset = 0; offset < words.length; offset += 4) {
+                var keystream = counter.slice(0);
+                cipher.encryptBlock(keystream, 0);
+
+                // Encrypt
+                for (var i = 0; i < 4; i++) {
+                    words[offset + i] ^= keystream[i];
+                }
+
+                // Increment the little-endian counter in the first word
+                counter[0] = swapEndian((swapEndian(counter[0]) + 1) | 0);
+            }
+
+            var processed = WordArray.create(words, data.sigBytes);
+            processed.clamp();
+
+            return processed;
+        },
+
+        _stateExcludes: SivCipher._stateExcludes.concat(['_H', '_encCipher']),
+
+        keySize: 256/32,
+
+        ivSize: 96/32
+    });
+
+    /**
+     * Splits an authentication tag off the end of the ciphertext, if the cipher params don't already carry one.
+     *
+     * @param {CipherParams} cipherParams The cipher params.
+     * @param {Object} cfg The configuration options of the decryption.
+     *
+     * @return {CipherParams} Cipher params with the tag separate from the ciphertext.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var cipherParams = CryptoJS.algo.AESGCMSIV.parseTag(cipherParams, cfg);
+     */
+    AESGCMSIV.parseTag = function (cipherParams, cfg) {
+        return BlockCipherMode._parseTag(cipherParams, cfg, 16, 'AES-GCM-SIV');
+    };
+
+    /**
+     * Shortcut functions to the cipher's object interface.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.AESGCMSIV.encrypt(message, key, cfg);
+     *     var plaintext  = CryptoJS.AESGCMSIV.decrypt(ciphertext, key, cfg);
+     */
+    C.AESGCMSIV = Cipher._createHelper(AESGCMSIV);
+
+    /**
+     * Deterministic encryption shortcut functions, which use an all-zero nonce, and return the raw ciphertext followed by the tag.
+     * Every message then shares one nonce, so RFC 8452's limits on the messages per nonce apply to the key.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.AESGCMSIV.encryptDeterministic(message, key, { aad: aad });
+     *     var plaintext  = CryptoJS.AESGCMSIV.decryptDeterministic(ciphertext, key, { aad: aad });
+     */
+    addDeterministicHelpers(C.AESGCMSIV, WordArray.create([0, 0, 0], 12));
+
+    /**
+     * Computes the CMAC of a message, reusing a CMAC instance.
+     */
+    function computeCmac(cmac, message) {
+        cmac.reset();
+
+        return cmac.finalize(message).words;
+    }
+
+    /**
+     * Multiplies a block by x in GHASH's bit-reflected field.
+     */
+    function mulX(block) {
+        var lsb = block[3] & 1;
+
+        block[3] = (block[3] >>> 1) | (block[2] << 31);
+        block[2] = (block[2] >>> 1) | (block[1] << 31);
+        block[1] = (block[1] >>> 1) | (block[0] << 31);
+        block[0] = (block[0] >>> 1) ^ (-lsb & 0xe1000000);
+    }
+
+    function polyvalData(X, H, data) {
+        var words = BlockCipherMode._zeroPad(data).words;
+
+        for (var offset = 0; offset < words.length; offset += 4) {
+            GCM._ghashBlock(X, H, byteReverse(words, offset), 0);
+        }
+    }
+
+    /**
+     * Reverses the bytes of the block at offset.
+     */
+    function byteReverse(words, offset) {
+        return [
+            swapEndian(words[offset + 3]), swapEndian(words[offset + 2]),
+            swapEndian(words[offset + 1]), swapEndian(words[offset])
+        ];
+    }
+
+    function swapEndian(word) {
+        return (
+            ((word << 24) & 0xff000000) | ((word << 8) & 0x00ff0000) |
+            ((word >>> 8) & 0x0000ff00) | ((word >>> 24) & 0x000000ff)
+        );
+    }
+
+    /**
+     * XORs a block into the bytes of words starting at a byte offset.
+     */
+    function xorBytes(words, byteOffset, block) {
+        for (var i = 0; i < 16; i++) {
+            var byteIndex = byteOffset + i;
+            var blockByte = (block[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+            words[byteIndex >>> 2] ^= blockByte << (24 - (byteIndex % 4) * 8);
+        }
+    }
+
+    /**
+     * Adds encryptDeterministic and decryptDeterministic functions to a cipher's helper.
+     * They take a key rather than a passphrase, whose random salt would change the result,
+     * so the same message, key and associated data always give the same ciphertext.
+     */
+    function addDeterministicHelpers(helper, nonce) {
+        function deterministicCfg(key, cfg) {
+            if (typeof key == 'string') {
+                throw new ParameterError('Deterministic encryption requires a key, not a passphrase.');
+            }
+            if (cfg && cfg.iv) {
+                throw new ParameterError('Deterministic encryption takes no nonce.');
+            }
+
+            // Copy the options, to add the nonce without changing the caller's object
+            var deterministicCfg = {};
+            for (var name in cfg) {
+                if (cfg.hasOwnProperty(name)) {
+                    deterministicCfg[name] = cfg[name];
+                }
+            }
+            deterministicCfg.iv = nonce && nonce.clone();
+
+            return deterministicCfg;
+        }
+
+        helper.encryptDeterministic = function (message, key, cfg) {
+            cfg = deterministicCfg(key, cfg);
+            cfg.output = cfg.output || 'wordarray';
+
+            return helper.encrypt(message, key, cfg);
+        };
+
+        helper.decryptDeterministic = function (ciphertext, key, cfg) {
+            var cipherParams = CipherParams.create({ ciphertext: WordArray.from(ciphertext) });
+
+            return helper.decrypt(cipherParams, key, deterministicCfg(key, cfg));
+        };
+    }
+
+    /**
+     * Pads data with a one bit, then zeros to a whole number of blocks.
+     */
+    function padBlock(data) {
+        var padded = data.clone().concat(WordArray.create([0x80000000], 1));
+
+        return BlockCipherMode._zeroPad(padded);
+    }
+}());
@@ -4,6 +4,7 @@
     var C_lib = C.lib;
     var BlockCipher = C_lib.BlockCipher;
     var C_algo = C.algo;
+    var C_err = C.err;
 
     // Lookup tables
     var SBOX = [];
@@ -81,6 +82,11 @@
             var keyWords = key.words;
             var keySize = key.sigBytes / 4;
 
+            // Validate key size
+            if (keySize != 4 && keySize != 6 && keySize != 8) {
+                throw new C_err.KeySizeError('AES requires a 128, 192 or 256-bit key.');
+            }
+
             // Compute number of rounds
             var nRounds = this._nRounds = keySize + 6
 
@@ -192,7 +198,9 @@
             M[offset + 3] = t3;
         },
 
-        keySize: 256/32
+        keySize: 256/32,
+
+        _stateExcludes: BlockCipher._stateExcludes.concat(['_nRounds', '_keySchedule', '_invKeySchedule'])
     });
 
     /**
@@ -204,4 +212,20 @@
      *     var plaintext  = CryptoJS.AES.decrypt(ciphertext, key, cfg);
      */
     C.AES = BlockCipher._createHelper(AES);
+
+    /**
+     * Shortcut function to the CMAC's object interface.
+     *
+     * @param {WordArray|string} message The message to authenticate.
+     * @param {WordArray} key The secret key.
+     *
+     * @return {WordArray} The CMAC.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var cmac = CryptoJS.CmacAES(message, key);
+     */
+    C.CmacAES = BlockCipher._createCmacHelper(AES);
 }());
@@ -0,0 +1,621 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var Base = C_lib.Base;
+    var WordArray = C_lib.WordArray;
+    var C_enc = C.enc;
+    var Base64 = C_enc.Base64;
+    var C_algo = C.algo;
+    var BLAKE2b = C_algo.BLAKE2b;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    // Constants
+    var VERSION = 0x13;
+
+    var TYPES = {
+        argon2d: 0,
+        argon2i: 1,
+        argon2id: 2
+    };
+
+    // Offsets of the 64-bit words permuted together, by rows and then by columns of the block
+    var ROWS = [];
+    var COLUMNS = [];
+    var ZERO_BLOCK = [];
+
+    // Compute constants
+    (function () {
+        for (var i = 0; i < 8; i++) {
+            var row = ROWS[i] = [];
+            var column = COLUMNS[i] = [];
+            for (var j = 0; j < 8; j++) {
+                row.push((i * 16 + j * 2) * 2, (i * 16 + j * 2 + 1) * 2);
+                column.push((i * 2 + j * 16) * 2, (i * 2 + j * 16 + 1) * 2);
+            }
+        }
+
+        for (var i = 0; i < 256; i++) {
+            ZERO_BLOCK[i] = 0;
+        }
+    }());
+
+    // Reusable objects
+    var R = [];
+    var Q = [];
+
+    /**
+     * Argon2 memory-hard password hashing function, as specified in RFC 9106.
+     */
+    var Argon2 = C_algo.Argon2 = Base.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} keySize The key size in words to generate. Default: 8 (256 bits)
+         * @property {number} iterations The number of passes over memory. Default: 3
+         * @property {number} memorySize The memory to use, in kibibytes. Default: 65536 (64 MiB)
+         * @property {number} parallelism The number of lanes. Default: 4
+         * @property {string} type The variant, one of 'argon2id', 'argon2i' or 'argon2d'. Default: 'argon2id'
+         * @property {WordArray|string} secret (Optional) A secret key, kept apart from the stored hash.
+         * @property {WordArray|string} associatedData (Optional) Associated data.
+         */
+        cfg: Base.extend({
+            keySize: 256/32,
+            iterations: 3,
+            memorySize: 65536,
+            parallelism: 4,
+            type: 'argon2id'
+        }),
+
+        /**
+         * Initializes a newly created key derivation function.
+         *
+         * @param {Object} cfg (Optional) The configuration options to use for the derivation.
+         *
+         * @example
+         *
+         *     var kdf = CryptoJS.algo.Argon2.create();
+         *     var kdf = CryptoJS.algo.Argon2.create({ keySize: 4 });
+         *     var kdf = CryptoJS.algo.Argon2.create({ type: 'argon2i', iterations: 4, memorySize: 1024, parallelism: 1 });
+         */
+        init: function (cfg) {
+            this.cfg = this.cfg.extend(cfg);
+        },
+
+        /**
+         * Computes the Argon2 password hash.
+         *
+         * @param {WordArray|string} password The password.
+         * @param {WordArray|string} salt A salt, at least 8 bytes long.
+         *
+         * @return {WordArray} The derived key.
+         *
+         * @example
+         *
+         *     var key = kdf.compute(password, salt);
+         */
+        compute: function (password, salt) {
+            // Shortcuts
+            var cfg = this.cfg;
+            var type = TYPES[cfg.type];
+            var tagLength = cfg.keySize * 4;
+            var t = cfg.iterations;
+            var m = cfg.memorySize;
+            var p = cfg.parallelism;
+
+            // Convert strings to WordArrays, else assume WordArray already
+            password = toWordArray(password);
+            salt = toWordArray(salt);
+            var secret = toWordArray(cfg.secret);
+            var associatedData = toWordArray(cfg.associatedData);
+
+            // Validate parameters
+            if (type == undefined) {
+                throw new ParameterError('Unknown Argon2 type: ' + cfg.type + '.');
+            }
+            if (tagLength < 4 || tagLength % 1) {
+                throw new ParameterError('Argon2 key size must be a whole number of bytes, at least 4.');
+            }
+            if (t < 1) {
+                throw new ParameterError('Argon2 iterations must be at least 1.');
+            }
+            if (p < 1 || p > 0xffffff) {
+                throw new ParameterError('Argon2 parallelism must be from 1 to 2^24 - 1.');
+            }
+            if (m < 8 * p) {
+                throw new ParameterError('Argon2 memory size must be at least 8 kibibytes per lane.');
+            }
+            if (salt.sigBytes < 8) {
+                throw new ParameterError('Argon2 salt must be at least 8 bytes long.');
+            }
+
+            // Initial hash of all the inputs
+            var H0 = BLAKE2b.create({ outputLength: 512 })
+                .update(le32(p)).update(le32(tagLength)).update(le32(m)).update(le32(t))
+                .update(le32(VERSION)).update(le32(type))
+                .update(le32(password.sigBytes)).update(password)
+                .update(le32(salt.sigBytes)).update(salt)
+                .update(le32(secret.sigBytes)).update(secret)
+                .update(le32(associatedData.sigBytes)).finalize(associatedData);
+
+            // Memory is rounded down to a whole number of segments, four per lane
+            var segmentLength = Math.floor(m / (4 * p));
+            var laneLength = segmentLength * 4;
+
+            var state = {
+                memory: [],
+                type: type,
+                iterations: t,
+                parallelism: p,
+                nBlocks: laneLength * p,
+                segmentLength: segmentLength,
+                laneLength: laneLength
+            };
+
+            // First two blocks of each lane
+            var memory = state.memory;
+            for (var lane = 0; lane < p; lane++) {
+                for (var i = 0; i < 2; i++) {
+                    var seed = H0.clone().concat(le32(i)).concat(le32(lane));
+                    memory[lane * laneLength + i] = swapEndian(hashLong(1024, seed).words);
+                }
+            }
+
+            // Fill memory, one segment of every lane per slice
+            for (var pass = 0; pass < t; pass++) {
+                for (var slice = 0; slice < 4; slice++) {
+                    for (var lane = 0; lane < p; lane++) {
+                        fillSegment(state, pass, slice, lane);
+                    }
+                }
+            }
+
+            // XOR the last blocks of the lanes
+            var finalBlock = memory[laneLength - 1].slice(0);
+            for (var lane = 1; lane < p; lane++) {
+                var lastBlock = memory[lane * laneLength + laneLength - 1];
+                for (var i = 0; i < 256; i++) {
+                    finalBlock[i] ^= lastBlock[i];
+                }
+            }
+
+            // Release memory
+            memory.length = 0;
+
+            return hashLong(tagLength, WordArray.create(swapEndian(finalBlock)));
+        },
+
+        /**
+         * Computes the Argon2 password hash and encodes it, with its parameters and salt, as a PHC string.
+         *
+         * @param {WordArray|string} password The password.
+         * @param {WordArray|string} salt (Optional) A salt. A random 16-byte salt is generated if omitted.
+         *
+         * @return {string} The PHC string.
+         *
+         * @example
+         *
+         *     var phcString = kdf.hash(password);
+         *     var phcString = kdf.hash(password, salt);
+         */
+        hash: function (password, salt) {
+            // Shortcut
+            var cfg = this.cfg;
+
+            if (salt == undefined) {
+                salt = WordArray.random(128/8);
+            }
+            salt = toWordArray(salt);
+
+            var key = this.compute(password, salt);
+
+            return '$' + cfg.type + '$v=' + VERSION + '$m=' + cfg.memorySize + ',t=' + cfg.iterations + ',p=' + cfg.parallelism +
+                '$' + stringifyBase64(salt) + '$' + stringifyBase64(key);
+        }
+    });
+
+    /**
+     * Checks a password against an Argon2 PHC string.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {string} phcString The PHC string produced when the password was hashed.
+     * @param {Object} cfg (Optional) Configuration options not stored in the PHC string, such as the secret.
+     *
+     * @return {boolean} Whether the password matches.
+     *
+     * @throws EncodingError If the PHC string is malformed, or its hash is shorter than 4 bytes.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var isMatch = CryptoJS.algo.Argon2.verify(password, '$argon2id$v=19$m=65536,t=3,p=4$...$...');
+     */
+    Argon2.verify = function (password, phcString, cfg) {
+        var match = /^\$(argon2id|argon2i|argon2d)\$v=(\d+)\$m=(\d+),t=(\d+),p=(\d+)\$([A-Za-z0-9+\/]+)\$([A-Za-z0-9+\/]+)$/.exec(phcString);
+        if (!match) {
+            throw new C_err.EncodingError('Invalid Argon2 PHC string.');
+        }
+        if (parseInt(match[2], 10) != VERSION) {
+            throw new C_err.UnsupportedError('Unsupported Argon2 version: ' + match[2] + '.');
+        }
+
+        var salt = Base64.parse(match[6]);
+        var expectedKey = Base64.parse(match[7]);
+        if (expectedKey.sigBytes < 4) {
+            throw new C_err.EncodingError('Invalid Argon2 PHC string: the hash must be at least 4 bytes.');
+        }
+
+        // Parameters from the PHC string take precedence
+        var kdf = Argon2.create(cfg);
+        var kdfCfg = kdf.cfg;
+        kdfCfg.type = match[1];
+        kdfCfg.memorySize = parseInt(match[3], 10);
+        kdfCfg.iterations = parseInt(match[4], 10);
+        kdfCfg.parallelism = parseInt(match[5], 10);
+        kdfCfg.keySize = expectedKey.sigBytes / 4;
+
+        var key = kdf.compute(password, salt);
+
+        return key.equals(expectedKey, { constantTime: true });
+    };
+
+    function fillSegment(state, pass, slice, lane) {
+        // Shortcuts
+        var memory = state.memory;
+        var type = state.type;
+        var p = state.parallelism;
+        var segmentLength = state.segmentLength;
+        var laneLength = state.laneLength;
+        var laneOffset = lane * laneLength;
+
+        // Argon2i, and the first half of the first pass of Argon2id, choose blocks independently of the password
+        var isDataIndependent = type == TYPES.argon2i || (type == TYPES.argon2id && pass == 0 && slice < 2);
+        if (isDataIndependent) {
+            var addressInput = ZERO_BLOCK.slice(0);
+            addressInput[0] = pass;
+            addressInput[2] = lane;
+            addressInput[4] = slice;
+            addressInput[6] = state.nBlocks;
+            addressInput[8] = state.iterations;
+            addressInput[10] = type;
+            var addresses = [];
+        }
+
+        // The first two blocks of the first pass are already filled
+        var startIndex = pass == 0 && slice == 0 ? 2 : 0;
+        if (isDataIndependent && startIndex == 2) {
+            nextAddresses(addressInput, addresses);
+        }
+
+        for (var index = startIndex; index < segmentLength; index++) {
+            var currentOffset = slice * segmentLength + index;
+            var previousOffset = currentOffset == 0 ? laneLength - 1 : currentOffset - 1;
+            var previousBlock = memory[laneOffset + previousOffset];
+
+            // Pseudo-random value
+            if (isDataIndependent) {
+                if (index % 128 == 0) {
+                    nextAddresses(addressInput, addresses);
+                }
+                var J1 = addresses[(index % 128) * 2] >>> 0;
+                var J2 = addresses[(index % 128) * 2 + 1] >>> 0;
+            } else {
+                var J1 = previousBlock[0] >>> 0;
+                var J2 = previousBlock[1] >>> 0;
+            }
+
+            // Reference block, never in another lane's segment of the current slice of the first pass
+            var referenceLane = pass == 0 && slice == 0 ? lane : J2 % p;
+            var referenceOffset = referenceIndex(state, pass, slice, index, J1, referenceLane == lane);
+            var referenceBlock = memory[referenceLane * laneLength + referenceOffset];
+
+            // Compute block, overwriting it from the second pass on
+            var block = memory[laneOffset + currentOffset];
+            if (!block) {
+                block = memory[laneOffset + currentOffset] = [];
+            }
+            fillBlock(previousBlock, referenceBlock, block, pass > 0);
+        }
+    }
+
+    function referenceIndex(state, pass, slice, index, J1, isSameLane) {
+        // Shortcuts
+        var segmentLength = state.segmentLength;
+        var laneLength = state.laneLength;
+
+        // Number of blocks that may be referenced, excluding the previous block
+        var areaSize;
+        if (pass == 0) {
+            if (slice == 0) {
+                areaSize = index - 1;
+            } else if (isSameLane) {
+                areaSize = slice * segmentLength + index - 1;
+            } else {
+                areaSize = slice * segmentLength + (index == 0 ? -1 : 0);
+            }
+        } else {
+            if (isSameLane) {
+                areaSize = laneLength - segmentLength + index - 1;
+            } else {
+                areaSize = laneLength - segmentLength + (index == 0 ? -1 : 0);
+            }
+        }
+
+        // Map J1 non-uniformly, favoring recent blocks
+        var x = mulHigh(J1, J1);
+        var relativePosition = areaSize - 1 - mulHigh(areaSize, x);
+
+        var startPosition = pass == 0 || slice == 3 ? 0 : (slice + 1) * segmentLength;
+
+        return (startPosition + relativePosition) % laneLength;
+    }
+
+    /**
+     * The high 32 bits of the 64-bit product of two unsigned 32-bit numbers.
+     */
+    function mulHigh(x, y) {
+        var x0 = x & 0xffff;
+        var x1 = x >>> 16;
+        var y0 = y & 0xffff;
+        var y1 = y >>> 16;
+        var middle = x1 * y0 + x0 * y1 + Math.floor(x0 * y0 / 0x10000);
+
+        return x1 * y1 + Math.floor(middle / 0x10000);
+    }
+
+    function nextAddresses(addressInput, addresses) {
+        addressInput[12]++;
+
+        fillBlock(ZERO_BLOCK, addressInput, addresses, false);
+        fillBlock(ZERO_BLOCK, addresses.slice(0), addresses, false);
+    }
+
+    /**
+     * The compression function G, writing G(X, Y) to the next block, or XORing it in.
+     * Blocks are arrays of 256 ints, where each 64-bit word is stored as its low half followed by its high half.
+     */
+    function fillBlock(X, Y, next, withXor) {
+        for (var i = 0; i < 256; i++) {
+            var Ri = R[i] = X[i] ^ Y[i];
+            Q[i] = withXor ? Ri ^ next[i] : Ri;
+        }
+
+        for (var i = 0; i < 8; i++) {
+            permute(R, ROWS[i]);
+        }
+        for (var i = 0; i < 8; i++) {
+            permute(R, COLUMNS[i]);
+        }
+
+        for (var i = 0; i < 256; i++) {
+            next[i] = Q[i] ^ R[i];
+        }
+    }
+
+    /**
+     * The permutation P, on the eight 64-bit words at the given offsets.
+     */
+    function permute(B, v) {
+        // Columns
+        mix(B, v[0], v[4], v[8], v[12]);
+        mix(B, v[1], v[5], v[9], v[13]);
+        mix(B, v[2], v[6], v[10], v[14]);
+        mix(B, v[3], v[7], v[11], v[15]);
+
+        // Diagonals
+        mix(B, v[0], v[5], v[10], v[15]);
+        mix(B, v[1], v[6], v[11], v[12]);
+        mix(B, v[2], v[7], v[8], v[13]);
+        mix(B, v[3], v[4], v[9], v[14]);
+    }
+
+    /**
+     * The BLAKE2b mixing function, with its additions strengthened by multiplications.
+     */
+    function mix(B, a, b, c, d) {
+        addMultiplied(B, a, b);
+        xorRotate(B, d, a, 32);
+        addMultiplied(B, c, d);
+        xorRotate(B, b, c, 24);
+        addMultiplied(B, a, b);
+        xorRotate(B, d, a, 16);
+        addMultiplied(B, c, d);
+        xorRotate(B, b, c, 63);
+    }
+
+    /**
+     * x = x + y + 2 * lo(x) * lo(y), modulo 2^64.
+     */
+    function addMultiplied(B, x, y) {
+        var xl = B[x];
+        var yl = B[y];
+
+        // 64-bit product of the low halves, from 16-bit pieces so it stays exact
+        var xl0 = xl & 0xffff;
+        var xl1 = xl >>> 16;
+        var yl0 = yl & 0xffff;
+        var yl1 = yl >>> 16;
+        var m1 = xl1 * yl0;
+        var m2 = xl0 * yl1;
+        var low = xl0 * yl0 + (((m1 & 0xffff) << 16) >>> 0) + (((m2 & 0xffff) << 16) >>> 0);
+        var pl = low >>> 0;
+        var ph = xl1 * yl1 + (m1 >>> 16) + (m2 >>> 16) + (low - pl) / 0x100000000;
+
+        // Double it
+        ph = (ph << 1) | (pl >>> 31);
+        pl = pl << 1;
+
+        // Add everything up
+        var sl = (xl >>> 0) + (yl >>> 0);
+        var sh = B[x + 1] + B[y + 1] + (sl > 0xffffffff ? 1 : 0);
+        var sl2 = (sl >>> 0) + (pl >>> 0);
+        sh = sh + ph + (sl2 > 0xffffffff ? 1 : 0);
+
+        B[x] = sl2 | 0;
+        B[x + 1] = sh | 0;
+    }
+
+    /**
+     * x = (x ^ y) >>> n, rotating the 64-bit word.
+     */
+    function xorRotate(B, x, y, n) {
+        var l = B[x] ^ B[y];
+        var h = B[x + 1] ^ B[y + 1];
+
+        if (n == 32) {
+            B[x] = h;
+            B[x + 1] = l;
+        } else if (n < 32) {
+            B[x] = (l >>> n) | (h << (32 - n));
+            B[x + 1] = (h >>> n) | (l << (32 - n));
+        } else {
+            B[x] = (h >>> (n - 32)) | (l << (64 - n));
+            B[x + 1] = (l >>> (n - 32)) | (h << (64 - n));
+        }
+    }
+
+    /**
+     * Variable-length hash function H', built on BLAKE2b.
+     */
+    function hashLong(nBytes, input) {
+        input = le32(nBytes).concat(input);
+
+        if (nBytes <= 64) {
+            return BLAKE2b.create({ outputLength: nBytes * 8 }).finalize(input);
+        }
+
+        // Chain 64-byte hashes, keeping the first half of each
+        var output = WordArray.create();
+        var nRounds = Math.ceil(nBytes / 32) - 2;
+        var V = BLAKE2b.create({ outputLength: 512 }).finalize(input);
+        output.concat(WordArray.create(V.words.slice(0, 8), 32));
+        for (var i = 1; i < nRounds; i++) {
+            V = BLAKE2b.create({ outputLength: 512 }).finalize(V);
+            output.concat(WordArray.create(V.words.slice(0, 8), 32));
+        }
+
+        // The last hash makes up the rest
+        V = BLAKE2b.create({ outputLength: (nBytes - 32 * nRounds) * 8 }).finalize(V);
+        output.concat(V);
+
+        return output;
+    }
+
+    function le32(n) {
+        return WordArray.create([
+            ((n & 0xff) << 24) | ((n & 0xff00) << 8) | ((n >>> 8) & 0xff00) | (n >>> 24)
+        ], 4);
+    }
+
+    function toWordArray(data) {
+        if (data == undefined) {
+            return WordArray.create();
+        }
+
+        return WordArray.from(data);
+    }
+
+    function swapEndian(words) {
+        var swapped = [];
+        for (var i = 0; i < words.length; i++) {
+            var word = words[i];
+            swapped[i] = (((word << 8)  | (word >>> 24)) & 0x00ff00ff) |
+                         (((word << 24) | (word >>> 8))  & 0xff00ff00);
+        }
+
+        return swapped;
+    }
+
+    function createHelper(type) {
+        return function (password, salt, cfg) {
+            var kdf = Argon2.create(cfg);
+            kdf.cfg.type = type;
+
+            return kdf.compute(password, salt).toOutput(cfg && cfg.output);
+        };
+    }
+
+    function stringifyBase64(wordArray) {
+        // PHC strings leave out the padding
+        return Base64.stringify(wordArray).replace(/=+$/, '');
+    }
+
+    /**
+     * Computes the Argon2 password hash.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {WordArray|string} salt A salt, at least 8 bytes long.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The derived key.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var key = CryptoJS.Argon2(password, salt);
+     *     var key = CryptoJS.Argon2(password, salt, { keySize: 4, iterations: 4, memorySize: 1024 });
+     */
+    C.Argon2 = function (password, salt, cfg) {
+        return Argon2.create(cfg).compute(password, salt).toOutput(cfg && cfg.output);
+    };
+
+    /**
+     * Hashes a password with a random salt, encoding the result as a PHC string.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {string} The PHC string.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var phcString = CryptoJS.Argon2.hash(password);
+     *     var phcString = CryptoJS.Argon2.hash(password, { iterations: 4, memorySize: 1024, parallelism: 1 });
+     */
+    C.Argon2.hash = function (password, cfg) {
+        return Argon2.create(cfg).hash(password);
+    };
+
+    /**
+     * Checks a password against an Argon2 PHC string.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {string} phcString The PHC string produced when the password was hashed.
+     * @param {Object} cfg (Optional) Configuration options not stored in the PHC string, such as the secret.
+     *
+     * @return {boolean} Whether the password matches.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var isMatch = CryptoJS.Argon2.verify(password, phcString);
+     */
+    C.Argon2.verify = Argon2.verify;
+
+    /**
+     * Shortcut functions for each Argon2 variant.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {WordArray|string} salt A salt, at least 8 bytes long.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The derived key.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var key = CryptoJS.Argon2id(password, salt);
+     *     var key = CryptoJS.Argon2i(password, salt, { keySize: 4 });
+     *     var key = CryptoJS.Argon2d(password, salt, { iterations: 4, memorySize: 1024 });
+     */
+    C.Argon2id = createHelper('argon2id');
+    C.Argon2i = createHelper('argon2i');
+    C.Argon2d = createHelper('argon2d');
+}());
@@ -0,0 +1,223 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+    var UnsupportedError = C_err.UnsupportedError;
+
+    /**
+     * Asynchronous namespace.
+     *
+     * The asynchronous functions return promises, and do their work in time slices so they don't block the event loop.
+     * They take these options:
+     *
+     *     onProgress: A function to call with the fraction of the work that's done, after each slice.
+     *     signal: An AbortSignal that stops the work, rejecting the promise.
+     *     sliceDuration: The number of milliseconds to work before yielding. Default: 10
+     */
+    var C_async = C.async = {
+        /**
+         * Runs a task in time slices.
+         *
+         * @param {Object} task An object with a step method, which does a little of the work
+         *     and returns whether the task is complete, or a promise for that,
+         *     and a progress method, which returns the fraction of the work that's done.
+         *     An optional start method does the setup, so that its errors reject the promise too.
+         * @param {Object} options (Optional) The asynchronous options.
+         *
+         * @return {Promise} A promise that resolves when the task is complete.
+         *
+         * @throws UnsupportedError If the platform doesn't support promises.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     CryptoJS.async.run(task, { onProgress: onProgress }).then(function () {
+         *     });
+         */
+        run: function (task, options) {
+            if (typeof Promise == 'undefined') {
+                throw new UnsupportedError('Promises are not supported on this platform.');
+            }
+
+            // Shortcuts
+            options = options || {};
+            var onProgress = options.onProgress;
+            var signal = options.signal;
+            var sliceDuration = options.sliceDuration || 10;
+
+            return new Promise(function (resolve, reject) {
+                function nextSlice() {
+                    try {
+                        if (signal && signal.aborted) {
+                            throw signal.reason || abortError();
+                        }
+
+                        var sliceEnd = new Date().getTime() + sliceDuration;
+                        do {
+                            var isComplete = task.step();
+                        } while (isComplete === false && new Date().getTime() < sliceEnd);
+
+                        // Wait for asynchronous steps
+                        if (isComplete && isComplete.then) {
+                            isComplete.then(endSlice, reject);
+                        } else {
+                            endSlice(isComplete);
+                        }
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+
+                function endSlice(isComplete) {
+                    try {
+                        if (onProgress) {
+                            onProgress(isComplete ? 1 : task.progress());
+                        }
+                    } catch (e) {
+                        return reject(e);
+                    }
+
+                    if (isComplete) {
+                        resolve();
+                    } else {
+                        setTimeout(nextSlice, 0);
+                    }
+                }
+
+                try {
+                    if (task.start) {
+                        task.start();
+                    }
+                } catch (e) {
+                    return reject(e);
+                }
+
+                nextSlice();
+            });
+        },
+
+        /**
+         * Hashes a message, which may also be a Blob, in time slices.
+         *
+         * @param {Hasher} hasher The hasher algorithm to use.
+         * @param {WordArray|string|Blob} message The message to hash. Blobs and typed arrays require lib-typedarrays.
+         * @param {Object} cfg (Optional) The configuration options to use for this hash computation.
+         * @param {Object} options (Optional) The asynchronous options, and chunkSize, the number of bytes to hash per step. Default: 65536
+         *
+         * @return {Promise} A promise for the hash. It rejects with a ParameterError if the message isn't data.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     CryptoJS.async.hash(CryptoJS.algo.SHA256, file).then(function (hash) {
+         *     });
+         *     CryptoJS.SHA256.async(file, null, { onProgress: onProgress, signal: signal }).then(function (hash) {
+         *     });
+         */
+        hash: function (hasher, message, cfg, options) {
+            // Shortcut
+            var chunkSize = options && options.chunkSize || 65536;
+
+            var hasherInstance;
+            var offset = 0;
+
+            if (typeof Blob != 'undefined' && message instanceof Blob) {
+                var size = message.size;
+
+                var task = {
+                    start: function () {
+                        hasherInstance = hasher.create(cfg);
+                    },
+
+                    step: function () {
+                        var chunk = message.slice(offset, offset += chunkSize);
+
+                        return readBlob(chunk).then(function (arrayBuffer) {
+                            hasherInstance.update(arrayBuffer);
+
+                            return offset >= size;
+                        });
+                    },
+
+                    progress: function () {
+                        return Math.min(offset / size, 1);
+                    }
+                };
+            } else {
+                var dataWords;
+                var dataSigBytes;
+
+                // Keep chunks word aligned
+                chunkSize = Math.ceil(chunkSize / 4) * 4;
+
+                var task = {
+                    start: function () {
+                        var data = message ? WordArray.from(message) : new WordArray.init();
+                        if (!data || typeof data.sigBytes != 'number') {
+                            throw new ParameterError('The message must be a WordArray, string, typed array or Blob.');
+                        }
+
+                        hasherInstance = hasher.create(cfg);
+                        dataWords = data.words;
+                        dataSigBytes = data.sigBytes;
+                    },
+
+                    step: function () {
+                        if (offset < dataSigBytes) {
+                            hasherInstance.update(new WordArray.init(
+                                dataWords.slice(offset / 4, (offset + chunkSize) / 4),
+                                Math.min(chunkSize, dataSigBytes - offset)
+                            ));
+                            offset += chunkSize;
+                        }
+
+                        return offset >= dataSigBytes;
+                    },
+
+                    progress: function () {
+                        return Math.min(offset / dataSigBytes, 1);
+                    }
+                };
+            }
+
+            return C_async.run(task, options).then(function () {
+                return hasherInstance.finalize().toOutput(cfg && cfg.output);
+            });
+        }
+    };
+
+    /**
+     * Creates the error that older platforms' abort signals don't provide.
+     */
+    function abortError() {
+        var error = new Error('The operation was aborted.');
+        error.name = 'AbortError';
+
+        return error;
+    }
+
+    /**
+     * Reads a Blob into an ArrayBuffer.
+     */
+    function readBlob(blob) {
+        if (blob.arrayBuffer) {
+            return blob.arrayBuffer();
+        }
+
+        return new Promise(function (resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function () {
+                resolve(reader.result);
+            };
+            reader.onerror = function () {
+                reject(reader.error);
+            };
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+}());
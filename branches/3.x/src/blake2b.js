@@ -0,0 +1,368 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var Hasher = C_lib.Hasher;
+    var C_x64 = C.x64;
+    var X64Word = C_x64.Word;
+    var X64WordArray = C_x64.WordArray;
+    var C_algo = C.algo;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    // Constants
+    var IV = [
+        0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b,
+        0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+        0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f,
+        0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+    ];
+
+    var SIGMA = [
+        [ 0,  1,  2,  3,  4,  5,  6,  7,  8,  9, 10, 11, 12, 13, 14, 15],
+        [14, 10,  4,  8,  9, 15, 13,  6,  1, 12,  0,  2, 11,  7,  5,  3],
+        [11,  8, 12,  0,  5,  2, 15, 13, 10, 14,  3,  6,  7,  1,  9,  4],
+        [ 7,  9,  3,  1, 13, 12, 11, 14,  2,  6,  5, 10,  4,  0, 15,  8],
+        [ 9,  0,  5,  7,  2,  4, 10, 15, 14,  1, 11, 12,  6,  8,  3, 13],
+        [ 2, 12,  6, 10,  0, 11,  8,  3,  4, 13,  7,  5, 15, 14,  1,  9],
+        [12,  5,  1, 15, 14, 13,  4, 10,  0,  7,  6,  3,  9,  2,  8, 11],
+        [13, 11,  7, 14, 12,  1,  3,  9,  5,  0, 15,  4,  8,  6,  2, 10],
+        [ 6, 15, 14,  9, 11,  3,  0,  8, 12,  2, 13,  7,  1,  4, 10,  5],
+        [10,  2,  8,  4,  7,  6,  1,  5, 15, 11,  9, 14,  3, 12, 13,  0]
+    ];
+
+    // Reusable objects
+    var V = [];
+    var M_ = [];
+
+    /**
+     * BLAKE2b hash algorithm, as specified in RFC 7693.
+     */
+    var BLAKE2b = C_algo.BLAKE2b = Hasher.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} outputLength
+         *   The desired number of bits in the output hash.
+         *   Any multiple of 8 from 8 to 512 is permitted.
+         *   Default: 512
+         * @property {WordArray|string} key
+         *   (Optional) A key of up to 64 bytes, which makes the hash a MAC.
+         * @property {WordArray|string} salt
+         *   (Optional) A salt of up to 16 bytes.
+         * @property {WordArray|string} personalization
+         *   (Optional) An application-specific string of up to 16 bytes.
+         */
+        cfg: Hasher.cfg.extend({
+            outputLength: 512
+        }),
+
+        _doReset: function () {
+            // Shortcuts
+            var cfg = this.cfg;
+            var outputLength = cfg.outputLength;
+            var key = toWordArray(cfg.key);
+            var salt = parameterWords(cfg.salt, 16, 'salt');
+            var personalization = parameterWords(cfg.personalization, 16, 'personalization');
+
+            if (outputLength < 8 || outputLength > 512 || outputLength % 8) {
+                throw new ParameterError('BLAKE2b output length must be a multiple of 8 bits, from 8 to 512.');
+            }
+            if (key.sigBytes > 64) {
+                throw new C_err.KeySizeError('BLAKE2b key must be at most 64 bytes long.');
+            }
+
+            var H = this._hash = new X64WordArray.init([]);
+            var HWords = H.words;
+            for (var i = 0; i < 8; i++) {
+                HWords[i] = new X64Word.init(IV[i * 2], IV[i * 2 + 1]);
+            }
+
+            // Parameter block: digest length, key length, fanout 1, depth 1, then salt and personalization
+            HWords[0].low ^= 0x01010000 ^ (key.sigBytes << 8) ^ (outputLength / 8);
+            for (var i = 0; i < 2; i++) {
+                HWords[i + 4].low ^= salt[i * 2];
+                HWords[i + 4].high ^= salt[i * 2 + 1];
+                HWords[i + 6].low ^= personalization[i * 2];
+                HWords[i + 6].high ^= personalization[i * 2 + 1];
+            }
+
+            // Byte counter
+            this._t = 0;
+
+            // A key is hashed as a first block of its own
+            if (key.sigBytes) {
+                var keyBlock = key.clone();
+                keyBlock.clamp();
+
+                // Zero-pad to a full block
+                var keyBlockWords = keyBlock.words;
+                for (var i = keyBlockWords.length; i < 32; i++) {
+                    keyBlockWords[i] = 0;
+                }
+                keyBlock.sigBytes = 128;
+
+                this._append(keyBlock);
+            }
+        },
+
+        _doProcessBlock: function (M, offset) {
+            this._t += 128;
+
+            compress(this._hash.words, M, offset, this._t, false);
+        },
+
+        _doFinalize: function () {
+            // Shortcuts
+            var data = this._data;
+
+            // Hash all but the final block
+            var nFinalBlockOffset = Math.max(Math.ceil(data.sigBytes / 128) - 1, 0) * 32;
+            for (var offset = 0; offset < nFinalBlockOffset; offset += 32) {
+                this._doProcessBlock(data.words, offset);
+            }
+            data.clamp();
+            data.words.splice(0, nFinalBlockOffset);
+            data.sigBytes -= nFinalBlockOffset * 4;
+
+            // Shortcuts
+            var dataWords = data.words;
+            var nBytesLeft = data.sigBytes;
+
+            // Pad final block with zeros
+            for (var i = dataWords.length; i < 32; i++) {
+                dataWords[i] = 0;
+            }
+
+            // Hash final block
+            this._t += nBytesLeft;
+            compress(this._hash.words, dataWords, 0, this._t, true);
+
+            // Shortcuts
+            var H = this._hash.words;
+            var outputLengthBytes = this.cfg.outputLength / 8;
+
+            // Convert little-endian state to bytes
+            var hashWords = [];
+            for (var i = 0; i < 8; i++) {
+                // Shortcuts
+                var Hi = H[i];
+                var Hil = Hi.low;
+                var Hih = Hi.high;
+
+                // Swap endian
+                hashWords.push(
+                    (((Hil << 8)  | (Hil >>> 24)) & 0x00ff00ff) |
+                    (((Hil << 24) | (Hil >>> 8))  & 0xff00ff00)
+                );
+                hashWords.push(
+                    (((Hih << 8)  | (Hih >>> 24)) & 0x00ff00ff) |
+                    (((Hih << 24) | (Hih >>> 8))  & 0xff00ff00)
+                );
+            }
+
+            // Return final computed hash
+            var hash = new WordArray.init(hashWords, outputLengthBytes);
+            hash.clamp();
+
+            return hash;
+        },
+
+        clone: function () {
+            var clone = Hasher.clone.call(this);
+            clone._hash = this._hash.clone();
+
+            return clone;
+        },
+
+        blockSize: 1024/32,
+
+        // Hold back the last block, which must be compressed with the final flag
+        _minBufferSize: 1
+    });
+
+    function compress(H, M, offset, t, isFinal) {
+        // Init working vector
+        for (var i = 0; i < 8; i++) {
+            var Hi = H[i];
+            V[i * 2] = Hi.low;
+            V[i * 2 + 1] = Hi.high;
+        }
+        for (var i = 0; i < 16; i++) {
+            V[i + 16] = IV[i ^ 1];
+        }
+
+        // Mix in byte counter
+        V[24] ^= t;
+        V[25] ^= Math.floor(t / 0x100000000);
+
+        // Invert final block flag
+        if (isFinal) {
+            V[28] = ~V[28];
+            V[29] = ~V[29];
+        }
+
+        // Read message as little-endian 64-bit words
+        for (var i = 0; i < 32; i++) {
+            var Mi = M[offset + i];
+            M_[i] = (((Mi << 8)  | (Mi >>> 24)) & 0x00ff00ff) |
+                    (((Mi << 24) | (Mi >>> 8))  & 0xff00ff00);
+        }
+
+        // Rounds
+        for (var round = 0; round < 12; round++) {
+            var s = SIGMA[round % 10];
+
+            // Columns
+            mix(0, 8, 16, 24, s[0], s[1]);
+            mix(2, 10, 18, 26, s[2], s[3]);
+            mix(4, 12, 20, 28, s[4], s[5]);
+            mix(6, 14, 22, 30, s[6], s[7]);
+
+            // Diagonals
+            mix(0, 10, 20, 30, s[8], s[9]);
+            mix(2, 12, 22, 24, s[10], s[11]);
+            mix(4, 14, 16, 26, s[12], s[13]);
+            mix(6, 8, 18, 28, s[14], s[15]);
+        }
+
+        // Update state
+        for (var i = 0; i < 8; i++) {
+            var Hi = H[i];
+            Hi.low ^= V[i * 2] ^ V[i * 2 + 16];
+            Hi.high ^= V[i * 2 + 1] ^ V[i * 2 + 17];
+        }
+    }
+
+    /**
+     * The G mixing function, on the working vector words at indexes a, b, c and d,
+     * where each 64-bit word is stored as its low half followed by its high half.
+     */
+    function mix(a, b, c, d, x, y) {
+        var xl = M_[x * 2];
+        var xh = M_[x * 2 + 1];
+        var yl = M_[y * 2];
+        var yh = M_[y * 2 + 1];
+
+        // a = a + b + x
+        var al = V[a] + V[b];
+        var ah = V[a + 1] + V[b + 1] + ((al >>> 0) < (V[a] >>> 0) ? 1 : 0);
+        var al2 = al + xl;
+        ah = ah + xh + ((al2 >>> 0) < (al >>> 0) ? 1 : 0);
+        V[a] = al2 | 0;
+        V[a + 1] = ah | 0;
+
+        // d = (d ^ a) >>> 32
+        var dl = V[d] ^ V[a];
+        var dh = V[d + 1] ^ V[a + 1];
+        V[d] = dh;
+        V[d + 1] = dl;
+
+        // c = c + d
+        var cl = (V[c] + V[d]) | 0;
+        V[c + 1] = (V[c + 1] + V[d + 1] + ((cl >>> 0) < (V[c] >>> 0) ? 1 : 0)) | 0;
+        V[c] = cl;
+
+        // b = (b ^ c) >>> 24
+        var bl = V[b] ^ V[c];
+        var bh = V[b + 1] ^ V[c + 1];
+        V[b] = (bl >>> 24) | (bh << 8);
+        V[b + 1] = (bh >>> 24) | (bl << 8);
+
+        // a = a + b + y
+        var al = V[a] + V[b];
+        var ah = V[a + 1] + V[b + 1] + ((al >>> 0) < (V[a] >>> 0) ? 1 : 0);
+        var al2 = al + yl;
+        ah = ah + yh + ((al2 >>> 0) < (al >>> 0) ? 1 : 0);
+        V[a] = al2 | 0;
+        V[a + 1] = ah | 0;
+
+        // d = (d ^ a) >>> 16
+        var dl = V[d] ^ V[a];
+        var dh = V[d + 1] ^ V[a + 1];
+        V[d] = (dl >>> 16) | (dh << 16);
+        V[d + 1] = (dh >>> 16) | (dl << 16);
+
+        // c = c + d
+        var cl = (V[c] + V[d]) | 0;
+        V[c + 1] = (V[c + 1] + V[d + 1] + ((cl >>> 0) < (V[c] >>> 0) ? 1 : 0)) | 0;
+        V[c] = cl;
+
+        // b = (b ^ c) >>> 63
+        var bl = V[b] ^ V[c];
+        var bh = V[b + 1] ^ V[c + 1];
+        V[b] = (bl << 1) | (bh >>> 31);
+        V[b + 1] = (bh << 1) | (bl >>> 31);
+    }
+
+    function toWordArray(data) {
+        if (data == undefined) {
+            return WordArray.create();
+        }
+
+        return WordArray.from(data);
+    }
+
+    /**
+     * Reads a salt or personalization as little-endian words, zero-padded to the given length.
+     */
+    function parameterWords(data, nBytes, name) {
+        data = toWordArray(data);
+        if (data.sigBytes > nBytes) {
+            throw new ParameterError('BLAKE2b ' + name + ' must be at most ' + nBytes + ' bytes long.');
+        }
+
+        // Shortcuts
+        var dataWords = data.words;
+        var dataSigBytes = data.sigBytes;
+
+        var words = [];
+        for (var i = 0; i < nBytes / 4; i++) {
+            var word = 0;
+            for (var j = 0; j < 4; j++) {
+                var byteOffset = i * 4 + j;
+                if (byteOffset < dataSigBytes) {
+                    word |= ((dataWords[byteOffset >>> 2] >>> (24 - (byteOffset % 4) * 8)) & 0xff) << (j * 8);
+                }
+            }
+            words.push(word);
+        }
+
+        return words;
+    }
+
+    /**
+     * Shortcut function to the hasher's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {Object} cfg (Optional) The configuration options to use for this hash computation.
+     *
+     * @return {WordArray} The hash.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hash = CryptoJS.BLAKE2b('message');
+     *     var hash = CryptoJS.BLAKE2b(wordArray, { outputLength: 256 });
+     *     var mac = CryptoJS.BLAKE2b(message, { key: key });
+     */
+    C.BLAKE2b = Hasher._createHelper(BLAKE2b);
+
+    /**
+     * Shortcut function to the HMAC's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {WordArray|string} key The secret key.
+     *
+     * @return {WordArray} The HMAC.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hmac = CryptoJS.HmacBLAKE2b(message, key);
+     */
+    C.HmacBLAKE2b = Hasher._createHmacHelper(BLAKE2b);
+}());
@@ -0,0 +1,307 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var Hasher = C_lib.Hasher;
+    var C_algo = C.algo;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    // Constants
+    var IV = [
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+        0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ];
+
+    var SIGMA = [
+        [ 0,  1,  2,  3,  4,  5,  6,  7,  8,  9, 10, 11, 12, 13, 14, 15],
+        [14, 10,  4,  8,  9, 15, 13,  6,  1, 12,  0,  2, 11,  7,  5,  3],
+        [11,  8, 12,  0,  5,  2, 15, 13, 10, 14,  3,  6,  7,  1,  9,  4],
+        [ 7,  9,  3,  1, 13, 12, 11, 14,  2,  6,  5, 10,  4,  0, 15,  8],
+        [ 9,  0,  5,  7,  2,  4, 10, 15, 14,  1, 11, 12,  6,  8,  3, 13],
+        [ 2, 12,  6, 10,  0, 11,  8,  3,  4, 13,  7,  5, 15, 14,  1,  9],
+        [12,  5,  1, 15, 14, 13,  4, 10,  0,  7,  6,  3,  9,  2,  8, 11],
+        [13, 11,  7, 14, 12,  1,  3,  9,  5,  0, 15,  4,  8,  6,  2, 10],
+        [ 6, 15, 14,  9, 11,  3,  0,  8, 12,  2, 13,  7,  1,  4, 10,  5],
+        [10,  2,  8,  4,  7,  6,  1,  5, 15, 11,  9, 14,  3, 12, 13,  0]
+    ];
+
+    // Reusable objects
+    var V = [];
+    var M_ = [];
+
+    /**
+     * BLAKE2s hash algorithm, as specified in RFC 7693.
+     */
+    var BLAKE2s = C_algo.BLAKE2s = Hasher.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} outputLength
+         *   The desired number of bits in the output hash.
+         *   Any multiple of 8 from 8 to 256 is permitted.
+         *   Default: 256
+         * @property {WordArray|string} key
+         *   (Optional) A key of up to 32 bytes, which makes the hash a MAC.
+         * @property {WordArray|string} salt
+         *   (Optional) A salt of up to 8 bytes.
+         * @property {WordArray|string} personalization
+         *   (Optional) An application-specific string of up to 8 bytes.
+         */
+        cfg: Hasher.cfg.extend({
+            outputLength: 256
+        }),
+
+        _doReset: function () {
+            // Shortcuts
+            var cfg = this.cfg;
+            var outputLength = cfg.outputLength;
+            var key = toWordArray(cfg.key);
+            var salt = parameterWords(cfg.salt, 8, 'salt');
+            var personalization = parameterWords(cfg.personalization, 8, 'personalization');
+
+            if (outputLength < 8 || outputLength > 256 || outputLength % 8) {
+                throw new ParameterError('BLAKE2s output length must be a multiple of 8 bits, from 8 to 256.');
+            }
+            if (key.sigBytes > 32) {
+                throw new C_err.KeySizeError('BLAKE2s key must be at most 32 bytes long.');
+            }
+
+            var H = this._hash = new WordArray.init(IV.slice(0));
+            var HWords = H.words;
+
+            // Parameter block: digest length, key length, fanout 1, depth 1, then salt and personalization
+            HWords[0] ^= 0x01010000 ^ (key.sigBytes << 8) ^ (outputLength / 8);
+            HWords[4] ^= salt[0];
+            HWords[5] ^= salt[1];
+            HWords[6] ^= personalization[0];
+            HWords[7] ^= personalization[1];
+
+            // Byte counter
+            this._t = 0;
+
+            // A key is hashed as a first block of its own
+            if (key.sigBytes) {
+                var keyBlock = key.clone();
+                keyBlock.clamp();
+
+                // Zero-pad to a full block
+                var keyBlockWords = keyBlock.words;
+                for (var i = keyBlockWords.length; i < 16; i++) {
+                    keyBlockWords[i] = 0;
+                }
+                keyBlock.sigBytes = 64;
+
+                this._append(keyBlock);
+            }
+        },
+
+        _doProcessBlock: function (M, offset) {
+            this._t += 64;
+
+            compress(this._hash.words, M, offset, this._t, false);
+        },
+
+        _doFinalize: function () {
+            // Shortcuts
+            var data = this._data;
+
+            // Hash all but the final block
+            var nFinalBlockOffset = Math.max(Math.ceil(data.sigBytes / 64) - 1, 0) * 16;
+            for (var offset = 0; offset < nFinalBlockOffset; offset += 16) {
+                this._doProcessBlock(data.words, offset);
+            }
+            data.clamp();
+            data.words.splice(0, nFinalBlockOffset);
+            data.sigBytes -= nFinalBlockOffset * 4;
+
+            // Shortcuts
+            var dataWords = data.words;
+            var nBytesLeft = data.sigBytes;
+
+            // Pad final block with zeros
+            for (var i = dataWords.length; i < 16; i++) {
+                dataWords[i] = 0;
+            }
+
+            // Hash final block
+            this._t += nBytesLeft;
+            compress(this._hash.words, dataWords, 0, this._t, true);
+
+            // Shortcuts
+            var H = this._hash.words;
+            var outputLengthBytes = this.cfg.outputLength / 8;
+
+            // Convert little-endian state to bytes
+            var hashWords = [];
+            for (var i = 0; i < 8; i++) {
+                // Shortcut
+                var Hi = H[i];
+
+                // Swap endian
+                hashWords.push(
+                    (((Hi << 8)  | (Hi >>> 24)) & 0x00ff00ff) |
+                    (((Hi << 24) | (Hi >>> 8))  & 0xff00ff00)
+                );
+            }
+
+            // Return final computed hash
+            var hash = new WordArray.init(hashWords, outputLengthBytes);
+            hash.clamp();
+
+            return hash;
+        },
+
+        clone: function () {
+            var clone = Hasher.clone.call(this);
+            clone._hash = this._hash.clone();
+
+            return clone;
+        },
+
+        blockSize: 512/32,
+
+        // Hold back the last block, which must be compressed with the final flag
+        _minBufferSize: 1
+    });
+
+    function compress(H, M, offset, t, isFinal) {
+        // Init working vector
+        for (var i = 0; i < 8; i++) {
+            V[i] = H[i];
+            V[i + 8] = IV[i];
+        }
+
+        // Mix in byte counter
+        V[12] ^= t;
+        V[13] ^= Math.floor(t / 0x100000000);
+
+        // Invert final block flag
+        if (isFinal) {
+            V[14] = ~V[14];
+        }
+
+        // Read message as little-endian words
+        for (var i = 0; i < 16; i++) {
+            var Mi = M[offset + i];
+            M_[i] = (((Mi << 8)  | (Mi >>> 24)) & 0x00ff00ff) |
+                    (((Mi << 24) | (Mi >>> 8))  & 0xff00ff00);
+        }
+
+        // Rounds
+        for (var round = 0; round < 10; round++) {
+            var s = SIGMA[round];
+
+            // Columns
+            mix(0, 4, 8, 12, M_[s[0]], M_[s[1]]);
+            mix(1, 5, 9, 13, M_[s[2]], M_[s[3]]);
+            mix(2, 6, 10, 14, M_[s[4]], M_[s[5]]);
+            mix(3, 7, 11, 15, M_[s[6]], M_[s[7]]);
+
+            // Diagonals
+            mix(0, 5, 10, 15, M_[s[8]], M_[s[9]]);
+            mix(1, 6, 11, 12, M_[s[10]], M_[s[11]]);
+            mix(2, 7, 8, 13, M_[s[12]], M_[s[13]]);
+            mix(3, 4, 9, 14, M_[s[14]], M_[s[15]]);
+        }
+
+        // Update state
+        for (var i = 0; i < 8; i++) {
+            H[i] ^= V[i] ^ V[i + 8];
+        }
+    }
+
+    /**
+     * The G mixing function, on the working vector words at indexes a, b, c and d.
+     */
+    function mix(a, b, c, d, x, y) {
+        var t;
+
+        V[a] = (V[a] + V[b] + x) | 0;
+        t = V[d] ^ V[a];
+        V[d] = (t >>> 16) | (t << 16);
+
+        V[c] = (V[c] + V[d]) | 0;
+        t = V[b] ^ V[c];
+        V[b] = (t >>> 12) | (t << 20);
+
+        V[a] = (V[a] + V[b] + y) | 0;
+        t = V[d] ^ V[a];
+        V[d] = (t >>> 8) | (t << 24);
+
+        V[c] = (V[c] + V[d]) | 0;
+        t = V[b] ^ V[c];
+        V[b] = (t >>> 7) | (t << 25);
+    }
+
+    function toWordArray(data) {
+        if (data == undefined) {
+            return WordArray.create();
+        }
+
+        return WordArray.from(data);
+    }
+
+    /**
+     * Reads a salt or personalization as little-endian words, zero-padded to the given length.
+     */
+    function parameterWords(data, nBytes, name) {
+        data = toWordArray(data);
+        if (data.sigBytes > nBytes) {
+            throw new ParameterError('BLAKE2s ' + name + ' must be at most ' + nBytes + ' bytes long.');
+        }
+
+        // Shortcuts
+        var dataWords = data.words;
+        var dataSigBytes = data.sigBytes;
+
+        var words = [];
+        for (var i = 0; i < nBytes / 4; i++) {
+            var word = 0;
+            for (var j = 0; j < 4; j++) {
+                var byteOffset = i * 4 + j;
+                if (byteOffset < dataSigBytes) {
+                    word |= ((dataWords[byteOffset >>> 2] >>> (24 - (byteOffset % 4) * 8)) & 0xff) << (j * 8);
+                }
+            }
+            words.push(word);
+        }
+
+        return words;
+    }
+
+    /**
+     * Shortcut function to the hasher's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {Object} cfg (Optional) The configuration options to use for this hash computation.
+     *
+     * @return {WordArray} The hash.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hash = CryptoJS.BLAKE2s('message');
+     *     var hash = CryptoJS.BLAKE2s(wordArray, { outputLength: 128 });
+     *     var mac = CryptoJS.BLAKE2s(message, { key: key });
+     */
+    C.BLAKE2s = Hasher._createHelper(BLAKE2s);
+
+    /**
+     * Shortcut function to the HMAC's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {WordArray|string} key The secret key.
+     *
+     * @return {WordArray} The HMAC.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hmac = CryptoJS.HmacBLAKE2s(message, key);
+     */
+    C.HmacBLAKE2s = Hasher._createHmacHelper(BLAKE2s);
+}());
@@ -0,0 +1,604 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var BufferedBlockAlgorithm = C_lib.BufferedBlockAlgorithm;
+    var StreamCipher = C_lib.StreamCipher;
+    var BlockCipherMode = C_lib.BlockCipherMode;
+    var C_algo = C.algo;
+    var C_err = C.err;
+    var KeySizeError = C_err.KeySizeError;
+    var IvSizeError = C_err.IvSizeError;
+
+    // Reusable objects
+    var X = [];
+    var K = [];
+
+    /**
+     * ChaCha20 stream cipher algorithm, as specified in RFC 8439.
+     */
+    var ChaCha20 = C_algo.ChaCha20 = StreamCipher.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} counter The initial block counter. Default: 0
+         */
+        cfg: StreamCipher.cfg.extend({
+            counter: 0
+        }),
+
+        _doReset: function () {
+            // Shortcuts
+            var key = this._key;
+            var iv = this.cfg.iv;
+
+            // Validate parameters
+            if (key.sigBytes != 32) {
+                throw new KeySizeError('ChaCha20 requires a 256-bit key.');
+            }
+            if (!iv || iv.sigBytes != 12) {
+                throw new IvSizeError('ChaCha20 requires a 96-bit IV.');
+            }
+
+            this._state = createState(swapEndian(key.words, 8), this.cfg.counter, swapEndian(iv.words, 3));
+        },
+
+        _doProcessBlock: function (M, offset) {
+            // Shortcut
+            var state = this._state;
+
+            // Generate keystream block
+            chachaBlock(state, K);
+
+            // Increment counter
+            state[12] = (state[12] + 1) | 0;
+
+            for (var i = 0; i < 16; i++) {
+                // Swap endian
+                var k = K[i];
+                k = (((k << 8)  | (k >>> 24)) & 0x00ff00ff) |
+                    (((k << 24) | (k >>> 8))  & 0xff00ff00);
+
+                // Encrypt
+                M[offset + i] ^= k;
+            }
+        },
+
+        blockSize: 512/32,
+
+        keySize: 256/32,
+
+        ivSize: 96/32
+    });
+
+    /**
+     * Shortcut functions to the cipher's object interface.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.ChaCha20.encrypt(message, key, cfg);
+     *     var plaintext  = CryptoJS.ChaCha20.decrypt(ciphertext, key, cfg);
+     */
+    C.ChaCha20 = StreamCipher._createHelper(ChaCha20);
+
+    /**
+     * XChaCha20 stream cipher algorithm.
+     *
+     * A variant of ChaCha20 with a 192-bit IV, which is long enough to be chosen at random.
+     */
+    var XChaCha20 = C_algo.XChaCha20 = ChaCha20.extend({
+        _doReset: function () {
+            // Shortcuts
+            var key = this._key;
+            var iv = this.cfg.iv;
+
+            // Validate parameters
+            if (key.sigBytes != 32) {
+                throw new KeySizeError('XChaCha20 requires a 256-bit key.');
+            }
+            if (!iv || iv.sigBytes != 24) {
+                throw new IvSizeError('XChaCha20 requires a 192-bit IV.');
+            }
+
+            // Derive a subkey from the first 128 bits of the IV
+            var ivWords = swapEndian(iv.words, 6);
+            var subkeyWords = hchacha20(swapEndian(key.words, 8), ivWords);
+
+            this._state = createState(subkeyWords, this.cfg.counter, [0, ivWords[4], ivWords[5]]);
+        },
+
+        ivSize: 192/32
+    });
+
+    /**
+     * Shortcut functions to the cipher's object interface.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.XChaCha20.encrypt(message, key, cfg);
+     *     var plaintext  = CryptoJS.XChaCha20.decrypt(ciphertext, key, cfg);
+     */
+    C.XChaCha20 = StreamCipher._createHelper(XChaCha20);
+
+    /**
+     * Poly1305 one-time authenticator, as specified in RFC 8439.
+     *
+     * A key must never be used to authenticate more than one message.
+     */
+    var Poly1305 = C_algo.Poly1305 = BufferedBlockAlgorithm.extend({
+        /**
+         * Initializes a newly created Poly1305 authenticator.
+         *
+         * @param {WordArray} key The 256-bit one-time key.
+         *
+         * @example
+         *
+         *     var poly1305 = CryptoJS.algo.Poly1305.create(key);
+         */
+        init: function (key) {
+            // Validate key
+            if (key.sigBytes != 32) {
+                throw new KeySizeError('Poly1305 requires a 256-bit key.');
+            }
+
+            // Split key into 16-bit little-endian halfwords
+            var k = [];
+            for (var i = 0; i < 16; i++) {
+                var keyWord = key.words[i >>> 1];
+                var halfword = i % 2 ? keyWord & 0xffff : keyWord >>> 16;
+                k[i] = ((halfword << 8) | (halfword >>> 8)) & 0xffff;
+            }
+
+            // Clamp r, and split it into 13-bit limbs
+            this._r = [
+                k[0] & 0x1fff,
+                ((k[0] >>> 13) | (k[1] << 3)) & 0x1fff,
+                ((k[1] >>> 10) | (k[2] << 6)) & 0x1f03,
+                ((k[2] >>> 7) | (k[3] << 9)) & 0x1fff,
+                ((k[3] >>> 4) | (k[4] << 12)) & 0x00ff,
+                (k[4] >>> 1) & 0x1ffe,
+                ((k[4] >>> 14) | (k[5] << 2)) & 0x1fff,
+                ((k[5] >>> 11) | (k[6] << 5)) & 0x1f81,
+                ((k[6] >>> 8) | (k[7] << 8)) & 0x1fff,
+                (k[7] >>> 5) & 0x007f
+            ];
+            this._pad = k.slice(8);
+
+            // Set initial values
+            this.reset();
+        },
+
+        /**
+         * Resets this authenticator to its initial state.
+         *
+         * @example
+         *
+         *     poly1305.reset();
+         */
+        reset: function () {
+            // Reset data buffer
+            BufferedBlockAlgorithm.reset.call(this);
+
+            // Reset accumulator
+            this._h = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+        },
+
+        /**
+         * Updates this authenticator with a message.
+         *
+         * @param {WordArray|string} messageUpdate The message to append.
+         *
+         * @return {Poly1305} This authenticator instance.
+         *
+         * @example
+         *
+         *     poly1305.update('message');
+         *     poly1305.update(wordArray);
+         */
+        update: function (messageUpdate) {
+            // Append
+            this._append(messageUpdate);
+
+            // Update the MAC
+            this._process();
+
+            // Chainable
+            return this;
+        },
+
+        /**
+         * Finalizes the authenticator computation.
+         * Note that the finalize operation is effectively a destructive, read-once operation.
+         *
+         * @param {WordArray|string} messageUpdate (Optional) A final message update.
+         *
+         * @return {WordArray} The 128-bit tag.
+         *
+         * @example
+         *
+         *     var tag = poly1305.finalize();
+         *     var tag = poly1305.finalize('message');
+         *     var tag = poly1305.finalize(wordArray);
+         */
+        finalize: function (messageUpdate) {
+            // Final message update
+            if (messageUpdate) {
+                this.update(messageUpdate);
+            }
+            this._moveBufferToData();
+
+            // Shortcuts
+            var h = this._h;
+            var pad = this._pad;
+            var data = this._data;
+
+            // Process the partial final block, terminated by a one bit instead of the usual high bit
+            if (data.sigBytes) {
+                var finalBlock = data.clone().concat(WordArray.create([0x01000000], 1));
+                var finalBlockWords = finalBlock.words;
+                for (var i = finalBlockWords.length; i < 4; i++) {
+                    finalBlockWords[i] = 0;
+                }
+                processBlock.call(this, finalBlockWords, 0, 0);
+            }
+
+            // Fully carry h
+            var c = h[1] >>> 13;
+            h[1] &= 0x1fff;
+            for (var i = 2; i < 10; i++) {
+                h[i] += c;
+                c = h[i] >>> 13;
+                h[i] &= 0x1fff;
+            }
+            h[0] += c * 5;
+            c = h[0] >>> 13;
+            h[0] &= 0x1fff;
+            h[1] += c;
+            c = h[1] >>> 13;
+            h[1] &= 0x1fff;
+            h[2] += c;
+
+            // Compute h + -p
+            var g = [];
+            g[0] = h[0] + 5;
+            c = g[0] >>> 13;
+            g[0] &= 0x1fff;
+            for (var i = 1; i < 10; i++) {
+                g[i] = h[i] + c;
+                c = g[i] >>> 13;
+                g[i] &= 0x1fff;
+            }
+
+            // Select h if h < p, or h + -p if h >= p
+            var mask = (c ^ 1) - 1;
+            for (var i = 0; i < 10; i++) {
+                h[i] = (h[i] & ~mask) | (g[i] & mask);
+            }
+
+            // Pack h into 16-bit halfwords
+            var hh = [
+                (h[0] | (h[1] << 13)) & 0xffff,
+                ((h[1] >>> 3) | (h[2] << 10)) & 0xffff,
+                ((h[2] >>> 6) | (h[3] << 7)) & 0xffff,
+                ((h[3] >>> 9) | (h[4] << 4)) & 0xffff,
+                ((h[4] >>> 12) | (h[5] << 1) | (h[6] << 14)) & 0xffff,
+                ((h[6] >>> 2) | (h[7] << 11)) & 0xffff,
+                ((h[7] >>> 5) | (h[8] << 8)) & 0xffff,
+                ((h[8] >>> 8) | (h[9] << 5)) & 0xffff
+            ];
+
+            // Add pad, and convert the little-endian halfwords to big-endian words
+            var tagWords = [];
+            var f = 0;
+            for (var i = 0; i < 8; i++) {
+                f = hh[i] + pad[i] + (f >>> 16);
+                var halfword = f & 0xffff;
+                tagWords[i >>> 1] |= (((halfword << 8) | (halfword >>> 8)) & 0xffff) << (i % 2 ? 0 : 16);
+            }
+
+            return WordArray.create(tagWords, 16);
+        },
+
+        _doProcessBlock: function (M, offset) {
+            processBlock.call(this, M, offset, 1 << 11);
+        },
+
+        blockSize: 128/32,
+
+        _returnsProcessedData: false
+    });
+
+    /**
+     * Shortcut function to the Poly1305 object interface.
+     *
+     * @param {WordArray|string} message The message to authenticate.
+     * @param {WordArray} key The 256-bit one-time key.
+     * @param {Object} cfg (Optional) The configuration options, such as output.
+     *
+     * @return {WordArray} The 128-bit tag.
+     *
+     * @example
+     *
+     *     var tag = CryptoJS.Poly1305(message, key);
+     *     var tag = CryptoJS.Poly1305(message, key, { output: 'uint8array' });
+     */
+    C.Poly1305 = function (message, key, cfg) {
+        return Poly1305.create(key).finalize(message).toOutput(cfg && cfg.output);
+    };
+
+    /**
+     * ChaCha20-Poly1305 authenticated encryption algorithm, as specified in RFC 8439.
+     *
+     * Configuration options:
+     *
+     *     iv:  The 96-bit IV.
+     *     aad: (Optional) Additional authenticated data.
+     *     tag: The authentication tag to verify when decrypting.
+     *          If omitted from a decryption through SerializableCipher, the tag is split off the end of the ciphertext.
+     */
+    var ChaCha20Poly1305 = C_algo.ChaCha20Poly1305 = createAead(ChaCha20, 'ChaCha20-Poly1305');
+
+    /**
+     * Shortcut functions to the cipher's object interface.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.ChaCha20Poly1305.encrypt(message, key, cfg);
+     *     var plaintext  = CryptoJS.ChaCha20Poly1305.decrypt(ciphertext, key, cfg);
+     */
+    C.ChaCha20Poly1305 = StreamCipher._createHelper(ChaCha20Poly1305);
+
+    /**
+     * XChaCha20-Poly1305 authenticated encryption algorithm.
+     *
+     * Takes the same configuration options as ChaCha20-Poly1305, but with a 192-bit IV.
+     */
+    var XChaCha20Poly1305 = C_algo.XChaCha20Poly1305 = createAead(XChaCha20, 'XChaCha20-Poly1305');
+
+    /**
+     * Shortcut functions to the cipher's object interface.
+     *
+     * @example
+     *
+     *     var ciphertext = CryptoJS.XChaCha20Poly1305.encrypt(message, key, cfg);
+     *     var plaintext  = CryptoJS.XChaCha20Poly1305.decrypt(ciphertext, key, cfg);
+     */
+    C.XChaCha20Poly1305 = StreamCipher._createHelper(XChaCha20Poly1305);
+
+    function createAead(StreamAlgorithm, name) {
+        var Aead = StreamAlgorithm.extend({
+            _doReset: function () {
+                // Shortcuts
+                var cfg = this.cfg;
+                var aad = cfg.aad;
+
+                StreamAlgorithm._doReset.call(this);
+
+                // Generate one-time key from the first keystream block
+                var state = this._state;
+                state[12] = 0;
+                var polyKeyWords = [];
+                chachaBlock(state, polyKeyWords);
+                state[12] = 1;
+
+                var mac = this._mac = Poly1305.create(WordArray.create(swapEndian(polyKeyWords, 8), 32));
+
+                // Authenticate additional authenticated data
+                if (aad) {
+                    aad = WordArray.from(aad);
+                }
+                var aadSigBytes = this._aadSigBytes = aad ? aad.sigBytes : 0;
+                if (aadSigBytes) {
+                    mac.update(aad);
+                    mac.update(zeroPadding(aadSigBytes));
+                }
+            },
+
+            process: function (dataUpdate) {
+                var processedData = StreamAlgorithm.process.call(this, dataUpdate);
+
+                // Authenticate ciphertext after encrypting
+                if (this._xformMode == this._ENC_XFORM_MODE) {
+                    this._mac.update(processedData);
+                }
+
+                return processedData;
+            },
+
+            _append: function (data) {
+                StreamAlgorithm._append.call(this, data);
+
+                // Authenticate ciphertext as it arrives for decryption
+                if (this._xformMode == this._DEC_XFORM_MODE) {
+                    this._mac.update(data);
+                }
+            },
+
+            _doFinalize: function () {
+                // Shortcuts
+                var mac = this._mac;
+                var isEncrypt = this._xformMode == this._ENC_XFORM_MODE;
+
+                var finalProcessedBlocks = StreamAlgorithm._doFinalize.call(this);
+
+                if (isEncrypt) {
+                    mac.update(finalProcessedBlocks);
+                }
+
+                // Authenticate lengths
+                var nDataBytes = this._nDataBytes;
+                mac.update(zeroPadding(nDataBytes));
+                var tag = mac.finalize(WordArray.create(swapEndian([
+                    this._aadSigBytes, Math.floor(this._aadSigBytes / 0x100000000),
+                    nDataBytes, Math.floor(nDataBytes / 0x100000000)
+                ], 4)));
+
+                if (isEncrypt) {
+                    // Compute authentication tag
+                    this.tag = tag;
+                } else {
+                    // Verify authentication tag
+                    var expectedTag = this.cfg.tag;
+                    if (!expectedTag) {
+                        throw new C_err.ParameterError(name + ' decryption requires an authentication tag.');
+                    }
+
+                    if (!tag.equals(expectedTag, { constantTime: true })) {
+                        throw new C_err.AuthenticationError(name + ' authentication tag mismatch.');
+                    }
+                }
+
+                return finalProcessedBlocks;
+            }
+        });
+
+        /**
+         * Splits an authentication tag off the end of the ciphertext, if the cipher params don't already carry one.
+         *
+         * @param {CipherParams} cipherParams The cipher params.
+         * @param {Object} cfg The configuration options of the decryption.
+         *
+         * @return {CipherParams} Cipher params with the tag separate from the ciphertext.
+         *
+         * @static
+         */
+        Aead.parseTag = function (cipherParams, cfg) {
+            return BlockCipherMode._parseTag(cipherParams, cfg, 16, name);
+        };
+
+        return Aead;
+    }
+
+    function createState(keyWords, counter, nonceWords) {
+        return [
+            0x61707865, 0x3320646e, 0x79622d32, 0x6b206574,
+            keyWords[0], keyWords[1], keyWords[2], keyWords[3],
+            keyWords[4], keyWords[5], keyWords[6], keyWords[7],
+            counter, nonceWords[0], nonceWords[1], nonceWords[2]
+        ];
+    }
+
+    function chachaRounds(state) {
+        for (var i = 0; i < 16; i++) {
+            X[i] = state[i];
+        }
+
+        for (var i = 0; i < 10; i++) {
+            // Column round
+            quarterRound(0, 4, 8, 12);
+            quarterRound(1, 5, 9, 13);
+            quarterRound(2, 6, 10, 14);
+            quarterRound(3, 7, 11, 15);
+
+            // Diagonal round
+            quarterRound(0, 5, 10, 15);
+            quarterRound(1, 6, 11, 12);
+            quarterRound(2, 7, 8, 13);
+            quarterRound(3, 4, 9, 14);
+        }
+    }
+
+    function chachaBlock(state, output) {
+        chachaRounds(state);
+
+        for (var i = 0; i < 16; i++) {
+            output[i] = (X[i] + state[i]) | 0;
+        }
+    }
+
+    function hchacha20(keyWords, nonceWords) {
+        chachaRounds([
+            0x61707865, 0x3320646e, 0x79622d32, 0x6b206574,
+            keyWords[0], keyWords[1], keyWords[2], keyWords[3],
+            keyWords[4], keyWords[5], keyWords[6], keyWords[7],
+            nonceWords[0], nonceWords[1], nonceWords[2], nonceWords[3]
+        ]);
+
+        return [X[0], X[1], X[2], X[3], X[12], X[13], X[14], X[15]];
+    }
+
+    function quarterRound(a, b, c, d) {
+        var t;
+
+        X[a] = (X[a] + X[b]) | 0;
+        t = X[d] ^ X[a];
+        X[d] = (t << 16) | (t >>> 16);
+
+        X[c] = (X[c] + X[d]) | 0;
+        t = X[b] ^ X[c];
+        X[b] = (t << 12) | (t >>> 20);
+
+        X[a] = (X[a] + X[b]) | 0;
+        t = X[d] ^ X[a];
+        X[d] = (t << 8) | (t >>> 24);
+
+        X[c] = (X[c] + X[d]) | 0;
+        t = X[b] ^ X[c];
+        X[b] = (t << 7) | (t >>> 25);
+    }
+
+    function processBlock(M, offset, hibit) {
+        // Shortcuts
+        var h = this._h;
+        var r = this._r;
+
+        // Read block as little-endian halfwords
+        var t = [];
+        for (var i = 0; i < 8; i++) {
+            var word = M[offset + (i >>> 1)];
+            var halfword = i % 2 ? word & 0xffff : word >>> 16;
+            t[i] = ((halfword << 8) | (halfword >>> 8)) & 0xffff;
+        }
+
+        // Add block to h
+        h[0] += t[0] & 0x1fff;
+        h[1] += ((t[0] >>> 13) | (t[1] << 3)) & 0x1fff;
+        h[2] += ((t[1] >>> 10) | (t[2] << 6)) & 0x1fff;
+        h[3] += ((t[2] >>> 7) | (t[3] << 9)) & 0x1fff;
+        h[4] += ((t[3] >>> 4) | (t[4] << 12)) & 0x1fff;
+        h[5] += (t[4] >>> 1) & 0x1fff;
+        h[6] += ((t[4] >>> 14) | (t[5] << 2)) & 0x1fff;
+        h[7] += ((t[5] >>> 11) | (t[6] << 5)) & 0x1fff;
+        h[8] += ((t[6] >>> 8) | (t[7] << 8)) & 0x1fff;
+        h[9] += (t[7] >>> 5) | hibit;
+
+        // Multiply h by r, modulo 2^130 - 5
+        var d = [];
+        var c = 0;
+        for (var i = 0; i < 10; i++) {
+            d[i] = c;
+            for (var j = 0; j < 10; j++) {
+                d[i] += h[j] * (j <= i ? r[i - j] : 5 * r[i + 10 - j]);
+                if (j == 4) {
+                    c = d[i] >>> 13;
+                    d[i] &= 0x1fff;
+                }
+            }
+            c += d[i] >>> 13;
+            d[i] &= 0x1fff;
+        }
+        c = c * 5 + d[0];
+        d[0] = c & 0x1fff;
+        d[1] += c >>> 13;
+
+        for (var i = 0; i < 10; i++) {
+            h[i] = d[i];
+        }
+    }
+
+    function swapEndian(words, nWords) {
+        var swapped = [];
+        for (var i = 0; i < nWords; i++) {
+            var word = words[i];
+            swapped[i] = (((word << 8)  | (word >>> 24)) & 0x00ff00ff) |
+                         (((word << 24) | (word >>> 8))  & 0xff00ff00);
+        }
+
+        return swapped;
+    }
+
+    function zeroPadding(nBytes) {
+        return WordArray.create([0, 0, 0, 0], (16 - nBytes % 16) % 16);
+    }
+}());
@@ -13,6 +13,22 @@ CryptoJS.lib.Cipher || (function (undefined) {
     var Base64 = C_enc.Base64;
     var C_algo = C.algo;
     var EvpKDF = C_algo.EvpKDF;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+    var IvSizeError = C_err.IvSizeError;
+    var KeySizeError = C_err.KeySizeError;
+    var StateError = C_err.StateError;
+
+    /**
+     * Error thrown when decryption fails, such as with the wrong key or a corrupt ciphertext.
+     * The more specific decryption errors are subtypes.
+     */
+    var DecryptionError = C_err.DecryptionError = C_err.CryptoJSError.extend('DecryptionError', 'ERR_DECRYPTION');
+
+    /**
+     * Error thrown when an authenticated mode finds that the ciphertext or additional data has been altered.
+     */
+    var AuthenticationError = C_err.AuthenticationError = DecryptionError.extend('AuthenticationError', 'ERR_AUTHENTICATION');
 
     /**
      * Abstract base cipher template.
@@ -27,6 +43,8 @@ CryptoJS.lib.Cipher || (function (undefined) {
          * Configuration options.
          *
          * @property {WordArray} iv The IV to use for this operation.
+         * @property {boolean} genericErrors Whether to report every decryption failure as the same DecryptionError,
+         *     so that the errors can't be used as a padding oracle. Default: false
          */
         cfg: Base.extend(),
 
@@ -79,11 +97,19 @@ CryptoJS.lib.Cipher || (function (undefined) {
          */
         init: function (xformMode, key, cfg) {
             // Apply config defaults
-            this.cfg = this.cfg.extend(cfg);
+            cfg = this.cfg = this.cfg.extend(cfg);
+
+            // Convert typed arrays to WordArrays
+            if (cfg.iv) {
+                cfg.iv = WordArray.from(cfg.iv);
+            }
+            if (cfg.tag) {
+                cfg.tag = WordArray.from(cfg.tag);
+            }
 
             // Store transform mode and key
             this._xformMode = xformMode;
-            this._key = key;
+            this._key = WordArray.from(key);
 
             // Set initial values
             this.reset();
@@ -132,6 +158,8 @@ CryptoJS.lib.Cipher || (function (undefined) {
          *
          * @return {WordArray} The data after final processing.
          *
+         * @throws DecryptionError If decryption fails, such as with the wrong key or a corrupt ciphertext.
+         *
          * @example
          *
          *     var encrypted = cipher.finalize();
@@ -139,17 +167,66 @@ CryptoJS.lib.Cipher || (function (undefined) {
          *     var encrypted = cipher.finalize(wordArray);
          */
         finalize: function (dataUpdate) {
-            // Final data update
-            if (dataUpdate) {
-                this._append(dataUpdate);
+            try {
+                // Final data update, which leaves the final blocks in the data word array
+                if (dataUpdate) {
+                    var processedData = this.process(dataUpdate);
+                }
+                this._moveBufferToData();
+
+                // Perform concrete-cipher logic
+                var finalProcessedData = this._doFinalize();
+            } catch (e) {
+                // Report every decryption failure the same way, if configured to
+                if (this.cfg.genericErrors && this._xformMode == this._DEC_XFORM_MODE) {
+                    throw new DecryptionError('Decryption failed.');
+                }
+
+                throw e;
             }
 
-            // Perform concrete-cipher logic
-            var finalProcessedData = this._doFinalize();
+            return processedData ? processedData.concat(finalProcessedData) : finalProcessedData;
+        },
+
+        /**
+         * Exports this cipher's internal state, including whether it encrypts or decrypts.
+         *
+         * @return {Object} The state.
+         *
+         * @example
+         *
+         *     var state = cipher.exportState();
+         */
+        exportState: function () {
+            var state = BufferedBlockAlgorithm.exportState.call(this);
+            state.xformMode = this._xformMode;
+
+            return state;
+        },
+
+        /**
+         * Imports an internal state previously exported from a cipher with the same key, configuration and direction.
+         *
+         * @param {Object} state The state.
+         *
+         * @return {Cipher} This cipher.
+         *
+         * @throws StateError If the state was exported from a cipher of another algorithm or direction.
+         *
+         * @example
+         *
+         *     var cipher = CryptoJS.algo.AES.createEncryptor(key, { iv: iv }).importState(state);
+         */
+        importState: function (state) {
+            if (state && state.xformMode != this._xformMode) {
+                throw new StateError('State was exported from ' + (state.xformMode == this._ENC_XFORM_MODE ? 'an encryptor' : 'a decryptor') + '.');
+            }
 
-            return finalProcessedData;
+            return BufferedBlockAlgorithm.importState.call(this, state);
         },
 
+        _stateExcludes: BufferedBlockAlgorithm._stateExcludes.concat(['_xformMode', '_key']),
+
         keySize: 128/32,
 
         ivSize: 128/32,
@@ -161,6 +238,11 @@ CryptoJS.lib.Cipher || (function (undefined) {
         /**
          * Creates shortcut functions to a cipher's object interface.
          *
+         * Their configuration options can also set output to 'uint8array', with lib-typedarrays.
+         * Decryption then returns the plaintext bytes. Encryption, with a key rather than a passphrase,
+         * returns the raw ciphertext bytes, followed by the authentication tag if there is one,
+         * which is the raw ciphertext that decryption accepts.
+         *
          * @param {Cipher} cipher The cipher to create a helper for.
          *
          * @return {Object} An object with encrypt and decrypt shortcut functions.
@@ -183,11 +265,30 @@ CryptoJS.lib.Cipher || (function (undefined) {
             return function (cipher) {
                 return {
                     encrypt: function (message, key, cfg) {
-                        return selectCipherStrategy(key).encrypt(cipher, message, key, cfg);
+                        // Shortcut
+                        var output = cfg && cfg.output;
+
+                        // Raw ciphertext has no room for the salt of a passphrase
+                        if (output && typeof key == 'string') {
+                            throw new ParameterError('Encryption with a passphrase can only output CipherParams.');
+                        }
+
+                        var cipherParams = selectCipherStrategy(key).encrypt(cipher, message, key, cfg);
+
+                        if (output) {
+                            var ciphertext = cipherParams.ciphertext.clone();
+                            if (cipherParams.tag) {
+                                ciphertext.concat(cipherParams.tag);
+                            }
+
+                            return ciphertext.toOutput(output);
+                        }
+
+                        return cipherParams;
                     },
 
                     decrypt: function (ciphertext, key, cfg) {
-                        return selectCipherStrategy(key).decrypt(cipher, ciphertext, key, cfg);
+                        return selectCipherStrategy(key).decrypt(cipher, ciphertext, key, cfg).toOutput(cfg && cfg.output);
                     }
                 };
             };
@@ -217,6 +318,17 @@ CryptoJS.lib.Cipher || (function (undefined) {
 
     /**
      * Abstract base block cipher mode template.
+     *
+     * Authenticated modes also implement finalize(finalProcessedBlocks),
+     * which computes the authentication tag when encrypting, or verifies it when decrypting.
+     * Modes that steal ciphertext implement stealCiphertext(finalProcessedBlocks),
+     * which rewrites the final blocks in place when the last of them is partial.
+     *
+     * @property {boolean} _blockSizedIv Whether the mode takes the IV as one block, which the cipher checks. Default: true
+     * @property {number} _nKeys The number of equal-length keys that the cipher key concatenates.
+     *     The cipher keeps the first, and the mode receives the rest in the cipher's _modeKeys. Default: 1
+     * @property {boolean} _stealsCiphertext Whether the mode steals ciphertext,
+     *     so that the cipher holds back the last full block until finalizing. Default: false
      */
     var BlockCipherMode = C_lib.BlockCipherMode = Base.extend({
         /**
@@ -264,7 +376,94 @@ CryptoJS.lib.Cipher || (function (undefined) {
         init: function (cipher, iv) {
             this._cipher = cipher;
             this._iv = iv;
-        }
+        },
+
+        /**
+         * Splits an authentication tag off the end of the ciphertext, if the cipher params don't already carry one.
+         * Authenticated modes and ciphers implement parseTag with this.
+         *
+         * @param {CipherParams} cipherParams The cipher params.
+         * @param {Object} cfg The configuration options of the decryption.
+         * @param {number} tagSigBytes The length of the tag in bytes.
+         * @param {string} name The algorithm name, for the error message.
+         *
+         * @return {CipherParams} Cipher params with the tag separate from the ciphertext.
+         *
+         * @throws DecryptionError If the ciphertext is shorter than the tag.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     var cipherParams = CryptoJS.lib.BlockCipherMode._parseTag(cipherParams, cfg, 16, 'GCM');
+         */
+        _parseTag: function (cipherParams, cfg, tagSigBytes, name) {
+            if (cipherParams.tag || cfg.tag) {
+                return cipherParams;
+            }
+
+            // Shortcuts
+            var ciphertext = cipherParams.ciphertext;
+            var ciphertextSigBytes = ciphertext.sigBytes - tagSigBytes;
+
+            if (ciphertextSigBytes < 0) {
+                throw new DecryptionError(name + ' ciphertext is shorter than its authentication tag.');
+            }
+
+            // Extract tag bytes
+            var ciphertextWords = ciphertext.words;
+            var tagWords = [];
+            for (var i = 0; i < tagSigBytes; i++) {
+                var byteIndex = ciphertextSigBytes + i;
+                var tagByte = (ciphertextWords[byteIndex >>> 2] >>> (24 - (byteIndex % 4) * 8)) & 0xff;
+                tagWords[i >>> 2] |= tagByte << (24 - (i % 4) * 8);
+            }
+
+            // Remove tag from ciphertext
+            ciphertext = ciphertext.clone();
+            ciphertext.sigBytes = ciphertextSigBytes;
+            ciphertext.clamp();
+
+            var parsed = cipherParams.clone();
+            parsed.ciphertext = ciphertext;
+            parsed.tag = WordArray.create(tagWords, tagSigBytes);
+
+            return parsed;
+        },
+
+        /**
+         * Zero-pads a copy of data to a whole number of 128-bit blocks.
+         *
+         * @param {WordArray} data The data to pad.
+         *
+         * @return {WordArray} The padded copy.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     var padded = CryptoJS.lib.BlockCipherMode._zeroPad(aad);
+         */
+        _zeroPad: function (data) {
+            var padded = data.clone();
+            padded.clamp();
+            var paddedWords = padded.words;
+            var nWords = Math.ceil(data.sigBytes / 16) * 4;
+            for (var i = paddedWords.length; i < nWords; i++) {
+                paddedWords[i] = 0;
+            }
+            padded.sigBytes = nWords * 4;
+
+            return padded;
+        },
+
+        _blockSizedIv: true,
+
+        _nKeys: 1,
+
+        _stealsCiphertext: false,
+
+        _stateExcludes: ['_cipher']
     });
 
     /**
@@ -347,6 +546,9 @@ CryptoJS.lib.Cipher || (function (undefined) {
                 this._iv = undefined;
             } else {
                 var block = this._prevBlock;
+                if (!block) {
+                    throw new IvSizeError('CBC mode requires an IV.');
+                }
             }
 
             // XOR blocks
@@ -363,6 +565,11 @@ CryptoJS.lib.Cipher || (function (undefined) {
      */
     var C_pad = C.pad = {};
 
+    /**
+     * Error thrown when unpadding data whose padding is invalid.
+     */
+    var PaddingError = C_err.PaddingError = DecryptionError.extend('PaddingError', 'ERR_PADDING');
+
     /**
      * PKCS #5/7 padding strategy.
      */
@@ -404,16 +611,43 @@ CryptoJS.lib.Cipher || (function (undefined) {
          * Unpads data that had been padded using the algorithm defined in PKCS #5/7.
          *
          * @param {WordArray} data The data to unpad.
+         * @param {number} blockSize (Optional) The multiple that the data was padded to.
+         *
+         * @throws PaddingError If the padding is invalid, such as after decrypting with the wrong key.
          *
          * @static
          *
          * @example
          *
          *     CryptoJS.pad.Pkcs7.unpad(wordArray);
+         *     CryptoJS.pad.Pkcs7.unpad(wordArray, 4);
          */
-        unpad: function (data) {
+        unpad: function (data, blockSize) {
+            // Shortcuts
+            var words = data.words;
+            var sigBytes = data.sigBytes;
+
             // Get number of padding bytes from last byte
-            var nPaddingBytes = data.words[(data.sigBytes - 1) >>> 2] & 0xff;
+            var nPaddingBytes = words[(sigBytes - 1) >>> 2] & 0xff;
+
+            // Extract the padding, and what it should be
+            var paddingWords = [];
+            var expectedPaddingWords = [];
+            for (var i = 0; i < nPaddingBytes; i++) {
+                var byteIndex = sigBytes - nPaddingBytes + i;
+                var shift = 24 - (i % 4) * 8;
+
+                paddingWords[i >>> 2] |= ((words[byteIndex >>> 2] >>> (24 - (byteIndex % 4) * 8)) & 0xff) << shift;
+                expectedPaddingWords[i >>> 2] |= nPaddingBytes << shift;
+            }
+            var padding = WordArray.create(paddingWords, nPaddingBytes);
+            var expectedPadding = WordArray.create(expectedPaddingWords, nPaddingBytes);
+
+            // Check padding in constant time
+            var isValid = padding.equals(expectedPadding, { constantTime: true });
+            if (!nPaddingBytes || nPaddingBytes > sigBytes || (blockSize && nPaddingBytes > blockSize * 4) || !isValid) {
+                throw new PaddingError('Invalid padding.');
+            }
 
             // Remove padding
             data.sigBytes -= nPaddingBytes;
@@ -424,6 +658,7 @@ CryptoJS.lib.Cipher || (function (undefined) {
      * Abstract base block cipher template.
      *
      * @property {number} blockSize The number of 32-bit words this cipher operates on. Default: 4 (128 bits)
+     * @property {WordArray} tag The authentication tag, after finalizing with an authenticated mode.
      */
     var BlockCipher = C_lib.BlockCipher = Cipher.extend({
         /**
@@ -437,6 +672,45 @@ CryptoJS.lib.Cipher || (function (undefined) {
             padding: Pkcs7
         }),
 
+        /**
+         * Initializes a newly created block cipher.
+         * When the mode takes more than one key, the key is split between the cipher and the mode.
+         *
+         * @param {number} xformMode Either the encryption or decryption transormation mode constant.
+         * @param {WordArray} key The key.
+         * @param {Object} cfg (Optional) The configuration options to use for this operation.
+         *
+         * @throws KeySizeError If the key doesn't split into as many keys as the mode takes.
+         *
+         * @example
+         *
+         *     var cipher = CryptoJS.algo.AES.create(CryptoJS.algo.AES._ENC_XFORM_MODE, keyWordArray, { mode: CryptoJS.mode.XTS });
+         */
+        init: function (xformMode, key, cfg) {
+            // Shortcut
+            var nKeys = ((cfg && cfg.mode) || this.cfg.mode)._nKeys;
+
+            if (nKeys > 1) {
+                // Shortcuts
+                key = WordArray.from(key);
+                var keyWords = key.words;
+                var nKeyWords = key.sigBytes / 4 / nKeys;
+
+                if (!nKeyWords || nKeyWords % 1) {
+                    throw new KeySizeError('The key must join ' + nKeys + ' keys of the same size for this mode.');
+                }
+
+                // Split key
+                var modeKeys = this._modeKeys = [];
+                for (var i = 1; i < nKeys; i++) {
+                    modeKeys.push(WordArray.create(keyWords.slice(i * nKeyWords, (i + 1) * nKeyWords)));
+                }
+                key = WordArray.create(keyWords.slice(0, nKeyWords));
+            }
+
+            Cipher.init.call(this, xformMode, key, cfg);
+        },
+
         reset: function () {
             // Reset cipher
             Cipher.reset.call(this);
@@ -446,9 +720,19 @@ CryptoJS.lib.Cipher || (function (undefined) {
             var iv = cfg.iv;
             var mode = cfg.mode;
 
+            // Validate IV
+            if (iv && mode._blockSizedIv && iv.sigBytes != this.blockSize * 4) {
+                throw new IvSizeError('The IV must be ' + this.blockSize * 32 + ' bits for this mode.');
+            }
+
             // Reset block mode
             if (this._xformMode == this._ENC_XFORM_MODE) {
                 var modeCreator = mode.createEncryptor;
+
+                // Keep the last full block in the buffer for ciphertext stealing
+                if (mode._stealsCiphertext) {
+                    this._minBufferSize = 1;
+                }
             } else /* if (this._xformMode == this._DEC_XFORM_MODE) */ {
                 var modeCreator = mode.createDecryptor;
 
@@ -463,8 +747,9 @@ CryptoJS.lib.Cipher || (function (undefined) {
         },
 
         _doFinalize: function () {
-            // Shortcut
+            // Shortcuts
             var padding = this.cfg.padding;
+            var mode = this._mode;
 
             // Finalize
             if (this._xformMode == this._ENC_XFORM_MODE) {
@@ -473,18 +758,57 @@ CryptoJS.lib.Cipher || (function (undefined) {
 
                 // Process final blocks
                 var finalProcessedBlocks = this._process(!!'flush');
+                if (mode.stealCiphertext) {
+                    mode.stealCiphertext(finalProcessedBlocks);
+                }
+
+                // Compute authentication tag
+                if (mode.finalize) {
+                    this.tag = mode.finalize(finalProcessedBlocks);
+                }
             } else /* if (this._xformMode == this._DEC_XFORM_MODE) */ {
                 // Process final blocks
                 var finalProcessedBlocks = this._process(!!'flush');
+                if (mode.stealCiphertext) {
+                    mode.stealCiphertext(finalProcessedBlocks);
+                }
+
+                // Verify authentication tag
+                if (mode.finalize) {
+                    this.tag = mode.finalize(finalProcessedBlocks);
+                }
 
                 // Unpad data
-                padding.unpad(finalProcessedBlocks);
+                padding.unpad(finalProcessedBlocks, this.blockSize);
             }
 
             return finalProcessedBlocks;
         },
 
-        blockSize: 128/32
+        blockSize: 128/32,
+
+        _stateExcludes: Cipher._stateExcludes.concat(['_modeKeys']),
+
+        _stateConfig: Cipher._stateConfig.concat(['mode', 'padding']),
+
+        /**
+         * Creates a shortcut function to the CMAC's object interface.
+         *
+         * @param {BlockCipher} cipher The block cipher to use in this CMAC helper.
+         *
+         * @return {Function} The shortcut function.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     var CmacAES = CryptoJS.lib.BlockCipher._createCmacHelper(CryptoJS.algo.AES);
+         */
+        _createCmacHelper: function (cipher) {
+            return function (message, key, cfg) {
+                return new C_algo.CMAC.init(cipher, key).finalize(message).toOutput(cfg && cfg.output);
+            };
+        }
     });
 
     /**
@@ -494,12 +818,15 @@ CryptoJS.lib.Cipher || (function (undefined) {
      * @property {WordArray} key The key to this ciphertext.
      * @property {WordArray} iv The IV used in the ciphering operation.
      * @property {WordArray} salt The salt used with a key derivation function.
+     * @property {WordArray} tag The authentication tag produced by an authenticated mode.
      * @property {Cipher} algorithm The cipher algorithm.
      * @property {Mode} mode The block mode used in the ciphering operation.
      * @property {Padding} padding The padding scheme used in the ciphering operation.
      * @property {number} blockSize The block size of the cipher.
      * @property {Format} formatter The default formatting strategy to convert this cipher params object to a string.
      */
+    var BYTE_PARAMS = ['ciphertext', 'key', 'iv', 'salt', 'tag'];
+
     var CipherParams = C_lib.CipherParams = Base.extend({
         /**
          * Initializes a newly created cipher params object.
@@ -513,6 +840,7 @@ CryptoJS.lib.Cipher || (function (undefined) {
          *         key: keyWordArray,
          *         iv: ivWordArray,
          *         salt: saltWordArray,
+         *         tag: tagWordArray,
          *         algorithm: CryptoJS.algo.AES,
          *         mode: CryptoJS.mode.CBC,
          *         padding: CryptoJS.pad.PKCS7,
@@ -522,6 +850,14 @@ CryptoJS.lib.Cipher || (function (undefined) {
          */
         init: function (cipherParams) {
             this.mixIn(cipherParams);
+
+            // Convert typed arrays to WordArrays
+            for (var i = 0; i < BYTE_PARAMS.length; i++) {
+                var param = BYTE_PARAMS[i];
+                if (this[param] && typeof this[param] != 'string') {
+                    this[param] = WordArray.from(this[param]);
+                }
+            }
         },
 
         /**
@@ -555,6 +891,7 @@ CryptoJS.lib.Cipher || (function (undefined) {
     var OpenSSLFormatter = C_format.OpenSSL = {
         /**
          * Converts a cipher params object to an OpenSSL-compatible string.
+         * An authentication tag, if any, is appended to the ciphertext.
          *
          * @param {CipherParams} cipherParams The cipher params object.
          *
@@ -570,6 +907,12 @@ CryptoJS.lib.Cipher || (function (undefined) {
             // Shortcuts
             var ciphertext = cipherParams.ciphertext;
             var salt = cipherParams.salt;
+            var tag = cipherParams.tag;
+
+            // Append tag
+            if (tag) {
+                ciphertext = ciphertext.clone().concat(tag);
+            }
 
             // Format
             if (salt) {
@@ -662,6 +1005,7 @@ CryptoJS.lib.Cipher || (function (undefined) {
                 ciphertext: ciphertext,
                 key: key,
                 iv: cipherCfg.iv,
+                tag: encryptor.tag,
                 algorithm: cipher,
                 mode: cipherCfg.mode,
                 padding: cipherCfg.padding,
@@ -674,37 +1018,60 @@ CryptoJS.lib.Cipher || (function (undefined) {
          * Decrypts serialized ciphertext.
          *
          * @param {Cipher} cipher The cipher algorithm to use.
-         * @param {CipherParams|string} ciphertext The ciphertext to decrypt.
+         * @param {CipherParams|WordArray|string} ciphertext The ciphertext to decrypt.
          * @param {WordArray} key The key.
          * @param {Object} cfg (Optional) The configuration options to use for this operation.
          *
          * @return {WordArray} The plaintext.
          *
+         * @throws DecryptionError If decryption fails, such as with the wrong key or a corrupt ciphertext.
+         *
          * @static
          *
          * @example
          *
          *     var plaintext = CryptoJS.lib.SerializableCipher.decrypt(CryptoJS.algo.AES, formattedCiphertext, key, { iv: iv, format: CryptoJS.format.OpenSSL });
          *     var plaintext = CryptoJS.lib.SerializableCipher.decrypt(CryptoJS.algo.AES, ciphertextParams, key, { iv: iv, format: CryptoJS.format.OpenSSL });
+         *     var plaintext = CryptoJS.lib.SerializableCipher.decrypt(CryptoJS.algo.AES, ciphertextParams, key, { iv: iv, genericErrors: true });
          */
         decrypt: function (cipher, ciphertext, key, cfg) {
             // Apply config defaults
             cfg = this.cfg.extend(cfg);
 
-            // Convert string to CipherParams
-            ciphertext = this._parse(ciphertext, cfg.format);
+            try {
+                // Convert string to CipherParams
+                ciphertext = this._parse(ciphertext, cfg.format);
 
-            // Decrypt
-            var plaintext = cipher.createDecryptor(key, cfg).finalize(ciphertext.ciphertext);
+                // Separate an appended authentication tag, produced either by the mode or by the cipher itself
+                var authenticator = cfg.mode && cfg.mode.parseTag ? cfg.mode : cipher;
+                if (authenticator.parseTag) {
+                    ciphertext = authenticator.parseTag(ciphertext, cfg);
+                }
+
+                // Pass authentication tag to the decryptor
+                if (ciphertext.tag) {
+                    cfg.tag = ciphertext.tag;
+                }
+
+                // Decrypt
+                var plaintext = cipher.createDecryptor(key, cfg).finalize(ciphertext.ciphertext);
+            } catch (e) {
+                // Report every decryption failure the same way, if configured to
+                if (cfg.genericErrors) {
+                    throw new DecryptionError('Decryption failed.');
+                }
+
+                throw e;
+            }
 
             return plaintext;
         },
 
         /**
-         * Converts serialized ciphertext to CipherParams,
+         * Converts serialized ciphertext to CipherParams, and raw ciphertext bytes to CipherParams with only a ciphertext,
          * else assumed CipherParams already and returns ciphertext unchanged.
          *
-         * @param {CipherParams|string} ciphertext The ciphertext.
+         * @param {CipherParams|WordArray|string} ciphertext The ciphertext.
          * @param {Formatter} format The formatting strategy to use to parse serialized ciphertext.
          *
          * @return {CipherParams} The unserialized ciphertext.
@@ -718,6 +1085,8 @@ CryptoJS.lib.Cipher || (function (undefined) {
         _parse: function (ciphertext, format) {
             if (typeof ciphertext == 'string') {
                 return format.parse(ciphertext, this);
+            } else if (!ciphertext.ciphertext) {
+                return CipherParams.create({ ciphertext: ciphertext });
             } else {
                 return ciphertext;
             }
@@ -768,6 +1137,47 @@ CryptoJS.lib.Cipher || (function (undefined) {
         }
     };
 
+    /**
+     * HKDF key derivation function.
+     *
+     * Requires the HKDF algorithm, and should only be used with high-entropy secrets rather than passwords.
+     */
+    C_kdf.HKDF = {
+        /**
+         * Derives a key and IV from a secret.
+         *
+         * @param {WordArray|string} secret The secret to derive from.
+         * @param {number} keySize The size in words of the key to generate.
+         * @param {number} ivSize The size in words of the IV to generate.
+         * @param {WordArray|string} salt (Optional) A 64-bit salt to use. If omitted, a salt will be generated randomly.
+         *
+         * @return {CipherParams} A cipher params object with the key, IV, and salt.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     var derivedParams = CryptoJS.kdf.HKDF.execute(secret, 256/32, 128/32);
+         *     var derivedParams = CryptoJS.kdf.HKDF.execute(secret, 256/32, 128/32, 'saltsalt');
+         */
+        execute: function (secret, keySize, ivSize, salt) {
+            // Generate random salt
+            if (!salt) {
+                salt = WordArray.random(64/8);
+            }
+
+            // Derive key and IV
+            var key = C_algo.HKDF.create({ keySize: keySize + ivSize }).compute(secret, salt);
+
+            // Separate key and IV
+            var iv = WordArray.create(key.words.slice(keySize), ivSize * 4);
+            key.sigBytes = keySize * 4;
+
+            // Return params
+            return CipherParams.create({ key: key, iv: iv, salt: salt });
+        }
+    };
+
     /**
      * A serializable cipher wrapper that derives the key from a password,
      * and returns ciphertext as a serializable cipher params object.
@@ -822,7 +1232,7 @@ CryptoJS.lib.Cipher || (function (undefined) {
          * Decrypts serialized ciphertext using a password.
          *
          * @param {Cipher} cipher The cipher algorithm to use.
-         * @param {CipherParams|string} ciphertext The ciphertext to decrypt.
+         * @param {CipherParams|WordArray|string} ciphertext The ciphertext to decrypt.
          * @param {string} password The password.
          * @param {Object} cfg (Optional) The configuration options to use for this operation.
          *
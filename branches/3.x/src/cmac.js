@@ -0,0 +1,270 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var Base = C_lib.Base;
+    var WordArray = C_lib.WordArray;
+    var BufferedBlockAlgorithm = C_lib.BufferedBlockAlgorithm;
+    var C_algo = C.algo;
+    var ParameterError = C.err.ParameterError;
+
+    /**
+     * CBC-MAC algorithm, as the last block of the message's CBC encryption with a zero IV.
+     *
+     * Raw CBC-MAC is only secure for messages of one fixed length. CMAC is secure for any length.
+     */
+    var CBCMAC = C_algo.CBCMAC = BufferedBlockAlgorithm.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {Padding} padding (Optional) The padding strategy for messages that aren't whole blocks.
+         */
+        cfg: Base.extend(),
+
+        /**
+         * Initializes a newly created CBC-MAC.
+         *
+         * @param {BlockCipher} cipher The block cipher algorithm to use.
+         * @param {WordArray|string} key The secret key.
+         * @param {Object} cfg (Optional) The configuration options to use for this MAC computation.
+         *
+         * @example
+         *
+         *     var cbcMac = CryptoJS.algo.CBCMAC.create(CryptoJS.algo.TripleDES, key);
+         *     var cbcMac = CryptoJS.algo.CBCMAC.create(CryptoJS.algo.TripleDES, key, { padding: CryptoJS.pad.Iso97971 });
+         */
+        init: function (cipher, key, cfg) {
+            // Apply config defaults
+            this.cfg = this.cfg.extend(cfg);
+
+            // Init cipher
+            cipher = this._cipher = cipher.createEncryptor(key);
+            this.blockSize = cipher.blockSize;
+
+            // Set initial values
+            this.reset();
+        },
+
+        /**
+         * Resets this MAC to its initial state.
+         *
+         * @example
+         *
+         *     cbcMac.reset();
+         */
+        reset: function () {
+            // Reset data buffer
+            BufferedBlockAlgorithm.reset.call(this);
+
+            // Reset chaining value
+            var mac = this._mac = [];
+            for (var i = 0; i < this.blockSize; i++) {
+                mac[i] = 0;
+            }
+        },
+
+        /**
+         * Updates this MAC with a message.
+         *
+         * @param {WordArray|string} messageUpdate The message to append.
+         *
+         * @return {CBCMAC} This MAC instance.
+         *
+         * @example
+         *
+         *     cbcMac.update('message');
+         *     cbcMac.update(wordArray);
+         */
+        update: function (messageUpdate) {
+            // Append
+            this._append(messageUpdate);
+
+            // Update the MAC
+            this._process();
+
+            // Chainable
+            return this;
+        },
+
+        /**
+         * Finalizes the MAC computation.
+         * Note that the finalize operation is effectively a destructive, read-once operation.
+         *
+         * @param {WordArray|string} messageUpdate (Optional) A final message update.
+         *
+         * @return {WordArray} The MAC.
+         *
+         * @throws ParameterError If the message is empty, or isn't whole blocks without a padding.
+         *
+         * @example
+         *
+         *     var mac = cbcMac.finalize();
+         *     var mac = cbcMac.finalize('message');
+         *     var mac = cbcMac.finalize(wordArray);
+         */
+        finalize: function (messageUpdate) {
+            // Final message update
+            if (messageUpdate) {
+                this.update(messageUpdate);
+            }
+
+            // Perform concrete-MAC logic
+            this._moveBufferToData();
+            this._doFinalize();
+
+            return WordArray.create(this._mac.slice(0), this.blockSize * 4);
+        },
+
+        _doFinalize: function () {
+            // Shortcuts
+            var padding = this.cfg.padding;
+            var data = this._data;
+
+            // Pad data
+            if (padding) {
+                padding.pad(data, this.blockSize);
+            }
+
+            if ((!data.sigBytes && !this._nDataBytes) || data.sigBytes % (this.blockSize * 4)) {
+                throw new ParameterError('CBC-MAC requires a message of whole blocks, or a padding.');
+            }
+
+            // Process final blocks
+            this._process(!!'flush');
+        },
+
+        _doProcessBlock: function (M, offset) {
+            // Shortcuts
+            var mac = this._mac;
+            var blockSize = this.blockSize;
+
+            // Chain
+            for (var i = 0; i < blockSize; i++) {
+                mac[i] ^= M[offset + i];
+            }
+            this._cipher.encryptBlock(mac, 0);
+        },
+
+        _returnsProcessedData: false,
+
+        _stateExcludes: BufferedBlockAlgorithm._stateExcludes.concat(['_cipher'])
+    });
+
+    /**
+     * CMAC algorithm, also known as OMAC1, as specified in NIST SP 800-38B and RFC 4493.
+     */
+    var CMAC = C_algo.CMAC = CBCMAC.extend({
+        /**
+         * Initializes a newly created CMAC.
+         *
+         * @param {BlockCipher} cipher The block cipher algorithm to use.
+         * @param {WordArray|string} key The secret key.
+         *
+         * @throws ParameterError If the cipher's block size is neither 64 nor 128 bits.
+         *
+         * @example
+         *
+         *     var cmac = CryptoJS.algo.CMAC.create(CryptoJS.algo.AES, key);
+         */
+        init: function (cipher, key) {
+            CBCMAC.init.call(this, cipher, key);
+
+            // Shortcuts
+            var blockSize = this.blockSize;
+
+            if (blockSize != 2 && blockSize != 4) {
+                throw new ParameterError('CMAC requires a cipher with a 64 or 128-bit block size.');
+            }
+
+            // Subkeys, for a full or a padded final block
+            var subkey1 = this._subkey1 = [];
+            for (var i = 0; i < blockSize; i++) {
+                subkey1[i] = 0;
+            }
+            this._cipher.encryptBlock(subkey1, 0);
+            dbl(subkey1);
+            var subkey2 = this._subkey2 = subkey1.slice(0);
+            dbl(subkey2);
+        },
+
+        _doFinalize: function () {
+            // Shortcuts
+            var data = this._data;
+            var dataSigBytes = data.sigBytes;
+            var blockSize = this.blockSize;
+            var blockSizeBytes = blockSize * 4;
+
+            // A partial or empty final block is padded, and takes the second subkey
+            if (!dataSigBytes || dataSigBytes % blockSizeBytes) {
+                data.concat(WordArray.create([0x80000000], 1));
+                data.concat(WordArray.create([0, 0, 0, 0], blockSizeBytes - 1 - dataSigBytes % blockSizeBytes));
+                var subkey = this._subkey2;
+            } else {
+                var subkey = this._subkey1;
+            }
+
+            // XOR subkey into the final block
+            var dataWords = data.words;
+            var finalOffset = data.sigBytes / 4 - blockSize;
+            for (var i = 0; i < blockSize; i++) {
+                dataWords[finalOffset + i] ^= subkey[i];
+            }
+
+            // Process final blocks
+            this._process(!!'flush');
+        },
+
+        /**
+         * Verifies a message's CMAC, comparing it in constant time.
+         *
+         * @param {BlockCipher} cipher The block cipher algorithm to use.
+         * @param {WordArray|string} key The secret key.
+         * @param {WordArray|string} message The message to authenticate.
+         * @param {WordArray} expectedMac The CMAC to verify.
+         *
+         * @return {boolean} True if the CMAC is correct.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     var isAuthentic = CryptoJS.algo.CMAC.verify(CryptoJS.algo.AES, key, message, receivedMac);
+         */
+        verify: function (cipher, key, message, expectedMac) {
+            var mac = CMAC.create(cipher, key).finalize(message);
+
+            return mac.equals(WordArray.from(expectedMac), { constantTime: true });
+        },
+
+        // The final block takes a subkey, so it waits for finalize
+        _minBufferSize: 1,
+
+        _stateExcludes: CBCMAC._stateExcludes.concat(['_subkey1', '_subkey2'])
+    });
+
+    /**
+     * Doubles a block, as CMAC derives its subkeys. OCB and S2V double their offsets the same way.
+     *
+     * @param {Array} block The words of a 64 or 128-bit block, which are changed in place.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     CryptoJS.algo.CMAC._dbl(block);
+     */
+    CMAC._dbl = dbl;
+
+    /**
+     * Multiplies a block by x in GF(2^64) or GF(2^128), as the big-endian polynomial
+     * reduced by x^64 + x^4 + x^3 + x + 1 or x^128 + x^7 + x^2 + x + 1.
+     */
+    function dbl(block) {
+        var carry = block[0] >>> 31;
+
+        for (var i = 0; i < block.length - 1; i++) {
+            block[i] = (block[i] << 1) | (block[i + 1] >>> 31);
+        }
+        block[i] = (block[i] << 1) ^ (-carry & (block.length == 2 ? 0x1b : 0x87));
+    }
+}());
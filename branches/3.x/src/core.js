@@ -136,9 +136,95 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
         };
     }());
 
+    /**
+     * Error namespace.
+     */
+    var C_err = C.err = {};
+
+    /**
+     * Base type of the errors that CryptoJS throws.
+     * Error types are constructors that inherit from Error, so errors can be tested with instanceof.
+     * Each type has an extend method that creates a subtype.
+     *
+     * @property {string} name The error type's name.
+     * @property {string} code A stable code that identifies the error type.
+     *
+     * @example
+     *
+     *     var MyError = CryptoJS.err.CryptoJSError.extend('MyError', 'ERR_MY_ERROR');
+     *
+     *     throw new MyError('Message.');
+     */
+    var CryptoJSError = C_err.CryptoJSError = (function () {
+        function F() {}
+
+        function extend(SuperError, name, code) {
+            function SubError(message) {
+                if (message != undefined) {
+                    this.message = message;
+                }
+
+                // Record where the error was thrown
+                if (Error.captureStackTrace) {
+                    Error.captureStackTrace(this, SubError);
+                } else {
+                    this.stack = (new Error(message)).stack;
+                }
+            }
+
+            // Inherit from the supertype
+            F.prototype = SuperError.prototype;
+            SubError.prototype = new F();
+            SubError.prototype.constructor = SubError;
+            SubError.prototype.name = name;
+            SubError.prototype.code = code;
+
+            SubError.extend = function (name, code) {
+                return extend(SubError, name, code);
+            };
+
+            return SubError;
+        }
+
+        return extend(Error, 'CryptoJSError', 'ERR_CRYPTOJS');
+    }());
+
+    /**
+     * Error thrown when encoded data, such as a hex string or UTF-8 bytes, is malformed.
+     */
+    var EncodingError = C_err.EncodingError = CryptoJSError.extend('EncodingError', 'ERR_ENCODING');
+
+    /**
+     * Error thrown when a configuration option or other parameter is invalid.
+     */
+    var ParameterError = C_err.ParameterError = CryptoJSError.extend('ParameterError', 'ERR_PARAMETER');
+
+    /**
+     * Error thrown when a key has a size that the algorithm doesn't support.
+     */
+    var KeySizeError = C_err.KeySizeError = ParameterError.extend('KeySizeError', 'ERR_KEY_SIZE');
+
+    /**
+     * Error thrown when an IV has a size that the algorithm or mode doesn't support.
+     */
+    var IvSizeError = C_err.IvSizeError = ParameterError.extend('IvSizeError', 'ERR_IV_SIZE');
+
+    /**
+     * Error thrown when an operation isn't allowed in an object's current state,
+     * or when an exported state can't be imported.
+     */
+    var StateError = C_err.StateError = CryptoJSError.extend('StateError', 'ERR_STATE');
+
+    /**
+     * Error thrown when the platform lacks a feature that an operation needs, or input uses an unsupported version.
+     */
+    var UnsupportedError = C_err.UnsupportedError = CryptoJSError.extend('UnsupportedError', 'ERR_UNSUPPORTED');
+
     /**
      * An array of 32-bit words.
      *
+     * The words are kept in a plain array. Only the internal buffer of the buffered block algorithms is typed.
+     *
      * @property {Array} words The array of 32-bit words.
      * @property {number} sigBytes The number of significant bytes in this word array.
      */
@@ -194,29 +280,12 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *     wordArray1.concat(wordArray2);
          */
         concat: function (wordArray) {
-            // Shortcuts
-            var thisWords = this.words;
-            var thatWords = wordArray.words;
-            var thisSigBytes = this.sigBytes;
-            var thatSigBytes = wordArray.sigBytes;
-
             // Clamp excess bits
             this.clamp();
 
             // Concat
-            if (thisSigBytes % 4) {
-                // Copy one byte at a time
-                for (var i = 0; i < thatSigBytes; i++) {
-                    var thatByte = (thatWords[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
-                    thisWords[(thisSigBytes + i) >>> 2] |= thatByte << (24 - ((thisSigBytes + i) % 4) * 8);
-                }
-            } else {
-                // Copy one word at a time
-                for (var i = 0; i < thatSigBytes; i += 4) {
-                    thisWords[(thisSigBytes + i) >>> 2] = thatWords[i >>> 2];
-                }
-            }
-            this.sigBytes += thatSigBytes;
+            appendWords(this.words, this.sigBytes, wordArray.words, wordArray.sigBytes);
+            this.sigBytes += wordArray.sigBytes;
 
             // Chainable
             return this;
@@ -239,6 +308,49 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             words.length = Math.ceil(sigBytes / 4);
         },
 
+        /**
+         * Compares this word array to another, byte for byte.
+         *
+         * @param {WordArray} wordArray The word array to compare to.
+         * @param {Object} options (Optional) The comparison options.
+         *     constantTime: Whether to take the same time no matter where the word arrays differ,
+         *     so that comparing secrets, such as MACs, leaks nothing about them. Default: false
+         *
+         * @return {boolean} True if the word arrays hold the same bytes.
+         *
+         * @example
+         *
+         *     var isEqual = wordArray1.equals(wordArray2);
+         *     var isEqual = mac.equals(expectedMac, { constantTime: true });
+         */
+        equals: function (wordArray, options) {
+            // Shortcuts
+            var thisWords = this.words;
+            var thatWords = wordArray.words;
+            var sigBytes = this.sigBytes;
+
+            // Accumulate the differences, so that no branch depends on the bytes
+            if (options && options.constantTime) {
+                var diff = sigBytes ^ wordArray.sigBytes;
+                for (var i = 0; i < sigBytes; i++) {
+                    diff |= getByte(thisWords, i) ^ getByte(thatWords, i);
+                }
+
+                return !diff;
+            }
+
+            if (sigBytes != wordArray.sigBytes) {
+                return false;
+            }
+            for (var i = 0; i < sigBytes; i++) {
+                if (getByte(thisWords, i) != getByte(thatWords, i)) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
         /**
          * Creates a copy of this word array.
          *
@@ -257,11 +369,14 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
 
         /**
          * Creates a word array filled with random bytes.
+         * The bytes are drawn from CryptoJS.random.source, a cryptographically secure generator by default.
          *
          * @param {number} nBytes The number of random bytes to generate.
          *
          * @return {WordArray} The random word array.
          *
+         * @throws UnsupportedError If the random source cannot generate secure random bytes.
+         *
          * @static
          *
          * @example
@@ -269,15 +384,148 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *     var wordArray = CryptoJS.lib.WordArray.random(16);
          */
         random: function (nBytes) {
-            var words = [];
-            for (var i = 0; i < nBytes; i += 4) {
-                words.push((Math.random() * 0x100000000) | 0);
-            }
+            var words = C_random.source.getWords(Math.ceil(nBytes / 4));
 
             return new WordArray.init(words, nBytes);
+        },
+
+        /**
+         * Converts input data to a word array.
+         * Strings are converted using UTF-8. Word arrays are returned unchanged.
+         * With lib-typedarrays, array buffers, typed arrays and Node.js buffers are converted too.
+         *
+         * @param {WordArray|string} data The data to convert.
+         *
+         * @return {WordArray} The word array.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     var wordArray = CryptoJS.lib.WordArray.from('data');
+         *     var wordArray = CryptoJS.lib.WordArray.from(uint8Array);
+         */
+        from: function (data) {
+            if (typeof data == 'string') {
+                return Utf8.parse(data);
+            }
+
+            return data;
+        },
+
+        /**
+         * Converts this word array to the type that a helper's output option names.
+         * With lib-typedarrays, 'uint8array' is supported too.
+         *
+         * @param {string} output (Optional) The output type. Default: 'wordarray'
+         *
+         * @return {WordArray} This word array.
+         *
+         * @throws ParameterError If the output type isn't supported.
+         *
+         * @example
+         *
+         *     var hash = hasher.finalize().toOutput(cfg.output);
+         */
+        toOutput: function (output) {
+            if (output && output != 'wordarray') {
+                throw new ParameterError('Unsupported output type: ' + output + '.');
+            }
+
+            return this;
         }
     });
 
+    /**
+     * Random source namespace.
+     *
+     * @property {RandomSource} source The random source that WordArray.random draws from. Default: CryptoJS.random.Native
+     */
+    var C_random = C.random = {};
+
+    /**
+     * Native random source strategy.
+     *
+     * Uses the platform's cryptographically secure random number generator:
+     * crypto.getRandomValues in browsers and web workers, or crypto.randomBytes in Node.js.
+     */
+    var NativeRandom = C_random.Native = (function () {
+        // Find the platform's CSPRNG
+        var nativeCrypto;
+        if (typeof crypto != 'undefined') {
+            nativeCrypto = crypto;
+        } else if (typeof window != 'undefined' && window.msCrypto) {
+            nativeCrypto = window.msCrypto;
+        } else if (typeof require == 'function') {
+            try {
+                nativeCrypto = require('crypto');
+            } catch (e) {
+            }
+        }
+
+        // The largest request that getRandomValues accepts, in 32-bit words
+        var MAX_GET_RANDOM_VALUES_WORDS = 65536/4;
+
+        return {
+            /**
+             * Tests whether a secure random number generator is available on this platform.
+             *
+             * @return {boolean} True if random words can be generated.
+             *
+             * @static
+             *
+             * @example
+             *
+             *     if (CryptoJS.random.Native.isSupported()) {
+             *     }
+             */
+            isSupported: function () {
+                return !!nativeCrypto && (typeof nativeCrypto.getRandomValues == 'function' || typeof nativeCrypto.randomBytes == 'function');
+            },
+
+            /**
+             * Generates random 32-bit words.
+             *
+             * @param {number} nWords The number of random words to generate.
+             *
+             * @return {Array} The random words.
+             *
+             * @throws UnsupportedError If no secure random number generator is available.
+             *
+             * @static
+             *
+             * @example
+             *
+             *     var words = CryptoJS.random.Native.getWords(4);
+             */
+            getWords: function (nWords) {
+                var words = [];
+
+                if (nativeCrypto && typeof nativeCrypto.getRandomValues == 'function') {
+                    // Browsers limit the size of each request
+                    for (var i = 0; i < nWords; i += MAX_GET_RANDOM_VALUES_WORDS) {
+                        var randomValues = nativeCrypto.getRandomValues(new Uint32Array(Math.min(nWords - i, MAX_GET_RANDOM_VALUES_WORDS)));
+                        for (var j = 0; j < randomValues.length; j++) {
+                            words.push(randomValues[j] | 0);
+                        }
+                    }
+                } else if (nativeCrypto && typeof nativeCrypto.randomBytes == 'function') {
+                    var randomBytes = nativeCrypto.randomBytes(nWords * 4);
+                    for (var i = 0; i < nWords; i++) {
+                        words.push(randomBytes.readInt32BE(i * 4));
+                    }
+                } else {
+                    throw new UnsupportedError('No secure random number generator is available. Set CryptoJS.random.source to provide one.');
+                }
+
+                return words;
+            }
+        };
+    }());
+
+    // Default random source
+    C_random.source = NativeRandom;
+
     /**
      * Encoder namespace.
      */
@@ -323,6 +571,8 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *
          * @return {WordArray} The word array.
          *
+         * @throws EncodingError If the string has an odd length, or characters that aren't hex digits.
+         *
          * @static
          *
          * @example
@@ -333,6 +583,11 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             // Shortcut
             var hexStrLength = hexStr.length;
 
+            // Validate
+            if (hexStrLength % 2 || /[^0-9a-f]/i.test(hexStr)) {
+                throw new EncodingError('Invalid hex string.');
+            }
+
             // Convert
             var words = [];
             for (var i = 0; i < hexStrLength; i += 2) {
@@ -382,6 +637,8 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *
          * @return {WordArray} The word array.
          *
+         * @throws EncodingError If the string has characters outside Latin1.
+         *
          * @static
          *
          * @example
@@ -392,6 +649,11 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             // Shortcut
             var latin1StrLength = latin1Str.length;
 
+            // Validate
+            if (/[^\u0000-\u00ff]/.test(latin1Str)) {
+                throw new EncodingError('Invalid Latin1 string.');
+            }
+
             // Convert
             var words = [];
             for (var i = 0; i < latin1StrLength; i++) {
@@ -413,6 +675,8 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *
          * @return {string} The UTF-8 string.
          *
+         * @throws EncodingError If the bytes aren't valid UTF-8.
+         *
          * @static
          *
          * @example
@@ -423,7 +687,7 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             try {
                 return decodeURIComponent(escape(Latin1.stringify(wordArray)));
             } catch (e) {
-                throw new Error('Malformed UTF-8 data');
+                throw new EncodingError('Malformed UTF-8 data');
             }
         },
 
@@ -434,6 +698,8 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *
          * @return {WordArray} The word array.
          *
+         * @throws EncodingError If the string has unpaired surrogates, which can't be encoded.
+         *
          * @static
          *
          * @example
@@ -441,7 +707,13 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *     var wordArray = CryptoJS.enc.Utf8.parse(utf8String);
          */
         parse: function (utf8Str) {
-            return Latin1.parse(unescape(encodeURIComponent(utf8Str)));
+            try {
+                var latin1Str = unescape(encodeURIComponent(utf8Str));
+            } catch (e) {
+                throw new EncodingError('Malformed UTF-16 data');
+            }
+
+            return Latin1.parse(latin1Str);
         }
     };
 
@@ -450,7 +722,14 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
      *
      * The property blockSize must be implemented in a concrete subtype.
      *
+     * Appended data is collected in a growable Uint32Array, and _process hands its blocks to _doProcessBlock in place,
+     * then moves a read offset past them. Processed words are only dropped from the front when the buffer is full.
+     * Finalize logic calls _moveBufferToData first, so that it can pad the data word array in place.
+     * Where typed arrays aren't supported, the data word array is the buffer.
+     *
      * @property {number} _minBufferSize The number of blocks that should be kept unprocessed in the buffer. Default: 0
+     * @property {boolean} _returnsProcessedData Whether _process copies out and returns the processed blocks.
+     *     Hashers and MACs, which only read their blocks, turn this off. Default: true
      */
     var BufferedBlockAlgorithm = C_lib.BufferedBlockAlgorithm = Base.extend({
         /**
@@ -464,12 +743,17 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             // Initial values
             this._data = new WordArray.init();
             this._nDataBytes = 0;
+
+            // Keep the typed buffer for reuse
+            this._bufferOffset = 0;
+            this._nBufferBytes = 0;
         },
 
         /**
          * Adds new data to this block algorithm's buffer.
          *
          * @param {WordArray|string} data The data to append. Strings are converted to a WordArray using UTF-8.
+         *     Typed arrays are accepted too when lib-typedarrays is loaded.
          *
          * @example
          *
@@ -477,24 +761,29 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *     bufferedBlockAlgorithm._append(wordArray);
          */
         _append: function (data) {
-            // Convert string to WordArray, else assume WordArray already
-            if (typeof data == 'string') {
-                data = Utf8.parse(data);
-            }
+            // Convert string or typed array to WordArray
+            data = WordArray.from(data);
 
             // Append
-            this._data.concat(data);
+            if (typeof Uint32Array != 'undefined') {
+                // Data imported into the data word array goes first
+                moveDataToBuffer(this);
+                appendToBuffer(this, data.words, data.sigBytes);
+            } else {
+                this._data.concat(data);
+            }
             this._nDataBytes += data.sigBytes;
         },
 
         /**
          * Processes available data blocks.
          *
-         * This method invokes _doProcessBlock(offset), which must be implemented by a concrete subtype.
+         * This method invokes _doProcessBlock(words, offset), which must be implemented by a concrete subtype.
+         * The words may be the typed buffer, so blocks kept in word arrays should be copied out with Array.prototype.slice.call.
          *
          * @param {boolean} doFlush Whether all blocks and partial blocks should be processed.
          *
-         * @return {WordArray} The processed data.
+         * @return {WordArray} The processed data, or undefined if _returnsProcessedData is off.
          *
          * @example
          *
@@ -502,10 +791,15 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *     var processedData = bufferedBlockAlgorithm._process(!!'flush');
          */
         _process: function (doFlush) {
+            // Padded or imported data in the data word array joins the typed buffer
+            if (typeof Uint32Array != 'undefined') {
+                moveDataToBuffer(this);
+            }
+
             // Shortcuts
             var data = this._data;
-            var dataWords = data.words;
-            var dataSigBytes = data.sigBytes;
+            var nBufferBytes = this._nBufferBytes;
+            var dataSigBytes = nBufferBytes || data.sigBytes;
             var blockSize = this.blockSize;
             var blockSizeBytes = blockSize * 4;
 
@@ -527,7 +821,31 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             var nBytesReady = Math.min(nWordsReady * 4, dataSigBytes);
 
             // Process blocks
-            if (nWordsReady) {
+            if (nWordsReady && nBufferBytes) {
+                // Zero the rest of a partial final block
+                var buffer = reserveBuffer(this, nWordsReady);
+                var bufferOffset = this._bufferOffset;
+                for (var i = bufferOffset + Math.ceil(dataSigBytes / 4); i < bufferOffset + nWordsReady; i++) {
+                    buffer[i] = 0;
+                }
+
+                for (var offset = bufferOffset; offset < bufferOffset + nWordsReady; offset += blockSize) {
+                    // Perform concrete-algorithm logic
+                    this._doProcessBlock(buffer, offset);
+                }
+
+                // Copy out processed words, before the buffer is reused
+                if (this._returnsProcessedData) {
+                    var processedWords = sliceBuffer(buffer, bufferOffset, bufferOffset + nWordsReady);
+                }
+
+                // Move past processed words
+                this._nBufferBytes = dataSigBytes - nBytesReady;
+                this._bufferOffset = this._nBufferBytes ? bufferOffset + nWordsReady : 0;
+            } else if (nWordsReady) {
+                // Shortcut
+                var dataWords = data.words;
+
                 for (var offset = 0; offset < nWordsReady; offset += blockSize) {
                     // Perform concrete-algorithm logic
                     this._doProcessBlock(dataWords, offset);
@@ -539,7 +857,32 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             }
 
             // Return processed words
-            return new WordArray.init(processedWords, nBytesReady);
+            if (this._returnsProcessedData) {
+                return new WordArray.init(processedWords, nBytesReady);
+            }
+        },
+
+        /**
+         * Moves unprocessed data from the typed buffer to the data word array,
+         * so that concrete finalize logic can pad it in place.
+         *
+         * @example
+         *
+         *     bufferedBlockAlgorithm._moveBufferToData();
+         */
+        _moveBufferToData: function () {
+            // Shortcuts
+            var nBufferBytes = this._nBufferBytes;
+            var bufferOffset = this._bufferOffset;
+
+            if (nBufferBytes) {
+                this._data = new WordArray.init(
+                    sliceBuffer(this._buffer, bufferOffset, bufferOffset + Math.ceil(nBufferBytes / 4)),
+                    nBufferBytes
+                );
+                this._bufferOffset = 0;
+                this._nBufferBytes = 0;
+            }
         },
 
         /**
@@ -555,12 +898,413 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
             var clone = Base.clone.call(this);
             clone._data = this._data.clone();
 
+            // Don't share the typed buffer, and copy only its unprocessed words
+            if (this._nBufferBytes) {
+                clone._buffer = new Uint32Array(this._buffer.subarray(
+                    this._bufferOffset,
+                    this._bufferOffset + Math.ceil(this._nBufferBytes / 4)
+                ));
+                clone._bufferOffset = 0;
+            } else {
+                clone._buffer = undefined;
+            }
+
             return clone;
         },
 
-        _minBufferSize: 0
+        /**
+         * Exports this algorithm's internal state as a JSON-safe object, so that processing can be resumed later,
+         * even in another process, by importing it into a new instance created with the same key and configuration.
+         *
+         * The key is not exported, and of the configuration only the options that identify the state, such as the output length
+         * or the block mode, are, so that importing can check them. The state of a keyed algorithm should be kept as secret as its key.
+         *
+         * @return {Object} The state.
+         *
+         * @example
+         *
+         *     var state = bufferedBlockAlgorithm.exportState();
+         *     localStorage.setItem('state', JSON.stringify(state));
+         */
+        exportState: function () {
+            var state = exportProperties(this);
+
+            // Export data still in the typed buffer as the data word array
+            if (this._nBufferBytes) {
+                state._data = exportValue(new WordArray.init(
+                    sliceBuffer(this._buffer, this._bufferOffset, this._bufferOffset + Math.ceil(this._nBufferBytes / 4)),
+                    this._nBufferBytes
+                ));
+            }
+
+            return {
+                version: STATE_VERSION,
+                algorithm: algorithmName(this),
+                config: exportConfig(this),
+                state: state
+            };
+        },
+
+        /**
+         * Imports an internal state previously returned by exportState.
+         *
+         * @param {Object} state The state.
+         *
+         * @return {BufferedBlockAlgorithm} This algorithm.
+         *
+         * @throws StateError If the state has an unsupported version, was exported from another algorithm or configuration,
+         *     or has properties that exportState doesn't write.
+         *
+         * @example
+         *
+         *     var hasher = CryptoJS.algo.SHA256.create().importState(JSON.parse(localStorage.getItem('state')));
+         */
+        importState: function (state) {
+            // Shortcut
+            var algorithm = algorithmName(this);
+
+            if (!state || state.version != STATE_VERSION) {
+                throw new StateError('Unsupported state version.');
+            }
+            if (state.algorithm != algorithm) {
+                throw new StateError('State was exported from ' + state.algorithm + ', not ' + algorithm + '.');
+            }
+
+            // Check the identifying configuration
+            var config = exportConfig(this);
+            var stateConfig = state.config || {};
+            for (var optionName in config) {
+                if (config.hasOwnProperty(optionName) && config[optionName] !== stateConfig[optionName]) {
+                    throw new StateError('State was exported with a different ' + optionName + ' configuration.');
+                }
+            }
+
+            // Check the properties before changing anything
+            var properties = state.state;
+            if (!properties || typeof properties != 'object') {
+                throw new StateError('State has no properties.');
+            }
+            checkProperties(this, properties);
+
+            // Discard the typed buffer
+            this._bufferOffset = 0;
+            this._nBufferBytes = 0;
+
+            // Import properties, using the current values to restore their types
+            for (var propertyName in properties) {
+                if (properties.hasOwnProperty(propertyName)) {
+                    this[propertyName] = importValue(properties[propertyName], this[propertyName]);
+                }
+            }
+
+            // Chainable
+            return this;
+        },
+
+        _minBufferSize: 0,
+
+        _returnsProcessedData: true,
+
+        /**
+         * The properties that exportState leaves out. Concrete subtypes add their key schedules.
+         */
+        _stateExcludes: ['cfg', '_buffer', '_bufferOffset', '_nBufferBytes'],
+
+        /**
+         * The configuration options that exportState records, and importState requires to match.
+         */
+        _stateConfig: []
     });
 
+    /**
+     * The version of the objects returned by exportState.
+     */
+    var STATE_VERSION = 1;
+
+    /**
+     * Moves the contents of the data word array to the end of the typed buffer.
+     */
+    function moveDataToBuffer(bufferedBlockAlgorithm) {
+        // Shortcut
+        var data = bufferedBlockAlgorithm._data;
+
+        if (data.sigBytes) {
+            appendToBuffer(bufferedBlockAlgorithm, data.words, data.sigBytes);
+            bufferedBlockAlgorithm._data = new WordArray.init();
+        }
+    }
+
+    function appendToBuffer(bufferedBlockAlgorithm, words, sigBytes) {
+        // Shortcut
+        var nBufferBytes = bufferedBlockAlgorithm._nBufferBytes;
+
+        var buffer = reserveBuffer(bufferedBlockAlgorithm, Math.ceil((nBufferBytes + sigBytes) / 4));
+        var bufferSigBytes = bufferedBlockAlgorithm._bufferOffset * 4 + nBufferBytes;
+
+        // Copy whole words natively when the buffered data ends on a word boundary
+        var nWords = Math.ceil(sigBytes / 4);
+        if (!(bufferSigBytes % 4) && words.length >= nWords) {
+            buffer.set(words.length > nWords ? words.slice(0, nWords) : words, bufferSigBytes / 4);
+
+            // Remove insignificant bytes from the final word
+            if (sigBytes % 4) {
+                buffer[(bufferSigBytes + sigBytes) >>> 2] &= 0xffffffff << (32 - (sigBytes % 4) * 8);
+            }
+        } else {
+            appendWords(buffer, bufferSigBytes, words, sigBytes);
+        }
+
+        bufferedBlockAlgorithm._nBufferBytes = nBufferBytes + sigBytes;
+    }
+
+    /**
+     * Ensures the typed buffer has room for the given number of words after its read offset.
+     * When it's full, the unprocessed words move to the front, and the buffer at least doubles if that isn't enough.
+     */
+    function reserveBuffer(bufferedBlockAlgorithm, nWords) {
+        // Shortcuts
+        var buffer = bufferedBlockAlgorithm._buffer;
+        var bufferOffset = bufferedBlockAlgorithm._bufferOffset;
+
+        if (!buffer || bufferOffset + nWords > buffer.length) {
+            // Unprocessed words
+            var unprocessedWords = buffer && buffer.subarray(
+                bufferOffset,
+                bufferOffset + Math.ceil(bufferedBlockAlgorithm._nBufferBytes / 4)
+            );
+
+            // Grow
+            if (!buffer || nWords > buffer.length) {
+                buffer = bufferedBlockAlgorithm._buffer = new Uint32Array(Math.max(nWords, buffer ? buffer.length * 2 : 0));
+            }
+
+            // Compact
+            if (unprocessedWords) {
+                buffer.set(unprocessedWords);
+            }
+            bufferedBlockAlgorithm._bufferOffset = 0;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Copies words out of the typed buffer into a plain array of signed 32-bit words.
+     */
+    function sliceBuffer(buffer, start, end) {
+        var words = [];
+        for (var i = start; i < end; i++) {
+            words.push(buffer[i] | 0);
+        }
+
+        return words;
+    }
+
+    /**
+     * Appends the significant bytes of one array of words to another, a word at a time.
+     * The bytes after the end of the data in the destination must be zero, and are left zero.
+     */
+    function appendWords(toWords, toSigBytes, fromWords, fromSigBytes) {
+        // Shortcuts
+        var toIndex = toSigBytes >>> 2;
+        var shift = (toSigBytes % 4) * 8;
+
+        for (var i = 0; i < fromSigBytes; i += 4) {
+            var word = fromWords[i >>> 2];
+
+            // Remove insignificant bytes from the final word
+            if (fromSigBytes - i < 4) {
+                word &= 0xffffffff << (32 - (fromSigBytes - i) * 8);
+            }
+
+            if (shift) {
+                // Split the word across the partial word and the next
+                toWords[toIndex] |= word >>> shift;
+                if (i + 4 - shift / 8 < fromSigBytes) {
+                    toWords[toIndex + 1] = word << (32 - shift);
+                }
+            } else {
+                toWords[toIndex] = word;
+            }
+            toIndex++;
+        }
+    }
+
+    /**
+     * Reads a byte from an array of words. Bytes past the end of the words read as zero.
+     */
+    function getByte(words, i) {
+        return (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+    }
+
+    /**
+     * Finds the name under CryptoJS.algo of the algorithm that an object was created from.
+     */
+    function algorithmName(object) {
+        for (var type = object; type; type = type.$super) {
+            for (var name in C_algo) {
+                if (C_algo.hasOwnProperty(name) && C_algo[name] === type) {
+                    return name;
+                }
+            }
+        }
+    }
+
+    /**
+     * Converts a value to JSON-safe arrays and objects.
+     * Nested algorithms, such as a mode's MAC, export their own state.
+     * Other objects export their own properties, except functions and those listed in their _stateExcludes.
+     */
+    function exportValue(value) {
+        // Undefined properties are kept, so they can be restored
+        if (value === undefined) {
+            return null;
+        }
+
+        if (value && typeof value == 'object') {
+            // Arrays and typed arrays
+            if (typeof value.length == 'number') {
+                var exported = [];
+                for (var i = 0; i < value.length; i++) {
+                    exported.push(exportValue(value[i]));
+                }
+
+                return exported;
+            }
+
+            if (typeof value.exportState == 'function') {
+                return value.exportState();
+            }
+
+            return exportProperties(value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Records the configuration options an object lists in its _stateConfig.
+     * Modes and paddings are recorded by name.
+     */
+    function exportConfig(object) {
+        // Shortcuts
+        var cfg = object.cfg || {};
+        var optionNames = object._stateConfig || [];
+
+        var exported = {};
+        for (var i = 0; i < optionNames.length; i++) {
+            var value = cfg[optionNames[i]];
+            if (value && typeof value == 'object') {
+                value = namespaceName(value, [C.mode, C.pad]);
+            }
+
+            exported[optionNames[i]] = value === undefined ? null : value;
+        }
+
+        return exported;
+    }
+
+    /**
+     * Finds the name an object has in one of the namespaces.
+     */
+    function namespaceName(object, namespaces) {
+        for (var i = 0; i < namespaces.length; i++) {
+            var namespace = namespaces[i];
+            for (var name in namespace) {
+                if (namespace.hasOwnProperty(name) && namespace[name] === object) {
+                    return name;
+                }
+            }
+        }
+    }
+
+    function exportProperties(object) {
+        // Shortcut
+        var excludes = object._stateExcludes || [];
+
+        var exported = {};
+        for (var propertyName in object) {
+            if (
+                object.hasOwnProperty(propertyName) && propertyName != '$super' &&
+                typeof object[propertyName] != 'function' && !contains(excludes, propertyName)
+            ) {
+                exported[propertyName] = exportValue(object[propertyName]);
+            }
+        }
+
+        return exported;
+    }
+
+    /**
+     * Converts an exported value back, into a copy of the value it replaces when that is a CryptoJS object.
+     */
+    function importValue(value, template) {
+        if (value === null) {
+            return undefined;
+        }
+
+        if (typeof value == 'object') {
+            // Arrays
+            if (typeof value.length == 'number') {
+                var imported = [];
+                for (var i = 0; i < value.length; i++) {
+                    imported.push(importValue(value[i], template && template[i]));
+                }
+
+                return imported;
+            }
+
+            // Nested algorithms
+            if (template && typeof template.importState == 'function') {
+                return template.clone().importState(value);
+            }
+
+            // Objects
+            var imported = template && template.clone ? template.clone() : {};
+            checkProperties(imported, value);
+            for (var propertyName in value) {
+                if (value.hasOwnProperty(propertyName)) {
+                    imported[propertyName] = importValue(value[propertyName], imported[propertyName]);
+                }
+            }
+
+            return imported;
+        }
+
+        return value;
+    }
+
+    /**
+     * Throws if the exported properties include one that exportProperties wouldn't have written,
+     * such as an excluded property, or one the object inherits.
+     */
+    function checkProperties(object, properties) {
+        // Shortcut
+        var excludes = object._stateExcludes || [];
+
+        for (var propertyName in properties) {
+            if (
+                properties.hasOwnProperty(propertyName) && (
+                    propertyName == '$super' || contains(excludes, propertyName) ||
+                    (propertyName in object && !object.hasOwnProperty(propertyName)) ||
+                    typeof object[propertyName] == 'function'
+                )
+            ) {
+                throw new StateError('State has an unexpected property ' + propertyName + '.');
+            }
+        }
+    }
+
+    function contains(array, element) {
+        for (var i = 0; i < array.length; i++) {
+            if (array[i] === element) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Abstract hasher template.
      *
@@ -647,6 +1391,10 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
                 this._append(messageUpdate);
             }
 
+            // Hash whole blocks, leaving the final data in the data word array
+            this._process();
+            this._moveBufferToData();
+
             // Perform concrete-hasher logic
             var hash = this._doFinalize();
 
@@ -655,8 +1403,14 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
 
         blockSize: 512/32,
 
+        _returnsProcessedData: false,
+
+        _stateConfig: BufferedBlockAlgorithm._stateConfig.concat(['outputLength']),
+
         /**
          * Creates a shortcut function to a hasher's object interface.
+         * The function's configuration options can also set output to 'uint8array', with lib-typedarrays.
+         * Its async method hashes in time slices, with the async component.
          *
          * @param {Hasher} hasher The hasher to create a helper for.
          *
@@ -669,13 +1423,24 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *     var SHA256 = CryptoJS.lib.Hasher._createHelper(CryptoJS.algo.SHA256);
          */
         _createHelper: function (hasher) {
-            return function (message, cfg) {
-                return new hasher.init(cfg).finalize(message);
+            var helper = function (message, cfg) {
+                return new hasher.init(cfg).finalize(message).toOutput(cfg && cfg.output);
             };
+
+            helper.async = function (message, cfg, options) {
+                if (!C.async) {
+                    throw new UnsupportedError('Asynchronous hashing requires the async component.');
+                }
+
+                return C.async.hash(hasher, message, cfg, options);
+            };
+
+            return helper;
         },
 
         /**
          * Creates a shortcut function to the HMAC's object interface.
+         * The function takes the message, the key, and optional configuration options, which can set output.
          *
          * @param {Hasher} hasher The hasher to use in this HMAC helper.
          *
@@ -688,8 +1453,8 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
          *     var HmacSHA256 = CryptoJS.lib.Hasher._createHmacHelper(CryptoJS.algo.SHA256);
          */
         _createHmacHelper: function (hasher) {
-            return function (message, key) {
-                return new C_algo.HMAC.init(hasher, key).finalize(message);
+            return function (message, key, cfg) {
+                return new C_algo.HMAC.init(hasher, key).finalize(message).toOutput(cfg && cfg.output);
             };
         }
     });
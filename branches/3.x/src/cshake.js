@@ -0,0 +1,450 @@
+(function (Math) {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var Hasher = C_lib.Hasher;
+    var C_algo = C.algo;
+    var SHAKE128 = C_algo.SHAKE128;
+    var SHAKE256 = C_algo.SHAKE256;
+    var C_err = C.err;
+
+    /**
+     * cSHAKE extendable-output functions, as specified in NIST SP 800-185.
+     *
+     * Configuration options, in addition to SHAKE's:
+     *
+     * @property {WordArray|string} functionName
+     *   (Optional) The name of a function defined by NIST on top of cSHAKE.
+     * @property {WordArray|string} customization
+     *   (Optional) An application-specific string, so that different uses of the function produce unrelated outputs.
+     */
+    var CSHAKE128 = C_algo.CSHAKE128 = createCSHAKE(SHAKE128);
+    var CSHAKE256 = C_algo.CSHAKE256 = createCSHAKE(SHAKE256);
+
+    /**
+     * KMAC message authentication codes.
+     *
+     * Configuration options, in addition to cSHAKE's customization:
+     *
+     * @property {WordArray|string} key
+     *   The secret key. Keys of any length are permitted.
+     * @property {boolean} xof
+     *   Whether the output is extendable, in which case it doesn't depend on the output length.
+     *   Default: false
+     */
+    var KMAC128 = C_algo.KMAC128 = createKMAC(CSHAKE128);
+    var KMAC256 = C_algo.KMAC256 = createKMAC(CSHAKE256);
+
+    /**
+     * TupleHash functions, which hash a sequence of strings so that each one is unambiguously delimited.
+     * Each call to update adds one element to the tuple.
+     *
+     * Configuration options, in addition to cSHAKE's customization:
+     *
+     * @property {boolean} xof
+     *   Whether the output is extendable, in which case it doesn't depend on the output length.
+     *   Default: false
+     */
+    var TupleHash128 = C_algo.TupleHash128 = createTupleHash(CSHAKE128);
+    var TupleHash256 = C_algo.TupleHash256 = createTupleHash(CSHAKE256);
+
+    /**
+     * ParallelHash functions, which hash long messages in independent chunks.
+     *
+     * Configuration options, in addition to cSHAKE's customization:
+     *
+     * @property {number} chunkSize
+     *   The number of bytes in each chunk.
+     *   Default: 8192
+     * @property {boolean} xof
+     *   Whether the output is extendable, in which case it doesn't depend on the output length.
+     *   Default: false
+     */
+    var ParallelHash128 = C_algo.ParallelHash128 = createParallelHash(CSHAKE128, SHAKE128);
+    var ParallelHash256 = C_algo.ParallelHash256 = createParallelHash(CSHAKE256, SHAKE256);
+
+    function createCSHAKE(SHAKE) {
+        return SHAKE.extend({
+            cfg: SHAKE.cfg.extend({
+                functionName: '',
+                customization: ''
+            }),
+
+            _doReset: function () {
+                // Shortcuts
+                var functionName = WordArray.from(this.cfg.functionName);
+                var customization = WordArray.from(this.cfg.customization);
+
+                SHAKE._doReset.call(this);
+
+                // Without any strings, cSHAKE is the same as SHAKE
+                if (functionName.sigBytes || customization.sigBytes) {
+                    this._paddingSuffix = 0x04;
+                    this._append(bytepad(encodeString(functionName).concat(encodeString(customization)), this.blockSize * 4));
+                }
+            }
+        });
+    }
+
+    function createKMAC(CSHAKE) {
+        return CSHAKE.extend({
+            cfg: CSHAKE.cfg.extend({
+                functionName: 'KMAC',
+                key: '',
+                xof: false
+            }),
+
+            _doReset: function () {
+                CSHAKE._doReset.call(this);
+
+                this._append(bytepad(encodeString(WordArray.from(this.cfg.key)), this.blockSize * 4));
+            },
+
+            _squeeze: function (nBytes) {
+                if (this._squeezeOffset < 0) {
+                    this._append(encodeOutputLength(this.cfg));
+                }
+
+                return CSHAKE._squeeze.call(this, nBytes);
+            },
+
+            _stateConfig: CSHAKE._stateConfig.concat(['xof'])
+        });
+    }
+
+    function createTupleHash(CSHAKE) {
+        return CSHAKE.extend({
+            cfg: CSHAKE.cfg.extend({
+                functionName: 'TupleHash',
+                xof: false
+            }),
+
+            /**
+             * Adds an element to the tuple.
+             *
+             * @param {WordArray|string} element The element to add.
+             *
+             * @return {Hasher} This hasher.
+             *
+             * @example
+             *
+             *     tupleHash.update('first').update('second');
+             */
+            update: function (element) {
+                return CSHAKE.update.call(this, encodeString(WordArray.from(element)));
+            },
+
+            /**
+             * Completes the computation, optionally adding a last element to the tuple.
+             *
+             * @param {WordArray|string} element (Optional) A final element to add. Empty strings are added too.
+             *
+             * @return {WordArray} The hash.
+             *
+             * @example
+             *
+             *     var hash = tupleHash.finalize();
+             *     var hash = tupleHash.finalize('last');
+             */
+            finalize: function (element) {
+                if (element !== undefined) {
+                    this.update(element);
+                }
+
+                return CSHAKE.finalize.call(this);
+            },
+
+            _squeeze: function (nBytes) {
+                if (this._squeezeOffset < 0) {
+                    this._append(encodeOutputLength(this.cfg));
+                }
+
+                return CSHAKE._squeeze.call(this, nBytes);
+            },
+
+            _stateConfig: CSHAKE._stateConfig.concat(['xof'])
+        });
+    }
+
+    function createParallelHash(CSHAKE, SHAKE) {
+        return CSHAKE.extend({
+            cfg: CSHAKE.cfg.extend({
+                functionName: 'ParallelHash',
+                chunkSize: 8192,
+                xof: false
+            }),
+
+            _doReset: function () {
+                // Shortcut
+                var chunkSize = this.cfg.chunkSize;
+
+                if (!(chunkSize > 0) || chunkSize % 1) {
+                    throw new C_err.ParameterError('ParallelHash chunk size must be a positive whole number of bytes.');
+                }
+
+                CSHAKE._doReset.call(this);
+
+                this._append(leftEncode(chunkSize));
+
+                // Each chunk is hashed separately, and only its digest is absorbed
+                this._chunkHasher = SHAKE.create({ outputLength: 2 * this._securityStrength });
+                this._chunkBytes = 0;
+                this._nChunks = 0;
+            },
+
+            update: function (messageUpdate) {
+                // Convert string or typed array to WordArray
+                messageUpdate = WordArray.from(messageUpdate);
+
+                // Shortcuts
+                var chunkSize = this.cfg.chunkSize;
+                var messageBytes = messageUpdate.sigBytes;
+
+                // Split message into chunks
+                for (var offset = 0; offset < messageBytes; ) {
+                    var nBytes = Math.min(chunkSize - this._chunkBytes, messageBytes - offset);
+                    this._chunkHasher.update(sliceBytes(messageUpdate, offset, offset + nBytes));
+
+                    offset += nBytes;
+                    this._chunkBytes += nBytes;
+                    if (this._chunkBytes == chunkSize) {
+                        this._finishChunk();
+                    }
+                }
+
+                // Chainable
+                return this;
+            },
+
+            finalize: function (messageUpdate) {
+                if (messageUpdate) {
+                    this.update(messageUpdate);
+                }
+
+                return CSHAKE.finalize.call(this);
+            },
+
+            _finishChunk: function () {
+                // Shortcut
+                var chunkHasher = this._chunkHasher;
+
+                CSHAKE.update.call(this, chunkHasher.finalize());
+
+                chunkHasher.reset();
+                this._chunkBytes = 0;
+                this._nChunks++;
+            },
+
+            _squeeze: function (nBytes) {
+                if (this._squeezeOffset < 0) {
+                    // A partial last chunk still counts
+                    if (this._chunkBytes) {
+                        this._finishChunk();
+                    }
+
+                    this._append(rightEncode(this._nChunks));
+                    this._append(encodeOutputLength(this.cfg));
+                }
+
+                return CSHAKE._squeeze.call(this, nBytes);
+            },
+
+            clone: function () {
+                var clone = CSHAKE.clone.call(this);
+                clone._chunkHasher = this._chunkHasher.clone();
+
+                return clone;
+            },
+
+            _stateConfig: CSHAKE._stateConfig.concat(['xof', 'chunkSize'])
+        });
+    }
+
+    /**
+     * Encodes an integer as its big-endian bytes, preceded by their count.
+     */
+    function leftEncode(x) {
+        var bytes = integerBytes(x);
+        bytes.unshift(bytes.length);
+
+        return bytesToWordArray(bytes);
+    }
+
+    /**
+     * Encodes an integer as its big-endian bytes, followed by their count.
+     */
+    function rightEncode(x) {
+        var bytes = integerBytes(x);
+        bytes.push(bytes.length);
+
+        return bytesToWordArray(bytes);
+    }
+
+    function integerBytes(x) {
+        var bytes = [];
+        do {
+            bytes.unshift(x % 256);
+            x = Math.floor(x / 256);
+        } while (x);
+
+        return bytes;
+    }
+
+    /**
+     * Prefixes a string with its length in bits.
+     */
+    function encodeString(data) {
+        return leftEncode(data.sigBytes * 8).concat(data);
+    }
+
+    /**
+     * Prefixes data with the block size, then zero-pads it to a whole number of blocks.
+     */
+    function bytepad(data, blockSizeBytes) {
+        var padded = leftEncode(blockSizeBytes).concat(data);
+        padded.clamp();
+
+        // Shortcut
+        var paddedWords = padded.words;
+
+        var nPaddedBytes = Math.ceil(padded.sigBytes / blockSizeBytes) * blockSizeBytes;
+        for (var i = paddedWords.length; i < nPaddedBytes / 4; i++) {
+            paddedWords[i] = 0;
+        }
+        padded.sigBytes = nPaddedBytes;
+
+        return padded;
+    }
+
+    /**
+     * The output length is absorbed last, or zero when the output is extendable.
+     */
+    function encodeOutputLength(cfg) {
+        return rightEncode(cfg.xof ? 0 : cfg.outputLength);
+    }
+
+    function sliceBytes(wordArray, start, end) {
+        // Shortcut
+        var words = wordArray.words;
+
+        // Whole words can be copied directly
+        if (start % 4 == 0) {
+            var slice = new WordArray.init(words.slice(start >>> 2, (end + 3) >>> 2), end - start);
+            slice.clamp();
+
+            return slice;
+        }
+
+        var sliceWords = [];
+        for (var i = start; i < end; i++) {
+            var bite = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+            sliceWords[(i - start) >>> 2] |= bite << (24 - ((i - start) % 4) * 8);
+        }
+
+        return new WordArray.init(sliceWords, end - start);
+    }
+
+    function bytesToWordArray(bytes) {
+        var words = [];
+        for (var i = 0; i < bytes.length; i++) {
+            words[i >>> 2] |= bytes[i] << (24 - (i % 4) * 8);
+        }
+
+        return new WordArray.init(words, bytes.length);
+    }
+
+    /**
+     * Shortcut functions to the cSHAKE object interfaces.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The output.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var output = CryptoJS.CSHAKE128('message', { customization: 'Email Signature' });
+     *     var output = CryptoJS.CSHAKE256(wordArray, { customization: 'Email Signature', outputLength: 1024 });
+     */
+    C.CSHAKE128 = Hasher._createHelper(CSHAKE128);
+    C.CSHAKE256 = Hasher._createHelper(CSHAKE256);
+
+    /**
+     * Shortcut functions to the KMAC object interfaces.
+     *
+     * @param {WordArray|string} message The message to authenticate.
+     * @param {WordArray|string} key The secret key.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The MAC.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var mac = CryptoJS.KMAC128(message, key);
+     *     var mac = CryptoJS.KMAC256(message, key, { customization: 'My Tagged Application' });
+     */
+    C.KMAC128 = createKmacHelper(KMAC128);
+    C.KMAC256 = createKmacHelper(KMAC256);
+
+    function createKmacHelper(KMAC) {
+        return function (message, key, cfg) {
+            var kmac = KMAC.create(cfg);
+            kmac.cfg.key = key;
+            kmac.reset();
+
+            return kmac.finalize(message).toOutput(cfg && cfg.output);
+        };
+    }
+
+    /**
+     * Shortcut functions to the TupleHash object interfaces.
+     *
+     * @param {Array} tuple The elements to hash, each a WordArray or string.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The hash.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hash = CryptoJS.TupleHash128(['alice', 'bob']);
+     *     var hash = CryptoJS.TupleHash256([wordArray1, wordArray2], { outputLength: 256 });
+     */
+    C.TupleHash128 = createTupleHashHelper(TupleHash128);
+    C.TupleHash256 = createTupleHashHelper(TupleHash256);
+
+    function createTupleHashHelper(TupleHash) {
+        return function (tuple, cfg) {
+            var tupleHash = TupleHash.create(cfg);
+            for (var i = 0; i < tuple.length; i++) {
+                tupleHash.update(tuple[i]);
+            }
+
+            return tupleHash.finalize().toOutput(cfg && cfg.output);
+        };
+    }
+
+    /**
+     * Shortcut functions to the ParallelHash object interfaces.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The hash.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hash = CryptoJS.ParallelHash128(message);
+     *     var hash = CryptoJS.ParallelHash256(message, { chunkSize: 65536 });
+     */
+    C.ParallelHash128 = Hasher._createHelper(ParallelHash128);
+    C.ParallelHash256 = Hasher._createHelper(ParallelHash256);
+}(Math));
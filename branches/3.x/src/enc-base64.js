@@ -4,6 +4,7 @@
     var C_lib = C.lib;
     var WordArray = C_lib.WordArray;
     var C_enc = C.enc;
+    var EncodingError = C.err.EncodingError;
 
     /**
      * Base64 encoding strategy.
@@ -63,6 +64,8 @@
          *
          * @return {WordArray} The word array.
          *
+         * @throws EncodingError If the string has characters outside the Base64 alphabet, or a truncated final group.
+         *
          * @static
          *
          * @example
@@ -83,6 +86,17 @@
                 }
             }
 
+            // Validate. Only padding may follow the first padding character
+            for (var i = 0; i < base64Str.length; i++) {
+                var charIndex = map.indexOf(base64Str.charAt(i));
+                if (charIndex == -1 || (charIndex == 64) != (i >= base64StrLength)) {
+                    throw new EncodingError('Invalid Base64 string.');
+                }
+            }
+            if (base64StrLength % 4 == 1) {
+                throw new EncodingError('Invalid Base64 string.');
+            }
+
             // Convert
             var words = [];
             var nBytes = 0;
@@ -107,6 +107,6 @@
      *     var key = CryptoJS.EvpKDF(password, salt, { keySize: 8, iterations: 1000 });
      */
     C.EvpKDF = function (password, salt, cfg) {
-        return EvpKDF.create(cfg).compute(password, salt);
+        return EvpKDF.create(cfg).compute(password, salt).toOutput(cfg && cfg.output);
     };
 }());
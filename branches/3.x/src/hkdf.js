@@ -0,0 +1,156 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var Base = C_lib.Base;
+    var WordArray = C_lib.WordArray;
+    var C_algo = C.algo;
+    var SHA256 = C_algo.SHA256;
+    var HMAC = C_algo.HMAC;
+    var C_err = C.err;
+
+    /**
+     * HMAC-based Extract-and-Expand Key Derivation Function, as specified in RFC 5869.
+     *
+     * HKDF is meant for input keying material that already has plenty of entropy, such as a Diffie-Hellman shared secret.
+     * It doesn't slow down guessing, so passwords should go through PBKDF2 instead.
+     */
+    var HKDF = C_algo.HKDF = Base.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} keySize The key size in words to generate. Default: 4 (128 bits)
+         * @property {Hasher} hasher The hasher to use. Default: SHA256
+         */
+        cfg: Base.extend({
+            keySize: 128/32,
+            hasher: SHA256
+        }),
+
+        /**
+         * Initializes a newly created key derivation function.
+         *
+         * @param {Object} cfg (Optional) The configuration options to use for the derivation.
+         *
+         * @example
+         *
+         *     var kdf = CryptoJS.algo.HKDF.create();
+         *     var kdf = CryptoJS.algo.HKDF.create({ keySize: 8 });
+         *     var kdf = CryptoJS.algo.HKDF.create({ keySize: 8, hasher: CryptoJS.algo.SHA512 });
+         */
+        init: function (cfg) {
+            this.cfg = this.cfg.extend(cfg);
+        },
+
+        /**
+         * Computes the HMAC-based Extract-and-Expand Key Derivation Function.
+         *
+         * @param {WordArray|string} ikm The input keying material.
+         * @param {WordArray|string} salt (Optional) A salt.
+         * @param {WordArray|string} info (Optional) Context and application specific information.
+         *
+         * @return {WordArray} The derived key.
+         *
+         * @example
+         *
+         *     var key = kdf.compute(ikm, salt, info);
+         */
+        compute: function (ikm, salt, info) {
+            return this.expand(this.extract(ikm, salt), info);
+        },
+
+        /**
+         * Extracts a pseudorandom key from the input keying material.
+         *
+         * @param {WordArray|string} ikm The input keying material.
+         * @param {WordArray|string} salt (Optional) A salt.
+         *
+         * @return {WordArray} The pseudorandom key.
+         *
+         * @example
+         *
+         *     var prk = kdf.extract(ikm, salt);
+         */
+        extract: function (ikm, salt) {
+            // An omitted salt is a string of zeros as long as the hash output,
+            // which HMAC pads to the same key as an empty salt
+            if (!salt) {
+                salt = WordArray.create();
+            }
+
+            return HMAC.create(this.cfg.hasher, salt).finalize(ikm);
+        },
+
+        /**
+         * Expands a pseudorandom key to the configured key size.
+         *
+         * @param {WordArray} prk A pseudorandom key, at least as long as the hash output.
+         * @param {WordArray|string} info (Optional) Context and application specific information.
+         *
+         * @return {WordArray} The derived key.
+         *
+         * @example
+         *
+         *     var key = kdf.expand(prk, info);
+         */
+        expand: function (prk, info) {
+            // Shortcut
+            var cfg = this.cfg;
+
+            // Init HMAC
+            var hmac = HMAC.create(cfg.hasher, prk);
+
+            // Initial values
+            var derivedKey = WordArray.create();
+            var block = WordArray.create();
+            var blockIndex = WordArray.create([0x01000000], 1);
+
+            // Shortcuts
+            var blockIndexWords = blockIndex.words;
+            var keySizeBytes = cfg.keySize * 4;
+
+            // Generate key
+            while (derivedKey.sigBytes < keySizeBytes) {
+                if (blockIndexWords[0] == 0) {
+                    throw new C_err.ParameterError('HKDF cannot derive more than 255 times the hash output length.');
+                }
+
+                hmac.update(block);
+                if (info) {
+                    hmac.update(info);
+                }
+                block = hmac.finalize(blockIndex);
+                hmac.reset();
+
+                derivedKey.concat(block);
+                blockIndexWords[0] = (blockIndexWords[0] + 0x01000000) | 0;
+            }
+            derivedKey.sigBytes = keySizeBytes;
+            derivedKey.clamp();
+
+            return derivedKey;
+        }
+    });
+
+    /**
+     * Computes the HMAC-based Extract-and-Expand Key Derivation Function.
+     *
+     * @param {WordArray|string} ikm The input keying material.
+     * @param {WordArray|string} salt (Optional) A salt.
+     * @param {WordArray|string} info (Optional) Context and application specific information.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The derived key.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var key = CryptoJS.HKDF(ikm, salt, info);
+     *     var key = CryptoJS.HKDF(ikm, salt, info, { keySize: 8 });
+     *     var key = CryptoJS.HKDF(ikm, salt, info, { keySize: 8, hasher: CryptoJS.algo.SHA512 });
+     */
+    C.HKDF = function (ikm, salt, info, cfg) {
+        return HKDF.create(cfg).compute(ikm, salt, info).toOutput(cfg && cfg.output);
+    };
+}());
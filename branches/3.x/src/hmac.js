@@ -3,8 +3,7 @@
     var C = CryptoJS;
     var C_lib = C.lib;
     var Base = C_lib.Base;
-    var C_enc = C.enc;
-    var Utf8 = C_enc.Utf8;
+    var WordArray = C_lib.WordArray;
     var C_algo = C.algo;
 
     /**
@@ -25,10 +24,8 @@
             // Init hasher
             hasher = this._hasher = new hasher.init();
 
-            // Convert string to WordArray, else assume WordArray already
-            if (typeof key == 'string') {
-                key = Utf8.parse(key);
-            }
+            // Convert string or typed array to WordArray
+            key = WordArray.from(key);
 
             // Shortcuts
             var hasherBlockSize = hasher.blockSize;
@@ -120,6 +117,28 @@
             var hmac = hasher.finalize(this._oKey.clone().concat(innerHash));
 
             return hmac;
+        },
+
+        /**
+         * Verifies a message's HMAC, comparing it in constant time.
+         *
+         * @param {Hasher} hasher The hash algorithm to use.
+         * @param {WordArray|string} key The secret key.
+         * @param {WordArray|string} message The message to authenticate.
+         * @param {WordArray} expectedMac The HMAC to verify.
+         *
+         * @return {boolean} True if the HMAC is correct.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     var isAuthentic = CryptoJS.algo.HMAC.verify(CryptoJS.algo.SHA256, key, message, receivedMac);
+         */
+        verify: function (hasher, key, message, expectedMac) {
+            var hmac = HMAC.create(hasher, key).finalize(message);
+
+            return hmac.equals(WordArray.from(expectedMac), { constantTime: true });
         }
     });
 }());
@@ -16,38 +16,18 @@
      */
     var superInit = WordArray.init;
     var subInit   = WordArray.init = function (typedArray) {
-        // Convert ArrayBuffer to Uint8Array
-        if (typedArray instanceof ArrayBuffer) {
-            typedArray = new Uint8Array(typedArray);
-        }
-
-        // Convert other ArrayBufferViews to Uint8Array
-        if (
-            typedArray instanceof Int8Array ||
-            (
-                // Safari doesn't seem to support Uint8ClampedArray
-                Uint8ClampedArray && typedArray instanceof Uint8ClampedArray
-            ) ||
-            typedArray instanceof Int16Array ||
-            typedArray instanceof Uint16Array ||
-            typedArray instanceof Int32Array ||
-            typedArray instanceof Uint32Array ||
-            typedArray instanceof Float32Array ||
-            typedArray instanceof Float64Array ||
-            typedArray instanceof DataView
-        ) {
-            typedArray = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
-        }
+        // Convert ArrayBuffer and ArrayBufferViews to Uint8Array
+        var uint8Array = toUint8Array(typedArray);
 
         // Handle Uint8Array
-        if (typedArray instanceof Uint8Array) {
+        if (uint8Array) {
             // Shortcut
-            var typedArrayByteLength = typedArray.byteLength;
+            var typedArrayByteLength = uint8Array.byteLength;
 
             // Extract bytes
             var words = [];
             for (var i = 0; i < typedArrayByteLength; i++) {
-                words[i >>> 2] |= typedArray[i] << (24 - (i % 4) * 8);
+                words[i >>> 2] |= uint8Array[i] << (24 - (i % 4) * 8);
             }
 
             // Initialize this word array
@@ -59,25 +39,104 @@
     };
     subInit.prototype = WordArray;
 
+    /**
+     * Converts input data to a word array.
+     * Array buffers, typed arrays and Node.js buffers are converted byte for byte.
+     *
+     * @param {WordArray|ArrayBuffer|ArrayBufferView|string} data The data to convert.
+     *
+     * @return {WordArray} The word array.
+     */
+    var superFrom = WordArray.from;
+    WordArray.from = function (data) {
+        if (toUint8Array(data)) {
+            return WordArray.create(data);
+        }
+
+        return superFrom.call(this, data);
+    };
+
+    /**
+     * Converts this word array to the type that a helper's output option names.
+     * 'uint8array' gives a Uint8Array.
+     *
+     * @param {string} output (Optional) The output type. Default: 'wordarray'
+     *
+     * @return {WordArray|Uint8Array} The converted word array.
+     */
+    var superToOutput = WordArray.toOutput;
+    WordArray.toOutput = function (output) {
+        if (output == 'uint8array') {
+            return this.toUint8Array();
+        }
+
+        return superToOutput.call(this, output);
+    };
+
     /**
      * Converts this word array to an array buffer.
      *
      * @returns {ArrayBuffer} The array buffer.
      */
     WordArray.toArrayBuffer = function () {
+        return this.toUint8Array().buffer;
+    };
+
+    /**
+     * Converts this word array to a Uint8Array.
+     *
+     * @returns {Uint8Array} The Uint8Array, backed by a new buffer.
+     *
+     * @example
+     *
+     *     var bytes = CryptoJS.SHA256(message).toUint8Array();
+     */
+    WordArray.toUint8Array = function () {
         // Shortcuts
         var words = this.words;
         var sigBytes = this.sigBytes;
 
-        // Create buffer
-        var arrayBuffer = new ArrayBuffer(sigBytes);
-        var uint8View = new Uint8Array(arrayBuffer);
-
         // Copy data into buffer
+        var uint8Array = new Uint8Array(sigBytes);
         for (var i = 0; i < sigBytes; i++) {
-            uint8View[i] = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+            uint8Array[i] = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
         }
 
-        return arrayBuffer;
+        return uint8Array;
     };
+
+    /**
+     * Views an array buffer or any array buffer view as a Uint8Array, which includes Node.js buffers.
+     *
+     * @return {Uint8Array} The bytes, or undefined if the input isn't a typed array.
+     */
+    function toUint8Array(typedArray) {
+        // Convert ArrayBuffer to Uint8Array
+        if (typedArray instanceof ArrayBuffer) {
+            return new Uint8Array(typedArray);
+        }
+
+        // Convert other ArrayBufferViews to Uint8Array
+        if (
+            typedArray instanceof Int8Array ||
+            (
+                // Safari doesn't seem to support Uint8ClampedArray
+                Uint8ClampedArray && typedArray instanceof Uint8ClampedArray
+            ) ||
+            typedArray instanceof Int16Array ||
+            typedArray instanceof Uint16Array ||
+            typedArray instanceof Int32Array ||
+            typedArray instanceof Uint32Array ||
+            typedArray instanceof Float32Array ||
+            typedArray instanceof Float64Array ||
+            typedArray instanceof DataView
+        ) {
+            return new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+        }
+
+        // Node.js buffers are Uint8Arrays
+        if (typedArray instanceof Uint8Array) {
+            return typedArray;
+        }
+    }
 }(ArrayBuffer, Uint8Array, Uint8ClampedArray));
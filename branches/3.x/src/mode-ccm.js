@@ -0,0 +1,231 @@
+/**
+ * Counter with CBC-MAC mode.
+ *
+ * An authenticated encryption mode for 128-bit block ciphers, as specified in NIST SP 800-38C and RFC 3610.
+ * The padding should be set to NoPadding to interoperate with other implementations.
+ * The CBC-MAC needs the message length before it can start, so the message is kept until the tag is computed.
+ *
+ * Configuration options:
+ *
+ *     iv:        The nonce, from 7 to 13 bytes. Longer nonces leave room for shorter messages.
+ *     aad:       (Optional) Additional authenticated data.
+ *     tagLength: (Optional) The length of the authentication tag in bits, one of 32, 48, 64, 80, 96, 112 or 128. Default: 128
+ *     tag:       The authentication tag to verify when decrypting.
+ *                If omitted from a decryption through SerializableCipher, the tag is split off the end of the ciphertext.
+ */
+CryptoJS.mode.CCM = (function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var BlockCipherMode = C_lib.BlockCipherMode;
+    var C_mode = C.mode;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    var CCM = BlockCipherMode.extend({
+        init: function (cipher) {
+            // Shortcuts
+            var cfg = cipher.cfg;
+            var nonce = cfg.iv;
+            var aad = cfg.aad;
+            var tagLength = cfg.tagLength || 128;
+
+            // Validate parameters
+            if (cipher.blockSize != 4) {
+                throw new ParameterError('CCM requires a cipher with a 128-bit block size.');
+            }
+            if (!nonce || nonce.sigBytes < 7 || nonce.sigBytes > 13) {
+                throw new C_err.IvSizeError('CCM requires a nonce of 7 to 13 bytes.');
+            }
+            if (tagLength < 32 || tagLength > 128 || tagLength % 16) {
+                throw new ParameterError('CCM tag length must be one of 32, 48, 64, 80, 96, 112 or 128 bits.');
+            }
+
+            this._cipher = cipher;
+            this._tagLength = tagLength;
+            this._nonce = nonce;
+
+            // The length field takes the bytes the nonce leaves free
+            this._nLengthBytes = 15 - nonce.sigBytes;
+            this._maxMessageBytes = Math.pow(2, this._nLengthBytes * 8);
+
+            // Encrypt the message with counter blocks from 1; block 0 encrypts the tag
+            this._ctr = C_mode.CTR.createEncryptor(cipher, this._counterBlock(1));
+
+            this._aad = aad ? WordArray.from(aad) : undefined;
+
+            // Plaintext words awaiting the CBC-MAC
+            this._messageWords = [];
+            this._nBlocks = 0;
+        },
+
+        /**
+         * Creates the counter block with a given counter.
+         *
+         * @param {number} counter The counter.
+         *
+         * @return {Array} The counter block words.
+         */
+        _counterBlock: function (counter) {
+            var block = formatBlock(this._nLengthBytes - 1, this._nonce, counter, this._nLengthBytes);
+
+            return block.words;
+        },
+
+        /**
+         * Encrypts or decrypts a block with the keystream.
+         *
+         * @param {Array} words The data words to operate on.
+         * @param {number} offset The offset where the block starts.
+         */
+        _xorKeystream: function (words, offset) {
+            // The counter mustn't overflow into the nonce
+            if (this._nBlocks * 16 >= this._maxMessageBytes) {
+                throw new ParameterError('The message is too long for a CCM nonce of this length.');
+            }
+            this._nBlocks++;
+
+            this._ctr.processBlock(words, offset);
+        },
+
+        /**
+         * Completes the authentication tag computation.
+         *
+         * @param {WordArray} finalProcessedBlocks The output of the final processing step.
+         *
+         * @return {WordArray} The authentication tag.
+         */
+        _computeTag: function (finalProcessedBlocks) {
+            // Shortcuts
+            var aad = this._aad;
+            var aadSigBytes = aad ? aad.sigBytes : 0;
+            var tagSigBytes = this._tagLength / 8;
+
+            // Count the bytes in the final block
+            var nFinalBytes = finalProcessedBlocks.sigBytes % 16;
+            if (!nFinalBytes) {
+                nFinalBytes = 16;
+            }
+            var nMessageBytes = this._nBlocks * 16 - (16 - nFinalBytes);
+
+            if (nMessageBytes >= this._maxMessageBytes) {
+                throw new ParameterError('The message is too long for a CCM nonce of this length.');
+            }
+
+            // First block, with the flags, nonce and message length
+            var flags = (aadSigBytes ? 0x40 : 0) | (((tagSigBytes - 2) / 2) << 3) | (this._nLengthBytes - 1);
+            var macInput = formatBlock(flags, this._nonce, nMessageBytes, this._nLengthBytes);
+
+            // Additional authenticated data, prefixed with its length
+            if (aadSigBytes) {
+                if (aadSigBytes < 0xff00) {
+                    var encodedAad = WordArray.create([aadSigBytes << 16], 2);
+                } else {
+                    var encodedAad = WordArray.create([0xfffe0000 | (aadSigBytes >>> 16), aadSigBytes << 16], 6);
+                }
+                macInput.concat(BlockCipherMode._zeroPad(encodedAad.concat(aad)));
+            }
+
+            // Message, less any insignificant bytes of the final block
+            macInput.concat(BlockCipherMode._zeroPad(WordArray.create(this._messageWords, nMessageBytes)));
+
+            // CBC-MAC
+            var macWords = macInput.words;
+            var cbcMac = C_mode.CBC.createEncryptor(this._cipher, [0, 0, 0, 0]);
+            for (var offset = 0; offset < macWords.length; offset += 4) {
+                cbcMac.processBlock(macWords, offset);
+            }
+            var tagWords = macWords.slice(macWords.length - 4);
+
+            // Encrypt MAC with counter block 0
+            var keystream = this._counterBlock(0);
+            this._cipher.encryptBlock(keystream, 0);
+            for (var i = 0; i < 4; i++) {
+                tagWords[i] ^= keystream[i];
+            }
+
+            // Truncate
+            var tag = WordArray.create(tagWords, tagSigBytes);
+            tag.clamp();
+
+            return tag;
+        },
+
+        // CCM takes nonces shorter than a block
+        _blockSizedIv: false
+    });
+
+    CCM.Encryptor = CCM.extend({
+        processBlock: function (words, offset) {
+            this._messageWords.push(words[offset], words[offset + 1], words[offset + 2], words[offset + 3]);
+
+            this._xorKeystream(words, offset);
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            return this._computeTag(finalProcessedBlocks);
+        }
+    });
+
+    CCM.Decryptor = CCM.extend({
+        processBlock: function (words, offset) {
+            this._xorKeystream(words, offset);
+
+            this._messageWords.push(words[offset], words[offset + 1], words[offset + 2], words[offset + 3]);
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            // Shortcut
+            var expectedTag = this._cipher.cfg.tag;
+
+            if (!expectedTag) {
+                throw new ParameterError('CCM decryption requires an authentication tag.');
+            }
+
+            // Compute and compare
+            var tag = this._computeTag(finalProcessedBlocks);
+            if (!tag.equals(expectedTag, { constantTime: true })) {
+                throw new C_err.AuthenticationError('CCM authentication tag mismatch.');
+            }
+
+            return tag;
+        }
+    });
+
+    /**
+     * Splits an authentication tag off the end of the ciphertext, if the cipher params don't already carry one.
+     *
+     * @param {CipherParams} cipherParams The cipher params.
+     * @param {Object} cfg The configuration options of the decryption.
+     *
+     * @return {CipherParams} Cipher params with the tag separate from the ciphertext.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var cipherParams = CryptoJS.mode.CCM.parseTag(cipherParams, cfg);
+     */
+    CCM.parseTag = function (cipherParams, cfg) {
+        return BlockCipherMode._parseTag(cipherParams, cfg, (cfg.tagLength || 128) / 8, 'CCM');
+    };
+
+    /**
+     * Formats a block from a flags byte, the nonce, and a number in the remaining bytes.
+     */
+    function formatBlock(flags, nonce, number, nNumberBytes) {
+        var block = WordArray.create([flags << 24], 1).concat(nonce);
+
+        // Big-endian number, which can exceed 32 bits
+        var numberWords = [];
+        for (var i = nNumberBytes - 1; i >= 0; i--) {
+            var numberByte = Math.floor(number / Math.pow(2, 8 * (nNumberBytes - 1 - i))) & 0xff;
+            numberWords[i >>> 2] |= numberByte << (24 - (i % 4) * 8);
+        }
+
+        return block.concat(WordArray.create(numberWords, nNumberBytes));
+    }
+
+    return CCM;
+}());
@@ -45,6 +45,9 @@ CryptoJS.mode.CFB = (function () {
             this._iv = undefined;
         } else {
             var keystream = this._prevBlock;
+            if (!keystream) {
+                throw new CryptoJS.err.IvSizeError('CFB mode requires an IV.');
+            }
         }
         cipher.encryptBlock(keystream, 0);
 
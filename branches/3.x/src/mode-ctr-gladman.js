@@ -74,6 +74,8 @@ CryptoJS.mode.CTRGladman = (function () {
 
                 // Remove IV for subsequent blocks
                 this._iv = undefined;
+            } else if (!counter) {
+                throw new CryptoJS.err.IvSizeError('CTRGladman mode requires an IV.');
             }
             
 			incCounter(counter);
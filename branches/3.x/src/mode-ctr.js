@@ -18,6 +18,8 @@ CryptoJS.mode.CTR = (function () {
 
                 // Remove IV for subsequent blocks
                 this._iv = undefined;
+            } else if (!counter) {
+                throw new CryptoJS.err.IvSizeError('CTR mode requires an IV.');
             }
             var keystream = counter.slice(0);
             cipher.encryptBlock(keystream, 0);
@@ -0,0 +1,201 @@
+/**
+ * EAX mode.
+ *
+ * An authenticated encryption mode for 128-bit block ciphers, by Bellare, Rogaway and Wagner,
+ * that encrypts in counter mode and authenticates with CMAC.
+ * The padding should be set to NoPadding to interoperate with other implementations.
+ *
+ * Configuration options:
+ *
+ *     iv:        The nonce, of any length.
+ *     aad:       (Optional) Additional authenticated data.
+ *     tagLength: (Optional) The length of the authentication tag in bits, a multiple of 8 up to 128. Default: 128
+ *     tag:       The authentication tag to verify when decrypting.
+ *                If omitted from a decryption through SerializableCipher, the tag is split off the end of the ciphertext.
+ */
+CryptoJS.mode.EAX = (function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var BlockCipherMode = C_lib.BlockCipherMode;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    var EAX = BlockCipherMode.extend({
+        init: function (cipher) {
+            // Shortcuts
+            var cfg = cipher.cfg;
+            var nonce = cfg.iv;
+            var aad = cfg.aad;
+            var tagLength = cfg.tagLength || 128;
+
+            // Validate parameters
+            if (cipher.blockSize != 4) {
+                throw new ParameterError('EAX requires a cipher with a 128-bit block size.');
+            }
+            if (!nonce) {
+                throw new C_err.IvSizeError('EAX requires a nonce.');
+            }
+            if (tagLength < 8 || tagLength > 128 || tagLength % 8) {
+                throw new ParameterError('EAX tag length must be a multiple of 8 bits, up to 128.');
+            }
+
+            this._cipher = cipher;
+            this._tagLength = tagLength;
+
+            // CMAC of the nonce, the header and the ciphertext, each after its own tweak block
+            var omac = this._omac = C.algo.CMAC.create(cipher.$super, cipher._key);
+            var nonceMac = omac.finalize(tweakBlock(0).concat(nonce)).words;
+            omac.reset();
+            this._headerMac = omac.finalize(tweakBlock(1).concat(aad ? WordArray.from(aad) : WordArray.create())).words;
+            omac.reset();
+            omac.update(tweakBlock(2));
+
+            // Count from the nonce's CMAC
+            this._nonceMac = nonceMac;
+            this._counter = nonceMac.slice(0);
+
+            // Ciphertext block awaiting the CMAC, held back until we know whether it's the partial final block
+            this._pendingBlock = undefined;
+        },
+
+        /**
+         * Completes the authentication tag computation.
+         *
+         * @param {WordArray} finalProcessedBlocks The output of the final processing step.
+         *
+         * @return {WordArray} The authentication tag.
+         */
+        _computeTag: function (finalProcessedBlocks) {
+            // Shortcuts
+            var pendingBlock = this._pendingBlock;
+            var nonceMac = this._nonceMac;
+            var headerMac = this._headerMac;
+
+            // Count the bytes in the final block
+            var nFinalBytes = finalProcessedBlocks.sigBytes % 16;
+            if (!nFinalBytes) {
+                nFinalBytes = 16;
+            }
+
+            // CMAC the final ciphertext block, less any insignificant bytes
+            if (pendingBlock) {
+                var finalBlock = WordArray.create(pendingBlock, nFinalBytes);
+                finalBlock.clamp();
+            }
+            var tagWords = this._omac.finalize(finalBlock).words;
+
+            for (var i = 0; i < 4; i++) {
+                tagWords[i] ^= nonceMac[i] ^ headerMac[i];
+            }
+
+            // Truncate
+            var tag = WordArray.create(tagWords, this._tagLength / 8);
+            tag.clamp();
+
+            return tag;
+        },
+
+        /**
+         * Adds a ciphertext block to the CMAC once the next one has been seen.
+         *
+         * @param {Array} block The ciphertext block words.
+         */
+        _macBlock: function (block) {
+            if (this._pendingBlock) {
+                this._omac.update(WordArray.create(this._pendingBlock, 16));
+            }
+            this._pendingBlock = block;
+        },
+
+        // EAX takes nonces of any length
+        _blockSizedIv: false
+    });
+
+    EAX.Encryptor = EAX.extend({
+        processBlock: function (words, offset) {
+            xorKeystream.call(this, words, offset);
+
+            this._macBlock(Array.prototype.slice.call(words, offset, offset + 4));
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            return this._computeTag(finalProcessedBlocks);
+        }
+    });
+
+    EAX.Decryptor = EAX.extend({
+        processBlock: function (words, offset) {
+            this._macBlock(Array.prototype.slice.call(words, offset, offset + 4));
+
+            xorKeystream.call(this, words, offset);
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            // Shortcut
+            var expectedTag = this._cipher.cfg.tag;
+
+            if (!expectedTag) {
+                throw new ParameterError('EAX decryption requires an authentication tag.');
+            }
+
+            // Compute and compare
+            var tag = this._computeTag(finalProcessedBlocks);
+            if (!tag.equals(expectedTag, { constantTime: true })) {
+                throw new C_err.AuthenticationError('EAX authentication tag mismatch.');
+            }
+
+            return tag;
+        }
+    });
+
+    /**
+     * Splits an authentication tag off the end of the ciphertext, if the cipher params don't already carry one.
+     *
+     * @param {CipherParams} cipherParams The cipher params.
+     * @param {Object} cfg The configuration options of the decryption.
+     *
+     * @return {CipherParams} Cipher params with the tag separate from the ciphertext.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var cipherParams = CryptoJS.mode.EAX.parseTag(cipherParams, cfg);
+     */
+    EAX.parseTag = function (cipherParams, cfg) {
+        return BlockCipherMode._parseTag(cipherParams, cfg, (cfg.tagLength || 128) / 8, 'EAX');
+    };
+
+    /**
+     * Creates the block that distinguishes the nonce, header and ciphertext CMACs.
+     */
+    function tweakBlock(tweak) {
+        return WordArray.create([0, 0, 0, tweak], 16);
+    }
+
+    function xorKeystream(words, offset) {
+        // Shortcut
+        var counter = this._counter;
+
+        // Generate keystream
+        var keystream = counter.slice(0);
+        this._cipher.encryptBlock(keystream, 0);
+
+        // Increment the whole block as a 128-bit counter
+        for (var i = 3; i >= 0; i--) {
+            counter[i] = (counter[i] + 1) | 0;
+            if (counter[i]) {
+                break;
+            }
+        }
+
+        // Encrypt
+        for (var i = 0; i < 4; i++) {
+            words[offset + i] ^= keystream[i];
+        }
+    }
+
+    return EAX;
+}());
@@ -2,7 +2,10 @@
  * Electronic Codebook block mode.
  */
 CryptoJS.mode.ECB = (function () {
-    var ECB = CryptoJS.lib.BlockCipherMode.extend();
+    var ECB = CryptoJS.lib.BlockCipherMode.extend({
+        // ECB doesn't use an IV
+        _blockSizedIv: false
+    });
 
     ECB.Encryptor = ECB.extend({
         processBlock: function (words, offset) {
@@ -0,0 +1,290 @@
+/**
+ * Galois/Counter Mode.
+ *
+ * An authenticated encryption mode for 128-bit block ciphers, as specified in NIST SP 800-38D.
+ * The padding should be set to NoPadding to interoperate with other implementations.
+ *
+ * Configuration options:
+ *
+ *     iv:        The IV. 96-bit IVs are recommended, but any length is accepted.
+ *     aad:       (Optional) Additional authenticated data.
+ *     tagLength: (Optional) The length of the authentication tag in bits. Default: 128
+ *     tag:       The authentication tag to verify when decrypting.
+ *                If omitted from a decryption through SerializableCipher, the tag is split off the end of the ciphertext.
+ */
+CryptoJS.mode.GCM = (function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var BlockCipherMode = C_lib.BlockCipherMode;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    var GCM = BlockCipherMode.extend({
+        init: function (cipher) {
+            // Shortcuts
+            var cfg = cipher.cfg;
+            var iv = cfg.iv;
+            var aad = cfg.aad;
+            var tagLength = cfg.tagLength || 128;
+
+            // Validate parameters
+            if (cipher.blockSize != 4) {
+                throw new ParameterError('GCM requires a cipher with a 128-bit block size.');
+            }
+            if (!iv || !iv.sigBytes) {
+                throw new C_err.IvSizeError('GCM requires an IV.');
+            }
+            if (tagLength != 32 && tagLength != 64 && (tagLength < 96 || tagLength > 128 || tagLength % 8)) {
+                throw new ParameterError('GCM tag length must be one of 32, 64, 96, 104, 112, 120 or 128 bits.');
+            }
+
+            this._cipher = cipher;
+            this._tagLength = tagLength;
+
+            // Hash subkey
+            var H = this._H = [0, 0, 0, 0];
+            cipher.encryptBlock(H, 0);
+
+            // Pre-counter block
+            if (iv.sigBytes == 12) {
+                var J0 = [iv.words[0], iv.words[1], iv.words[2], 1];
+            } else {
+                var J0 = [0, 0, 0, 0];
+                ghashData(J0, H, iv);
+                ghashLengths(J0, H, 0, iv.sigBytes);
+            }
+            this._J0 = J0;
+            this._counter = J0.slice(0);
+
+            // Hash additional authenticated data
+            if (aad) {
+                aad = WordArray.from(aad);
+            }
+            var aadSigBytes = aad ? aad.sigBytes : 0;
+            var S = this._S = [0, 0, 0, 0];
+            if (aadSigBytes) {
+                ghashData(S, H, aad);
+            }
+            this._aadSigBytes = aadSigBytes;
+
+            // Ciphertext block awaiting hashing, held back until we know whether it's the partial final block
+            this._pendingBlock = undefined;
+            this._nBlocks = 0;
+        },
+
+        /**
+         * Completes the authentication tag computation.
+         *
+         * @param {WordArray} finalProcessedBlocks The output of the final processing step.
+         *
+         * @return {WordArray} The authentication tag.
+         */
+        _computeTag: function (finalProcessedBlocks) {
+            // Shortcuts
+            var S = this._S;
+            var H = this._H;
+            var pendingBlock = this._pendingBlock;
+
+            // Count the bytes in the final block
+            var nFinalBytes = finalProcessedBlocks.sigBytes % 16;
+            if (!nFinalBytes) {
+                nFinalBytes = 16;
+            }
+
+            // Hash the final ciphertext block, less any insignificant bytes
+            if (pendingBlock) {
+                if (nFinalBytes < 16) {
+                    var pendingWordArray = WordArray.create(pendingBlock, nFinalBytes);
+                    pendingWordArray.clamp();
+                    pendingBlock = pendingWordArray.words;
+                    for (var i = pendingBlock.length; i < 4; i++) {
+                        pendingBlock[i] = 0;
+                    }
+                }
+                ghashBlock(S, H, pendingBlock, 0);
+            }
+
+            // Hash lengths
+            var nCiphertextBytes = this._nBlocks * 16 - (16 - nFinalBytes);
+            ghashLengths(S, H, this._aadSigBytes, nCiphertextBytes);
+
+            // Encrypt hash with pre-counter block
+            var tagWords = this._J0.slice(0);
+            this._cipher.encryptBlock(tagWords, 0);
+            for (var i = 0; i < 4; i++) {
+                tagWords[i] ^= S[i];
+            }
+
+            // Truncate
+            var tag = WordArray.create(tagWords, this._tagLength / 8);
+            tag.clamp();
+
+            return tag;
+        },
+
+        /**
+         * Hashes a ciphertext block once the next one has been seen.
+         *
+         * @param {Array} block The ciphertext block words.
+         */
+        _hashBlock: function (block) {
+            if (this._pendingBlock) {
+                ghashBlock(this._S, this._H, this._pendingBlock, 0);
+            }
+            this._pendingBlock = block;
+            this._nBlocks++;
+        },
+
+        // GCM takes IVs of any length
+        _blockSizedIv: false,
+
+        _stateExcludes: BlockCipherMode._stateExcludes.concat(['_H'])
+    });
+
+    GCM.Encryptor = GCM.extend({
+        processBlock: function (words, offset) {
+            xorKeystream.call(this, words, offset);
+
+            this._hashBlock(Array.prototype.slice.call(words, offset, offset + 4));
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            return this._computeTag(finalProcessedBlocks);
+        }
+    });
+
+    GCM.Decryptor = GCM.extend({
+        processBlock: function (words, offset) {
+            this._hashBlock(Array.prototype.slice.call(words, offset, offset + 4));
+
+            xorKeystream.call(this, words, offset);
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            // Shortcut
+            var expectedTag = this._cipher.cfg.tag;
+
+            if (!expectedTag) {
+                throw new ParameterError('GCM decryption requires an authentication tag.');
+            }
+
+            // Compute and compare
+            var tag = this._computeTag(finalProcessedBlocks);
+            if (!tag.equals(expectedTag, { constantTime: true })) {
+                throw new C_err.AuthenticationError('GCM authentication tag mismatch.');
+            }
+
+            return tag;
+        }
+    });
+
+    /**
+     * Splits an authentication tag off the end of the ciphertext, if the cipher params don't already carry one.
+     *
+     * @param {CipherParams} cipherParams The cipher params.
+     * @param {Object} cfg The configuration options of the decryption.
+     *
+     * @return {CipherParams} Cipher params with the tag separate from the ciphertext.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var cipherParams = CryptoJS.mode.GCM.parseTag(cipherParams, cfg);
+     */
+    GCM.parseTag = function (cipherParams, cfg) {
+        return BlockCipherMode._parseTag(cipherParams, cfg, (cfg.tagLength || 128) / 8, 'GCM');
+    };
+
+    /**
+     * Multiplies X by H in GF(2^128), and stores the result in X. AES-GCM-SIV's POLYVAL is built on it.
+     *
+     * @param {Array} X The accumulator words, which the block is XORed into first.
+     * @param {Array} H The hash key words.
+     * @param {Array} words The words that contain the block.
+     * @param {number} offset The word offset of the block.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     CryptoJS.mode.GCM._ghashBlock(X, H, words, offset);
+     */
+    GCM._ghashBlock = ghashBlock;
+
+    function xorKeystream(words, offset) {
+        // Shortcut
+        var counter = this._counter;
+
+        // Increment counter
+        counter[3] = (counter[3] + 1) | 0;
+
+        // Generate keystream
+        var keystream = counter.slice(0);
+        this._cipher.encryptBlock(keystream, 0);
+
+        // Encrypt
+        for (var i = 0; i < 4; i++) {
+            words[offset + i] ^= keystream[i];
+        }
+    }
+
+    /**
+     * Multiplies X by H in GF(2^128), and stores the result in X.
+     */
+    function ghashBlock(X, H, words, offset) {
+        // XOR block into accumulator
+        var x0 = X[0] ^ words[offset];
+        var x1 = X[1] ^ words[offset + 1];
+        var x2 = X[2] ^ words[offset + 2];
+        var x3 = X[3] ^ words[offset + 3];
+
+        // Multiply
+        var z0 = 0, z1 = 0, z2 = 0, z3 = 0;
+        var v0 = H[0], v1 = H[1], v2 = H[2], v3 = H[3];
+        for (var i = 0; i < 128; i++) {
+            // Select bit i of x, most significant first
+            var xWord = i < 64 ? (i < 32 ? x0 : x1) : (i < 96 ? x2 : x3);
+            if ((xWord >>> (31 - (i % 32))) & 1) {
+                z0 ^= v0;
+                z1 ^= v1;
+                z2 ^= v2;
+                z3 ^= v3;
+            }
+
+            // Multiply v by the polynomial x, reducing by x^128 + x^7 + x^2 + x + 1
+            var lsb = v3 & 1;
+            v3 = (v3 >>> 1) | (v2 << 31);
+            v2 = (v2 >>> 1) | (v1 << 31);
+            v1 = (v1 >>> 1) | (v0 << 31);
+            v0 = v0 >>> 1;
+            if (lsb) {
+                v0 ^= 0xe1000000;
+            }
+        }
+
+        X[0] = z0;
+        X[1] = z1;
+        X[2] = z2;
+        X[3] = z3;
+    }
+
+    function ghashData(X, H, data) {
+        var words = BlockCipherMode._zeroPad(data).words;
+
+        for (var offset = 0; offset < words.length; offset += 4) {
+            ghashBlock(X, H, words, offset);
+        }
+    }
+
+    function ghashLengths(X, H, nBytesA, nBytesB) {
+        ghashBlock(X, H, [
+            Math.floor(nBytesA / 0x20000000), (nBytesA * 8) | 0,
+            Math.floor(nBytesB / 0x20000000), (nBytesB * 8) | 0
+        ], 0);
+    }
+
+    return GCM;
+}());
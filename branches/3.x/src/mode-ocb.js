@@ -0,0 +1,323 @@
+/**
+ * Offset Codebook mode, version 3.
+ *
+ * An authenticated encryption mode for 128-bit block ciphers, as specified in RFC 7253.
+ * The padding should be set to NoPadding to interoperate with other implementations.
+ *
+ * Configuration options:
+ *
+ *     iv:        The nonce, from 1 to 15 bytes. 12-byte nonces are recommended.
+ *     aad:       (Optional) Additional authenticated data.
+ *     tagLength: (Optional) The length of the authentication tag in bits, one of 64, 96 or 128. Default: 128
+ *     tag:       The authentication tag to verify when decrypting.
+ *                If omitted from a decryption through SerializableCipher, the tag is split off the end of the ciphertext.
+ */
+CryptoJS.mode.OCB = (function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var BlockCipherMode = C_lib.BlockCipherMode;
+    var CMAC = C.algo.CMAC;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    var OCB = BlockCipherMode.extend({
+        init: function (cipher) {
+            // Shortcuts
+            var cfg = cipher.cfg;
+            var nonce = cfg.iv;
+            var aad = cfg.aad;
+            var tagLength = cfg.tagLength || 128;
+
+            // Validate parameters
+            if (cipher.blockSize != 4) {
+                throw new ParameterError('OCB requires a cipher with a 128-bit block size.');
+            }
+            if (!nonce || nonce.sigBytes < 1 || nonce.sigBytes > 15) {
+                throw new C_err.IvSizeError('OCB requires a nonce of 1 to 15 bytes.');
+            }
+            if (tagLength != 64 && tagLength != 96 && tagLength != 128) {
+                throw new ParameterError('OCB tag length must be one of 64, 96 or 128 bits.');
+            }
+
+            this._cipher = cipher;
+            this._tagLength = tagLength;
+
+            // Offset increments, from the encrypted zero block
+            var lStar = this._lStar = [0, 0, 0, 0];
+            cipher.encryptBlock(lStar, 0);
+            var lDollar = this._lDollar = lStar.slice(0);
+            CMAC._dbl(lDollar);
+            var l0 = lDollar.slice(0);
+            CMAC._dbl(l0);
+            this._L = [l0];
+
+            // Initial offset, from the nonce with the tag length
+            var nonceBlock = WordArray.create([(tagLength % 128) << 25, 0, 0, 0], 16 - nonce.sigBytes);
+            nonceBlock.words[3 - (nonce.sigBytes >>> 2)] |= 1 << (8 * (nonce.sigBytes % 4));
+            nonceBlock.concat(nonce);
+            this._offset = initialOffset(cipher, nonceBlock.words);
+            this._checksum = [0, 0, 0, 0];
+            this._nBlocks = 0;
+
+            // Hash additional authenticated data
+            this._aadHash = this._hash(aad ? WordArray.from(aad) : WordArray.create());
+        },
+
+        /**
+         * Gets the offset increment for a block number, from the number of its trailing zero bits.
+         *
+         * @param {number} blockNumber The block number, from 1.
+         *
+         * @return {Array} The offset increment words.
+         */
+        _lookUpL: function (blockNumber) {
+            // Shortcut
+            var L = this._L;
+
+            // Count trailing zeros
+            var ntz = 0;
+            while (!(blockNumber & 1)) {
+                blockNumber >>>= 1;
+                ntz++;
+            }
+
+            // Double as far as needed
+            for (var i = L.length; i <= ntz; i++) {
+                L[i] = L[i - 1].slice(0);
+                CMAC._dbl(L[i]);
+            }
+
+            return L[ntz];
+        },
+
+        /**
+         * Hashes the additional authenticated data.
+         *
+         * @param {WordArray} aad The additional authenticated data.
+         *
+         * @return {Array} The hash words.
+         */
+        _hash: function (aad) {
+            // Shortcuts
+            var cipher = this._cipher;
+            var aadSigBytes = aad.sigBytes;
+            var nFullBlocks = aadSigBytes >>> 4;
+
+            // Pad a partial final block
+            aad = aad.clone();
+            aad.clamp();
+            if (aadSigBytes % 16) {
+                aad.concat(WordArray.create([0x80000000], 1));
+                aad.concat(WordArray.create([0, 0, 0, 0], 15 - aadSigBytes % 16));
+            }
+            var aadWords = aad.words;
+
+            var sum = [0, 0, 0, 0];
+            var offset = [0, 0, 0, 0];
+            for (var i = 0; i * 4 < aadWords.length; i++) {
+                if (i < nFullBlocks) {
+                    xorBlock(offset, this._lookUpL(i + 1), 0);
+                } else {
+                    xorBlock(offset, this._lStar, 0);
+                }
+
+                var block = offset.slice(0);
+                xorBlock(block, aadWords, i * 4);
+                cipher.encryptBlock(block, 0);
+                xorBlock(sum, block, 0);
+            }
+
+            return sum;
+        },
+
+        /**
+         * Encrypts or decrypts a full block with the next offset.
+         *
+         * @param {Array} words The data words to operate on.
+         * @param {number} offset The offset where the block starts.
+         * @param {boolean} decrypt Whether to decrypt.
+         */
+        _processBlock: function (words, offset, decrypt) {
+            // Shortcuts
+            var checksum = this._checksum;
+            var blockOffset = this._offset;
+
+            // Remember the input, in case it's the partial final block
+            this._lastBlock = Array.prototype.slice.call(words, offset, offset + 4);
+
+            xorBlock(blockOffset, this._lookUpL(++this._nBlocks), 0);
+
+            if (!decrypt) {
+                xorBlock(checksum, words, offset);
+            }
+            xorBlock(words, blockOffset, 0, offset);
+            if (decrypt) {
+                this._cipher.decryptBlock(words, offset);
+            } else {
+                this._cipher.encryptBlock(words, offset);
+            }
+            xorBlock(words, blockOffset, 0, offset);
+            if (decrypt) {
+                xorBlock(checksum, words, offset);
+            }
+        },
+
+        /**
+         * Redoes a partial final block, and computes the authentication tag.
+         *
+         * @param {WordArray} finalProcessedBlocks The output of the final processing step.
+         * @param {boolean} decrypt Whether decrypting.
+         *
+         * @return {WordArray} The authentication tag.
+         */
+        _computeTag: function (finalProcessedBlocks, decrypt) {
+            // Shortcuts
+            var cipher = this._cipher;
+            var checksum = this._checksum;
+            var blockOffset = this._offset;
+            var nFinalBytes = finalProcessedBlocks.sigBytes % 16;
+
+            // The partial final block was processed as a full one, so undo that, and encrypt it with a pad instead
+            if (nFinalBytes) {
+                // Shortcuts
+                var words = finalProcessedBlocks.words;
+                var finalOffset = words.length - 4;
+                var lastBlock = this._lastBlock;
+
+                // Undo the checksum and offset of a full block
+                xorBlock(checksum, decrypt ? words.slice(finalOffset) : lastBlock, 0);
+                xorBlock(blockOffset, this._lookUpL(this._nBlocks), 0);
+
+                xorBlock(blockOffset, this._lStar, 0);
+                var pad = blockOffset.slice(0);
+                cipher.encryptBlock(pad, 0);
+
+                for (var i = 0; i < 4; i++) {
+                    words[finalOffset + i] = lastBlock[i] ^ pad[i];
+                }
+
+                // Checksum the plaintext, terminated by a one bit
+                var paddedPlaintext = WordArray.create(decrypt ? words.slice(finalOffset) : lastBlock, nFinalBytes);
+                paddedPlaintext.clamp();
+                paddedPlaintext.concat(WordArray.create([0x80000000], 1));
+                paddedPlaintext.concat(WordArray.create([0, 0, 0, 0], 15 - nFinalBytes));
+                xorBlock(checksum, paddedPlaintext.words, 0);
+            }
+
+            // Encrypt the checksum with the final offset
+            var tagWords = checksum.slice(0);
+            xorBlock(tagWords, blockOffset, 0);
+            xorBlock(tagWords, this._lDollar, 0);
+            cipher.encryptBlock(tagWords, 0);
+            xorBlock(tagWords, this._aadHash, 0);
+
+            // Truncate
+            var tag = WordArray.create(tagWords, this._tagLength / 8);
+            tag.clamp();
+
+            return tag;
+        },
+
+        // OCB takes nonces shorter than a block
+        _blockSizedIv: false,
+
+        _stateExcludes: BlockCipherMode._stateExcludes.concat(['_lStar', '_lDollar', '_L'])
+    });
+
+    OCB.Encryptor = OCB.extend({
+        processBlock: function (words, offset) {
+            this._processBlock(words, offset, false);
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            return this._computeTag(finalProcessedBlocks, false);
+        }
+    });
+
+    OCB.Decryptor = OCB.extend({
+        processBlock: function (words, offset) {
+            this._processBlock(words, offset, true);
+        },
+
+        finalize: function (finalProcessedBlocks) {
+            // Shortcut
+            var expectedTag = this._cipher.cfg.tag;
+
+            if (!expectedTag) {
+                throw new ParameterError('OCB decryption requires an authentication tag.');
+            }
+
+            // Compute and compare
+            var tag = this._computeTag(finalProcessedBlocks, true);
+            if (!tag.equals(expectedTag, { constantTime: true })) {
+                throw new C_err.AuthenticationError('OCB authentication tag mismatch.');
+            }
+
+            return tag;
+        }
+    });
+
+    /**
+     * Splits an authentication tag off the end of the ciphertext, if the cipher params don't already carry one.
+     *
+     * @param {CipherParams} cipherParams The cipher params.
+     * @param {Object} cfg The configuration options of the decryption.
+     *
+     * @return {CipherParams} Cipher params with the tag separate from the ciphertext.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var cipherParams = CryptoJS.mode.OCB.parseTag(cipherParams, cfg);
+     */
+    OCB.parseTag = function (cipherParams, cfg) {
+        return BlockCipherMode._parseTag(cipherParams, cfg, (cfg.tagLength || 128) / 8, 'OCB');
+    };
+
+    /**
+     * Derives the initial offset from the formatted nonce block.
+     */
+    function initialOffset(cipher, nonceWords) {
+        // The low six bits select where the offset starts in the stretched block
+        var bottom = nonceWords[3] & 0x3f;
+
+        var ktop = nonceWords.slice(0, 4);
+        ktop[3] &= ~0x3f;
+        cipher.encryptBlock(ktop, 0);
+
+        // Stretch = Ktop || (Ktop[1..64] xor Ktop[9..72])
+        var stretch = ktop.concat([
+            ktop[0] ^ ((ktop[0] << 8) | (ktop[1] >>> 24)),
+            ktop[1] ^ ((ktop[1] << 8) | (ktop[2] >>> 24))
+        ]);
+
+        // Take 128 bits from the bottom bit on
+        var wordShift = bottom >>> 5;
+        var bitShift = bottom % 32;
+        var offset = [];
+        for (var i = 0; i < 4; i++) {
+            offset[i] = stretch[i + wordShift];
+            if (bitShift) {
+                offset[i] = (offset[i] << bitShift) | (stretch[i + wordShift + 1] >>> (32 - bitShift));
+            }
+        }
+
+        return offset;
+    }
+
+    /**
+     * XORs a block of words, from an offset, into a block, at an offset.
+     */
+    function xorBlock(block, words, wordsOffset, blockOffset) {
+        blockOffset = blockOffset || 0;
+
+        for (var i = 0; i < 4; i++) {
+            block[blockOffset + i] ^= words[wordsOffset + i];
+        }
+    }
+
+    return OCB;
+}());
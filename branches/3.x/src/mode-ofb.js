@@ -18,6 +18,8 @@ CryptoJS.mode.OFB = (function () {
 
                 // Remove IV for subsequent blocks
                 this._iv = undefined;
+            } else if (!keystream) {
+                throw new CryptoJS.err.IvSizeError('OFB mode requires an IV.');
             }
             cipher.encryptBlock(keystream, 0);
 
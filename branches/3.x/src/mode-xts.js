@@ -0,0 +1,275 @@
+/**
+ * XEX-based tweaked-codebook mode with ciphertext stealing.
+ *
+ * A mode for encrypting storage in place, as specified in IEEE 1619 and NIST SP 800-38E, for 128-bit block ciphers.
+ * The key joins two keys of the same size: the first encrypts the data, and the second encrypts the tweak.
+ * The padding should be set to NoPadding. A partial final block is then handled by ciphertext stealing,
+ * so the ciphertext is as long as the plaintext, which must be at least one block.
+ *
+ * Configuration options:
+ *
+ *     tweak:        The data unit sequence number, such as a sector number,
+ *                   or its 128-bit encoding as a little-endian integer, as other implementations take it as an IV.
+ *     dataUnitSize: (Optional) The size of each data unit in bytes, a multiple of 16.
+ *                   The tweak counts up from one data unit to the next. Default: the whole message is one data unit
+ */
+CryptoJS.mode.XTS = (function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    var XTS = C_lib.BlockCipherMode.extend({
+        init: function (cipher) {
+            // Shortcuts
+            var cfg = cipher.cfg;
+            var tweak = cfg.tweak;
+            var dataUnitSize = cfg.dataUnitSize;
+
+            // Validate parameters
+            if (cipher.blockSize != 4) {
+                throw new ParameterError('XTS requires a cipher with a 128-bit block size.');
+            }
+            if (tweak === undefined) {
+                throw new ParameterError('XTS requires a tweak.');
+            }
+            if (dataUnitSize !== undefined && (!(dataUnitSize > 0) || dataUnitSize % 16)) {
+                throw new ParameterError('XTS data unit size must be a positive multiple of 16 bytes.');
+            }
+
+            this._cipher = cipher;
+            this._tweakCipher = cipher.$super.createEncryptor(cipher._modeKeys[0]);
+            this._unitTweak = encodeTweak(tweak);
+            this._nUnitBlocks = dataUnitSize && dataUnitSize / 16;
+
+            // Tweaks and input of the last two blocks, for ciphertext stealing
+            this._tweaks = [];
+            this._inputs = [];
+        },
+
+        /**
+         * Encrypts or decrypts a block with its tweak.
+         *
+         * @param {Array} words The data words to operate on.
+         * @param {number} offset The offset where the block starts.
+         * @param {Array} tweak The tweak words of this block.
+         * @param {boolean} decrypt Whether to decrypt.
+         */
+        _xex: function (words, offset, tweak, decrypt) {
+            xorBlock(words, offset, tweak);
+            if (decrypt) {
+                this._cipher.decryptBlock(words, offset);
+            } else {
+                this._cipher.encryptBlock(words, offset);
+            }
+            xorBlock(words, offset, tweak);
+        },
+
+        /**
+         * Encrypts or decrypts the data block at offset with the next tweak.
+         *
+         * @param {Array} words The data words to operate on.
+         * @param {number} offset The offset where the block starts.
+         * @param {boolean} decrypt Whether to decrypt.
+         */
+        _processBlock: function (words, offset, decrypt) {
+            // Shortcuts
+            var tweaks = this._tweaks;
+            var inputs = this._inputs;
+            var tweak = this._tweak;
+
+            if (!tweak || this._iBlock == this._nUnitBlocks) {
+                // The first data unit takes the configured tweak, and each next one counts up
+                if (tweak) {
+                    incrementTweak(this._unitTweak);
+                }
+                tweak = this._unitTweak.slice(0);
+                this._tweakCipher.encryptBlock(tweak, 0);
+                this._iBlock = 0;
+            } else {
+                tweak = mulAlpha(tweak);
+            }
+            this._tweak = tweak;
+            this._iBlock++;
+
+            // Remember the last two blocks
+            tweaks.push(tweak);
+            inputs.push(Array.prototype.slice.call(words, offset, offset + 4));
+            if (tweaks.length > 2) {
+                tweaks.shift();
+                inputs.shift();
+            }
+
+            this._xex(words, offset, tweak, decrypt);
+        },
+
+        /**
+         * Checks that ciphertext stealing has a full block to steal from in the same data unit.
+         *
+         * @param {WordArray} finalProcessedBlocks The output of the final processing step.
+         *
+         * @return {number} The number of bytes in the final block, or 0 if it's full.
+         */
+        _nPartialBytes: function (finalProcessedBlocks) {
+            var nPartialBytes = finalProcessedBlocks.sigBytes % 16;
+
+            if (nPartialBytes && this._iBlock < 2) {
+                throw new ParameterError('XTS requires data units of at least 16 bytes.');
+            }
+
+            return nPartialBytes;
+        },
+
+        // The key joins the data key and the tweak key
+        _nKeys: 2,
+
+        _stealsCiphertext: true,
+
+        _blockSizedIv: false,
+
+        _stateExcludes: ['_cipher', '_tweakCipher']
+    });
+
+    XTS.Encryptor = XTS.extend({
+        processBlock: function (words, offset) {
+            this._processBlock(words, offset, false);
+        },
+
+        stealCiphertext: function (finalProcessedBlocks) {
+            // Shortcuts
+            var nPartialBytes = this._nPartialBytes(finalProcessedBlocks);
+            var words = finalProcessedBlocks.words;
+            var offset = Math.ceil(finalProcessedBlocks.sigBytes / 16) * 4 - 8;
+
+            if (!nPartialBytes) {
+                return;
+            }
+
+            // The partial block takes the head of the last full block's ciphertext,
+            // and the last full block encrypts the partial plaintext with the ciphertext's tail
+            var stolenBlock = Array.prototype.slice.call(words, offset, offset + 4);
+            var block = mixBlocks(this._inputs[1], stolenBlock, nPartialBytes);
+            this._xex(block, 0, this._tweaks[1], false);
+
+            for (var i = 0; i < 4; i++) {
+                words[offset + i] = block[i];
+                words[offset + 4 + i] = stolenBlock[i];
+            }
+        }
+    });
+
+    XTS.Decryptor = XTS.extend({
+        processBlock: function (words, offset) {
+            this._processBlock(words, offset, true);
+        },
+
+        stealCiphertext: function (finalProcessedBlocks) {
+            // Shortcuts
+            var nPartialBytes = this._nPartialBytes(finalProcessedBlocks);
+            var words = finalProcessedBlocks.words;
+            var offset = Math.ceil(finalProcessedBlocks.sigBytes / 16) * 4 - 8;
+            var inputs = this._inputs;
+            var tweaks = this._tweaks;
+
+            if (!nPartialBytes) {
+                return;
+            }
+
+            // The last full block decrypts with the final tweak, to the partial plaintext and the stolen ciphertext
+            var stolenBlock = inputs[0].slice(0);
+            this._xex(stolenBlock, 0, tweaks[1], true);
+            var block = mixBlocks(inputs[1], stolenBlock, nPartialBytes);
+            this._xex(block, 0, tweaks[0], true);
+
+            for (var i = 0; i < 4; i++) {
+                words[offset + i] = block[i];
+                words[offset + 4 + i] = stolenBlock[i];
+            }
+        }
+    });
+
+    /**
+     * Encodes a data unit sequence number as a little-endian 128-bit tweak.
+     */
+    function encodeTweak(tweak) {
+        if (typeof tweak != 'number') {
+            tweak = WordArray.from(tweak);
+            if (tweak.sigBytes != 16) {
+                throw new ParameterError('XTS tweak must be a number or 128 bits.');
+            }
+
+            return tweak.words.slice(0, 4);
+        }
+
+        if (!(tweak >= 0) || tweak % 1 || tweak > 0x1fffffffffffff) {
+            throw new ParameterError('XTS tweak must be a non-negative safe integer.');
+        }
+
+        var tweakWords = [0, 0, 0, 0];
+        for (var i = 0; i < 7; i++) {
+            var tweakByte = Math.floor(tweak / Math.pow(2, 8 * i)) & 0xff;
+            tweakWords[i >>> 2] |= tweakByte << (24 - (i % 4) * 8);
+        }
+
+        return tweakWords;
+    }
+
+    /**
+     * Adds one to a little-endian 128-bit tweak.
+     */
+    function incrementTweak(tweakWords) {
+        for (var i = 0; i < 16; i++) {
+            var shift = 24 - (i % 4) * 8;
+            var tweakByte = ((tweakWords[i >>> 2] >>> shift) + 1) & 0xff;
+            tweakWords[i >>> 2] = (tweakWords[i >>> 2] & ~(0xff << shift)) | (tweakByte << shift);
+
+            // Stop when there's no carry
+            if (tweakByte) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Multiplies a tweak by the primitive element in GF(2^128), with its bytes in little-endian order.
+     */
+    function mulAlpha(tweak) {
+        var product = [0, 0, 0, 0];
+        var carry = 0;
+        for (var i = 0; i < 16; i++) {
+            var shift = 24 - (i % 4) * 8;
+            var tweakByte = (tweak[i >>> 2] >>> shift) & 0xff;
+            product[i >>> 2] |= (((tweakByte << 1) | carry) & 0xff) << shift;
+            carry = tweakByte >>> 7;
+        }
+
+        // Reduce by x^128 + x^7 + x^2 + x + 1
+        product[0] ^= (-carry & 0x87) << 24;
+
+        return product;
+    }
+
+    /**
+     * Takes the first bytes of one block, and the rest of another.
+     */
+    function mixBlocks(head, tail, nHeadBytes) {
+        var block = [];
+        for (var i = 0; i < 4; i++) {
+            var nWordHeadBytes = Math.min(Math.max(nHeadBytes - i * 4, 0), 4);
+            var mask = nWordHeadBytes ? 0xffffffff << (32 - nWordHeadBytes * 8) : 0;
+            block[i] = (head[i] & mask) | (tail[i] & ~mask);
+        }
+
+        return block;
+    }
+
+    function xorBlock(words, offset, block) {
+        for (var i = 0; i < 4; i++) {
+            words[offset + i] ^= block[i];
+        }
+    }
+
+    return XTS;
+}());
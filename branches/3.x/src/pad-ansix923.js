@@ -19,9 +19,32 @@ CryptoJS.pad.AnsiX923 = {
         data.sigBytes += nPaddingBytes;
     },
 
-    unpad: function (data) {
+    unpad: function (data, blockSize) {
+        // Shortcuts
+        var dataWords = data.words;
+        var dataSigBytes = data.sigBytes;
+
         // Get number of padding bytes from last byte
-        var nPaddingBytes = data.words[(data.sigBytes - 1) >>> 2] & 0xff;
+        var nPaddingBytes = dataWords[(dataSigBytes - 1) >>> 2] & 0xff;
+
+        // Extract the padding, and what it should be -- zeros, then the number of padding bytes
+        var paddingWords = [];
+        var expectedPaddingWords = [];
+        for (var i = 0; i < nPaddingBytes; i++) {
+            var bytePos = dataSigBytes - nPaddingBytes + i;
+            var shift = 24 - (i % 4) * 8;
+
+            paddingWords[i >>> 2] |= ((dataWords[bytePos >>> 2] >>> (24 - (bytePos % 4) * 8)) & 0xff) << shift;
+            expectedPaddingWords[i >>> 2] |= (i == nPaddingBytes - 1 ? nPaddingBytes : 0) << shift;
+        }
+        var padding = CryptoJS.lib.WordArray.create(paddingWords, nPaddingBytes);
+        var expectedPadding = CryptoJS.lib.WordArray.create(expectedPaddingWords, nPaddingBytes);
+
+        // Check padding in constant time
+        var isValid = padding.equals(expectedPadding, { constantTime: true });
+        if (!nPaddingBytes || nPaddingBytes > dataSigBytes || (blockSize && nPaddingBytes > blockSize * 4) || !isValid) {
+            throw new CryptoJS.err.PaddingError('Invalid padding.');
+        }
 
         // Remove padding
         data.sigBytes -= nPaddingBytes;
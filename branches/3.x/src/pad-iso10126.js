@@ -14,10 +14,15 @@ CryptoJS.pad.Iso10126 = {
              concat(CryptoJS.lib.WordArray.create([nPaddingBytes << 24], 1));
     },
 
-    unpad: function (data) {
+    unpad: function (data, blockSize) {
         // Get number of padding bytes from last byte
         var nPaddingBytes = data.words[(data.sigBytes - 1) >>> 2] & 0xff;
 
+        // The padding bytes are random, so only their number can be checked
+        if (!nPaddingBytes || nPaddingBytes > data.sigBytes || (blockSize && nPaddingBytes > blockSize * 4)) {
+            throw new CryptoJS.err.PaddingError('Invalid padding.');
+        }
+
         // Remove padding
         data.sigBytes -= nPaddingBytes;
     }
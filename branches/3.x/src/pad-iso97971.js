@@ -10,11 +10,24 @@ CryptoJS.pad.Iso97971 = {
         CryptoJS.pad.ZeroPadding.pad(data, blockSize);
     },
 
-    unpad: function (data) {
-        // Remove zero padding
-        CryptoJS.pad.ZeroPadding.unpad(data);
+    unpad: function (data, blockSize) {
+        // Shortcuts
+        var dataWords = data.words;
+        var dataSigBytes = data.sigBytes;
 
-        // Remove one more byte -- the 0x80 byte
-        data.sigBytes--;
+        // Find the last nonzero byte
+        var i = dataSigBytes - 1;
+        while (i >= 0 && !((dataWords[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff)) {
+            i--;
+        }
+
+        // It must be the 0x80 byte
+        var isValid = i >= 0 && ((dataWords[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff) == 0x80;
+        if (!isValid || (blockSize && dataSigBytes - i > blockSize * 4)) {
+            throw new CryptoJS.err.PaddingError('Invalid padding.');
+        }
+
+        // Remove zero padding and the 0x80 byte
+        data.sigBytes = i;
     }
 };
@@ -53,50 +53,130 @@
          *     var key = kdf.compute(password, salt);
          */
         compute: function (password, salt) {
-            // Shortcut
-            var cfg = this.cfg;
+            var state = this._start(password, salt);
+            this._step(state, Infinity);
 
-            // Init HMAC
-            var hmac = HMAC.create(cfg.hasher, password);
+            return this._finish(state);
+        },
 
-            // Initial values
-            var derivedKey = WordArray.create();
-            var blockIndex = WordArray.create([0x00000001]);
+        /**
+         * Initializes the computation state.
+         *
+         * @param {WordArray|string} password The password.
+         * @param {WordArray|string} salt A salt.
+         *
+         * @return {Object} The computation state.
+         */
+        _start: function (password, salt) {
+            return {
+                hmac: HMAC.create(this.cfg.hasher, password),
+                salt: salt,
+                derivedKey: WordArray.create(),
+                blockIndex: WordArray.create([0x00000001]),
+                block: undefined,
+                intermediate: undefined,
+                iteration: 0,
+                nBlockWords: 0
+            };
+        },
 
+        /**
+         * Runs up to a given number of HMAC iterations.
+         *
+         * @param {Object} state The computation state.
+         * @param {number} nOperations The maximum number of iterations to run.
+         *
+         * @return {boolean} Whether the computation is complete.
+         */
+        _step: function (state, nOperations) {
             // Shortcuts
-            var derivedKeyWords = derivedKey.words;
-            var blockIndexWords = blockIndex.words;
+            var cfg = this.cfg;
             var keySize = cfg.keySize;
             var iterations = cfg.iterations;
+            var hmac = state.hmac;
+            var derivedKey = state.derivedKey;
+            var derivedKeyWords = derivedKey.words;
+            var blockIndex = state.blockIndex;
+            var block = state.block;
+            var intermediate = state.intermediate;
+            var iteration = state.iteration;
 
-            // Generate key
-            while (derivedKeyWords.length < keySize) {
-                var block = hmac.update(salt).finalize(blockIndex);
-                hmac.reset();
-
-                // Shortcuts
-                var blockWords = block.words;
-                var blockWordsLength = blockWords.length;
+            for (; nOperations > 0 && derivedKeyWords.length < keySize; nOperations--) {
+                if (!block) {
+                    // Start the next block
+                    block = intermediate = hmac.update(state.salt).finalize(blockIndex);
+                    hmac.reset();
 
-                // Iterations
-                var intermediate = block;
-                for (var i = 1; i < iterations; i++) {
+                    iteration = 1;
+                    state.nBlockWords = block.words.length;
+                } else {
                     intermediate = hmac.finalize(intermediate);
                     hmac.reset();
 
-                    // Shortcut
+                    // Shortcuts
+                    var blockWords = block.words;
                     var intermediateWords = intermediate.words;
+                    var blockWordsLength = blockWords.length;
 
                     // XOR intermediate with block
                     for (var j = 0; j < blockWordsLength; j++) {
                         blockWords[j] ^= intermediateWords[j];
                     }
+
+                    iteration++;
                 }
 
-                derivedKey.concat(block);
-                blockIndexWords[0]++;
+                // Finish the block
+                if (iteration >= iterations) {
+                    derivedKey.concat(block);
+                    blockIndex.words[0]++;
+
+                    block = undefined;
+                }
             }
-            derivedKey.sigBytes = keySize * 4;
+
+            state.block = block;
+            state.intermediate = intermediate;
+            state.iteration = iteration;
+
+            return derivedKeyWords.length >= keySize;
+        },
+
+        /**
+         * Computes the fraction of the iterations that have run.
+         *
+         * @param {Object} state The computation state.
+         *
+         * @return {number} The fraction done.
+         */
+        _progress: function (state) {
+            // Shortcuts
+            var cfg = this.cfg;
+            var iterations = cfg.iterations;
+            var nBlockWords = state.nBlockWords;
+
+            // The block size is known once the first block has started
+            if (!nBlockWords) {
+                return 0;
+            }
+
+            var nBlocks = Math.ceil(cfg.keySize / nBlockWords);
+            var nBlocksDone = state.derivedKey.words.length / nBlockWords;
+            var nIterationsDone = nBlocksDone * iterations + (state.block ? state.iteration : 0);
+
+            return nIterationsDone / (nBlocks * iterations);
+        },
+
+        /**
+         * Truncates the derived key.
+         *
+         * @param {Object} state The computation state.
+         *
+         * @return {WordArray} The derived key.
+         */
+        _finish: function (state) {
+            var derivedKey = state.derivedKey;
+            derivedKey.sigBytes = this.cfg.keySize * 4;
 
             return derivedKey;
         }
@@ -120,6 +200,45 @@
      *     var key = CryptoJS.PBKDF2(password, salt, { keySize: 8, iterations: 1000 });
      */
     C.PBKDF2 = function (password, salt, cfg) {
-        return PBKDF2.create(cfg).compute(password, salt);
+        return PBKDF2.create(cfg).compute(password, salt).toOutput(cfg && cfg.output);
+    };
+
+    /**
+     * Computes the Password-Based Key Derivation Function 2 in time slices.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {WordArray|string} salt A salt.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     * @param {Object} options (Optional) The asynchronous options.
+     *
+     * @return {Promise} A promise for the derived key. It rejects if the parameters are invalid.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     CryptoJS.async.PBKDF2(password, salt, { keySize: 8, iterations: 100000 }, { onProgress: onProgress }).then(function (key) {
+     *     });
+     */
+    C.async.PBKDF2 = function (password, salt, cfg, options) {
+        var kdf;
+        var state;
+
+        return C.async.run({
+            start: function () {
+                kdf = PBKDF2.create(cfg);
+                state = kdf._start(password, salt);
+            },
+
+            step: function () {
+                return kdf._step(state, 16);
+            },
+
+            progress: function () {
+                return kdf._progress(state);
+            }
+        }, options).then(function () {
+            return kdf._finish(state).toOutput(cfg && cfg.output);
+        });
     };
 }());
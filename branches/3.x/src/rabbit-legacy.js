@@ -4,6 +4,7 @@
     var C_lib = C.lib;
     var StreamCipher = C_lib.StreamCipher;
     var C_algo = C.algo;
+    var C_err = C.err;
 
     // Reusable objects
     var S  = [];
@@ -23,6 +24,14 @@
             var K = this._key.words;
             var iv = this.cfg.iv;
 
+            // Validate parameters
+            if (this._key.sigBytes != 128/8) {
+                throw new C_err.KeySizeError('RabbitLegacy requires a 128-bit key.');
+            }
+            if (iv && iv.sigBytes != 64/8) {
+                throw new C_err.IvSizeError('RabbitLegacy requires a 64-bit IV.');
+            }
+
             // Generate initial state values
             var X = this._X = [
                 K[0], (K[3] << 16) | (K[2] >>> 16),
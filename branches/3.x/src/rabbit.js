@@ -4,6 +4,7 @@
     var C_lib = C.lib;
     var StreamCipher = C_lib.StreamCipher;
     var C_algo = C.algo;
+    var C_err = C.err;
 
     // Reusable objects
     var S  = [];
@@ -19,6 +20,14 @@
             var K = this._key.words;
             var iv = this.cfg.iv;
 
+            // Validate parameters
+            if (this._key.sigBytes != 128/8) {
+                throw new C_err.KeySizeError('Rabbit requires a 128-bit key.');
+            }
+            if (iv && iv.sigBytes != 64/8) {
+                throw new C_err.IvSizeError('Rabbit requires a 64-bit IV.');
+            }
+
             // Swap endian
             for (var i = 0; i < 4; i++) {
                 K[i] = (((K[i] << 8)  | (K[i] >>> 24)) & 0x00ff00ff) |
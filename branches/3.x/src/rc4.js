@@ -4,6 +4,7 @@
     var C_lib = C.lib;
     var StreamCipher = C_lib.StreamCipher;
     var C_algo = C.algo;
+    var C_err = C.err;
 
     /**
      * RC4 stream cipher algorithm.
@@ -15,6 +16,11 @@
             var keyWords = key.words;
             var keySigBytes = key.sigBytes;
 
+            // Validate key size
+            if (keySigBytes < 1 || keySigBytes > 256) {
+                throw new C_err.KeySizeError('RC4 requires a key of 1 to 256 bytes.');
+            }
+
             // Init sbox
             var S = this._S = [];
             for (var i = 0; i < 256; i++) {
@@ -0,0 +1,457 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var Base = C_lib.Base;
+    var WordArray = C_lib.WordArray;
+    var C_algo = C.algo;
+    var SHA256 = C_algo.SHA256;
+    var PBKDF2 = C_algo.PBKDF2;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
+
+    // Reusable objects
+    var X = [];
+    var T = [];
+
+    /**
+     * scrypt memory-hard password-based key derivation function, as specified in RFC 7914.
+     */
+    var Scrypt = C_algo.Scrypt = Base.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} keySize The key size in words to generate. Default: 4 (128 bits)
+         * @property {number} N The CPU/memory cost. Must be a power of 2. Default: 16384
+         * @property {number} r The block size. Default: 8
+         * @property {number} p The parallelization. Default: 1
+         * @property {number} asyncChunkSize The number of BlockMix operations to run between yields in computeAsync. Default: 256
+         */
+        cfg: Base.extend({
+            keySize: 128/32,
+            N: 16384,
+            r: 8,
+            p: 1,
+            asyncChunkSize: 256
+        }),
+
+        /**
+         * Initializes a newly created key derivation function.
+         *
+         * @param {Object} cfg (Optional) The configuration options to use for the derivation.
+         *
+         * @example
+         *
+         *     var kdf = CryptoJS.algo.Scrypt.create();
+         *     var kdf = CryptoJS.algo.Scrypt.create({ keySize: 8 });
+         *     var kdf = CryptoJS.algo.Scrypt.create({ keySize: 8, N: 1024, r: 8, p: 16 });
+         */
+        init: function (cfg) {
+            this.cfg = this.cfg.extend(cfg);
+        },
+
+        /**
+         * Computes the scrypt key derivation function.
+         *
+         * @param {WordArray|string} password The password.
+         * @param {WordArray|string} salt A salt.
+         *
+         * @return {WordArray} The derived key.
+         *
+         * @example
+         *
+         *     var key = kdf.compute(password, salt);
+         */
+        compute: function (password, salt) {
+            var state = this._start(password, salt);
+            this._step(state, Infinity);
+
+            return this._finish(state);
+        },
+
+        /**
+         * Computes the scrypt key derivation function in chunks, yielding to the event loop between them.
+         *
+         * @param {WordArray|string} password The password.
+         * @param {WordArray|string} salt A salt.
+         * @param {Function} callback The function to call with the derived key. It's always called asynchronously.
+         * @param {Function} errback (Optional) The function to call with the error, if the computation fails.
+         *     It's always called asynchronously. Without it, invalid parameters are thrown before any work is done.
+         *
+         * @example
+         *
+         *     kdf.computeAsync(password, salt, function (key) {
+         *         // ...
+         *     }, function (error) {
+         *         // ...
+         *     });
+         */
+        computeAsync: function (password, salt, callback, errback) {
+            // Shortcuts
+            var self = this;
+            var chunkSize = this.cfg.asyncChunkSize;
+
+            // Validate up front, so that without an errback the error reaches the caller
+            try {
+                var state = this._start(password, salt);
+            } catch (e) {
+                if (!errback) {
+                    throw e;
+                }
+
+                setTimeout(function () {
+                    errback(e);
+                }, 0);
+
+                return;
+            }
+
+            setTimeout(function nextChunk() {
+                try {
+                    var isComplete = self._step(state, chunkSize);
+                    if (isComplete) {
+                        var derivedKey = self._finish(state);
+                    }
+                } catch (e) {
+                    if (!errback) {
+                        throw e;
+                    }
+
+                    return errback(e);
+                }
+
+                if (isComplete) {
+                    callback(derivedKey);
+                } else {
+                    setTimeout(nextChunk, 0);
+                }
+            }, 0);
+        },
+
+        /**
+         * Validates the parameters and expands the password into p blocks.
+         *
+         * @param {WordArray|string} password The password.
+         * @param {WordArray|string} salt A salt.
+         *
+         * @return {Object} The computation state.
+         */
+        _start: function (password, salt) {
+            // Shortcuts
+            var cfg = this.cfg;
+            var N = cfg.N;
+            var r = cfg.r;
+            var p = cfg.p;
+
+            // Validate parameters
+            if (N < 2 || N > 0x40000000 || (N & (N - 1))) {
+                throw new ParameterError('scrypt N must be a power of 2 greater than 1.');
+            }
+            if (r < 1 || p < 1 || r * p >= 0x40000000) {
+                throw new ParameterError('scrypt r and p must be positive, and r * p must be less than 2^30.');
+            }
+
+            // Expand password
+            var B = PBKDF2.create({ keySize: p * 32 * r, hasher: SHA256, iterations: 1 }).compute(password, salt);
+
+            return {
+                password: password,
+                B: swapEndian(B.words),
+                lane: 0,
+                index: 0,
+                block: [],
+                V: []
+            };
+        },
+
+        /**
+         * Runs up to a given number of BlockMix operations of the sequential memory-hard function.
+         *
+         * @param {Object} state The computation state.
+         * @param {number} nOperations The maximum number of BlockMix operations to run.
+         *
+         * @return {boolean} Whether the computation is complete.
+         */
+        _step: function (state, nOperations) {
+            // Shortcuts
+            var cfg = this.cfg;
+            var N = cfg.N;
+            var r = cfg.r;
+            var p = cfg.p;
+            var laneSize = 32 * r;
+            var B = state.B;
+            var V = state.V;
+            var block = state.block;
+
+            for (; nOperations > 0 && state.lane < p; nOperations--) {
+                var laneOffset = state.lane * laneSize;
+                var index = state.index;
+
+                if (index < N) {
+                    // Fill V with successive BlockMix outputs
+                    if (index == 0) {
+                        for (var i = 0; i < laneSize; i++) {
+                            block[i] = B[laneOffset + i];
+                        }
+                    }
+
+                    var vOffset = index * laneSize;
+                    for (var i = 0; i < laneSize; i++) {
+                        V[vOffset + i] = block[i];
+                    }
+                } else {
+                    // Mix in pseudorandomly chosen elements of V
+                    var vOffset = (block[(2 * r - 1) * 16] & (N - 1)) * laneSize;
+                    for (var i = 0; i < laneSize; i++) {
+                        block[i] ^= V[vOffset + i];
+                    }
+                }
+
+                blockMix(block, r);
+
+                // Move on to the next lane
+                if (++state.index == 2 * N) {
+                    for (var i = 0; i < laneSize; i++) {
+                        B[laneOffset + i] = block[i];
+                    }
+
+                    state.lane++;
+                    state.index = 0;
+                }
+            }
+
+            return state.lane == p;
+        },
+
+        /**
+         * Computes the fraction of the BlockMix operations that have run.
+         *
+         * @param {Object} state The computation state.
+         *
+         * @return {number} The fraction done.
+         */
+        _progress: function (state) {
+            // Shortcut
+            var cfg = this.cfg;
+            var nLaneOperations = 2 * cfg.N;
+
+            return (state.lane * nLaneOperations + state.index) / (cfg.p * nLaneOperations);
+        },
+
+        /**
+         * Compresses the mixed blocks into the derived key.
+         *
+         * @param {Object} state The computation state.
+         *
+         * @return {WordArray} The derived key.
+         */
+        _finish: function (state) {
+            // Shortcuts
+            var cfg = this.cfg;
+            var B = swapEndian(state.B);
+
+            // Release memory
+            state.V.length = 0;
+
+            return PBKDF2.create({ keySize: cfg.keySize, hasher: SHA256, iterations: 1 }).compute(state.password, WordArray.create(B));
+        }
+    });
+
+    function blockMix(B, r) {
+        // Shortcut
+        var nBlocks = 2 * r;
+
+        // Start from the last block
+        for (var i = 0; i < 16; i++) {
+            X[i] = B[(nBlocks - 1) * 16 + i];
+        }
+
+        for (var i = 0; i < nBlocks; i++) {
+            // X = Salsa20/8(X xor B[i])
+            var offset = i * 16;
+            for (var j = 0; j < 16; j++) {
+                X[j] ^= B[offset + j];
+            }
+            salsa20_8(X);
+
+            // Even blocks go to the first half of the output, and odd blocks to the second half
+            var outputOffset = ((i >>> 1) + (i % 2) * r) * 16;
+            for (var j = 0; j < 16; j++) {
+                T[outputOffset + j] = X[j];
+            }
+        }
+
+        for (var i = 0; i < nBlocks * 16; i++) {
+            B[i] = T[i];
+        }
+    }
+
+    function salsa20_8(B) {
+        // Working state
+        var x0  = B[0],  x1  = B[1],  x2  = B[2],  x3  = B[3],
+            x4  = B[4],  x5  = B[5],  x6  = B[6],  x7  = B[7],
+            x8  = B[8],  x9  = B[9],  x10 = B[10], x11 = B[11],
+            x12 = B[12], x13 = B[13], x14 = B[14], x15 = B[15];
+
+        for (var i = 0; i < 8; i += 2) {
+            var t;
+
+            // Column round
+            t = (x0 + x12) | 0;  x4  ^= (t << 7)  | (t >>> 25);
+            t = (x4 + x0) | 0;   x8  ^= (t << 9)  | (t >>> 23);
+            t = (x8 + x4) | 0;   x12 ^= (t << 13) | (t >>> 19);
+            t = (x12 + x8) | 0;  x0  ^= (t << 18) | (t >>> 14);
+            t = (x5 + x1) | 0;   x9  ^= (t << 7)  | (t >>> 25);
+            t = (x9 + x5) | 0;   x13 ^= (t << 9)  | (t >>> 23);
+            t = (x13 + x9) | 0;  x1  ^= (t << 13) | (t >>> 19);
+            t = (x1 + x13) | 0;  x5  ^= (t << 18) | (t >>> 14);
+            t = (x10 + x6) | 0;  x14 ^= (t << 7)  | (t >>> 25);
+            t = (x14 + x10) | 0; x2  ^= (t << 9)  | (t >>> 23);
+            t = (x2 + x14) | 0;  x6  ^= (t << 13) | (t >>> 19);
+            t = (x6 + x2) | 0;   x10 ^= (t << 18) | (t >>> 14);
+            t = (x15 + x11) | 0; x3  ^= (t << 7)  | (t >>> 25);
+            t = (x3 + x15) | 0;  x7  ^= (t << 9)  | (t >>> 23);
+            t = (x7 + x3) | 0;   x11 ^= (t << 13) | (t >>> 19);
+            t = (x11 + x7) | 0;  x15 ^= (t << 18) | (t >>> 14);
+
+            // Row round
+            t = (x0 + x3) | 0;   x1  ^= (t << 7)  | (t >>> 25);
+            t = (x1 + x0) | 0;   x2  ^= (t << 9)  | (t >>> 23);
+            t = (x2 + x1) | 0;   x3  ^= (t << 13) | (t >>> 19);
+            t = (x3 + x2) | 0;   x0  ^= (t << 18) | (t >>> 14);
+            t = (x5 + x4) | 0;   x6  ^= (t << 7)  | (t >>> 25);
+            t = (x6 + x5) | 0;   x7  ^= (t << 9)  | (t >>> 23);
+            t = (x7 + x6) | 0;   x4  ^= (t << 13) | (t >>> 19);
+            t = (x4 + x7) | 0;   x5  ^= (t << 18) | (t >>> 14);
+            t = (x10 + x9) | 0;  x11 ^= (t << 7)  | (t >>> 25);
+            t = (x11 + x10) | 0; x8  ^= (t << 9)  | (t >>> 23);
+            t = (x8 + x11) | 0;  x9  ^= (t << 13) | (t >>> 19);
+            t = (x9 + x8) | 0;   x10 ^= (t << 18) | (t >>> 14);
+            t = (x15 + x14) | 0; x12 ^= (t << 7)  | (t >>> 25);
+            t = (x12 + x15) | 0; x13 ^= (t << 9)  | (t >>> 23);
+            t = (x13 + x12) | 0; x14 ^= (t << 13) | (t >>> 19);
+            t = (x14 + x13) | 0; x15 ^= (t << 18) | (t >>> 14);
+        }
+
+        B[0]  = (B[0]  + x0)  | 0;
+        B[1]  = (B[1]  + x1)  | 0;
+        B[2]  = (B[2]  + x2)  | 0;
+        B[3]  = (B[3]  + x3)  | 0;
+        B[4]  = (B[4]  + x4)  | 0;
+        B[5]  = (B[5]  + x5)  | 0;
+        B[6]  = (B[6]  + x6)  | 0;
+        B[7]  = (B[7]  + x7)  | 0;
+        B[8]  = (B[8]  + x8)  | 0;
+        B[9]  = (B[9]  + x9)  | 0;
+        B[10] = (B[10] + x10) | 0;
+        B[11] = (B[11] + x11) | 0;
+        B[12] = (B[12] + x12) | 0;
+        B[13] = (B[13] + x13) | 0;
+        B[14] = (B[14] + x14) | 0;
+        B[15] = (B[15] + x15) | 0;
+    }
+
+    function swapEndian(words) {
+        var swapped = [];
+        for (var i = 0; i < words.length; i++) {
+            var word = words[i];
+            swapped[i] = (((word << 8)  | (word >>> 24)) & 0x00ff00ff) |
+                         (((word << 24) | (word >>> 8))  & 0xff00ff00);
+        }
+
+        return swapped;
+    }
+
+    /**
+     * Computes the scrypt key derivation function.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {WordArray|string} salt A salt.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The derived key.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var key = CryptoJS.Scrypt(password, salt);
+     *     var key = CryptoJS.Scrypt(password, salt, { keySize: 8 });
+     *     var key = CryptoJS.Scrypt(password, salt, { keySize: 8, N: 1024, r: 8, p: 16 });
+     */
+    C.Scrypt = function (password, salt, cfg) {
+        return Scrypt.create(cfg).compute(password, salt).toOutput(cfg && cfg.output);
+    };
+
+    /**
+     * Computes the scrypt key derivation function without blocking the event loop.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {WordArray|string} salt A salt.
+     * @param {Object} cfg The configuration options to use for this computation.
+     * @param {Function} callback (Optional) The function to call with the derived key.
+     * @param {Function} errback (Optional) The function to call with the error, if the computation fails.
+     *
+     * @return {Promise} A promise for the derived key, if no callback is given.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     CryptoJS.Scrypt.async(password, salt, { keySize: 8 }, function (key) {
+     *         // ...
+     *     }, function (error) {
+     *         // ...
+     *     });
+     *     CryptoJS.Scrypt.async(password, salt, { keySize: 8 }).then(function (key) {
+     *     });
+     */
+    C.Scrypt.async = function (password, salt, cfg, callback, errback) {
+        if (!callback) {
+            return C.async.Scrypt(password, salt, cfg);
+        }
+
+        Scrypt.create(cfg).computeAsync(password, salt, function (derivedKey) {
+            callback(derivedKey.toOutput(cfg && cfg.output));
+        }, errback);
+    };
+
+    /**
+     * Computes the scrypt key derivation function in time slices.
+     *
+     * @param {WordArray|string} password The password.
+     * @param {WordArray|string} salt A salt.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     * @param {Object} options (Optional) The asynchronous options.
+     *
+     * @return {Promise} A promise for the derived key. It rejects with a ParameterError if the parameters are invalid.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     CryptoJS.async.Scrypt(password, salt, { keySize: 8 }, { onProgress: onProgress, signal: signal }).then(function (key) {
+     *     });
+     */
+    C.async.Scrypt = function (password, salt, cfg, options) {
+        var kdf;
+        var state;
+
+        return C.async.run({
+            start: function () {
+                kdf = Scrypt.create(cfg);
+                state = kdf._start(password, salt);
+            },
+
+            step: function () {
+                return kdf._step(state, 1);
+            },
+
+            progress: function () {
+                return kdf._progress(state);
+            }
+        }, options).then(function () {
+            return kdf._finish(state).toOutput(cfg && cfg.output);
+        });
+    };
+}());
@@ -7,6 +7,8 @@
     var C_x64 = C.x64;
     var X64Word = C_x64.Word;
     var C_algo = C.algo;
+    var C_err = C.err;
+    var ParameterError = C_err.ParameterError;
 
     // Constants tables
     var RHO_OFFSETS = [];
@@ -70,6 +72,20 @@
         }
     }());
 
+    // Absorbing an all-zero block applies the bare permutation
+    var ZERO_BLOCK = [];
+    (function () {
+        for (var i = 0; i < 50; i++) {
+            ZERO_BLOCK[i] = 0;
+        }
+    }());
+
+    // Domain separation bits, including the first bit of padding
+    var PADDING_SUFFIXES = {
+        keccak: 0x01,
+        fips202: 0x06
+    };
+
     /**
      * SHA-3 hash algorithm.
      */
@@ -81,18 +97,34 @@
          *   The desired number of bits in the output hash.
          *   Only values permitted are: 224, 256, 384, 512.
          *   Default: 512
+         * @property {string} padding
+         *   'keccak' for the original Keccak padding, as used by Ethereum's keccak256,
+         *   or 'fips202' for the padding of the final SHA-3 standard.
+         *   Default: 'keccak'
          */
         cfg: Hasher.cfg.extend({
-            outputLength: 512
+            outputLength: 512,
+            padding: 'keccak'
         }),
 
         _doReset: function () {
+            // Shortcut
+            var padding = this.cfg.padding;
+
+            // Validate parameters
+            this._checkOutputLength(this.cfg.outputLength);
+            if (!PADDING_SUFFIXES.hasOwnProperty(padding)) {
+                throw new ParameterError('Unknown SHA-3 padding: ' + padding + '.');
+            }
+
             var state = this._state = []
             for (var i = 0; i < 25; i++) {
                 state[i] = new X64Word.init();
             }
 
             this.blockSize = (1600 - 2 * this.cfg.outputLength) / 32;
+            this._paddingSuffix = PADDING_SUFFIXES[padding];
+            this._squeezeOffset = -1;
         },
 
         _doProcessBlock: function (M, offset) {
@@ -210,53 +242,76 @@
         },
 
         _doFinalize: function () {
+            return this._squeeze(this.cfg.outputLength / 8);
+        },
+
+        /**
+         * Reads bytes from the sponge, padding and absorbing the final block first if that hasn't happened yet.
+         *
+         * @param {number} nBytes The number of bytes to read.
+         *
+         * @return {WordArray} The bytes.
+         */
+        _squeeze: function (nBytes) {
             // Shortcuts
-            var data = this._data;
-            var dataWords = data.words;
-            var nBitsTotal = this._nDataBytes * 8;
-            var nBitsLeft = data.sigBytes * 8;
-            var blockSizeBits = this.blockSize * 32;
+            var state = this._state;
+            var blockSizeBytes = this.blockSize * 4;
 
-            // Add padding
-            dataWords[nBitsLeft >>> 5] |= 0x1 << (24 - nBitsLeft % 32);
-            dataWords[((Math.ceil((nBitsLeft + 1) / blockSizeBits) * blockSizeBits) >>> 5) - 1] |= 0x80;
-            data.sigBytes = dataWords.length * 4;
+            // Add padding, and hash final blocks
+            if (this._squeezeOffset < 0) {
+                // Absorb whole blocks, leaving the final data in the data word array
+                this._process();
+                this._moveBufferToData();
 
-            // Hash final blocks
-            this._process();
+                // Shortcuts
+                var data = this._data;
+                var dataWords = data.words;
+                var nBitsLeft = data.sigBytes * 8;
+                var blockSizeBits = this.blockSize * 32;
 
-            // Shortcuts
-            var state = this._state;
-            var outputLengthBytes = this.cfg.outputLength / 8;
-            var outputLengthLanes = outputLengthBytes / 8;
+                dataWords[nBitsLeft >>> 5] |= this._paddingSuffix << (24 - nBitsLeft % 32);
+                dataWords[((Math.ceil((nBitsLeft + 1) / blockSizeBits) * blockSizeBits) >>> 5) - 1] |= 0x80;
+                data.sigBytes = dataWords.length * 4;
+
+                this._process();
+
+                this._squeezeOffset = 0;
+            }
 
             // Squeeze
-            var hashWords = [];
-            for (var i = 0; i < outputLengthLanes; i++) {
-                // Shortcuts
-                var lane = state[i];
-                var laneMsw = lane.high;
-                var laneLsw = lane.low;
+            var words = [];
+            for (var i = 0; i < nBytes; i++) {
+                // Permute once the rate part of the state has been read
+                if (this._squeezeOffset == blockSizeBytes) {
+                    this._doProcessBlock(ZERO_BLOCK, 0);
+                    this._squeezeOffset = 0;
+                }
 
-                // Swap endian
-                laneMsw = (
-                    (((laneMsw << 8)  | (laneMsw >>> 24)) & 0x00ff00ff) |
-                    (((laneMsw << 24) | (laneMsw >>> 8))  & 0xff00ff00)
-                );
-                laneLsw = (
-                    (((laneLsw << 8)  | (laneLsw >>> 24)) & 0x00ff00ff) |
-                    (((laneLsw << 24) | (laneLsw >>> 8))  & 0xff00ff00)
-                );
+                // Lanes are little-endian
+                var offset = this._squeezeOffset++;
+                var lane = state[offset >>> 3];
+                var laneWord = offset % 8 < 4 ? lane.low : lane.high;
+                var laneByte = (laneWord >>> ((offset % 4) * 8)) & 0xff;
 
-                // Squeeze state to retrieve hash
-                hashWords.push(laneLsw);
-                hashWords.push(laneMsw);
+                words[i >>> 2] |= laneByte << (24 - (i % 4) * 8);
             }
 
-            // Return final computed hash
-            return new WordArray.init(hashWords, outputLengthBytes);
+            return new WordArray.init(words, nBytes);
         },
 
+        /**
+         * Throws if this hasher can't produce the configured output length.
+         *
+         * @param {number} outputLength The output length in bits.
+         */
+        _checkOutputLength: function (outputLength) {
+            if (outputLength != 224 && outputLength != 256 && outputLength != 384 && outputLength != 512) {
+                throw new ParameterError('SHA-3 output length must be 224, 256, 384 or 512 bits.');
+            }
+        },
+
+        _stateConfig: Hasher._stateConfig.concat(['padding']),
+
         clone: function () {
             var clone = Hasher.clone.call(this);
 
@@ -269,6 +324,96 @@
         }
     });
 
+    /**
+     * Base of the SHAKE extendable-output functions, which can produce output of any length.
+     */
+    var SHAKE = SHA3.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} outputLength
+         *   The number of bits that finalize outputs. Any multiple of 8 is permitted.
+         */
+        cfg: SHA3.cfg.extend({
+            padding: 'fips202'
+        }),
+
+        _doReset: function () {
+            SHA3._doReset.call(this);
+
+            // The rate depends on the security strength rather than the output length
+            this.blockSize = (1600 - 2 * this._securityStrength) / 32;
+            this._paddingSuffix = 0x1f;
+        },
+
+        _checkOutputLength: function (outputLength) {
+            if (outputLength <= 0 || outputLength % 8) {
+                throw new ParameterError('SHAKE output length must be a positive multiple of 8 bits.');
+            }
+        },
+
+        _append: function (data) {
+            if (this._squeezeOffset >= 0) {
+                throw new C_err.StateError('SHAKE cannot absorb more data once squeezing has started.');
+            }
+
+            SHA3._append.call(this, data);
+        },
+
+        /**
+         * Reads the next bytes of output. Successive calls continue the same output stream,
+         * and no more data can be added until this function is reset.
+         *
+         * @param {number} nBytes The number of bytes to read.
+         *
+         * @return {WordArray} The output bytes.
+         *
+         * @example
+         *
+         *     var first32Bytes = shake.squeeze(32);
+         *     var next64Bytes = shake.squeeze(64);
+         */
+        squeeze: function (nBytes) {
+            return this._squeeze(nBytes);
+        }
+    });
+
+    /**
+     * SHAKE128 extendable-output function.
+     */
+    var SHAKE128 = C_algo.SHAKE128 = SHAKE.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} outputLength
+         *   The number of bits that finalize outputs. Any multiple of 8 is permitted.
+         *   Default: 256
+         */
+        cfg: SHAKE.cfg.extend({
+            outputLength: 256
+        }),
+
+        _securityStrength: 128
+    });
+
+    /**
+     * SHAKE256 extendable-output function.
+     */
+    var SHAKE256 = C_algo.SHAKE256 = SHAKE.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} outputLength
+         *   The number of bits that finalize outputs. Any multiple of 8 is permitted.
+         *   Default: 512
+         */
+        cfg: SHAKE.cfg.extend({
+            outputLength: 512
+        }),
+
+        _securityStrength: 256
+    });
+
     /**
      * Shortcut function to the hasher's object interface.
      *
@@ -300,4 +445,22 @@
      *     var hmac = CryptoJS.HmacSHA3(message, key);
      */
     C.HmacSHA3 = Hasher._createHmacHelper(SHA3);
+
+    /**
+     * Shortcut functions to the extendable-output functions' object interfaces.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {Object} cfg (Optional) The configuration options to use for this computation.
+     *
+     * @return {WordArray} The output.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var output = CryptoJS.SHAKE128('message');
+     *     var output = CryptoJS.SHAKE256(wordArray, { outputLength: 1024 });
+     */
+    C.SHAKE128 = Hasher._createHelper(SHAKE128);
+    C.SHAKE256 = Hasher._createHelper(SHAKE256);
 }(Math));
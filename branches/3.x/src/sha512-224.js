@@ -0,0 +1,63 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_x64 = C.x64;
+    var X64Word = C_x64.Word;
+    var X64WordArray = C_x64.WordArray;
+    var C_algo = C.algo;
+    var SHA512 = C_algo.SHA512;
+
+    /**
+     * SHA-512/224 hash algorithm.
+     */
+    var SHA512_224 = C_algo.SHA512_224 = SHA512.extend({
+        _doReset: function () {
+            this._hash = new X64WordArray.init([
+                new X64Word.init(0x8c3d37c8, 0x19544da2), new X64Word.init(0x73e19966, 0x89dcd4d6),
+                new X64Word.init(0x1dfab7ae, 0x32ff9c82), new X64Word.init(0x679dd514, 0x582f9fcf),
+                new X64Word.init(0x0f6d2b69, 0x7bd44da8), new X64Word.init(0x77e36f73, 0x04c48942),
+                new X64Word.init(0x3f9d85a8, 0x6a1d36c8), new X64Word.init(0x1112e6ad, 0x91d692a1)
+            ]);
+        },
+
+        _doFinalize: function () {
+            var hash = SHA512._doFinalize.call(this);
+
+            hash.sigBytes -= 36;
+
+            return hash;
+        }
+    });
+
+    /**
+     * Shortcut function to the hasher's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     *
+     * @return {WordArray} The hash.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hash = CryptoJS.SHA512_224('message');
+     *     var hash = CryptoJS.SHA512_224(wordArray);
+     */
+    C.SHA512_224 = SHA512._createHelper(SHA512_224);
+
+    /**
+     * Shortcut function to the HMAC's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {WordArray|string} key The secret key.
+     *
+     * @return {WordArray} The HMAC.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hmac = CryptoJS.HmacSHA512_224(message, key);
+     */
+    C.HmacSHA512_224 = SHA512._createHmacHelper(SHA512_224);
+}());
@@ -0,0 +1,63 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_x64 = C.x64;
+    var X64Word = C_x64.Word;
+    var X64WordArray = C_x64.WordArray;
+    var C_algo = C.algo;
+    var SHA512 = C_algo.SHA512;
+
+    /**
+     * SHA-512/256 hash algorithm.
+     */
+    var SHA512_256 = C_algo.SHA512_256 = SHA512.extend({
+        _doReset: function () {
+            this._hash = new X64WordArray.init([
+                new X64Word.init(0x22312194, 0xfc2bf72c), new X64Word.init(0x9f555fa3, 0xc84c64c2),
+                new X64Word.init(0x2393b86b, 0x6f53b151), new X64Word.init(0x96387719, 0x5940eabd),
+                new X64Word.init(0x96283ee2, 0xa88effe3), new X64Word.init(0xbe5e1e25, 0x53863992),
+                new X64Word.init(0x2b0199fc, 0x2c85b8aa), new X64Word.init(0x0eb72ddc, 0x81c52ca2)
+            ]);
+        },
+
+        _doFinalize: function () {
+            var hash = SHA512._doFinalize.call(this);
+
+            hash.sigBytes -= 32;
+
+            return hash;
+        }
+    });
+
+    /**
+     * Shortcut function to the hasher's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     *
+     * @return {WordArray} The hash.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hash = CryptoJS.SHA512_256('message');
+     *     var hash = CryptoJS.SHA512_256(wordArray);
+     */
+    C.SHA512_256 = SHA512._createHelper(SHA512_256);
+
+    /**
+     * Shortcut function to the HMAC's object interface.
+     *
+     * @param {WordArray|string} message The message to hash.
+     * @param {WordArray|string} key The secret key.
+     *
+     * @return {WordArray} The HMAC.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var hmac = CryptoJS.HmacSHA512_256(message, key);
+     */
+    C.HmacSHA512_256 = SHA512._createHmacHelper(SHA512_256);
+}());
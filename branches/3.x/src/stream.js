@@ -0,0 +1,164 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+
+    /**
+     * Stream namespace.
+     *
+     * The adapters return a Node.js stream.Transform in Node.js, or a WHATWG TransformStream elsewhere.
+     * Chunks written to them may be strings, typed arrays or Buffers, and the chunks read from them are Uint8Arrays.
+     */
+    var C_stream = C.stream = {
+        /**
+         * Creates a stream that hashes the data written to it, then emits the hash as a single chunk.
+         *
+         * @param {Hasher} hasher The hasher algorithm to use.
+         * @param {Object} cfg (Optional) The configuration options to use for this hash computation.
+         *
+         * @return {Transform|TransformStream} The stream.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     fs.createReadStream('file').pipe(CryptoJS.stream.hash(CryptoJS.algo.SHA256)).pipe(output);
+         *     var hashStream = response.body.pipeThrough(CryptoJS.stream.hash(CryptoJS.algo.SHA256));
+         */
+        hash: function (hasher, cfg) {
+            var hasherInstance = hasher.create(cfg);
+
+            return createTransform({
+                transform: function (chunk) {
+                    hasherInstance.update(chunk);
+                },
+
+                flush: function () {
+                    return hasherInstance.finalize();
+                }
+            });
+        },
+
+        /**
+         * Creates a stream that encrypts the data written to it.
+         * Once the stream has ended, an authenticated mode's tag is available as the stream's tag property.
+         *
+         * @param {Cipher} cipher The cipher algorithm to use.
+         * @param {WordArray} key The key.
+         * @param {Object} cfg (Optional) The configuration options to use for this operation.
+         *
+         * @return {Transform|TransformStream} The stream.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     fs.createReadStream('file').pipe(CryptoJS.stream.encrypt(CryptoJS.algo.AES, key, { iv: iv })).pipe(output);
+         */
+        encrypt: function (cipher, key, cfg) {
+            return createCipherTransform(cipher.createEncryptor(key, cfg));
+        },
+
+        /**
+         * Creates a stream that decrypts the data written to it.
+         * Block ciphers hold back the last block until the stream ends, so that its padding can be removed.
+         *
+         * @param {Cipher} cipher The cipher algorithm to use.
+         * @param {WordArray} key The key.
+         * @param {Object} cfg (Optional) The configuration options to use for this operation.
+         *
+         * @return {Transform|TransformStream} The stream.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     fs.createReadStream('file').pipe(CryptoJS.stream.decrypt(CryptoJS.algo.AES, key, { iv: iv })).pipe(output);
+         */
+        decrypt: function (cipher, key, cfg) {
+            return createCipherTransform(cipher.createDecryptor(key, cfg));
+        }
+    };
+
+    /**
+     * Node.js's Transform stream, if available.
+     */
+    var NodeTransform = (function () {
+        if (typeof require == 'function' && typeof process != 'undefined' && process.versions && process.versions.node) {
+            try {
+                return require('stream').Transform;
+            } catch (e) {
+            }
+        }
+    }());
+
+    function createCipherTransform(cipher) {
+        var stream = createTransform({
+            transform: function (chunk) {
+                return cipher.process(chunk);
+            },
+
+            flush: function () {
+                var finalProcessedData = cipher.finalize();
+                stream.tag = cipher.tag;
+
+                return finalProcessedData;
+            }
+        });
+
+        return stream;
+    }
+
+    /**
+     * Wraps a transformer, whose methods return word arrays, in a platform stream that emits the words as Uint8Arrays.
+     * Empty results are skipped, such as while a block cipher holds back its last block.
+     */
+    function createTransform(transformer) {
+        if (NodeTransform) {
+            return new NodeTransform({
+                transform: function (chunk, encoding, callback) {
+                    try {
+                        push(this, transformer.transform(chunk));
+                    } catch (e) {
+                        return callback(e);
+                    }
+                    callback();
+                },
+
+                flush: function (callback) {
+                    try {
+                        push(this, transformer.flush());
+                    } catch (e) {
+                        return callback(e);
+                    }
+                    callback();
+                }
+            });
+        }
+
+        if (typeof TransformStream != 'undefined') {
+            return new TransformStream({
+                transform: function (chunk, controller) {
+                    enqueue(controller, transformer.transform(chunk));
+                },
+
+                flush: function (controller) {
+                    enqueue(controller, transformer.flush());
+                }
+            });
+        }
+
+        throw new C.err.UnsupportedError('Streams are not supported on this platform.');
+    }
+
+    function push(nodeStream, wordArray) {
+        if (wordArray && wordArray.sigBytes) {
+            nodeStream.push(wordArray.toUint8Array());
+        }
+    }
+
+    function enqueue(controller, wordArray) {
+        if (wordArray && wordArray.sigBytes) {
+            controller.enqueue(wordArray.toUint8Array());
+        }
+    }
+}());
@@ -5,6 +5,7 @@
     var WordArray = C_lib.WordArray;
     var BlockCipher = C_lib.BlockCipher;
     var C_algo = C.algo;
+    var C_err = C.err;
 
     // Permuted Choice 1 constants
     var PC1 = [
@@ -579,6 +580,11 @@
             var key = this._key;
             var keyWords = key.words;
 
+            // Validate key size. Longer keys are accepted, and only their first 64 bits are used
+            if (key.sigBytes < 64/8) {
+                throw new C_err.KeySizeError('DES requires a key of at least 64 bits.');
+            }
+
             // Select 56 bits according to PC1
             var keyBits = [];
             for (var i = 0; i < 56; i++) {
@@ -678,7 +684,9 @@
 
         ivSize: 64/32,
 
-        blockSize: 64/32
+        blockSize: 64/32,
+
+        _stateExcludes: BlockCipher._stateExcludes.concat(['_subKeys', '_invSubKeys', '_lBlock', '_rBlock'])
     });
 
     // Swap bits across the left and right words
@@ -713,10 +721,20 @@
             var key = this._key;
             var keyWords = key.words;
 
+            // Determine keying option. A 128-bit key K1 || K2 is used as K1, K2, K1.
+            // Longer keys are accepted, and only their first 192 bits are used
+            if (key.sigBytes == 128/8) {
+                var k3Words = keyWords.slice(0, 2);
+            } else if (key.sigBytes >= 192/8) {
+                var k3Words = keyWords.slice(4, 6);
+            } else {
+                throw new C_err.KeySizeError('TripleDES requires a key of 128 bits or at least 192 bits.');
+            }
+
             // Create DES instances
             this._des1 = DES.createEncryptor(WordArray.create(keyWords.slice(0, 2)));
             this._des2 = DES.createEncryptor(WordArray.create(keyWords.slice(2, 4)));
-            this._des3 = DES.createEncryptor(WordArray.create(keyWords.slice(4, 6)));
+            this._des3 = DES.createEncryptor(WordArray.create(k3Words));
         },
 
         encryptBlock: function (M, offset) {
@@ -735,7 +753,9 @@
 
         ivSize: 64/32,
 
-        blockSize: 64/32
+        blockSize: 64/32,
+
+        _stateExcludes: BlockCipher._stateExcludes.concat(['_des1', '_des2', '_des3'])
     });
 
     /**
@@ -747,4 +767,20 @@
      *     var plaintext  = CryptoJS.TripleDES.decrypt(ciphertext, key, cfg);
      */
     C.TripleDES = BlockCipher._createHelper(TripleDES);
+
+    /**
+     * Shortcut function to the CMAC's object interface.
+     *
+     * @param {WordArray|string} message The message to authenticate.
+     * @param {WordArray} key The secret key.
+     *
+     * @return {WordArray} The CMAC.
+     *
+     * @static
+     *
+     * @example
+     *
+     *     var cmac = CryptoJS.CmacTripleDES(message, key);
+     */
+    C.CmacTripleDES = BlockCipher._createCmacHelper(TripleDES);
 }());
@@ -0,0 +1,340 @@
+(function () {
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var WordArray = C_lib.WordArray;
+    var C_algo = C.algo;
+
+    // Find the platform's WebCrypto
+    var subtle;
+    if (typeof crypto != 'undefined' && crypto.subtle) {
+        subtle = crypto.subtle;
+    } else if (typeof require == 'function') {
+        try {
+            subtle = require('crypto').webcrypto.subtle;
+        } catch (e) {
+        }
+    }
+
+    // WebCrypto names of the hashers it implements
+    var HASH_NAMES = {
+        SHA1: 'SHA-1',
+        SHA256: 'SHA-256',
+        SHA384: 'SHA-384',
+        SHA512: 'SHA-512'
+    };
+
+    /**
+     * WebCrypto namespace.
+     *
+     * These functions return promises for the same results as their synchronous counterparts,
+     * computed by the platform's WebCrypto when it supports the algorithm and parameters.
+     * Otherwise, or if WebCrypto fails, they use the JavaScript implementations instead.
+     * WebCrypto implements SHA-1, SHA-256, SHA-384 and SHA-512, with HMAC and PBKDF2, and AES in CBC mode with Pkcs7 padding, or CTR mode.
+     */
+    var C_webCrypto = C.webCrypto = {
+        /**
+         * Tests whether WebCrypto is available on this platform.
+         *
+         * @return {boolean} True if operations can be delegated to WebCrypto.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     if (CryptoJS.webCrypto.isSupported()) {
+         *     }
+         */
+        isSupported: function () {
+            return !!subtle;
+        },
+
+        /**
+         * Hashes a message.
+         *
+         * @param {Hasher} hasher The hasher algorithm to use.
+         * @param {WordArray|string} message The message to hash.
+         *
+         * @return {Promise} A promise for the hash.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     CryptoJS.webCrypto.hash(CryptoJS.algo.SHA256, message).then(function (hash) {
+         *     });
+         */
+        hash: function (hasher, message) {
+            // Shortcut
+            var hashName = findHashName(hasher);
+
+            message = WordArray.from(message);
+
+            return delegate(hashName && function () {
+                return subtle.digest(hashName, message.toUint8Array()).then(createWordArray);
+            }, function () {
+                return C.async.hash(hasher, message);
+            });
+        },
+
+        /**
+         * Computes the HMAC of a message.
+         *
+         * @param {Hasher} hasher The hasher algorithm to use.
+         * @param {WordArray|string} message The message to authenticate.
+         * @param {WordArray|string} key The secret key.
+         *
+         * @return {Promise} A promise for the HMAC.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     CryptoJS.webCrypto.hmac(CryptoJS.algo.SHA256, message, key).then(function (hmac) {
+         *     });
+         */
+        hmac: function (hasher, message, key) {
+            // Shortcut
+            var hashName = findHashName(hasher);
+
+            message = WordArray.from(message);
+            key = WordArray.from(key);
+
+            return delegate(hashName && function () {
+                return subtle.importKey('raw', key.toUint8Array(), { name: 'HMAC', hash: hashName }, false, ['sign']).then(function (cryptoKey) {
+                    return subtle.sign('HMAC', cryptoKey, message.toUint8Array());
+                }).then(createWordArray);
+            }, function () {
+                return C_algo.HMAC.create(hasher, key).finalize(message);
+            });
+        },
+
+        /**
+         * Computes the Password-Based Key Derivation Function 2.
+         *
+         * @param {WordArray|string} password The password.
+         * @param {WordArray|string} salt A salt.
+         * @param {Object} cfg (Optional) The configuration options to use for this computation.
+         *
+         * @return {Promise} A promise for the derived key.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     CryptoJS.webCrypto.PBKDF2(password, salt, { keySize: 8, iterations: 100000, hasher: CryptoJS.algo.SHA256 }).then(function (key) {
+         *     });
+         */
+        PBKDF2: function (password, salt, cfg) {
+            // Shortcut
+            var kdfCfg = C_algo.PBKDF2.cfg.extend(cfg);
+            var hashName = findHashName(kdfCfg.hasher);
+
+            return delegate(hashName && kdfCfg.iterations >= 1 && function () {
+                return subtle.importKey('raw', WordArray.from(password).toUint8Array(), 'PBKDF2', false, ['deriveBits']).then(function (cryptoKey) {
+                    return subtle.deriveBits(
+                        { name: 'PBKDF2', salt: WordArray.from(salt).toUint8Array(), iterations: kdfCfg.iterations, hash: hashName },
+                        cryptoKey,
+                        kdfCfg.keySize * 32
+                    );
+                }).then(createWordArray);
+            }, function () {
+                return C.async.PBKDF2(password, salt, cfg);
+            });
+        },
+
+        /**
+         * Encrypts a message, like a cipher helper's encrypt function.
+         *
+         * @param {Cipher} cipher The cipher algorithm to use.
+         * @param {WordArray|string} message The message to encrypt.
+         * @param {WordArray|string} key The key, or a password to derive the key and IV from.
+         * @param {Object} cfg (Optional) The configuration options to use for this operation.
+         *
+         * @return {Promise} A promise for a cipher params object.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     CryptoJS.webCrypto.encrypt(CryptoJS.algo.AES, message, key, { iv: iv }).then(function (ciphertextParams) {
+         *     });
+         *     CryptoJS.webCrypto.encrypt(CryptoJS.algo.AES, message, 'password').then(function (ciphertextParams) {
+         *         var openSSLString = ciphertextParams.toString();
+         *     });
+         */
+        encrypt: function (cipher, message, key, cfg) {
+            // Shortcuts
+            var strategy = selectCipherStrategy(key);
+            var serializableCfg = strategy.cfg.extend(cfg);
+
+            // Derive key and IV the way PasswordBasedCipher does
+            if (typeof key == 'string') {
+                var derivedParams = serializableCfg.kdf.execute(key, cipher.keySize, cipher.ivSize);
+                serializableCfg.iv = derivedParams.iv;
+                var cipherKey = derivedParams.key;
+            } else {
+                var cipherKey = key;
+            }
+
+            // Shortcuts
+            var cipherCfg = cipher.cfg.extend(serializableCfg);
+            var algorithm = findAesAlgorithm(cipher, cipherKey, cipherCfg);
+
+            return delegate(algorithm && function () {
+                // WebCrypto pads only in CBC mode
+                var data = WordArray.from(message).clone();
+                if (algorithm.name == 'AES-CTR') {
+                    cipherCfg.padding.pad(data, cipher.blockSize);
+                }
+
+                return importAesKey(cipherKey, algorithm, 'encrypt').then(function (cryptoKey) {
+                    return subtle.encrypt(algorithm, cryptoKey, data.toUint8Array());
+                }).then(function (ciphertext) {
+                    var cipherParams = C_lib.CipherParams.create({
+                        ciphertext: WordArray.create(ciphertext),
+                        key: cipherKey,
+                        iv: cipherCfg.iv,
+                        algorithm: cipher,
+                        mode: cipherCfg.mode,
+                        padding: cipherCfg.padding,
+                        blockSize: cipher.blockSize,
+                        formatter: serializableCfg.format
+                    });
+
+                    if (derivedParams) {
+                        cipherParams.mixIn(derivedParams);
+                    }
+
+                    return cipherParams;
+                });
+            }, function () {
+                return strategy.encrypt(cipher, message, key, cfg);
+            });
+        },
+
+        /**
+         * Decrypts a ciphertext, like a cipher helper's decrypt function.
+         *
+         * @param {Cipher} cipher The cipher algorithm to use.
+         * @param {CipherParams|string} ciphertext The ciphertext to decrypt.
+         * @param {WordArray|string} key The key, or a password to derive the key and IV from.
+         * @param {Object} cfg (Optional) The configuration options to use for this operation.
+         *
+         * @return {Promise} A promise for the plaintext.
+         *
+         * @static
+         *
+         * @example
+         *
+         *     CryptoJS.webCrypto.decrypt(CryptoJS.algo.AES, ciphertext, key, { iv: iv }).then(function (plaintext) {
+         *     });
+         */
+        decrypt: function (cipher, ciphertext, key, cfg) {
+            // Shortcuts
+            var strategy = selectCipherStrategy(key);
+            var serializableCfg = strategy.cfg.extend(cfg);
+            var cipherParams = strategy._parse(ciphertext, serializableCfg.format);
+
+            // Derive key and IV the way PasswordBasedCipher does
+            if (typeof key == 'string') {
+                var derivedParams = serializableCfg.kdf.execute(key, cipher.keySize, cipher.ivSize, cipherParams.salt);
+                serializableCfg.iv = derivedParams.iv;
+                var cipherKey = derivedParams.key;
+            } else {
+                var cipherKey = key;
+            }
+
+            // Shortcuts
+            var cipherCfg = cipher.cfg.extend(serializableCfg);
+            var algorithm = findAesAlgorithm(cipher, cipherKey, cipherCfg);
+
+            return delegate(algorithm && function () {
+                return importAesKey(cipherKey, algorithm, 'decrypt').then(function (cryptoKey) {
+                    return subtle.decrypt(algorithm, cryptoKey, cipherParams.ciphertext.toUint8Array());
+                }).then(function (plaintext) {
+                    plaintext = WordArray.create(plaintext);
+
+                    // WebCrypto unpads only in CBC mode
+                    if (algorithm.name == 'AES-CTR') {
+                        cipherCfg.padding.unpad(plaintext, cipher.blockSize);
+                    }
+
+                    return plaintext;
+                });
+            }, function () {
+                // Bad padding rejects in WebCrypto, so the JavaScript implementation decides what to return
+                return strategy.decrypt(cipher, ciphertext, key, cfg);
+            });
+        }
+    };
+
+    /**
+     * Runs an operation through WebCrypto when it's available and the operation is given,
+     * or else, or if WebCrypto fails, through the fallback.
+     */
+    function delegate(webCryptoOperation, fallback) {
+        if (typeof Promise == 'undefined') {
+            throw new C.err.UnsupportedError('Promises are not supported on this platform.');
+        }
+
+        var promise = Promise.resolve();
+
+        if (subtle && webCryptoOperation) {
+            return promise.then(webCryptoOperation).then(null, fallback);
+        }
+
+        return promise.then(fallback);
+    }
+
+    function createWordArray(arrayBuffer) {
+        return WordArray.create(arrayBuffer);
+    }
+
+    function findHashName(hasher) {
+        for (var name in HASH_NAMES) {
+            if (HASH_NAMES.hasOwnProperty(name) && C_algo[name] && C_algo[name] === hasher) {
+                return HASH_NAMES[name];
+            }
+        }
+    }
+
+    /**
+     * Finds the WebCrypto algorithm parameters for a cipher configuration, if WebCrypto supports it.
+     */
+    function findAesAlgorithm(cipher, key, cfg) {
+        // Shortcuts
+        var C_mode = C.mode;
+        var iv = cfg.iv && WordArray.from(cfg.iv);
+
+        if (cipher !== C_algo.AES || !iv || iv.sigBytes != 16) {
+            return;
+        }
+
+        key = WordArray.from(key);
+        if (key.sigBytes != 16 && key.sigBytes != 24 && key.sigBytes != 32) {
+            return;
+        }
+
+        if (cfg.mode === C_mode.CBC && cfg.padding === C.pad.Pkcs7) {
+            return { name: 'AES-CBC', iv: iv.toUint8Array() };
+        }
+
+        // CryptoJS's counter is the last 32-bit word of the block
+        if (C_mode.CTR && cfg.mode === C_mode.CTR) {
+            return { name: 'AES-CTR', counter: iv.toUint8Array(), length: 32 };
+        }
+    }
+
+    function importAesKey(key, algorithm, usage) {
+        return subtle.importKey('raw', WordArray.from(key).toUint8Array(), algorithm.name, false, [usage]);
+    }
+
+    function selectCipherStrategy(key) {
+        if (typeof key == 'string') {
+            return C_lib.PasswordBasedCipher;
+        } else {
+            return C_lib.SerializableCipher;
+        }
+    }
+}());
@@ -0,0 +1,243 @@
+YUI.add('algo-aes-siv-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'AESSIV',
+
+        _should: {
+            error: {
+                testDecryptBadCiphertext: C.err.AuthenticationError,
+                testDecryptBadHeader: C.err.AuthenticationError,
+                testDecryptShort: C.err.DecryptionError,
+                testInvalidKeySize: C.err.KeySizeError,
+                testDeterministicHelperWithPassphrase: C.err.ParameterError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('7f7e7d7c7b7a79787776757473727170404142434445464748494a4b4c4d4e4f');
+            this.data.message = C.enc.Utf8.parse('this is some plaintext to encrypt using SIV-AES');
+            this.data.cfg = {
+                aad: [
+                    C.enc.Hex.parse('00112233445566778899aabbccddeeffdeaddadadeaddadaffeeddccbbaa99887766554433221100'),
+                    C.enc.Hex.parse('102030405060708090a0')
+                ],
+                iv: C.enc.Hex.parse('09f911029d74e35bd84156c5635688c0')
+            };
+        },
+
+        testVectorDeterministic: function () {
+            var encrypted = C.AESSIV.encrypt(C.enc.Hex.parse('112233445566778899aabbccddee'), C.enc.Hex.parse('fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff'), { aad: C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f2021222324252627') });
+
+            Y.Assert.areEqual('85632d07c6e8f37f950acd320a2ecc9340c02b9690c4dc04daef7f6afe5c', encrypted.ciphertext.toString());
+        },
+
+        testVectorNonce: function () {
+            var encrypted = C.AESSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual('7bdb6e3b432667eb06f4d14bff2fbd0fcb900f2fddbe4043266019' + '65c889bf17dba77ceb094fa663b7a3f748ba8af829ea64ad544a272e9c485b62a3fd5c0d', encrypted.ciphertext.toString());
+        },
+
+        testDeterministic: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+
+            Y.Assert.areEqual(C.AESSIV.encrypt('Hi There', key).toString(), C.AESSIV.encrypt('Hi There', key).toString());
+            Y.Assert.areNotEqual(C.AESSIV.encrypt('Hi There', key).toString(), C.AESSIV.encrypt('Hi There', key, { aad: 'header' }).toString());
+        },
+
+        testKeySizes: function () {
+            var key384 = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011121314151617' + '18191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f');
+            var key512 = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f' + '202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f');
+
+            Y.Assert.areEqual('Hi There', C.AESSIV.decrypt(C.AESSIV.encrypt('Hi There', key384), key384).toString(C.enc.Utf8));
+            Y.Assert.areEqual('Hi There', C.AESSIV.decrypt(C.AESSIV.encrypt('Hi There', key512), key512).toString(C.enc.Utf8));
+        },
+
+        testDecrypt: function () {
+            var encrypted = C.AESSIV.encrypt(this.data.message, this.data.key, this.data.cfg).toString();
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AESSIV.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptBadCiphertext: function () {
+            var encrypted = C.AESSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+            encrypted.ciphertext.words[5] ^= 1;
+
+            C.AESSIV.decrypt(encrypted, this.data.key, this.data.cfg);
+        },
+
+        testDecryptBadHeader: function () {
+            var encrypted = C.AESSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.AESSIV.decrypt(encrypted, this.data.key, { aad: this.data.cfg.aad.slice(0, 1), iv: this.data.cfg.iv });
+        },
+
+        testDecryptShort: function () {
+            C.AESSIV.decrypt(C.lib.CipherParams.create({ ciphertext: C.enc.Hex.parse('00112233') }), this.data.key);
+        },
+
+        testInvalidKeySize: function () {
+            C.AESSIV.encrypt('Hi There', C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f'));
+        },
+
+        testProgressive: function () {
+            var expected = C.AESSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            var siv = C.algo.AESSIV.createEncryptor(this.data.key, this.data.cfg);
+            var ciphertext = C.lib.WordArray.create();
+            ciphertext.concat(siv.process('this is some plain'));
+            ciphertext.concat(siv.process('text to encrypt '));
+            ciphertext.concat(siv.finalize('using SIV-AES'));
+
+            Y.Assert.areEqual(expected.ciphertext.toString(), ciphertext.toString());
+        },
+
+        testDeterministicHelper: function () {
+            var cfg = { aad: this.data.cfg.aad };
+            var ciphertext = C.AESSIV.encryptDeterministic(this.data.message, this.data.key, cfg);
+
+            Y.Assert.areEqual(C.AESSIV.encrypt(this.data.message, this.data.key, cfg).ciphertext.toString(), ciphertext.toString());
+            Y.Assert.areEqual(ciphertext.toString(), C.AESSIV.encryptDeterministic(this.data.message, this.data.key, cfg).toString());
+            Y.Assert.areEqual(this.data.message.toString(), C.AESSIV.decryptDeterministic(ciphertext, this.data.key, cfg).toString());
+        },
+
+        testDeterministicHelperWithPassphrase: function () {
+            C.AESSIV.encryptDeterministic(this.data.message, 'passphrase');
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'AESGCMSIV',
+
+        _should: {
+            error: {
+                testDecryptBadTag: C.err.AuthenticationError,
+                testDecryptBadAad: C.err.AuthenticationError,
+                testDecryptMissingTag: C.err.ParameterError,
+                testInvalidNonceSize: C.err.IvSizeError,
+                testInvalidKeySize: C.err.KeySizeError,
+                testDeterministicHelperWithNonce: C.err.ParameterError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('01000000000000000000000000000000');
+            this.data.iv = C.enc.Hex.parse('030000000000000000000000');
+            this.data.message = C.enc.Hex.parse('0100000000000000000000000000000002000000000000000000000000000000');
+            this.data.cfg = { iv: this.data.iv, aad: C.enc.Hex.parse('01') };
+        },
+
+        testVectorEmpty: function () {
+            var encrypted = C.AESGCMSIV.encrypt(C.lib.WordArray.create(), this.data.key, { iv: this.data.iv });
+
+            Y.Assert.areEqual('', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('dc20e2d83f25705bb49e439eca56de25', encrypted.tag.toString());
+        },
+
+        testVector8Bytes: function () {
+            var encrypted = C.AESGCMSIV.encrypt(C.enc.Hex.parse('0100000000000000'), this.data.key, { iv: this.data.iv });
+
+            Y.Assert.areEqual('b5d839330ac7b786', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('578782fff6013b815b287c22493a364c', encrypted.tag.toString());
+        },
+
+        testVector32Bytes: function () {
+            var encrypted = C.AESGCMSIV.encrypt(this.data.message, this.data.key, { iv: this.data.iv });
+
+            Y.Assert.areEqual('84e07e62ba83a6585417245d7ec413a9fe427d6315c09b57ce45f2e3936a9445', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('1a8e45dcd4578c667cd86847bf6155ff', encrypted.tag.toString());
+        },
+
+        testVectorAad: function () {
+            var encrypted = C.AESGCMSIV.encrypt(C.enc.Hex.parse('0200000000000000'), this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual('1e6daba35669f427', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('3b0a1a2560969cdf790d99759abd1508', encrypted.tag.toString());
+        },
+
+        testVectorKeySize256: function () {
+            var encrypted = C.AESGCMSIV.encrypt(C.enc.Hex.parse('0100000000000000'), C.enc.Hex.parse('0100000000000000000000000000000000000000000000000000000000000000'), { iv: this.data.iv });
+
+            Y.Assert.areEqual('c2ef328e5c71c83b', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('843122130f7364b761e0b97427e3df28', encrypted.tag.toString());
+        },
+
+        testKeySize192: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011121314151617');
+            var encrypted = C.AESGCMSIV.encrypt(this.data.message, key, this.data.cfg);
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AESGCMSIV.decrypt(encrypted, key, this.data.cfg).toString());
+        },
+
+        testToString: function () {
+            var encrypted = C.AESGCMSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(encrypted.ciphertext.clone().concat(encrypted.tag).toString(C.enc.Base64), encrypted.toString());
+        },
+
+        testDecryptString: function () {
+            var encrypted = C.AESGCMSIV.encrypt(this.data.message, this.data.key, this.data.cfg).toString();
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AESGCMSIV.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptBadTag: function () {
+            var encrypted = C.AESGCMSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+            encrypted.tag.words[0] ^= 1;
+
+            C.AESGCMSIV.decrypt(encrypted, this.data.key, this.data.cfg);
+        },
+
+        testDecryptBadAad: function () {
+            var encrypted = C.AESGCMSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.AESGCMSIV.decrypt(encrypted, this.data.key, { iv: this.data.iv, aad: 'wrong' });
+        },
+
+        testDecryptMissingTag: function () {
+            var encrypted = C.AESGCMSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.algo.AESGCMSIV.createDecryptor(this.data.key, this.data.cfg).finalize(encrypted.ciphertext);
+        },
+
+        testInvalidNonceSize: function () {
+            C.AESGCMSIV.encrypt(this.data.message, this.data.key, { iv: C.enc.Hex.parse('03000000000000000000000000000000') });
+        },
+
+        testInvalidKeySize: function () {
+            C.AESGCMSIV.encrypt(this.data.message, C.enc.Hex.parse('0100000000000000'), { iv: this.data.iv });
+        },
+
+        testProgressive: function () {
+            var expected = C.AESGCMSIV.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            var gcmSiv = C.algo.AESGCMSIV.createEncryptor(this.data.key, this.data.cfg);
+            var ciphertext = C.lib.WordArray.create();
+            ciphertext.concat(gcmSiv.process(C.enc.Hex.parse('0100000000000000000000')));
+            ciphertext.concat(gcmSiv.process(C.enc.Hex.parse('00000000000200000000000000')));
+            ciphertext.concat(gcmSiv.finalize(C.enc.Hex.parse('0000000000000000')));
+
+            Y.Assert.areEqual(expected.ciphertext.toString(), ciphertext.toString());
+            Y.Assert.areEqual(expected.tag.toString(), gcmSiv.tag.toString());
+        },
+
+        testDeterministicHelper: function () {
+            var cfg = { aad: this.data.cfg.aad };
+            var ciphertext = C.AESGCMSIV.encryptDeterministic(this.data.message, this.data.key, cfg);
+
+            var expected = C.AESGCMSIV.encrypt(this.data.message, this.data.key, { iv: C.enc.Hex.parse('000000000000000000000000'), aad: cfg.aad });
+            Y.Assert.areEqual(expected.ciphertext.clone().concat(expected.tag).toString(), ciphertext.toString());
+            Y.Assert.areEqual(ciphertext.toString(), C.AESGCMSIV.encryptDeterministic(this.data.message, this.data.key, cfg).toString());
+            Y.Assert.areEqual(this.data.message.toString(), C.AESGCMSIV.decryptDeterministic(ciphertext, this.data.key, cfg).toString());
+            Y.Assert.isUndefined(cfg.iv);
+        },
+
+        testDeterministicHelperWithNonce: function () {
+            C.AESGCMSIV.encryptDeterministic(this.data.message, this.data.key, this.data.cfg);
+        }
+    }));
+}, '$Rev$');
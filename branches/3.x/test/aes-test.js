@@ -4,6 +4,12 @@ YUI.add('algo-aes-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'AES',
 
+        _should: {
+            error: {
+                testInvalidKeySize: C.err.KeySizeError
+            }
+        },
+
         testEncryptKeySize128: function () {
             Y.Assert.areEqual('69c4e0d86a7b0430d8cdb78070b4c55a', C.AES.encrypt(C.enc.Hex.parse('00112233445566778899aabbccddeeff'), C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f'), { mode: C.mode.ECB, padding: C.pad.NoPadding }).ciphertext.toString());
         },
@@ -75,6 +81,10 @@ YUI.add('algo-aes-test', function (Y) {
 
             // Restore random method
             C.lib.WordArray.random = random;
+        },
+
+        testInvalidKeySize: function () {
+            C.AES.encrypt('Hi There', C.enc.Hex.parse('000102030405060708090a0b0c0d0e'));
         }
     }));
 }, '$Rev$');
@@ -0,0 +1,100 @@
+YUI.add('algo-argon2-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'Argon2',
+
+        _should: {
+            error: {
+                testUnknownType: true,
+                testShortSalt: true,
+                testInvalidPhcString: true,
+                testShortPhcHash: 'Invalid Argon2 PHC string: the hash must be at least 4 bytes.'
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.password = C.enc.Hex.parse('0101010101010101010101010101010101010101010101010101010101010101');
+            this.data.salt = C.enc.Hex.parse('02020202020202020202020202020202');
+            this.data.cfg = {
+                keySize: 256/32,
+                iterations: 3,
+                memorySize: 32,
+                parallelism: 4,
+                secret: C.enc.Hex.parse('0303030303030303'),
+                associatedData: C.enc.Hex.parse('040404040404040404040404')
+            };
+        },
+
+        testArgon2d: function () {
+            Y.Assert.areEqual('512b391b6f1162975371d30919734294f868e3be3984f3c1a13a4db9fabe4acb', C.Argon2d(this.data.password, this.data.salt, this.data.cfg).toString());
+        },
+
+        testArgon2i: function () {
+            Y.Assert.areEqual('c814d9d1dc7f37aa13f0d77f2494bda1c8de6b016dd388d29952a4c4672b6ce8', C.Argon2i(this.data.password, this.data.salt, this.data.cfg).toString());
+        },
+
+        testArgon2id: function () {
+            Y.Assert.areEqual('0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659', C.Argon2id(this.data.password, this.data.salt, this.data.cfg).toString());
+        },
+
+        testTypeOption: function () {
+            this.data.cfg.type = 'argon2i';
+
+            Y.Assert.areEqual('c814d9d1dc7f37aa13f0d77f2494bda1c8de6b016dd388d29952a4c4672b6ce8', C.Argon2(this.data.password, this.data.salt, this.data.cfg).toString());
+        },
+
+        testKeySize: function () {
+            Y.Assert.areEqual(100, C.Argon2id('password', 'somesalt', { keySize: 100/4, iterations: 1, memorySize: 8, parallelism: 1 }).sigBytes);
+        },
+
+        testHash: function () {
+            var phcString = C.algo.Argon2.create({ iterations: 2, memorySize: 64, parallelism: 1 }).hash('password', 'somesalt');
+
+            Y.Assert.areEqual('$argon2id$v=19$m=64,t=2,p=1$c29tZXNhbHQ$', phcString.substr(0, 40));
+            Y.Assert.areEqual(C.Argon2id('password', 'somesalt', { iterations: 2, memorySize: 64, parallelism: 1 }).toString(C.enc.Base64).replace(/=+$/, ''), phcString.substr(40));
+        },
+
+        testHashRandomSalt: function () {
+            var cfg = { iterations: 1, memorySize: 16, parallelism: 1 };
+
+            Y.Assert.areNotEqual(C.Argon2.hash('password', cfg), C.Argon2.hash('password', cfg));
+        },
+
+        testVerify: function () {
+            var phcString = C.Argon2.hash('password', { type: 'argon2i', iterations: 2, memorySize: 64, parallelism: 2 });
+
+            Y.Assert.isTrue(C.Argon2.verify('password', phcString));
+            Y.Assert.isFalse(C.Argon2.verify('Password', phcString));
+        },
+
+        testVerifySecret: function () {
+            var phcString = C.Argon2.hash('password', { iterations: 1, memorySize: 16, parallelism: 1, secret: 'pepper' });
+
+            Y.Assert.isTrue(C.Argon2.verify('password', phcString, { secret: 'pepper' }));
+            Y.Assert.isFalse(C.Argon2.verify('password', phcString));
+        },
+
+        testVerifyReference: function () {
+            Y.Assert.isTrue(C.Argon2.verify('password', '$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$CTFhFdXPJO1aFaMaO6Mm5c8y7cJHAph8ArZWb2GRPPc'));
+        },
+
+        testUnknownType: function () {
+            C.Argon2('password', 'somesalt', { type: 'argon2x' });
+        },
+
+        testShortSalt: function () {
+            C.Argon2id('password', 'salt', { memorySize: 8, parallelism: 1 });
+        },
+
+        testInvalidPhcString: function () {
+            C.Argon2.verify('password', '$argon2id$v=19$m=64$c29tZXNhbHQ$AAAA');
+        },
+
+        testShortPhcHash: function () {
+            C.Argon2.verify('password', '$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$AAAA');
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,88 @@
+YUI.add('async-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'Async',
+
+        testRun: function () {
+            var test = this;
+            var nSteps = 0;
+            var progress = [];
+
+            C.async.run({
+                step: function () {
+                    return ++nSteps == 3;
+                },
+
+                progress: function () {
+                    return nSteps / 3;
+                }
+            }, {
+                onProgress: function (fraction) {
+                    progress.push(fraction);
+                },
+                sliceDuration: -1
+            }).then(function () {
+                test.resume(function () {
+                    Y.Assert.areEqual(3, nSteps);
+                    Y.Assert.areEqual(1, progress[progress.length - 1]);
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testRunRejectsStartError: function () {
+            var test = this;
+            var error = new Error('start failed');
+
+            C.async.run({
+                start: function () {
+                    throw error;
+                },
+
+                step: function () {
+                    return true;
+                }
+            }).then(function () {
+                test.resume(function () {
+                    Y.Assert.fail('The promise was not rejected.');
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.areSame(error, e);
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testHash: function () {
+            var test = this;
+
+            C.async.hash(C.algo.SHA256, 'abc').then(function (hash) {
+                test.resume(function () {
+                    Y.Assert.areEqual('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', hash.toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testHashRejectsInvalidMessage: function () {
+            var test = this;
+
+            C.async.hash(C.algo.SHA256, 12345).then(function () {
+                test.resume(function () {
+                    Y.Assert.fail('The promise was not rejected.');
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.isInstanceOf(C.err.ParameterError, e);
+                });
+            });
+
+            this.wait(10000);
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,105 @@
+YUI.add('algo-blake2b-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'BLAKE2b',
+
+        _should: {
+            error: {
+                testOutputLengthTooLong: true,
+                testKeyTooLong: true,
+                testSaltTooLong: true
+            }
+        },
+
+        testVector1: function () {
+            Y.Assert.areEqual('786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419d25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce', C.BLAKE2b('').toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923', C.BLAKE2b('abc').toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('01718cec35cd3d796dd00020e0bfecb473ad23457d063b75eff29c0ffa2e58a9', C.BLAKE2b('The quick brown fox jumps over the lazy dog', { outputLength: 256 }).toString());
+        },
+
+        testVector4: function () {
+            Y.Assert.areEqual('5b21c5fd8868367612474fa2e70e9cfa2201ffeee8fafab5797ad58fefa17c9b5b107da4a3db6320baaf2c8617d5a51df914ae88da3867c2d41f0cc14fa67928', C.BLAKE2b(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9fa0a1a2a3a4a5a6a7a8a9aaabacadaeafb0b1b2b3b4b5b6b7b8b9babbbcbdbebfc0c1c2c3c4c5c6c7c8c9cacbcccdcecfd0d1d2d3d4d5d6d7d8d9dadbdcdddedfe0e1e2e3e4e5e6e7e8e9eaebecedeeeff0f1f2f3f4f5f6f7f8f9fafbfcfdfe')).toString());
+        },
+
+        testKeyedVector1: function () {
+            Y.Assert.areEqual('10ebb67700b1868efb4417987acf4690ae9d972fb7a590c2f02871799aaa4786b5e996e8f0f4eb981fc214b005f42d2ff4233499391653df7aefcbc13fc51568', C.BLAKE2b('', { key: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f') }).toString());
+        },
+
+        testKeyedVector2: function () {
+            Y.Assert.areEqual('33d0825dddf7ada99b0e7e307104ad07ca9cfd9692214f1561356315e784f3e5a17e364ae9dbb14cb2036df932b77f4b292761365fb328de7afdc6d8998f5fc1', C.BLAKE2b(C.enc.Hex.parse('000102'), { key: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f') }).toString());
+        },
+
+        testKeyedVector3: function () {
+            Y.Assert.areEqual('142709d62e28fcccd0af97fad0f8465b971e82201dc51070faa0372aa43e92484be1c1e73ba10906d5d1853db6a4106e0a7bf9800d373d6dee2d46d62ef2a461', C.BLAKE2b(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9fa0a1a2a3a4a5a6a7a8a9aaabacadaeafb0b1b2b3b4b5b6b7b8b9babbbcbdbebfc0c1c2c3c4c5c6c7c8c9cacbcccdcecfd0d1d2d3d4d5d6d7d8d9dadbdcdddedfe0e1e2e3e4e5e6e7e8e9eaebecedeeeff0f1f2f3f4f5f6f7f8f9fafbfcfdfe'), { key: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f') }).toString());
+        },
+
+        testSaltAndPersonalization: function () {
+            Y.Assert.areEqual('4de1d1b42e83e2836ec2bc47b1fde4f8c74143c7e3238cb63db839c2a3d5919cfc3b700496cc3b4ad22273afe376954e73fcacc07a88c91802268492c402b288', C.BLAKE2b('abc', { salt: '0123456789abcdef', personalization: 'CryptoJS.BLAKE2x' }).toString());
+        },
+
+        testShortSalt: function () {
+            Y.Assert.areEqual('e6844fcf0fbb2ef59cf0297642f11b32179f05c960ec5c14ad73910e6de2fdacff2134c8cf75a5083bf29167996ba043ae7d5ee599beb3d72c12e3f92ef24596', C.BLAKE2b('abc', { salt: 'salt' }).toString());
+        },
+
+        testDefaultOutputLength: function () {
+            Y.Assert.areEqual(C.BLAKE2b('', { outputLength: 512 }).toString(), C.BLAKE2b('').toString());
+        },
+
+        testOutputLengthTooLong: function () {
+            C.BLAKE2b('', { outputLength: 520 });
+        },
+
+        testKeyTooLong: function () {
+            C.BLAKE2b('', { key: C.lib.WordArray.random(65) });
+        },
+
+        testSaltTooLong: function () {
+            C.BLAKE2b('', { salt: C.lib.WordArray.random(17) });
+        },
+
+        testUpdateAndLongMessage: function () {
+            var blake2b = C.algo.BLAKE2b.create({ key: 'key' });
+            for (var i = 0; i < 100; i++) {
+                blake2b.update('12345678901234567890123456789012345678901234567890');
+            }
+
+            Y.Assert.areEqual('2ca310deee9bd9b50e641f8d2431773558e80ecf5b7b4c8722e3e56d6093db22b8819472f8a967cc48cfb9b88af8f883883f8282c30bcbb5b633b87926c4ba12', blake2b.finalize().toString());
+        },
+
+        testClone: function () {
+            var blake2b = C.algo.BLAKE2b.create();
+
+            Y.Assert.areEqual(C.BLAKE2b('a').toString(), blake2b.update('a').clone().finalize().toString());
+            Y.Assert.areEqual(C.BLAKE2b('ab').toString(), blake2b.update('b').clone().finalize().toString());
+            Y.Assert.areEqual(C.BLAKE2b('abc').toString(), blake2b.update('c').clone().finalize().toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = C.lib.WordArray.create([0x12345678]);
+            var key = C.lib.WordArray.create([0x12345678]);
+
+            var expectedMessage = message.toString();
+            var expectedKey = key.toString();
+
+            C.BLAKE2b(message, { key: key });
+
+            Y.Assert.areEqual(expectedMessage, message.toString());
+            Y.Assert.areEqual(expectedKey, key.toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.BLAKE2b.create({ outputLength: 256 }).finalize('').toString(), C.BLAKE2b('', { outputLength: 256 }).toString());
+        },
+
+        testHmacHelper: function () {
+            Y.Assert.areEqual(C.algo.HMAC.create(C.algo.BLAKE2b, C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).finalize('Hi There').toString(), C.HmacBLAKE2b('Hi There', C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).toString());
+        }
+    }));
+}, '$Rev$');
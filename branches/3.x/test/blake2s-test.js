@@ -0,0 +1,105 @@
+YUI.add('algo-blake2s-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'BLAKE2s',
+
+        _should: {
+            error: {
+                testOutputLengthTooLong: true,
+                testKeyTooLong: true,
+                testSaltTooLong: true
+            }
+        },
+
+        testVector1: function () {
+            Y.Assert.areEqual('69217a3079908094e11121d042354a7c1f55b6482ca1a51e1b250dfd1ed0eef9', C.BLAKE2s('').toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('508c5e8c327c14e2e1a72ba34eeb452f37458b209ed63a294d999b4c86675982', C.BLAKE2s('abc').toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('96fd07258925748a0d2fb1c8a1167a73', C.BLAKE2s('The quick brown fox jumps over the lazy dog', { outputLength: 128 }).toString());
+        },
+
+        testVector4: function () {
+            Y.Assert.areEqual('f03f5789d3336b80d002d59fdf918bdb775b00956ed5528e86aa994acb38fe2d', C.BLAKE2s(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9fa0a1a2a3a4a5a6a7a8a9aaabacadaeafb0b1b2b3b4b5b6b7b8b9babbbcbdbebfc0c1c2c3c4c5c6c7c8c9cacbcccdcecfd0d1d2d3d4d5d6d7d8d9dadbdcdddedfe0e1e2e3e4e5e6e7e8e9eaebecedeeeff0f1f2f3f4f5f6f7f8f9fafbfcfdfe')).toString());
+        },
+
+        testKeyedVector1: function () {
+            Y.Assert.areEqual('48a8997da407876b3d79c0d92325ad3b89cbb754d86ab71aee047ad345fd2c49', C.BLAKE2s('', { key: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f') }).toString());
+        },
+
+        testKeyedVector2: function () {
+            Y.Assert.areEqual('1d220dbe2ee134661fdf6d9e74b41704710556f2f6e5a091b227697445dbea6b', C.BLAKE2s(C.enc.Hex.parse('000102'), { key: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f') }).toString());
+        },
+
+        testKeyedVector3: function () {
+            Y.Assert.areEqual('3fb735061abc519dfe979e54c1ee5bfad0a9d858b3315bad34bde999efd724dd', C.BLAKE2s(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9fa0a1a2a3a4a5a6a7a8a9aaabacadaeafb0b1b2b3b4b5b6b7b8b9babbbcbdbebfc0c1c2c3c4c5c6c7c8c9cacbcccdcecfd0d1d2d3d4d5d6d7d8d9dadbdcdddedfe0e1e2e3e4e5e6e7e8e9eaebecedeeeff0f1f2f3f4f5f6f7f8f9fafbfcfdfe'), { key: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f') }).toString());
+        },
+
+        testSaltAndPersonalization: function () {
+            Y.Assert.areEqual('0aa9cd74c7a97bd6770bc72051879a06e333a95eefddb3413cf63e473a55fae0', C.BLAKE2s('abc', { salt: '01234567', personalization: 'CryptoJS' }).toString());
+        },
+
+        testShortSalt: function () {
+            Y.Assert.areEqual('ecb80331dbd0a6df3d6fb1b22183ad4079559805b191c1435aa32a05c683f17c', C.BLAKE2s('abc', { salt: 'salt' }).toString());
+        },
+
+        testDefaultOutputLength: function () {
+            Y.Assert.areEqual(C.BLAKE2s('', { outputLength: 256 }).toString(), C.BLAKE2s('').toString());
+        },
+
+        testOutputLengthTooLong: function () {
+            C.BLAKE2s('', { outputLength: 264 });
+        },
+
+        testKeyTooLong: function () {
+            C.BLAKE2s('', { key: C.lib.WordArray.random(33) });
+        },
+
+        testSaltTooLong: function () {
+            C.BLAKE2s('', { salt: C.lib.WordArray.random(9) });
+        },
+
+        testUpdateAndLongMessage: function () {
+            var blake2s = C.algo.BLAKE2s.create({ key: 'key' });
+            for (var i = 0; i < 100; i++) {
+                blake2s.update('12345678901234567890123456789012345678901234567890');
+            }
+
+            Y.Assert.areEqual('507fe7adeb28592a362cfeafc50a48f5c4a78191cf6f6b6fa35ab4c27dd03a5e', blake2s.finalize().toString());
+        },
+
+        testClone: function () {
+            var blake2s = C.algo.BLAKE2s.create();
+
+            Y.Assert.areEqual(C.BLAKE2s('a').toString(), blake2s.update('a').clone().finalize().toString());
+            Y.Assert.areEqual(C.BLAKE2s('ab').toString(), blake2s.update('b').clone().finalize().toString());
+            Y.Assert.areEqual(C.BLAKE2s('abc').toString(), blake2s.update('c').clone().finalize().toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = C.lib.WordArray.create([0x12345678]);
+            var key = C.lib.WordArray.create([0x12345678]);
+
+            var expectedMessage = message.toString();
+            var expectedKey = key.toString();
+
+            C.BLAKE2s(message, { key: key });
+
+            Y.Assert.areEqual(expectedMessage, message.toString());
+            Y.Assert.areEqual(expectedKey, key.toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.BLAKE2s.create({ outputLength: 128 }).finalize('').toString(), C.BLAKE2s('', { outputLength: 128 }).toString());
+        },
+
+        testHmacHelper: function () {
+            Y.Assert.areEqual(C.algo.HMAC.create(C.algo.BLAKE2s, C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).finalize('Hi There').toString(), C.HmacBLAKE2s('Hi There', C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).toString());
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,195 @@
+YUI.add('algo-chacha20-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'ChaCha20',
+
+        _should: {
+            error: {
+                testBadIvSize: C.err.IvSizeError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+            this.data.iv = C.enc.Hex.parse('000000000000004a00000000');
+            this.data.message = "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it.";
+        },
+
+        testVector: function () {
+            Y.Assert.areEqual('6e2e359a2568f98041ba0728dd0d6981e97e7aec1d4360c20a27afccfd9fae0bf91b65c5524733ab8f593dabcd62b3571639d624e65152ab8f530c359f0861d807ca0dbf500d6a6156a38e088a22b65e52bc514d16ccf806818ce91ab77937365af90bbf74a35be6b40b8eedf2785e42874d', C.ChaCha20.encrypt(this.data.message, this.data.key, { iv: this.data.iv, counter: 1 }).ciphertext.toString());
+        },
+
+        testKeystream: function () {
+            Y.Assert.areEqual('76b8e0ada0f13d90405d6ae55386bd28bdd219b8a08ded1aa836efcc8b770dc7da41597c5157488d7724e03fb8d84a376a43b8f41518a11cc387b669b2ee6586', C.ChaCha20.encrypt(C.enc.Hex.parse('00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000'), C.enc.Hex.parse('0000000000000000000000000000000000000000000000000000000000000000'), { iv: C.enc.Hex.parse('000000000000000000000000') }).ciphertext.toString());
+        },
+
+        testDecrypt: function () {
+            var encrypted = C.ChaCha20.encrypt(this.data.message, this.data.key, { iv: this.data.iv });
+
+            Y.Assert.areEqual(this.data.message, C.ChaCha20.decrypt(encrypted, this.data.key, { iv: this.data.iv }).toString(C.enc.Utf8));
+        },
+
+        testMultiPart: function () {
+            var chacha20 = C.algo.ChaCha20.createEncryptor(this.data.key, { iv: this.data.iv, counter: 1 });
+            var ciphertext1 = chacha20.process("Ladies and Gentlemen of the class of '99: If I could offer");
+            var ciphertext2 = chacha20.process(' you only one tip for the future,');
+            var ciphertext3 = chacha20.finalize(' sunscreen would be it.');
+
+            Y.Assert.areEqual('6e2e359a2568f98041ba0728dd0d6981e97e7aec1d4360c20a27afccfd9fae0bf91b65c5524733ab8f593dabcd62b3571639d624e65152ab8f530c359f0861d807ca0dbf500d6a6156a38e088a22b65e52bc514d16ccf806818ce91ab77937365af90bbf74a35be6b40b8eedf2785e42874d', ciphertext1.concat(ciphertext2).concat(ciphertext3).toString());
+        },
+
+        testBadIvSize: function () {
+            C.ChaCha20.encrypt(this.data.message, this.data.key, { iv: C.enc.Hex.parse('0000000000000000') });
+        },
+
+        testInputIntegrity: function () {
+            var message = C.enc.Hex.parse('00000000000000000000000000000000');
+            var key = C.enc.Hex.parse(this.data.key.toString());
+            var iv = C.enc.Hex.parse(this.data.iv.toString());
+
+            var expectedMessage = message.toString();
+            var expectedKey = key.toString();
+            var expectedIv = iv.toString();
+
+            C.ChaCha20.encrypt(message, key, { iv: iv });
+
+            Y.Assert.areEqual(expectedMessage, message.toString());
+            Y.Assert.areEqual(expectedKey, key.toString());
+            Y.Assert.areEqual(expectedIv, iv.toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.ChaCha20.createEncryptor(this.data.key, { iv: this.data.iv }).finalize('Hi There').toString(), C.ChaCha20.encrypt('Hi There', this.data.key, { iv: this.data.iv }).ciphertext.toString());
+            Y.Assert.areEqual(C.lib.SerializableCipher.encrypt(C.algo.ChaCha20, 'Hi There', this.data.key, { iv: this.data.iv }).toString(), C.ChaCha20.encrypt('Hi There', this.data.key, { iv: this.data.iv }).toString());
+            Y.Assert.areEqual('Hi There', C.ChaCha20.decrypt(C.ChaCha20.encrypt('Hi There', 'Jefe'), 'Jefe').toString(C.enc.Utf8));
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'XChaCha20',
+
+        testSubkey: function () {
+            // HChaCha20 subkey of the IV's first 128 bits
+            var subkey = C.enc.Hex.parse('82413b4227b27bfed30e42508a877d73a0f9e4d58a74a853c12ec41326d3ecdc');
+            var message = C.enc.Hex.parse('00000000000000000000000000000000');
+
+            var expected = C.ChaCha20.encrypt(message, subkey, { iv: C.enc.Hex.parse('000000000102030405060708') }).ciphertext.toString();
+            var actual = C.XChaCha20.encrypt(message, C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f'), { iv: C.enc.Hex.parse('000000090000004a00000000314159270102030405060708') }).ciphertext.toString();
+
+            Y.Assert.areEqual(expected, actual);
+        },
+
+        testDecrypt: function () {
+            var key = C.enc.Hex.parse('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f');
+            var iv = C.enc.Hex.parse('404142434445464748494a4b4c4d4e4f5051525354555658');
+            var encrypted = C.XChaCha20.encrypt('Hi There', key, { iv: iv });
+
+            Y.Assert.areEqual('Hi There', C.XChaCha20.decrypt(encrypted, key, { iv: iv }).toString(C.enc.Utf8));
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'Poly1305',
+
+        testVector: function () {
+            Y.Assert.areEqual('a8061dc1305136c6c22b8baf0c0127a9', C.Poly1305('Cryptographic Forum Research Group', C.enc.Hex.parse('85d6be7857556d337f4452fe42d506a80103808afb0db2fd4abff6af4149f51b')).toString());
+        },
+
+        testFullReduction: function () {
+            Y.Assert.areEqual('03000000000000000000000000000000', C.Poly1305(C.enc.Hex.parse('ffffffffffffffffffffffffffffffff'), C.enc.Hex.parse('0200000000000000000000000000000000000000000000000000000000000000')).toString());
+        },
+
+        testUpdate: function () {
+            var poly1305 = C.algo.Poly1305.create(C.enc.Hex.parse('85d6be7857556d337f4452fe42d506a80103808afb0db2fd4abff6af4149f51b'));
+            poly1305.update('Cryptographic Forum');
+            poly1305.update(' Research');
+
+            Y.Assert.areEqual('a8061dc1305136c6c22b8baf0c0127a9', poly1305.finalize(' Group').toString());
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'ChaCha20Poly1305',
+
+        _should: {
+            error: {
+                testDecryptBadTag: C.err.AuthenticationError,
+                testDecryptBadAad: C.err.AuthenticationError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f');
+            this.data.message = "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it.";
+            this.data.cfg = { iv: C.enc.Hex.parse('070000004041424344454647'), aad: C.enc.Hex.parse('50515253c0c1c2c3c4c5c6c7') };
+        },
+
+        testVector: function () {
+            var encrypted = C.ChaCha20Poly1305.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual('d31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d63dbea45e8ca9671282fafb69da92728b1a71de0a9e060b2905d6a5b67ecd3b3692ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc3ff4def08e4b7a9de576d26586cec64b6116', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('1ae10b594f09e26a7e902ecbd0600691', encrypted.tag.toString());
+        },
+
+        testXChaCha20Vector: function () {
+            var encrypted = C.XChaCha20Poly1305.encrypt(this.data.message, this.data.key, { iv: C.enc.Hex.parse('404142434445464748494a4b4c4d4e4f5051525354555657'), aad: this.data.cfg.aad });
+
+            Y.Assert.areEqual('bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb731c7f1b0b4aa6440bf3a82f4eda7e39ae64c6708c54c216cb96b72e1213b4522f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff921f9664c97637da9768812f615c68b13b52e', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('c0875924c1c7987947deafd8780acf49', encrypted.tag.toString());
+        },
+
+        testToString: function () {
+            var encrypted = C.ChaCha20Poly1305.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(encrypted.ciphertext.clone().concat(encrypted.tag).toString(C.enc.Base64), encrypted.toString());
+        },
+
+        testDecrypt: function () {
+            var encrypted = C.ChaCha20Poly1305.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(this.data.message, C.ChaCha20Poly1305.decrypt(encrypted, this.data.key, this.data.cfg).toString(C.enc.Utf8));
+        },
+
+        testDecryptString: function () {
+            var encrypted = C.ChaCha20Poly1305.encrypt(this.data.message, this.data.key, this.data.cfg).toString();
+
+            Y.Assert.areEqual(this.data.message, C.ChaCha20Poly1305.decrypt(encrypted, this.data.key, this.data.cfg).toString(C.enc.Utf8));
+        },
+
+        testDecryptPassword: function () {
+            var encrypted = C.XChaCha20Poly1305.encrypt(this.data.message, 'Jefe').toString();
+
+            Y.Assert.areEqual(this.data.message, C.XChaCha20Poly1305.decrypt(encrypted, 'Jefe').toString(C.enc.Utf8));
+        },
+
+        testDecryptBadTag: function () {
+            var encrypted = C.ChaCha20Poly1305.encrypt(this.data.message, this.data.key, this.data.cfg);
+            encrypted.tag.words[3] ^= 1;
+
+            C.ChaCha20Poly1305.decrypt(encrypted, this.data.key, this.data.cfg);
+        },
+
+        testDecryptBadAad: function () {
+            var encrypted = C.ChaCha20Poly1305.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.ChaCha20Poly1305.decrypt(encrypted, this.data.key, { iv: this.data.cfg.iv, aad: 'wrong' });
+        },
+
+        testMultiPart: function () {
+            var expected = C.ChaCha20Poly1305.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            var chacha20Poly1305 = C.algo.ChaCha20Poly1305.createDecryptor(this.data.key, { iv: this.data.cfg.iv, aad: this.data.cfg.aad, tag: expected.tag });
+            var plaintext = C.lib.WordArray.create();
+            plaintext.concat(chacha20Poly1305.process(C.enc.Hex.parse('d31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d63dbea45e8ca9671282fafb69da92728b1a71de0a9e060b29')));
+            plaintext.concat(chacha20Poly1305.process(C.enc.Hex.parse('05d6a5b67ecd3b3692ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b48')));
+            plaintext.concat(chacha20Poly1305.finalize(C.enc.Hex.parse('31d7bc3ff4def08e4b7a9de576d26586cec64b6116')));
+
+            Y.Assert.areEqual(this.data.message, plaintext.toString(C.enc.Utf8));
+        }
+    }));
+}, '$Rev$');
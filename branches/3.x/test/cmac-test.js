@@ -0,0 +1,150 @@
+YUI.add('algo-cmac-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'CMAC',
+
+        _should: {
+            error: {
+                testBlockSize: C.err.ParameterError,
+                testCbcMacPartialBlock: C.err.ParameterError,
+                testCbcMacEmpty: C.err.ParameterError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('2b7e151628aed2a6abf7158809cf4f3c');
+            this.data.tripleDesKey = C.enc.Hex.parse('8aa83bf8cbda10620bc1bf19fbb6cd58bc313d4a371ca8b5');
+            this.data.twoKeyTripleDesKey = C.enc.Hex.parse('4cf15134a2850dd58a3d10ba80570d38');
+            this.data.message = C.enc.Hex.parse(
+                '6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51' +
+                '30c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710'
+            );
+        },
+
+        testVector1: function () {
+            Y.Assert.areEqual('bb1d6929e95937287fa37d129b756746', C.algo.CMAC.create(C.algo.AES, this.data.key).finalize(C.lib.WordArray.create()).toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('070a16b46b4d4144f79bdd9dd04a287c', C.algo.CMAC.create(C.algo.AES, this.data.key).finalize(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172a')).toString());
+        },
+
+        testVector3: function () {
+            var message = C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411');
+
+            Y.Assert.areEqual('dfa66747de9ae63030ca32611497c827', C.algo.CMAC.create(C.algo.AES, this.data.key).finalize(message).toString());
+        },
+
+        testVector4: function () {
+            Y.Assert.areEqual('51f0bebf7e3b9d92fc49741779363cfe', C.algo.CMAC.create(C.algo.AES, this.data.key).finalize(this.data.message).toString());
+        },
+
+        testTripleDesVector1: function () {
+            Y.Assert.areEqual('b7a688e122ffaf95', C.algo.CMAC.create(C.algo.TripleDES, this.data.tripleDesKey).finalize(C.lib.WordArray.create()).toString());
+        },
+
+        testTripleDesVector2: function () {
+            Y.Assert.areEqual('8e8f293136283797', C.algo.CMAC.create(C.algo.TripleDES, this.data.tripleDesKey).finalize(C.enc.Hex.parse('6bc1bee22e409f96')).toString());
+        },
+
+        testTripleDesVector3: function () {
+            Y.Assert.areEqual('743ddbe0ce2dc2ed', C.algo.CMAC.create(C.algo.TripleDES, this.data.tripleDesKey).finalize(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a57')).toString());
+        },
+
+        testTripleDesVector4: function () {
+            var message = C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51');
+
+            Y.Assert.areEqual('33e6b1092400eae5', C.algo.CMAC.create(C.algo.TripleDES, this.data.tripleDesKey).finalize(message).toString());
+        },
+
+        testTwoKeyTripleDesVector1: function () {
+            Y.Assert.areEqual('bd2ebf9a3ba00361', C.algo.CMAC.create(C.algo.TripleDES, this.data.twoKeyTripleDesKey).finalize(C.lib.WordArray.create()).toString());
+        },
+
+        testTwoKeyTripleDesVector2: function () {
+            Y.Assert.areEqual('4ff2ab813c53ce83', C.algo.CMAC.create(C.algo.TripleDES, this.data.twoKeyTripleDesKey).finalize(C.enc.Hex.parse('6bc1bee22e409f96')).toString());
+        },
+
+        testTwoKeyTripleDesVector3: function () {
+            Y.Assert.areEqual('62dd1b471902bd4e', C.algo.CMAC.create(C.algo.TripleDES, this.data.twoKeyTripleDesKey).finalize(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a57')).toString());
+        },
+
+        testTwoKeyTripleDesVector4: function () {
+            var message = C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51');
+
+            Y.Assert.areEqual('31b1e431dabc4eb8', C.algo.CMAC.create(C.algo.TripleDES, this.data.twoKeyTripleDesKey).finalize(message).toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual('51f0bebf7e3b9d92fc49741779363cfe', C.CmacAES(this.data.message, this.data.key).toString());
+            Y.Assert.areEqual('743ddbe0ce2dc2ed', C.CmacTripleDES(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a57'), this.data.tripleDesKey).toString());
+            Y.Assert.areEqual('62dd1b471902bd4e', C.CmacTripleDES(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a57'), this.data.twoKeyTripleDesKey).toString());
+        },
+
+        testVerify: function () {
+            Y.Assert.isTrue(C.algo.CMAC.verify(C.algo.AES, this.data.key, this.data.message, C.enc.Hex.parse('51f0bebf7e3b9d92fc49741779363cfe')));
+            Y.Assert.isFalse(C.algo.CMAC.verify(C.algo.AES, this.data.key, this.data.message, C.enc.Hex.parse('51f0bebf7e3b9d92fc49741779363cff')));
+        },
+
+        testUpdate: function () {
+            var cmac = C.algo.CMAC.create(C.algo.AES, this.data.key);
+            cmac.update(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a57'));
+            cmac.update(C.enc.Hex.parse('1e03ac9c9eb76fac45af8e51'));
+            cmac.update(C.enc.Hex.parse('30c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710'));
+
+            Y.Assert.areEqual('51f0bebf7e3b9d92fc49741779363cfe', cmac.finalize().toString());
+        },
+
+        testReset: function () {
+            var cmac = C.algo.CMAC.create(C.algo.AES, this.data.key);
+            cmac.update('Message');
+            cmac.reset();
+
+            Y.Assert.areEqual('070a16b46b4d4144f79bdd9dd04a287c', cmac.finalize(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172a')).toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411');
+            var expected = message.toString();
+
+            C.algo.CMAC.create(C.algo.AES, this.data.key).finalize(message);
+
+            Y.Assert.areEqual(expected, message.toString());
+        },
+
+        testBlockSize: function () {
+            C.algo.CMAC.create(C.algo.AES.extend({ blockSize: 256/32 }), this.data.key);
+        },
+
+        testCbcMac: function () {
+            var message = C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51');
+
+            Y.Assert.areEqual('dfbb75afe748baa0', C.algo.CBCMAC.create(C.algo.TripleDES, this.data.tripleDesKey).finalize(message).toString());
+        },
+
+        testCbcMacUpdate: function () {
+            var cbcMac = C.algo.CBCMAC.create(C.algo.TripleDES, this.data.tripleDesKey);
+            cbcMac.update(C.enc.Hex.parse('6bc1bee22e409f96e93d7e'));
+            cbcMac.update(C.enc.Hex.parse('117393172aae2d8a571e03ac9c9eb76fac45af8e51'));
+
+            Y.Assert.areEqual('dfbb75afe748baa0', cbcMac.finalize().toString());
+        },
+
+        testCbcMacPadding: function () {
+            var cbcMac = C.algo.CBCMAC.create(C.algo.TripleDES, this.data.tripleDesKey, { padding: C.pad.Iso97971 });
+
+            Y.Assert.areEqual('f3b49e227957cef1', cbcMac.finalize(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a57')).toString());
+        },
+
+        testCbcMacPartialBlock: function () {
+            C.algo.CBCMAC.create(C.algo.TripleDES, this.data.tripleDesKey).finalize(C.enc.Hex.parse('6bc1bee22e409f96e93d7e117393172aae2d8a57'));
+        },
+
+        testCbcMacEmpty: function () {
+            C.algo.CBCMAC.create(C.algo.TripleDES, this.data.tripleDesKey).finalize();
+        }
+    }));
+}, '$Rev$');
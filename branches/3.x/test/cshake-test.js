@@ -0,0 +1,185 @@
+YUI.add('algo-cshake-test', function (Y) {
+    var C = CryptoJS;
+
+    var data = C.enc.Hex.parse('00010203');
+    var longData = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9fa0a1a2a3a4a5a6a7a8a9aaabacadaeafb0b1b2b3b4b5b6b7b8b9babbbcbdbebfc0c1c2c3c4c5c6c7');
+    var key = C.enc.Hex.parse('404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f');
+    var tuple = [C.enc.Hex.parse('000102'), C.enc.Hex.parse('101112131415')];
+    var parallelData = C.enc.Hex.parse('000102030405060710111213141516172021222324252627');
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'cSHAKE',
+
+        testVector1: function () {
+            Y.Assert.areEqual('c1c36925b6409a04f1b504fcbca9d82b4017277cb5ed2b2065fc1d3814d5aaf5', C.CSHAKE128(data, { customization: 'Email Signature' }).toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('c5221d50e4f822d96a2e8881a961420f294b7b24fe3d2094baed2c6524cc166b', C.CSHAKE128(longData, { customization: 'Email Signature' }).toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('d008828e2b80ac9d2218ffee1d070c48b8e4c87bff32c9699d5b6896eee0edd164020e2be0560858d9c00c037e34a96937c561a74c412bb4c746469527281c8c', C.CSHAKE256(data, { customization: 'Email Signature' }).toString());
+        },
+
+        testWithoutStringsIsShake: function () {
+            Y.Assert.areEqual(C.SHAKE256('abc').toString(), C.CSHAKE256('abc').toString());
+        },
+
+        testWordArrayStrings: function () {
+            Y.Assert.areEqual(C.CSHAKE128(data, { customization: 'Email Signature' }).toString(), C.CSHAKE128(data, { customization: C.enc.Utf8.parse('Email Signature') }).toString());
+        },
+
+        testUpdateAndFinalize: function () {
+            var cshake = C.algo.CSHAKE128.create({ customization: 'Email Signature' });
+            cshake.update(C.enc.Hex.parse('0001'));
+            cshake.update(C.enc.Hex.parse('02'));
+
+            Y.Assert.areEqual('c1c36925b6409a04f1b504fcbca9d82b4017277cb5ed2b2065fc1d3814d5aaf5', cshake.finalize(C.enc.Hex.parse('03')).toString());
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'KMAC',
+
+        testKmac128Vector1: function () {
+            Y.Assert.areEqual('e5780b0d3ea6f7d3a429c5706aa43a00fadbd7d49628839e3187243f456ee14e', C.KMAC128(data, key).toString());
+        },
+
+        testKmac128Vector2: function () {
+            Y.Assert.areEqual('3b1fba963cd8b0b59e8c1a6d71888b7143651af8ba0a7070c0979e2811324aa5', C.KMAC128(data, key, { customization: 'My Tagged Application' }).toString());
+        },
+
+        testKmac128Vector3: function () {
+            Y.Assert.areEqual('1f5b4e6cca02209e0dcb5ca635b89a15e271ecc760071dfd805faa38f9729230', C.KMAC128(longData, key, { customization: 'My Tagged Application' }).toString());
+        },
+
+        testKmac256Vector1: function () {
+            Y.Assert.areEqual('20c570c31346f703c9ac36c61c03cb64c3970d0cfc787e9b79599d273a68d2f7f69d4cc3de9d104a351689f27cf6f5951f0103f33f4f24871024d9c27773a8dd', C.KMAC256(data, key, { customization: 'My Tagged Application' }).toString());
+        },
+
+        testKmac256Vector2: function () {
+            Y.Assert.areEqual('75358cf39e41494e949707927cee0af20a3ff553904c86b08f21cc414bcfd691589d27cf5e15369cbbff8b9a4c2eb17800855d0235ff635da82533ec6b759b69', C.KMAC256(longData, key).toString());
+        },
+
+        testKmacXof128: function () {
+            Y.Assert.areEqual('cd83740bbd92ccc8cf032b1481a0f4460e7ca9dd12b08a0c4031178bacd6ec35', C.KMAC128(data, key, { xof: true }).toString());
+        },
+
+        testKmacXof256: function () {
+            Y.Assert.areEqual('1755133f1534752aad0748f2c706fb5c784512cab835cd15676b16c0c6647fa96faa7af634a0bf8ff6df39374fa00fad9a39e322a7c92065a64eb1fb0801eb2b', C.KMAC256(data, key, { customization: 'My Tagged Application', xof: true }).toString());
+        },
+
+        testStrings: function () {
+            Y.Assert.areEqual('f6c623360d8c17c944bdc1a9dc9b259fb0f1cca99a3a722aed6d374eafe9a7bbf433a532b5cfbbd1123aef8e329831a1b9e8938e6e22d3caad302e884916d935', C.KMAC256('message', 'key').toString());
+        },
+
+        testOutputLengthIsAuthenticated: function () {
+            Y.Assert.areNotEqual(C.KMAC256(data, key, { outputLength: 256 }).toString(), C.KMAC256(data, key).toString().substr(0, 64));
+        },
+
+        testXofSqueeze: function () {
+            var kmac = C.algo.KMAC128.create({ key: key, xof: true, outputLength: 64 });
+            kmac.update(data);
+            var output = kmac.finalize();
+            output.concat(kmac.squeeze(24));
+
+            Y.Assert.areEqual('cd83740bbd92ccc8cf032b1481a0f4460e7ca9dd12b08a0c4031178bacd6ec35', output.toString());
+        },
+
+        testClone: function () {
+            var kmac = C.algo.KMAC256.create({ key: key }).update(longData);
+
+            Y.Assert.areEqual(kmac.clone().finalize().toString(), kmac.finalize().toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.KMAC256.create({ key: key, outputLength: 128 }).finalize(data).toString(), C.KMAC256(data, key, { outputLength: 128 }).toString());
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'TupleHash',
+
+        testTupleHash128Vector1: function () {
+            Y.Assert.areEqual('c5d8786c1afb9b82111ab34b65b2c0048fa64e6d48e263264ce1707d3ffc8ed1', C.TupleHash128(tuple).toString());
+        },
+
+        testTupleHash128Vector2: function () {
+            Y.Assert.areEqual('75cdb20ff4db1154e841d758e24160c54bae86eb8c13e7f5f40eb35588e96dfb', C.TupleHash128(tuple, { customization: 'My Tuple App' }).toString());
+        },
+
+        testTupleHash256Vector1: function () {
+            Y.Assert.areEqual('cfb7058caca5e668f81a12a20a2195ce97a925f1dba3e7449a56f82201ec607311ac2696b1ab5ea2352df1423bde7bd4bb78c9aed1a853c78672f9eb23bbe194', C.TupleHash256(tuple).toString());
+        },
+
+        testTupleHashXof128: function () {
+            Y.Assert.areEqual('2f103cd7c32320353495c68de1a8129245c6325f6f2a3d608d92179c96e68488', C.TupleHash128(tuple, { xof: true }).toString());
+        },
+
+        testEmptyElements: function () {
+            Y.Assert.areEqual('786aa3d4fcaadf0aa723a4818a1a72de2330d613e5de7ae4eb6cb4cdd26adba2', C.TupleHash128([]).toString());
+            Y.Assert.areEqual('549330469327c593eb95b1d467c48e5781939e135e10632c804ef8a69c73281c', C.TupleHash128(['']).toString());
+        },
+
+        testElementsAreDelimited: function () {
+            Y.Assert.areNotEqual(C.TupleHash128(['ab', 'c']).toString(), C.TupleHash128(['a', 'bc']).toString());
+        },
+
+        testFinalizeElement: function () {
+            var tupleHash = C.algo.TupleHash128.create();
+            tupleHash.update(tuple[0]);
+
+            Y.Assert.areEqual('c5d8786c1afb9b82111ab34b65b2c0048fa64e6d48e263264ce1707d3ffc8ed1', tupleHash.finalize(tuple[1]).toString());
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'ParallelHash',
+
+        _should: {
+            error: {
+                testInvalidChunkSize: true
+            }
+        },
+
+        testParallelHash128Vector1: function () {
+            Y.Assert.areEqual('ba8dc1d1d979331d3f813603c67f72609ab5e44b94a0b8f9af46514454a2b4f5', C.ParallelHash128(parallelData, { chunkSize: 8 }).toString());
+        },
+
+        testParallelHash128Vector2: function () {
+            Y.Assert.areEqual('fc484dcb3f84dceedc353438151bee58157d6efed0445a81f165e495795b7206', C.ParallelHash128(parallelData, { chunkSize: 8, customization: 'Parallel Data' }).toString());
+        },
+
+        testParallelHash256Vector1: function () {
+            Y.Assert.areEqual('bc1ef124da34495e948ead207dd9842235da432d2bbc54b4c110e64c451105531b7f2a3e0ce055c02805e7c2de1fb746af97a1dd01f43b824e31b87612410429', C.ParallelHash256(parallelData, { chunkSize: 8 }).toString());
+        },
+
+        testParallelHashXof128: function () {
+            Y.Assert.areEqual('fe47d661e49ffe5b7d999922c062356750caf552985b8e8ce6667f2727c3c8d3', C.ParallelHash128(parallelData, { chunkSize: 8, xof: true }).toString());
+        },
+
+        testDefaultChunkSize: function () {
+            Y.Assert.areEqual('4c1933c6b94b0bb2e67d86f8e5aa840d3426045af1fda9d129e087bcc0003676', C.ParallelHash128('The quick brown fox jumps over the lazy dog').toString());
+        },
+
+        testUnalignedUpdates: function () {
+            var parallelHash = C.algo.ParallelHash128.create({ chunkSize: 8 });
+            parallelHash.update(C.enc.Hex.parse('000102'));
+            parallelHash.update(C.enc.Hex.parse('0304050607101112131415'));
+            parallelHash.update(C.enc.Hex.parse('161720212223'));
+
+            Y.Assert.areEqual('ba8dc1d1d979331d3f813603c67f72609ab5e44b94a0b8f9af46514454a2b4f5', parallelHash.finalize(C.enc.Hex.parse('24252627')).toString());
+        },
+
+        testInvalidChunkSize: function () {
+            C.ParallelHash128('', { chunkSize: 0 });
+        },
+
+        testClone: function () {
+            var parallelHash = C.algo.ParallelHash256.create({ chunkSize: 8 }).update(C.enc.Hex.parse('0001020304'));
+
+            Y.Assert.areEqual(parallelHash.clone().finalize('abc').toString(), parallelHash.finalize('abc').toString());
+        }
+    }));
+}, '$Rev$');
@@ -4,6 +4,12 @@ YUI.add('algo-des-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'DES',
 
+        _should: {
+            error: {
+                testInvalidKeySize: C.err.KeySizeError
+            }
+        },
+
         testEncrypt1: function () {
             Y.Assert.areEqual('95a8d72813daa94d', C.DES.encrypt(C.enc.Hex.parse('0000000000000000'), C.enc.Hex.parse('8000000000000000'), { mode: C.mode.ECB, padding: C.pad.NoPadding }).ciphertext.toString());
         },
@@ -99,6 +105,17 @@ YUI.add('algo-des-test', function (Y) {
 
             // Restore random method
             C.lib.WordArray.random = random;
+        },
+
+        testLongKeyUsesFirst64Bits: function () {
+            var key = C.enc.Hex.parse('0001020304050607');
+            var longKey = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+
+            Y.Assert.areEqual(C.DES.encrypt('Hi There', key, { mode: C.mode.ECB }).toString(), C.DES.encrypt('Hi There', longKey, { mode: C.mode.ECB }).toString());
+        },
+
+        testInvalidKeySize: function () {
+            C.DES.encrypt('Hi There', C.enc.Hex.parse('00010203'));
         }
     }));
 }, '$Rev$');
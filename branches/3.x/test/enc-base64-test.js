@@ -4,6 +4,14 @@ YUI.add('enc-base64-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Base64',
 
+        _should: {
+            error: {
+                testParseInvalidCharacter: C.err.EncodingError,
+                testParseDataAfterPadding: C.err.EncodingError,
+                testParseTruncated: C.err.EncodingError
+            }
+        },
+
         testStringify0: function () {
             Y.Assert.areEqual('', C.enc.Base64.stringify(C.lib.WordArray.create([0x666f6f62, 0x61720000], 0)));
         },
@@ -66,6 +74,18 @@ YUI.add('enc-base64-test', function (Y) {
 
         testParse15: function () {
             Y.Assert.areEqual(C.lib.WordArray.create([0x3e3e3e3f, 0x3f3f3e3e, 0x3e3f3f3f, 0x3d2f2b00], 15).toString(), C.enc.Base64.parse('Pj4+Pz8/Pj4+Pz8/PS8r').toString());
+        },
+
+        testParseInvalidCharacter: function () {
+            C.enc.Base64.parse('@@@@');
+        },
+
+        testParseDataAfterPadding: function () {
+            C.enc.Base64.parse('Zg==Zg==');
+        },
+
+        testParseTruncated: function () {
+            C.enc.Base64.parse('Zm9vY');
         }
     }));
 }, '$Rev$');
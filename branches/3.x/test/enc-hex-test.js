@@ -4,12 +4,27 @@ YUI.add('enc-hex-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Hex',
 
+        _should: {
+            error: {
+                testParseOddLength: C.err.EncodingError,
+                testParseInvalidCharacter: C.err.EncodingError
+            }
+        },
+
         testStringify: function () {
             Y.Assert.areEqual('12345678', C.enc.Hex.stringify(C.lib.WordArray.create([0x12345678])));
         },
 
         testParse: function () {
             Y.Assert.areEqual(C.lib.WordArray.create([0x12345678]).toString(), C.enc.Hex.parse('12345678').toString());
+        },
+
+        testParseOddLength: function () {
+            C.enc.Hex.parse('1234567');
+        },
+
+        testParseInvalidCharacter: function () {
+            C.enc.Hex.parse('1234567g');
         }
     }));
 }, '$Rev$');
@@ -4,12 +4,22 @@ YUI.add('enc-latin1-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Latin1',
 
+        _should: {
+            error: {
+                testParseInvalidCharacter: C.err.EncodingError
+            }
+        },
+
         testStringify: function () {
             Y.Assert.areEqual('\x12\x34\x56\x78', C.enc.Latin1.stringify(C.lib.WordArray.create([0x12345678])));
         },
 
         testParse: function () {
             Y.Assert.areEqual(C.lib.WordArray.create([0x12345678]).toString(), C.enc.Latin1.parse('\x12\x34\x56\x78').toString());
+        },
+
+        testParseInvalidCharacter: function () {
+            C.enc.Latin1.parse('\u20ac');
         }
     }));
 }, '$Rev$');
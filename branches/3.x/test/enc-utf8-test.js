@@ -4,6 +4,13 @@ YUI.add('enc-utf8-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Utf8',
 
+        _should: {
+            error: {
+                testStringifyMalformed: C.err.EncodingError,
+                testParseLoneSurrogate: C.err.EncodingError
+            }
+        },
+
         testStringify1: function () {
             Y.Assert.areEqual('$', C.enc.Utf8.stringify(C.lib.WordArray.create([0x24000000], 1)));
         },
@@ -34,6 +41,14 @@ YUI.add('enc-utf8-test', function (Y) {
 
         testParse4: function () {
             Y.Assert.areEqual(C.lib.WordArray.create([0xf0a4ada2], 4).toString(), C.enc.Utf8.parse('𤭢').toString());
+        },
+
+        testStringifyMalformed: function () {
+            C.enc.Utf8.stringify(C.lib.WordArray.create([0xc3280000], 2));
+        },
+
+        testParseLoneSurrogate: function () {
+            C.enc.Utf8.parse('\ud800');
         }
     }));
 }, '$Rev$');
@@ -0,0 +1,67 @@
+YUI.add('err-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'Errors',
+
+        testHierarchy: function () {
+            Y.Assert.isInstanceOf(Error, new C.err.CryptoJSError('Message.'));
+            Y.Assert.isInstanceOf(C.err.CryptoJSError, new C.err.EncodingError('Message.'));
+            Y.Assert.isInstanceOf(C.err.CryptoJSError, new C.err.ParameterError('Message.'));
+            Y.Assert.isInstanceOf(C.err.ParameterError, new C.err.KeySizeError('Message.'));
+            Y.Assert.isInstanceOf(C.err.ParameterError, new C.err.IvSizeError('Message.'));
+            Y.Assert.isInstanceOf(C.err.CryptoJSError, new C.err.StateError('Message.'));
+            Y.Assert.isInstanceOf(C.err.CryptoJSError, new C.err.UnsupportedError('Message.'));
+            Y.Assert.isInstanceOf(C.err.CryptoJSError, new C.err.DecryptionError('Message.'));
+            Y.Assert.isInstanceOf(C.err.DecryptionError, new C.err.AuthenticationError('Message.'));
+            Y.Assert.isInstanceOf(C.err.DecryptionError, new C.err.PaddingError('Message.'));
+            Y.Assert.isFalse(new C.err.KeySizeError('Message.') instanceof C.err.IvSizeError);
+        },
+
+        testNameAndCode: function () {
+            var error = new C.err.KeySizeError('Message.');
+
+            Y.Assert.areEqual('KeySizeError', error.name);
+            Y.Assert.areEqual('ERR_KEY_SIZE', error.code);
+            Y.Assert.areEqual('Message.', error.message);
+            Y.Assert.areEqual('KeySizeError: Message.', error.toString());
+        },
+
+        testCodes: function () {
+            Y.Assert.areEqual('ERR_CRYPTOJS', C.err.CryptoJSError.prototype.code);
+            Y.Assert.areEqual('ERR_ENCODING', C.err.EncodingError.prototype.code);
+            Y.Assert.areEqual('ERR_PARAMETER', C.err.ParameterError.prototype.code);
+            Y.Assert.areEqual('ERR_IV_SIZE', C.err.IvSizeError.prototype.code);
+            Y.Assert.areEqual('ERR_STATE', C.err.StateError.prototype.code);
+            Y.Assert.areEqual('ERR_UNSUPPORTED', C.err.UnsupportedError.prototype.code);
+            Y.Assert.areEqual('ERR_DECRYPTION', C.err.DecryptionError.prototype.code);
+            Y.Assert.areEqual('ERR_AUTHENTICATION', C.err.AuthenticationError.prototype.code);
+            Y.Assert.areEqual('ERR_PADDING', C.err.PaddingError.prototype.code);
+        },
+
+        testStack: function () {
+            Y.Assert.isString(new C.err.CryptoJSError('Message.').stack);
+        },
+
+        testExtend: function () {
+            var MyError = C.err.ParameterError.extend('MyError', 'ERR_MY_ERROR');
+            var error = new MyError('Message.');
+
+            Y.Assert.isInstanceOf(C.err.ParameterError, error);
+            Y.Assert.areEqual('MyError', error.name);
+            Y.Assert.areEqual('ERR_MY_ERROR', error.code);
+            Y.Assert.isFunction(MyError.extend);
+        },
+
+        testThrownType: function () {
+            try {
+                C.enc.Hex.parse('xyz');
+            } catch (e) {
+                var error = e;
+            }
+
+            Y.Assert.isInstanceOf(C.err.EncodingError, error);
+            Y.Assert.areEqual('ERR_ENCODING', error.code);
+        }
+    }));
+}, '$Rev$');
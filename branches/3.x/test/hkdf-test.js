@@ -0,0 +1,65 @@
+YUI.add('algo-hkdf-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'HKDF',
+
+        _should: {
+            error: {
+                testKeySizeTooLarge: true
+            }
+        },
+
+        testVector1: function () {
+            Y.Assert.areEqual('3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865', C.HKDF(C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b'), C.enc.Hex.parse('000102030405060708090a0b0c'), C.enc.Hex.parse('f0f1f2f3f4f5f6f7f8f9'), { keySize: 42/4 }).toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8', C.HKDF(C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b'), C.lib.WordArray.create(), C.lib.WordArray.create(), { keySize: 42/4 }).toString());
+        },
+
+        testVector4: function () {
+            Y.Assert.areEqual('085a01ea1b10f36933068b56efa5ad81a4f14b822f5b091568a9cdd4f155fda2c22e422478d305f3f896', C.HKDF(C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b'), C.enc.Hex.parse('000102030405060708090a0b0c'), C.enc.Hex.parse('f0f1f2f3f4f5f6f7f8f9'), { keySize: 42/4, hasher: C.algo.SHA1 }).toString());
+        },
+
+        testOmittedSalt: function () {
+            Y.Assert.areEqual('8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8', C.HKDF(C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b'), undefined, undefined, { keySize: 42/4 }).toString());
+        },
+
+        testExtract: function () {
+            Y.Assert.areEqual('077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5', C.algo.HKDF.create().extract(C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b'), C.enc.Hex.parse('000102030405060708090a0b0c')).toString());
+        },
+
+        testExpand: function () {
+            Y.Assert.areEqual('3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865', C.algo.HKDF.create({ keySize: 42/4 }).expand(C.enc.Hex.parse('077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5'), C.enc.Hex.parse('f0f1f2f3f4f5f6f7f8f9')).toString());
+        },
+
+        testKeySizeMax: function () {
+            Y.Assert.areEqual('bdad5279657624f6', C.HKDF('secret', 'salt', 'info', { keySize: 255 * 256/32 }).toString().slice(-16));
+        },
+
+        testKeySizeTooLarge: function () {
+            C.HKDF('secret', 'salt', 'info', { keySize: 255 * 256/32 + 1 });
+        },
+
+        testInputIntegrity: function () {
+            var ikm = C.lib.WordArray.create([0x12345678]);
+            var salt = C.lib.WordArray.create([0x12345678]);
+            var info = C.lib.WordArray.create([0x12345678]);
+
+            var expectedIkm = ikm.toString();
+            var expectedSalt = salt.toString();
+            var expectedInfo = info.toString();
+
+            C.HKDF(ikm, salt, info);
+
+            Y.Assert.areEqual(expectedIkm, ikm.toString());
+            Y.Assert.areEqual(expectedSalt, salt.toString());
+            Y.Assert.areEqual(expectedInfo, info.toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.HKDF.create({ keySize: 256/32 }).compute('secret', 'salt', 'info').toString(), C.HKDF('secret', 'salt', 'info', { keySize: 256/32 }).toString());
+        }
+    }));
+}, '$Rev$');
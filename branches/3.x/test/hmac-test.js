@@ -50,6 +50,30 @@ YUI.add('algo-hmac-test', function (Y) {
             keyClamped.clamp();
 
             Y.Assert.areEqual(CryptoJS.HmacSHA256("Message", keyClamped).toString(), CryptoJS.HmacSHA256("Message", key).toString());
+        },
+
+        testVerify: function () {
+            var mac = C.enc.Hex.parse('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+
+            Y.Assert.isTrue(C.algo.HMAC.verify(C.algo.SHA256, 'Jefe', 'what do ya want for nothing?', mac));
+        },
+
+        testVerifyMismatch: function () {
+            var mac = C.enc.Hex.parse('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3842');
+
+            Y.Assert.isFalse(C.algo.HMAC.verify(C.algo.SHA256, 'Jefe', 'what do ya want for nothing?', mac));
+        },
+
+        testVerifyTruncated: function () {
+            var mac = C.enc.Hex.parse('5bdcc146bf60754e6a042426089575c7');
+
+            Y.Assert.isFalse(C.algo.HMAC.verify(C.algo.SHA256, 'Jefe', 'what do ya want for nothing?', mac));
+        },
+
+        testVerifyTypedArray: function () {
+            var mac = C.HmacSHA256('Message', 'Key').toUint8Array();
+
+            Y.Assert.isTrue(C.algo.HMAC.verify(C.algo.SHA256, 'Key', 'Message', mac));
         }
     }));
 }, '$Rev$');
@@ -0,0 +1,21 @@
+YUI.add('kdf-hkdf-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'HKDFKdf',
+
+        testVector: function () {
+            var derivedParams = C.kdf.HKDF.execute('password', 256/32, 128/32, C.enc.Hex.parse('0a9d8620cf7219f1'));
+
+            Y.Assert.areEqual('47a498bf59d3cdcdc5303412b0c5219504615a1bf2f5bb77baffabf1856fefa6', derivedParams.key.toString());
+            Y.Assert.areEqual('dd8a560ab47023d858d3157851e21904', derivedParams.iv.toString());
+            Y.Assert.areEqual('0a9d8620cf7219f1', derivedParams.salt.toString());
+        },
+
+        testPasswordBasedCipher: function () {
+            var encrypted = C.AES.encrypt('Hi There', 'secret', { kdf: C.kdf.HKDF });
+
+            Y.Assert.areEqual('Hi There', C.AES.decrypt(encrypted.toString(), 'secret', { kdf: C.kdf.HKDF }).toString(C.enc.Utf8));
+        }
+    }));
+}, '$Rev$');
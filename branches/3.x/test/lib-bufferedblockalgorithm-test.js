@@ -0,0 +1,219 @@
+YUI.add('lib-bufferedblockalgorithm-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'BufferedBlockAlgorithm',
+
+        _should: {
+            error: {
+                testImportMismatchedAlgorithm: 'State was exported from SHA256, not SHA224.',
+                testImportMismatchedDirection: 'State was exported from an encryptor.',
+                testImportUnsupportedVersion: 'Unsupported state version.',
+                testImportMismatchedOutputLength: 'State was exported with a different outputLength configuration.',
+                testImportMismatchedMode: 'State was exported with a different mode configuration.',
+                testImportInheritedProperty: 'State has an unexpected property __proto__.',
+                testImportExcludedProperty: 'State has an unexpected property cfg.'
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.message = C.enc.Hex.parse(
+                '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f' +
+                '202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f' +
+                '404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f' +
+                '606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f' +
+                '808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f'
+            );
+        },
+
+        testUnalignedUpdates: function () {
+            var sha256 = C.algo.SHA256.create();
+            sha256.update(C.enc.Hex.parse('000102'));
+            sha256.update(C.enc.Hex.parse(
+                '030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f' +
+                '202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f' +
+                '404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f' +
+                '606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f' +
+                '8081'
+            ));
+            sha256.update(C.enc.Hex.parse('82838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f'));
+
+            Y.Assert.areEqual(C.SHA256(this.data.message).toString(), sha256.finalize().toString());
+        },
+
+        testSmallUnalignedUpdates: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            var cfg = { iv: key };
+
+            // The typed buffer moves its unprocessed words to the front when it fills
+            var aes = C.algo.AES.createEncryptor(key, cfg);
+            var ciphertext = C.lib.WordArray.create();
+            var messageHex = this.data.message.toString();
+            for (var i = 0; i < messageHex.length; i += 14) {
+                ciphertext.concat(aes.process(C.enc.Hex.parse(messageHex.substr(i, 14))));
+            }
+            ciphertext.concat(aes.finalize());
+
+            Y.Assert.areEqual(C.AES.encrypt(this.data.message, key, cfg).ciphertext.toString(), ciphertext.toString());
+        },
+
+        testMinBufferSize: function () {
+            var aes = C.algo.AES.createDecryptor(
+                C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f'),
+                { mode: C.mode.ECB, padding: C.pad.NoPadding }
+            );
+
+            Y.Assert.areEqual(9 * 16, aes.process(this.data.message).sigBytes);
+            Y.Assert.areEqual(16, aes.finalize().sigBytes);
+        },
+
+        testCloneWithBufferedData: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+
+            // A keyed BLAKE2b hasher buffers its key block without processing it
+            var hasher = C.algo.BLAKE2b.create({ key: key });
+            var clone = hasher.clone();
+
+            Y.Assert.areEqual(
+                C.algo.BLAKE2b.create({ key: key }).finalize(this.data.message).toString(),
+                clone.finalize(this.data.message).toString()
+            );
+            Y.Assert.areEqual(C.algo.BLAKE2b.create({ key: key }).finalize().toString(), hasher.finalize().toString());
+        },
+
+        testExportImportHasherState: function () {
+            var sha256 = C.algo.SHA256.create();
+            sha256.update(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021222324252627'));
+            var state = JSON.parse(JSON.stringify(sha256.exportState()));
+
+            var resumed = C.algo.SHA256.create().importState(state);
+            resumed.update(C.enc.Hex.parse(
+                '28292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f' +
+                '404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f' +
+                '606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f' +
+                '808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f'
+            ));
+
+            Y.Assert.areEqual(1, state.version);
+            Y.Assert.areEqual('SHA256', state.algorithm);
+            Y.Assert.areEqual(C.SHA256(this.data.message).toString(), resumed.finalize().toString());
+        },
+
+        testExportImportX64HasherState: function () {
+            var sha3 = C.algo.SHA3.create({ outputLength: 256 });
+            sha3.update(C.enc.Hex.parse('000102030405060708'));
+            var state = JSON.parse(JSON.stringify(sha3.exportState()));
+
+            var resumed = C.algo.SHA3.create({ outputLength: 256 }).importState(state);
+            resumed.update(C.enc.Hex.parse('090a0b0c0d0e0f'));
+
+            Y.Assert.areEqual(
+                C.SHA3(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f'), { outputLength: 256 }).toString(),
+                resumed.finalize().toString()
+            );
+        },
+
+        testExportImportNestedState: function () {
+            var message = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021222324252627');
+
+            // ParallelHash hashes each chunk with a nested SHAKE
+            var parallelHash = C.algo.ParallelHash128.create({ blockSize: 16, outputLength: 256 });
+            parallelHash.update(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011121314'));
+            var state = JSON.parse(JSON.stringify(parallelHash.exportState()));
+
+            var resumed = C.algo.ParallelHash128.create({ blockSize: 16, outputLength: 256 }).importState(state);
+            resumed.update(C.enc.Hex.parse('15161718191a1b1c1d1e1f2021222324252627'));
+
+            Y.Assert.areEqual(
+                C.algo.ParallelHash128.create({ blockSize: 16, outputLength: 256 }).finalize(message).toString(),
+                resumed.finalize().toString()
+            );
+        },
+
+        testExportImportCipherState: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            var cfg = { iv: C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f'), mode: C.mode.CTR, padding: C.pad.NoPadding };
+
+            var aes = C.algo.AES.createEncryptor(key, cfg);
+            var ciphertext = aes.process(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011'));
+            var state = JSON.parse(JSON.stringify(aes.exportState()));
+
+            var resumed = C.algo.AES.createEncryptor(key, cfg).importState(state);
+            ciphertext.concat(resumed.finalize(C.enc.Hex.parse('12131415161718191a1b1c1d1e1f')));
+
+            Y.Assert.areEqual(
+                C.AES.encrypt(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f'), key, cfg).ciphertext.toString(),
+                ciphertext.toString()
+            );
+        },
+
+        testExportStateOmitsKey: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            var state = C.algo.AES.createEncryptor(key, { iv: key }).exportState();
+
+            Y.Assert.areEqual(C.algo.AES._ENC_XFORM_MODE, state.xformMode);
+            Y.Assert.isUndefined(state.state._key);
+            Y.Assert.isUndefined(state.state._keySchedule);
+            Y.Assert.isUndefined(state.state._mode._cipher);
+        },
+
+        testExportClonedState: function () {
+            Y.Assert.areEqual('MD5', C.algo.MD5.create().clone().exportState().algorithm);
+        },
+
+        testImportMismatchedAlgorithm: function () {
+            var state = C.algo.SHA256.create().update('abc').exportState();
+
+            C.algo.SHA224.create().importState(state);
+        },
+
+        testImportMismatchedDirection: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            var state = C.algo.AES.createEncryptor(key, { iv: key }).exportState();
+
+            C.algo.AES.createDecryptor(key, { iv: key }).importState(state);
+        },
+
+        testImportUnsupportedVersion: function () {
+            var state = C.algo.MD5.create().exportState();
+            state.version = 2;
+
+            C.algo.MD5.create().importState(state);
+        },
+
+        testImportMismatchedOutputLength: function () {
+            var state = C.algo.SHA3.create({ outputLength: 512 }).update('abc').exportState();
+
+            C.algo.SHA3.create({ outputLength: 256 }).importState(state);
+        },
+
+        testImportMismatchedMode: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            var state = C.algo.AES.createEncryptor(key, { iv: key }).exportState();
+
+            C.algo.AES.createEncryptor(key, { iv: key, mode: C.mode.CTR }).importState(state);
+        },
+
+        testImportInheritedProperty: function () {
+            var state = C.algo.MD5.create().exportState();
+            state.state = JSON.parse('{ "__proto__": { "_nDataBytes": 1 } }');
+
+            C.algo.MD5.create().importState(state);
+        },
+
+        testImportExcludedProperty: function () {
+            var state = C.algo.MD5.create().exportState();
+            state.state.cfg = {};
+
+            C.algo.MD5.create().importState(state);
+        },
+
+        testImportMatchingConfig: function () {
+            var state = JSON.parse(JSON.stringify(C.algo.SHA3.create({ outputLength: 256 }).update('a').exportState()));
+
+            Y.Assert.areEqual(C.SHA3('abc', { outputLength: 256 }).toString(), C.algo.SHA3.create({ outputLength: 256 }).importState(state).finalize('bc').toString());
+        }
+    }));
+}, '$Rev$');
@@ -4,6 +4,15 @@ YUI.add('lib-serializablecipher-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'SerializableCipher',
 
+        _should: {
+            error: {
+                testDecryptWrongKey: 'Invalid padding.',
+                testDecryptGenericErrors: 'Decryption failed.',
+                testDecryptGenericErrorsTagMismatch: 'Decryption failed.',
+                testDecryptorGenericErrors: 'Decryption failed.'
+            }
+        },
+
         setUp: function () {
             this.data = {};
 
@@ -46,6 +55,45 @@ YUI.add('lib-serializablecipher-test', function (Y) {
             var decrypted = C.lib.SerializableCipher.decrypt(C.algo.AES, encrypted, this.data.key, { iv: this.data.iv });
 
             Y.Assert.areEqual(this.data.message.toString(), decrypted.toString());
+        },
+
+        testDecryptWrongKey: function () {
+            var encrypted = C.lib.SerializableCipher.encrypt(C.algo.AES, this.data.message, this.data.key, { iv: this.data.iv });
+
+            C.lib.SerializableCipher.decrypt(C.algo.AES, encrypted, this.data.iv, { iv: this.data.iv });
+        },
+
+        testDecryptGenericErrors: function () {
+            var encrypted = C.lib.SerializableCipher.encrypt(C.algo.AES, this.data.message, this.data.key, { iv: this.data.iv });
+
+            C.lib.SerializableCipher.decrypt(C.algo.AES, encrypted, this.data.iv, { iv: this.data.iv, genericErrors: true });
+        },
+
+        testDecryptGenericErrorsTagMismatch: function () {
+            var cfg = { iv: C.lib.WordArray.create([0x20212223, 0x24252627, 0x28292a2b]), mode: C.mode.GCM, padding: C.pad.NoPadding, genericErrors: true };
+            var encrypted = C.lib.SerializableCipher.encrypt(C.algo.AES, this.data.message, this.data.key, cfg);
+            encrypted.tag.words[0] ^= 1;
+
+            C.lib.SerializableCipher.decrypt(C.algo.AES, encrypted, this.data.key, cfg);
+        },
+
+        testDecryptorGenericErrors: function () {
+            var ciphertext = C.algo.AES.createEncryptor(this.data.key, { iv: this.data.iv }).finalize(this.data.message);
+
+            C.algo.AES.createDecryptor(this.data.iv, { iv: this.data.iv, genericErrors: true }).finalize(ciphertext);
+        },
+
+        testGenericErrorType: function () {
+            var encrypted = C.lib.SerializableCipher.encrypt(C.algo.AES, this.data.message, this.data.key, { iv: this.data.iv });
+
+            try {
+                C.lib.SerializableCipher.decrypt(C.algo.AES, encrypted, this.data.iv, { iv: this.data.iv, genericErrors: true });
+            } catch (e) {
+                var error = e;
+            }
+
+            Y.Assert.isInstanceOf(C.err.DecryptionError, error);
+            Y.Assert.isFalse(error instanceof C.err.PaddingError);
         }
     }));
 }, '$Rev$');
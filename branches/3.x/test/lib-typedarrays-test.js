@@ -5,6 +5,13 @@ if (typeof ArrayBuffer !== 'undefined') {
         Y.Test.Runner.add(new Y.Test.Case({
             name: 'TypedArrays',
 
+            _should: {
+                error: {
+                    testCipherOutputWithPassphrase: C.err.ParameterError,
+                    testUnsupportedOutput: C.err.ParameterError
+                }
+            },
+
             setUp: function () {
                 this.data = {};
 
@@ -67,8 +74,125 @@ if (typeof ArrayBuffer !== 'undefined') {
                 Y.Assert.areEqual(0xef, uint8View[7]);
             },
 
+            testToUint8Array: function () {
+                var uint8Array = C.enc.Hex.parse('0123456789').toUint8Array();
+
+                Y.Assert.isInstanceOf(Uint8Array, uint8Array);
+                Y.Assert.areEqual('1,35,69,103,137', Array.prototype.join.call(uint8Array, ','));
+            },
+
+            testFrom: function () {
+                Y.Assert.areEqual('0123456789abcdef', C.lib.WordArray.from(this.data.buffer).toString());
+                Y.Assert.areEqual('456789ab', C.lib.WordArray.from(new Uint8Array(this.data.buffer, 2, 4)).toString());
+                Y.Assert.areEqual('616263', C.lib.WordArray.from('abc').toString());
+            },
+
             testHasherAcceptTypedArray: function () {
                 Y.Assert.areEqual(C.MD5(C.enc.Hex.parse('0123456789abcdef')).toString(), C.MD5(this.data.uint8View).toString());
+            },
+
+            testHasherAcceptArrayBuffer: function () {
+                var hasher = C.algo.SHA256.create();
+                hasher.update(new Uint8Array(this.data.buffer, 0, 3));
+                hasher.update(new Uint8Array(this.data.buffer, 3, 5).slice().buffer);
+
+                Y.Assert.areEqual(C.SHA256(C.enc.Hex.parse('0123456789abcdef')).toString(), hasher.finalize().toString());
+            },
+
+            testHmacAcceptTypedArray: function () {
+                var key = new Uint8Array([0x6b, 0x65, 0x79]);
+
+                Y.Assert.areEqual(C.HmacSHA256(C.enc.Hex.parse('0123456789abcdef'), 'key').toString(), C.HmacSHA256(this.data.uint8View, key).toString());
+            },
+
+            testPBKDF2AcceptTypedArray: function () {
+                var expected = C.PBKDF2('password', C.enc.Hex.parse('0123456789abcdef'), { keySize: 128/32, iterations: 2 });
+                var actual = C.PBKDF2(new Uint8Array([0x70, 0x61, 0x73, 0x73, 0x77, 0x6f, 0x72, 0x64]), this.data.buffer, { keySize: 128/32, iterations: 2 });
+
+                Y.Assert.areEqual(expected.toString(), actual.toString());
+            },
+
+            testCipherAcceptTypedArray: function () {
+                var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+                var iv = C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f');
+
+                var expected = C.AES.encrypt(C.enc.Hex.parse('0123456789abcdef'), key, { iv: iv });
+                var actual = C.AES.encrypt(this.data.uint8View, key.toUint8Array(), { iv: iv.toArrayBuffer() });
+
+                Y.Assert.areEqual(expected.ciphertext.toString(), actual.ciphertext.toString());
+                Y.Assert.areEqual(key.toString(), actual.key.toString());
+                Y.Assert.areEqual(iv.toString(), actual.iv.toString());
+            },
+
+            testDecryptTypedArrayCiphertext: function () {
+                var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+                var iv = C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f');
+                var ciphertext = C.AES.encrypt(C.enc.Hex.parse('0123456789abcdef'), key, { iv: iv }).ciphertext.toUint8Array();
+
+                Y.Assert.areEqual('0123456789abcdef', C.AES.decrypt(ciphertext, key.toUint8Array(), { iv: iv.toUint8Array() }).toString());
+            },
+
+            testHasherOutputUint8Array: function () {
+                var hash = C.SHA256(this.data.uint8View, { output: 'uint8array' });
+
+                Y.Assert.isInstanceOf(Uint8Array, hash);
+                Y.Assert.areEqual(C.SHA256(this.data.uint8View).toString(), C.lib.WordArray.create(hash).toString());
+            },
+
+            testHmacOutputUint8Array: function () {
+                var hmac = C.HmacSHA256(this.data.uint8View, 'key', { output: 'uint8array' });
+
+                Y.Assert.isInstanceOf(Uint8Array, hmac);
+                Y.Assert.areEqual(C.HmacSHA256(this.data.uint8View, 'key').toString(), C.lib.WordArray.create(hmac).toString());
+            },
+
+            testKdfOutputUint8Array: function () {
+                var expected = C.PBKDF2('password', this.data.buffer, { keySize: 128/32, iterations: 2 });
+                var key = C.PBKDF2('password', this.data.buffer, { keySize: 128/32, iterations: 2, output: 'uint8array' });
+
+                Y.Assert.isInstanceOf(Uint8Array, key);
+                Y.Assert.areEqual(expected.toString(), C.lib.WordArray.create(key).toString());
+            },
+
+            testCipherOutputUint8Array: function () {
+                var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+                var iv = C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f');
+
+                var ciphertext = C.AES.encrypt(this.data.uint8View, key, { iv: iv, output: 'uint8array' });
+                var plaintext = C.AES.decrypt(ciphertext, key, { iv: iv, output: 'uint8array' });
+
+                Y.Assert.isInstanceOf(Uint8Array, ciphertext);
+                Y.Assert.areEqual(C.AES.encrypt(this.data.uint8View, key, { iv: iv }).ciphertext.toString(), C.lib.WordArray.create(ciphertext).toString());
+                Y.Assert.isInstanceOf(Uint8Array, plaintext);
+                Y.Assert.areEqual('0123456789abcdef', C.lib.WordArray.create(plaintext).toString());
+            },
+
+            testAuthenticatedCipherOutputUint8Array: function () {
+                var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+                var cfg = { iv: C.enc.Hex.parse('101112131415161718191a1b'), mode: C.mode.GCM, padding: C.pad.NoPadding };
+
+                var encrypted = C.AES.encrypt(this.data.uint8View, key, cfg);
+                cfg.output = 'uint8array';
+                var ciphertext = C.AES.encrypt(this.data.uint8View, key, cfg);
+
+                // The tag follows the ciphertext, where decryption looks for it
+                Y.Assert.areEqual(encrypted.ciphertext.toString() + encrypted.tag.toString(), C.lib.WordArray.create(ciphertext).toString());
+                Y.Assert.areEqual('0123456789abcdef', C.lib.WordArray.create(C.AES.decrypt(ciphertext, key, cfg)).toString());
+            },
+
+            testCipherOutputWithPassphrase: function () {
+                C.AES.encrypt(this.data.uint8View, 'passphrase', { output: 'uint8array' });
+            },
+
+            testUnsupportedOutput: function () {
+                C.SHA256(this.data.uint8View, { output: 'buffer' });
+            },
+
+            testCipherParamsAcceptTypedArray: function () {
+                var cipherParams = C.lib.CipherParams.create({ ciphertext: this.data.uint8View, salt: new Uint8Array(this.data.buffer, 0, 2) });
+
+                Y.Assert.areEqual('0123456789abcdef', cipherParams.ciphertext.toString());
+                Y.Assert.areEqual('0123', cipherParams.salt.toString());
             }
         }));
     }, '$Rev$');
@@ -62,6 +62,23 @@ YUI.add('lib-wordarray-test', function (Y) {
             Y.Assert.areEqual(wordArray2.toString() + wordArray3.toString(), wordArray1.concat(wordArray2.concat(wordArray3)).toString());
         },
 
+        testConcatUnaligned: function () {
+            var wordArray1 = C.lib.WordArray.create([0x01020304], 1);
+            var wordArray2 = C.lib.WordArray.create([0x05060708, 0x090a0b0c, 0x0d0e0f10], 10);
+
+            Y.Assert.areEqual('0105060708090a0b0c0d0e', wordArray1.concat(wordArray2).toString());
+            Y.Assert.areEqual(3, wordArray1.words.length);
+        },
+
+        testConcatUnalignedInsignificantBytes: function () {
+            var wordArray1 = C.lib.WordArray.create([0x01020304], 3);
+            var wordArray2 = C.lib.WordArray.create([0x05060708], 2);
+            var wordArray3 = C.lib.WordArray.create([0x090a0b0c], 1);
+
+            Y.Assert.areEqual('010203050609', wordArray1.concat(wordArray2).concat(wordArray3).toString());
+            Y.Assert.areEqual([0x01020305, 0x06090000].toString(), wordArray1.words.toString());
+        },
+
         testClamp: function () {
             var wordArray = C.lib.WordArray.create([0x12345678, 0x12345678], 3);
             wordArray.clamp();
@@ -77,9 +94,50 @@ YUI.add('lib-wordarray-test', function (Y) {
             Y.Assert.areNotEqual(wordArray.toString(), clone.toString());
         },
 
+        testEquals: function () {
+            var wordArray = C.lib.WordArray.create([0x12345678, 0x9abcdef0], 6);
+
+            Y.Assert.isTrue(wordArray.equals(C.lib.WordArray.create([0x12345678, 0x9abc0000], 6)));
+            Y.Assert.isFalse(wordArray.equals(C.lib.WordArray.create([0x12345678, 0x9abd0000], 6)));
+            Y.Assert.isFalse(wordArray.equals(C.lib.WordArray.create([0x12345678, 0x9abcdef0], 7)));
+        },
+
+        testEqualsConstantTime: function () {
+            var wordArray = C.lib.WordArray.create([0x12345678, 0x9abcdef0], 6);
+
+            Y.Assert.isTrue(wordArray.equals(C.lib.WordArray.create([0x12345678, 0x9abc0000], 6), { constantTime: true }));
+            Y.Assert.isFalse(wordArray.equals(C.lib.WordArray.create([0x12345678, 0x9abd0000], 6), { constantTime: true }));
+            Y.Assert.isFalse(wordArray.equals(C.lib.WordArray.create([0x12345678, 0x9abcdef0], 7), { constantTime: true }));
+            Y.Assert.isFalse(wordArray.equals(C.lib.WordArray.create([0x12345678]), { constantTime: true }));
+        },
+
         testRandom: function () {
             Y.Assert.areNotEqual(C.lib.WordArray.random(8).toString(), C.lib.WordArray.random(8).toString());
             Y.Assert.areEqual(8, C.lib.WordArray.random(8).sigBytes);
+        },
+
+        testRandomSource: function () {
+            // Save original random source
+            var source = C.random.source;
+
+            // Replace random source with one that returns a predictable value
+            C.random.source = {
+                getWords: function (nWords) {
+                    var words = [];
+                    for (var i = 0; i < nWords; i++) {
+                        words.push(0x12345678);
+                    }
+
+                    return words;
+                }
+            };
+
+            var actual = C.lib.WordArray.random(6).toString();
+
+            // Restore random source
+            C.random.source = source;
+
+            Y.Assert.areEqual('123456781234', actual);
         }
     }));
 }, '$Rev$');
@@ -4,6 +4,13 @@ YUI.add('mode-cbc-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'CBC',
 
+        _should: {
+            error: {
+                testInvalidIvSize: C.err.IvSizeError,
+                testMissingIv: C.err.IvSizeError
+            }
+        },
+
         setUp: function () {
             this.data = {};
 
@@ -44,6 +51,14 @@ YUI.add('mode-cbc-test', function (Y) {
             var decrypted = C.AES.decrypt(encrypted, this.data.key, { iv: this.data.iv, mode: C.mode.CBC, padding: C.pad.NoPadding });
 
             Y.Assert.areEqual(this.data.message.toString(), decrypted.toString());
+        },
+
+        testInvalidIvSize: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { iv: C.lib.WordArray.create([0x30313233, 0x34353637]), mode: C.mode.CBC });
+        },
+
+        testMissingIv: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.CBC });
         }
     }));
 }, '$Rev$');
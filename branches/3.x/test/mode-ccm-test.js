@@ -0,0 +1,138 @@
+YUI.add('mode-ccm-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'CCM',
+
+        _should: {
+            error: {
+                testDecryptBadTag: C.err.AuthenticationError,
+                testDecryptBadAad: C.err.AuthenticationError,
+                testDecryptMissingTag: C.err.ParameterError,
+                testShortNonce: C.err.IvSizeError,
+                testLongNonce: C.err.IvSizeError,
+                testInvalidTagLength: C.err.ParameterError,
+                testMessageTooLong: C.err.ParameterError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('404142434445464748494a4b4c4d4e4f');
+            this.data.iv = C.enc.Hex.parse('101112131415161718191a1b');
+            this.data.message = C.enc.Hex.parse('202122232425262728292a2b2c2d2e2f3031323334353637');
+            this.data.aad = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f10111213');
+            this.data.cfg = { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad };
+        },
+
+        testVector1: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('20212223'), this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('10111213141516'), aad: C.enc.Hex.parse('0001020304050607'), tagLength: 32 });
+
+            Y.Assert.areEqual('7162015b', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('4dac255d', encrypted.tag.toString());
+        },
+
+        testVector2: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('202122232425262728292a2b2c2d2e2f'), this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('1011121314151617'), aad: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f'), tagLength: 48 });
+
+            Y.Assert.areEqual('d2a1f0e051ea5f62081a7792073d593d', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('1fc64fbfaccd', encrypted.tag.toString());
+        },
+
+        testVector3: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad, tagLength: 64 });
+
+            Y.Assert.areEqual('e3b201a9f5b71a7a9b1ceaeccd97e70b6176aad9a4428aa5', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('484392fbc1b09951', encrypted.tag.toString());
+        },
+
+        testVectorRfc3610: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('08090a0b0c0d0e0f101112131415161718191a1b1c1d1e'), C.enc.Hex.parse('c0c1c2c3c4c5c6c7c8c9cacbcccdcecf'), { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('00000003020100a0a1a2a3a4a5'), aad: C.enc.Hex.parse('0001020304050607'), tagLength: 64 });
+
+            Y.Assert.areEqual('588c979a61c663d2f066d0c2c0f989806d5f6b61dac384', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('17e8d12cfdf926e0', encrypted.tag.toString());
+        },
+
+        testEmpty: function () {
+            var encrypted = C.AES.encrypt(C.lib.WordArray.create(), this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv });
+
+            Y.Assert.areEqual('', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('', C.AES.decrypt(encrypted, this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv }).toString());
+        },
+
+        testTagLength: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad, tagLength: 64 });
+
+            Y.Assert.areEqual(8, encrypted.tag.sigBytes);
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted.toString(), this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad, tagLength: 64 }).toString());
+        },
+
+        testToString: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(encrypted.ciphertext.clone().concat(encrypted.tag).toString(C.enc.Base64), encrypted.toString());
+        },
+
+        testDecrypt: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptString: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg).toString();
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptBadTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+            encrypted.tag.words[0] ^= 1;
+
+            C.AES.decrypt(encrypted, this.data.key, this.data.cfg);
+        },
+
+        testDecryptBadAad: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.AES.decrypt(encrypted, this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: 'wrong' });
+        },
+
+        testDecryptMissingTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.algo.AES.createDecryptor(this.data.key, this.data.cfg).finalize(encrypted.ciphertext);
+        },
+
+        testShortNonce: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('101112131415') });
+        },
+
+        testLongNonce: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('101112131415161718191a1b1c1d') });
+        },
+
+        testInvalidTagLength: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: this.data.iv, tagLength: 72 });
+        },
+
+        testMessageTooLong: function () {
+            // A 13-byte nonce leaves 2 bytes for the message length
+            C.AES.encrypt(C.lib.WordArray.create([], 0x10000), this.data.key, { mode: C.mode.CCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('101112131415161718191a1b1c') });
+        },
+
+        testProgressive: function () {
+            var expected = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            var aes = C.algo.AES.createEncryptor(this.data.key, this.data.cfg);
+            var ciphertext = C.lib.WordArray.create();
+            ciphertext.concat(aes.process(C.enc.Hex.parse('20212223242526')));
+            ciphertext.concat(aes.process(C.enc.Hex.parse('2728292a2b2c2d2e2f3031')));
+            ciphertext.concat(aes.finalize(C.enc.Hex.parse('323334353637')));
+
+            Y.Assert.areEqual(expected.ciphertext.toString(), ciphertext.toString());
+            Y.Assert.areEqual(expected.tag.toString(), aes.tag.toString());
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,153 @@
+YUI.add('mode-eax-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'EAX',
+
+        _should: {
+            error: {
+                testDecryptBadTag: C.err.AuthenticationError,
+                testDecryptBadAad: C.err.AuthenticationError,
+                testDecryptMissingTag: C.err.ParameterError,
+                testMissingNonce: C.err.IvSizeError,
+                testInvalidTagLength: C.err.ParameterError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('8395fcf1e95bebd697bd010bc766aac3');
+            this.data.iv = C.enc.Hex.parse('22e7add93cfc6393c57ec0b3c17d6b44');
+            this.data.message = C.enc.Hex.parse('ca40d7446e545ffaed3bd12a740a659ffbbb3ceab7');
+            this.data.aad = C.enc.Hex.parse('126735fcc320d25a');
+            this.data.cfg = { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad };
+        },
+
+        testVector1: function () {
+            var encrypted = C.AES.encrypt(C.lib.WordArray.create(), C.enc.Hex.parse('233952dee4d5ed5f9b9c6d6ff80ff478'), { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('62ec67f9c3a4a407fcb2a8c49031a8b3'), aad: C.enc.Hex.parse('6bfb914fd07eae6b') });
+
+            Y.Assert.areEqual('', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('e037830e8389f27b025a2d6527e79d01', encrypted.tag.toString());
+        },
+
+        testVector2: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('f7fb'), C.enc.Hex.parse('91945d3f4dcbee0bf45ef52255f095a4'), { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('becaf043b0a23d843194ba972c66debd'), aad: C.enc.Hex.parse('fa3bfd4806eb53fa') });
+
+            Y.Assert.areEqual('19dd', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('5c4c9331049d0bdab0277408f67967e5', encrypted.tag.toString());
+        },
+
+        testVector5: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('40d0c07da5e4'), C.enc.Hex.parse('35b6d0580005bbc12b0587124557d2c2'), { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('fdb6b06676eedc5c61d74276e1f8e816'), aad: C.enc.Hex.parse('aeb96eaebe2970e9') });
+
+            Y.Assert.areEqual('071dfe16c675', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('cb0677e536f73afe6a14b74ee49844dd', encrypted.tag.toString());
+        },
+
+        testVector10: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual('cb8920f87a6c75cff39627b56e3ed197c552d295a7', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('cfc46afc253b4652b1af3795b124ab6e', encrypted.tag.toString());
+        },
+
+        testTagLength: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad, tagLength: 64 });
+
+            Y.Assert.areEqual('cfc46afc253b4652', encrypted.tag.toString());
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted.toString(), this.data.key, { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad, tagLength: 64 }).toString());
+        },
+
+        testToString: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(encrypted.ciphertext.clone().concat(encrypted.tag).toString(C.enc.Base64), encrypted.toString());
+        },
+
+        testDecrypt: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted.toString(), this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptBadTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+            encrypted.tag.words[0] ^= 1;
+
+            C.AES.decrypt(encrypted, this.data.key, this.data.cfg);
+        },
+
+        testDecryptBadAad: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.AES.decrypt(encrypted, this.data.key, { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: this.data.iv, aad: 'wrong' });
+        },
+
+        testDecryptMissingTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.algo.AES.createDecryptor(this.data.key, this.data.cfg).finalize(encrypted.ciphertext);
+        },
+
+        testMissingNonce: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.EAX, padding: C.pad.NoPadding });
+        },
+
+        testInvalidTagLength: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: this.data.iv, tagLength: 60 });
+        },
+
+        testProgressive: function () {
+            var expected = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            var aes = C.algo.AES.createEncryptor(this.data.key, this.data.cfg);
+            var ciphertext = C.lib.WordArray.create();
+            ciphertext.concat(aes.process(C.enc.Hex.parse('ca40d7446e54')));
+            ciphertext.concat(aes.process(C.enc.Hex.parse('5ffaed3bd12a740a659ffb')));
+            ciphertext.concat(aes.finalize(C.enc.Hex.parse('bb3ceab7')));
+
+            Y.Assert.areEqual(expected.ciphertext.toString(), ciphertext.toString());
+            Y.Assert.areEqual(expected.tag.toString(), aes.tag.toString());
+        },
+
+        testExportImportState: function () {
+            // Shortcuts
+            var key = this.data.key;
+            var cfg = this.data.cfg;
+            var decryptCfg = { mode: C.mode.EAX, padding: C.pad.NoPadding, iv: cfg.iv, aad: cfg.aad };
+
+            // Split after more than one block, and just before the end
+            var splits = [[64, 40], [70, 3]];
+            for (var i = 0; i < splits.length; i++) {
+                var nSplitHexChars = splits[i][0] * 2;
+                var messageHex = C.lib.WordArray.random(splits[i][0] + splits[i][1]).toString();
+                var expected = C.AES.encrypt(C.enc.Hex.parse(messageHex), key, cfg);
+                var expectedHex = expected.ciphertext.toString();
+
+                // Encrypt
+                var encryptor = C.algo.AES.createEncryptor(key, cfg);
+                var ciphertext = encryptor.process(C.enc.Hex.parse(messageHex.slice(0, nSplitHexChars)));
+                var state = JSON.parse(JSON.stringify(encryptor.exportState()));
+
+                var resumedEncryptor = C.algo.AES.createEncryptor(key, cfg).importState(state);
+                ciphertext.concat(resumedEncryptor.finalize(C.enc.Hex.parse(messageHex.slice(nSplitHexChars))));
+
+                Y.Assert.areEqual(expectedHex, ciphertext.toString());
+                Y.Assert.areEqual(expected.tag.toString(), resumedEncryptor.tag.toString());
+
+                // Decrypt
+                decryptCfg.tag = expected.tag;
+                var decryptor = C.algo.AES.createDecryptor(key, decryptCfg);
+                var plaintext = decryptor.process(C.enc.Hex.parse(expectedHex.slice(0, nSplitHexChars)));
+                var state = JSON.parse(JSON.stringify(decryptor.exportState()));
+
+                var resumedDecryptor = C.algo.AES.createDecryptor(key, decryptCfg).importState(state);
+                plaintext.concat(resumedDecryptor.finalize(C.enc.Hex.parse(expectedHex.slice(nSplitHexChars))));
+
+                Y.Assert.areEqual(messageHex, plaintext.toString());
+            }
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,128 @@
+YUI.add('mode-gcm-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'GCM',
+
+        _should: {
+            error: {
+                testDecryptBadTag: C.err.AuthenticationError,
+                testDecryptBadAad: C.err.AuthenticationError,
+                testDecryptMissingTag: C.err.ParameterError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('feffe9928665731c6d6a8f9467308308');
+            this.data.iv = C.enc.Hex.parse('cafebabefacedbaddecaf888');
+            this.data.message = C.enc.Hex.parse(
+                'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+                '1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39'
+            );
+            this.data.aad = C.enc.Hex.parse('feedfacedeadbeeffeedfacedeadbeefabaddad2');
+            this.data.cfg = { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad };
+        },
+
+        testVectorZero: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('00000000000000000000000000000000'), C.enc.Hex.parse('00000000000000000000000000000000'), { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('000000000000000000000000') });
+
+            Y.Assert.areEqual('0388dace60b6a392f328c2b971b2fe78', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('ab6e47d42cec13bdf53a67b21257bddf', encrypted.tag.toString());
+        },
+
+        testVectorEmpty: function () {
+            var encrypted = C.AES.encrypt(C.lib.WordArray.create(), C.enc.Hex.parse('00000000000000000000000000000000'), { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('000000000000000000000000') });
+
+            Y.Assert.areEqual('', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('58e2fccefa7e3061367f1d57a4e7455a', encrypted.tag.toString());
+        },
+
+        testVectorAad: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual('42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('5bc94fbc3221a5db94fae95ae7121a47', encrypted.tag.toString());
+        },
+
+        testVectorShortIv: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('cafebabefacedbad'), aad: this.data.aad });
+
+            Y.Assert.areEqual('61353b4c2806934a777ff51fa22a4755699b2a714fcdc6f83766e5f97b6c742373806900e49f24b22b097544d4896b424989b5e1ebac0f07c23f4598', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('3612d2e79e3b0785561be14aaca2fccb', encrypted.tag.toString());
+        },
+
+        testVectorLongIv: function () {
+            var iv = C.enc.Hex.parse('9313225df88406e555909c5aff5269aa6a7a9538534f7da1e4c303d2a318a728c3c0c95156809539fcf0e2429a6b525416aedbf5a0de6a57a637b39b');
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: iv, aad: this.data.aad });
+
+            Y.Assert.areEqual('8ce24998625615b603a033aca13fb894be9112a5c3a211a8ba262a3cca7e2ca701e4a9a4fba43c90ccdcb281d48c7c6fd62875d2aca417034c34aee5', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('619cc5aefffe0bfa462af43c1699d050', encrypted.tag.toString());
+        },
+
+        testVectorKeySize256: function () {
+            var encrypted = C.AES.encrypt(this.data.message, C.enc.Hex.parse('feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308'), this.data.cfg);
+
+            Y.Assert.areEqual('522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('76fc6ece0f4e1768cddf8853bb2d551b', encrypted.tag.toString());
+        },
+
+        testTagLength: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad, tagLength: 96 });
+
+            Y.Assert.areEqual('5bc94fbc3221a5db94fae95a', encrypted.tag.toString());
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted.toString(), this.data.key, { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad, tagLength: 96 }).toString());
+        },
+
+        testToString: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(encrypted.ciphertext.clone().concat(encrypted.tag).toString(C.enc.Base64), encrypted.toString());
+        },
+
+        testDecrypt: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptString: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg).toString();
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptBadTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+            encrypted.tag.words[0] ^= 1;
+
+            C.AES.decrypt(encrypted, this.data.key, this.data.cfg);
+        },
+
+        testDecryptBadAad: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.AES.decrypt(encrypted, this.data.key, { mode: C.mode.GCM, padding: C.pad.NoPadding, iv: this.data.iv, aad: 'wrong' });
+        },
+
+        testDecryptMissingTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.algo.AES.createDecryptor(this.data.key, this.data.cfg).finalize(encrypted.ciphertext);
+        },
+
+        testProgressive: function () {
+            var expected = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            var aes = C.algo.AES.createEncryptor(this.data.key, this.data.cfg);
+            var ciphertext = C.lib.WordArray.create();
+            ciphertext.concat(aes.process(C.enc.Hex.parse('d9313225f88406e5a55909c5aff526')));
+            ciphertext.concat(aes.process(C.enc.Hex.parse('9a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532f')));
+            ciphertext.concat(aes.finalize(C.enc.Hex.parse('cf0e2449a6b525b16aedf5aa0de657ba637b39')));
+
+            Y.Assert.areEqual(expected.ciphertext.toString(), ciphertext.toString());
+            Y.Assert.areEqual(expected.tag.toString(), aes.tag.toString());
+        }
+    }));
+}, '$Rev$');
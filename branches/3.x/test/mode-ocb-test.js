@@ -0,0 +1,120 @@
+YUI.add('mode-ocb-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'OCB',
+
+        _should: {
+            error: {
+                testDecryptBadTag: C.err.AuthenticationError,
+                testDecryptBadAad: C.err.AuthenticationError,
+                testDecryptMissingTag: C.err.ParameterError,
+                testMissingNonce: C.err.IvSizeError,
+                testLongNonce: C.err.IvSizeError,
+                testInvalidTagLength: C.err.ParameterError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            this.data.iv = C.enc.Hex.parse('bbaa99887766554433221107');
+            this.data.message = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011121314151617');
+            this.data.aad = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011121314151617');
+            this.data.cfg = { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: this.data.iv, aad: this.data.aad };
+        },
+
+        testVectorEmpty: function () {
+            var encrypted = C.AES.encrypt(C.lib.WordArray.create(), this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('bbaa99887766554433221100') });
+
+            Y.Assert.areEqual('', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('785407bfffc8ad9edcc5520ac9111ee6', encrypted.tag.toString());
+        },
+
+        testVectorPartialBlock: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('0001020304050607'), this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('bbaa99887766554433221101'), aad: C.enc.Hex.parse('0001020304050607') });
+
+            Y.Assert.areEqual('6820b3657b6f615a', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('5725bda0d3b4eb3a257c9af1f8f03009', encrypted.tag.toString());
+        },
+
+        testVectorAadOnly: function () {
+            var encrypted = C.AES.encrypt(C.lib.WordArray.create(), this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('bbaa99887766554433221102'), aad: C.enc.Hex.parse('0001020304050607') });
+
+            Y.Assert.areEqual('81017f8203f081277152fade694a0a00', encrypted.tag.toString());
+        },
+
+        testVectorMessageOnly: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('0001020304050607'), this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('bbaa99887766554433221103') });
+
+            Y.Assert.areEqual('45dd69f8f5aae724', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('14054cd1f35d82760b2cd00d2f99bfa9', encrypted.tag.toString());
+        },
+
+        testVectorTagLength96: function () {
+            var message = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021222324252627');
+            var encrypted = C.AES.encrypt(message, C.enc.Hex.parse('0f0e0d0c0b0a09080706050403020100'), { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('bbaa9988776655443322110d'), aad: message, tagLength: 96 });
+
+            Y.Assert.areEqual('1792a4e31e0755fb03e31b22116e6c2ddf9efd6e33d536f1a0124b0a55bae884ed93481529c76b6a', encrypted.ciphertext.toString());
+            Y.Assert.areEqual('d0c515f4d1cdd4fdac4f02aa', encrypted.tag.toString());
+        },
+
+        testToString: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(encrypted.ciphertext.clone().concat(encrypted.tag).toString(C.enc.Base64), encrypted.toString());
+        },
+
+        testDecrypt: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted, this.data.key, this.data.cfg).toString());
+            Y.Assert.areEqual(this.data.message.toString(), C.AES.decrypt(encrypted.toString(), this.data.key, this.data.cfg).toString());
+        },
+
+        testDecryptBadTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+            encrypted.tag.words[0] ^= 1;
+
+            C.AES.decrypt(encrypted, this.data.key, this.data.cfg);
+        },
+
+        testDecryptBadAad: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.AES.decrypt(encrypted, this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: this.data.iv, aad: 'wrong' });
+        },
+
+        testDecryptMissingTag: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            C.algo.AES.createDecryptor(this.data.key, this.data.cfg).finalize(encrypted.ciphertext);
+        },
+
+        testMissingNonce: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding });
+        },
+
+        testLongNonce: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f') });
+        },
+
+        testInvalidTagLength: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.OCB, padding: C.pad.NoPadding, iv: this.data.iv, tagLength: 32 });
+        },
+
+        testProgressive: function () {
+            var expected = C.AES.encrypt(this.data.message, this.data.key, this.data.cfg);
+
+            var aes = C.algo.AES.createEncryptor(this.data.key, this.data.cfg);
+            var ciphertext = C.lib.WordArray.create();
+            ciphertext.concat(aes.process(C.enc.Hex.parse('0001020304')));
+            ciphertext.concat(aes.process(C.enc.Hex.parse('05060708090a0b0c0d0e0f1011')));
+            ciphertext.concat(aes.finalize(C.enc.Hex.parse('121314151617')));
+
+            Y.Assert.areEqual(expected.ciphertext.toString(), ciphertext.toString());
+            Y.Assert.areEqual(expected.tag.toString(), aes.tag.toString());
+        }
+    }));
+}, '$Rev$');
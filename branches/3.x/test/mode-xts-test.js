@@ -0,0 +1,136 @@
+YUI.add('mode-xts-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'XTS',
+
+        _should: {
+            error: {
+                testMissingTweak: C.err.ParameterError,
+                testInvalidTweak: C.err.ParameterError,
+                testInvalidDataUnitSize: C.err.ParameterError,
+                testShortMessage: C.err.ParameterError,
+                testShortDataUnit: C.err.ParameterError,
+                testOddKey: C.err.KeySizeError
+            }
+        },
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0bfbebdbcbbbab9b8b7b6b5b4b3b2b1b0');
+            this.data.message = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f10111213');
+            this.data.cfg = { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0x123456789a };
+        },
+
+        testVector1: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('0000000000000000000000000000000000000000000000000000000000000000'), C.enc.Hex.parse('0000000000000000000000000000000000000000000000000000000000000000'), { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0 });
+
+            Y.Assert.areEqual('917cf69ebd68b2ec9b9fe9a3eadda692cd43d2f59598ed858c02c2652fbf922e', encrypted.ciphertext.toString());
+        },
+
+        testVector2: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('4444444444444444444444444444444444444444444444444444444444444444'), C.enc.Hex.parse('1111111111111111111111111111111122222222222222222222222222222222'), { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0x3333333333 });
+
+            Y.Assert.areEqual('c454185e6a16936e39334038acef838bfb186fff7480adc4289382ecd6d394f0', encrypted.ciphertext.toString());
+        },
+
+        testVector3: function () {
+            var encrypted = C.AES.encrypt(C.enc.Hex.parse('4444444444444444444444444444444444444444444444444444444444444444'), C.enc.Hex.parse('fffefdfcfbfaf9f8f7f6f5f4f3f2f1f022222222222222222222222222222222'), { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0x3333333333 });
+
+            Y.Assert.areEqual('af85336b597afc1a900b2eb21ec949d292df4c047e0b21532186a5971a227a89', encrypted.ciphertext.toString());
+        },
+
+        testCiphertextStealing: function () {
+            var message = this.data.message;
+
+            Y.Assert.areEqual('6c1625db4671522d3d7599601de7ca09ed', C.AES.encrypt(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f10'), this.data.key, this.data.cfg).ciphertext.toString());
+            Y.Assert.areEqual('d069444b7a7e0cab09e24447d24deb1fedbf', C.AES.encrypt(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011'), this.data.key, this.data.cfg).ciphertext.toString());
+            Y.Assert.areEqual('e5df1351c0544ba1350b3363cd8ef4beedbf9d', C.AES.encrypt(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112'), this.data.key, this.data.cfg).ciphertext.toString());
+            Y.Assert.areEqual('9d84c813f719aa2c7be3f66171c7c5c2edbf9dac', C.AES.encrypt(message, this.data.key, this.data.cfg).ciphertext.toString());
+        },
+
+        testTweakWordArray: function () {
+            var cfg = { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: C.enc.Hex.parse('9a785634120000000000000000000000') };
+
+            Y.Assert.areEqual('9d84c813f719aa2c7be3f66171c7c5c2edbf9dac', C.AES.encrypt(this.data.message, this.data.key, cfg).ciphertext.toString());
+        },
+
+        testDecrypt: function () {
+            var ciphertexts = ['6c1625db4671522d3d7599601de7ca09ed', '9d84c813f719aa2c7be3f66171c7c5c2edbf9dac'];
+            var plaintexts = ['000102030405060708090a0b0c0d0e0f10', '000102030405060708090a0b0c0d0e0f10111213'];
+
+            for (var i = 0; i < ciphertexts.length; i++) {
+                var decrypted = C.AES.decrypt({ ciphertext: C.enc.Hex.parse(ciphertexts[i]) }, this.data.key, this.data.cfg);
+
+                Y.Assert.areEqual(plaintexts[i], decrypted.toString());
+            }
+        },
+
+        testProgressive: function () {
+            var message = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021222324');
+            var expected = C.AES.encrypt(message, this.data.key, this.data.cfg).ciphertext;
+
+            var aes = C.algo.AES.createEncryptor(this.data.key, this.data.cfg);
+            var ciphertext = aes.process(C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112'));
+            ciphertext.concat(aes.process(C.enc.Hex.parse('131415161718191a1b1c1d1e1f')));
+            ciphertext.concat(aes.finalize(C.enc.Hex.parse('2021222324')));
+
+            Y.Assert.areEqual(expected.toString(), ciphertext.toString());
+
+            var aes = C.algo.AES.createDecryptor(this.data.key, this.data.cfg);
+            var plaintext = aes.process(C.enc.Hex.parse(expected.toString().substr(0, 40)));
+            plaintext.concat(aes.finalize(C.enc.Hex.parse(expected.toString().substr(40))));
+
+            Y.Assert.areEqual(message.toString(), plaintext.toString());
+        },
+
+        testDataUnits: function () {
+            var firstUnit = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+            var secondUnit = this.data.message;
+            var cfg = { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0x123456789a, dataUnitSize: 32 };
+            var secondUnitCfg = { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0x123456789b };
+
+            var expected = C.AES.encrypt(firstUnit, this.data.key, this.data.cfg).ciphertext.concat(C.AES.encrypt(secondUnit, this.data.key, secondUnitCfg).ciphertext);
+            var encrypted = C.AES.encrypt(firstUnit.clone().concat(secondUnit), this.data.key, cfg);
+
+            Y.Assert.areEqual(expected.toString(), encrypted.ciphertext.toString());
+            Y.Assert.areEqual(firstUnit.clone().concat(secondUnit).toString(), C.AES.decrypt(encrypted, this.data.key, cfg).toString());
+        },
+
+        testTweakCarry: function () {
+            var message = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+            var cfg = { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: C.enc.Hex.parse('ffffffffffffffffffffffff00000000'), dataUnitSize: 16 };
+            var secondUnitCfg = { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: C.enc.Hex.parse('00000000000000000000000001000000') };
+
+            var encrypted = C.AES.encrypt(message, this.data.key, cfg).ciphertext.toString();
+            var expected = C.AES.encrypt(C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f'), this.data.key, secondUnitCfg).ciphertext.toString();
+
+            Y.Assert.areEqual(expected, encrypted.substr(32));
+        },
+
+        testMissingTweak: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.XTS, padding: C.pad.NoPadding });
+        },
+
+        testInvalidTweak: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: C.enc.Hex.parse('0001020304050607') });
+        },
+
+        testInvalidDataUnitSize: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0, dataUnitSize: 24 });
+        },
+
+        testShortMessage: function () {
+            C.AES.encrypt(C.enc.Hex.parse('000102030405060708090a0b0c0d0e'), this.data.key, this.data.cfg);
+        },
+
+        testShortDataUnit: function () {
+            C.AES.encrypt(this.data.message, this.data.key, { mode: C.mode.XTS, padding: C.pad.NoPadding, tweak: 0, dataUnitSize: 16 });
+        },
+
+        testOddKey: function () {
+            C.AES.encrypt(this.data.message, C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f10111213'), this.data.cfg);
+        }
+    }));
+}, '$Rev$');
@@ -4,6 +4,14 @@ YUI.add('pad-ansix923-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'AnsiX923',
 
+        _should: {
+            error: {
+                testUnpadNonzeroPaddingByte: 'Invalid padding.',
+                testUnpadZero: 'Invalid padding.',
+                testUnpadLongerThanBlock: 'Invalid padding.'
+            }
+        },
+
         testPad: function () {
             var data = C.lib.WordArray.create([0xdddddd00], 3);
             C.pad.AnsiX923.pad(data, 2);
@@ -23,6 +31,18 @@ YUI.add('pad-ansix923-test', function (Y) {
             C.pad.AnsiX923.unpad(data);
 
             Y.Assert.areEqual(C.lib.WordArray.create([0xdddddd00], 3).toString(), data.toString());
+        },
+
+        testUnpadNonzeroPaddingByte: function () {
+            C.pad.AnsiX923.unpad(C.lib.WordArray.create([0xdddddd00, 0x00010005]));
+        },
+
+        testUnpadZero: function () {
+            C.pad.AnsiX923.unpad(C.lib.WordArray.create([0xdddddd00, 0x00000000]));
+        },
+
+        testUnpadLongerThanBlock: function () {
+            C.pad.AnsiX923.unpad(C.lib.WordArray.create([0xdddddd00, 0x00000000, 0x00000009]), 2);
         }
     }));
 }, '$Rev$');
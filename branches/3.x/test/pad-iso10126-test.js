@@ -4,6 +4,12 @@ YUI.add('pad-iso10126-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Iso10126',
 
+        _should: {
+            error: {
+                testUnpadTooLong: 'Invalid padding.'
+            }
+        },
+
         setUp: function () {
             this.data = {};
 
@@ -45,6 +51,10 @@ YUI.add('pad-iso10126-test', function (Y) {
             C.pad.Iso10126.unpad(data);
 
             Y.Assert.areEqual(C.lib.WordArray.create([0xdddddd00], 3).toString(), data.toString());
+        },
+
+        testUnpadTooLong: function () {
+            C.pad.Iso10126.unpad(C.lib.WordArray.create([0xdddddd11, 0x22334409]));
         }
     }));
 }, '$Rev$');
@@ -4,6 +4,14 @@ YUI.add('pad-iso97971-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Iso97971',
 
+        _should: {
+            error: {
+                testUnpadMissingMarker: 'Invalid padding.',
+                testUnpadAllZeros: 'Invalid padding.',
+                testUnpadLongerThanBlock: 'Invalid padding.'
+            }
+        },
+
         testPad1: function () {
             var data = C.lib.WordArray.create([0xdddddd00], 3);
             C.pad.Iso97971.pad(data, 1);
@@ -30,6 +38,18 @@ YUI.add('pad-iso97971-test', function (Y) {
             C.pad.Iso97971.unpad(data);
 
             Y.Assert.areEqual(C.lib.WordArray.create([0xdddddd00], 3).toString(), data.toString());
+        },
+
+        testUnpadMissingMarker: function () {
+            C.pad.Iso97971.unpad(C.lib.WordArray.create([0xdddddd81, 0x00000000]));
+        },
+
+        testUnpadAllZeros: function () {
+            C.pad.Iso97971.unpad(C.lib.WordArray.create([0x00000000, 0x00000000]));
+        },
+
+        testUnpadLongerThanBlock: function () {
+            C.pad.Iso97971.unpad(C.lib.WordArray.create([0xdddddd80, 0x00000000, 0x00000000]), 2);
         }
     }));
 }, '$Rev$');
@@ -4,6 +4,16 @@ YUI.add('pad-pkcs7-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Pkcs7',
 
+        _should: {
+            error: {
+                testUnpadInvalidPaddingByte: 'Invalid padding.',
+                testUnpadZero: 'Invalid padding.',
+                testUnpadTooLong: 'Invalid padding.',
+                testUnpadLongerThanBlock: 'Invalid padding.',
+                testDecryptWrongKey: 'Invalid padding.'
+            }
+        },
+
         testPad: function () {
             var data = C.lib.WordArray.create([0xdddddd00], 3);
             C.pad.Pkcs7.pad(data, 2);
@@ -23,6 +33,42 @@ YUI.add('pad-pkcs7-test', function (Y) {
             C.pad.Pkcs7.unpad(data);
 
             Y.Assert.areEqual(C.lib.WordArray.create([0xdddddd00], 3).toString(), data.toString());
+        },
+
+        testUnpadInvalidPaddingByte: function () {
+            C.pad.Pkcs7.unpad(C.lib.WordArray.create([0xdddddd05, 0x05050405]));
+        },
+
+        testUnpadZero: function () {
+            C.pad.Pkcs7.unpad(C.lib.WordArray.create([0xdddddd00]));
+        },
+
+        testUnpadTooLong: function () {
+            C.pad.Pkcs7.unpad(C.lib.WordArray.create([0x09090909, 0x09090909]));
+        },
+
+        testUnpadLongerThanBlock: function () {
+            C.pad.Pkcs7.unpad(C.lib.WordArray.create([0xdddddd09, 0x09090909, 0x09090909]), 2);
+        },
+
+        testUnpadErrorType: function () {
+            try {
+                C.pad.Pkcs7.unpad(C.lib.WordArray.create([0xdddddd00]));
+            } catch (e) {
+                var error = e;
+            }
+
+            Y.Assert.isInstanceOf(C.err.PaddingError, error);
+            Y.Assert.isInstanceOf(C.err.DecryptionError, error);
+            Y.Assert.isInstanceOf(C.err.CryptoJSError, error);
+            Y.Assert.areEqual('PaddingError', error.name);
+        },
+
+        testDecryptWrongKey: function () {
+            var iv = C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f');
+            var ciphertext = C.AES.encrypt('Message', C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f'), { iv: iv });
+
+            C.AES.decrypt(ciphertext, C.enc.Hex.parse('0f0e0d0c0b0a09080706050403020100'), { iv: iv });
         }
     }));
 }, '$Rev$');
@@ -75,6 +75,66 @@ YUI.add('algo-pbkdf2-test', function (Y) {
 
         testHelper: function () {
             Y.Assert.areEqual(C.algo.PBKDF2.create({ keySize: 128/32 }).compute('password', 'ATHENA.MIT.EDUraeburn').toString(), C.PBKDF2('password', 'ATHENA.MIT.EDUraeburn', { keySize: 128/32 }).toString());
+        },
+
+        testAsync: function () {
+            var test = this;
+            var progress = [];
+
+            C.async.PBKDF2('XXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX', 'pass phrase exceeds block size', { keySize: 256/32, iterations: 1200 }, {
+                onProgress: function (fraction) {
+                    progress.push(fraction);
+                },
+                sliceDuration: 1
+            }).then(function (key) {
+                test.resume(function () {
+                    Y.Assert.areEqual('9ccad6d468770cd51b10e6a68721be611a8b4d282601db3b36be9246915ec82a', key.toString());
+                    Y.Assert.isTrue(progress.length > 1);
+                    Y.Assert.isTrue(progress[0] < progress[1]);
+                    Y.Assert.areEqual(1, progress[progress.length - 1]);
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testAsyncAbort: function () {
+            var test = this;
+
+            if (typeof AbortController == 'undefined') {
+                return;
+            }
+
+            var abortController = new AbortController();
+
+            C.async.PBKDF2('password', 'salt', { iterations: 1000000 }, { signal: abortController.signal }).then(function () {
+                test.resume(function () {
+                    Y.Assert.fail('The computation was not aborted.');
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.areEqual('AbortError', e.name);
+                });
+            });
+            abortController.abort();
+
+            this.wait(10000);
+        },
+
+        testAsyncRejectsInvalidHasher: function () {
+            var test = this;
+
+            C.async.PBKDF2('password', 'salt', { hasher: 'SHA256' }).then(function () {
+                test.resume(function () {
+                    Y.Assert.fail('The promise was not rejected.');
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.isInstanceOf(Error, e);
+                });
+            });
+
+            this.wait(10000);
         }
     }));
 }, '$Rev$');
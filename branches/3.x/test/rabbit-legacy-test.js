@@ -4,6 +4,12 @@ YUI.add('algo-rabbit-legacy-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'RabbitLegacy',
 
+        _should: {
+            error: {
+                testInvalidKeySize: C.err.KeySizeError
+            }
+        },
+
         testVector1: function () {
             Y.Assert.areEqual('02f74a1c26456bf5ecd6a536f05457b1', C.RabbitLegacy.encrypt(C.enc.Hex.parse('00000000000000000000000000000000'), C.enc.Hex.parse('00000000000000000000000000000000')).ciphertext.toString());
         },
@@ -75,6 +81,10 @@ YUI.add('algo-rabbit-legacy-test', function (Y) {
 
             // Restore random method
             C.lib.WordArray.random = random;
+        },
+
+        testInvalidKeySize: function () {
+            C.RabbitLegacy.encrypt('Hi There', C.enc.Hex.parse('0001020304050607'));
         }
     }));
 }, '$Rev$');
@@ -4,6 +4,13 @@ YUI.add('algo-rabbit-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'Rabbit',
 
+        _should: {
+            error: {
+                testInvalidKeySize: C.err.KeySizeError,
+                testInvalidIvSize: C.err.IvSizeError
+            }
+        },
+
         testVector1: function () {
             Y.Assert.areEqual('02f74a1c26456bf5ecd6a536f05457b1', C.Rabbit.encrypt(C.enc.Hex.parse('00000000000000000000000000000000'), C.enc.Hex.parse('00000000000000000000000000000000')).ciphertext.toString());
         },
@@ -79,6 +86,14 @@ YUI.add('algo-rabbit-test', function (Y) {
 
             // Restore random method
             C.lib.WordArray.random = random;
+        },
+
+        testInvalidKeySize: function () {
+            C.Rabbit.encrypt('Hi There', C.enc.Hex.parse('0001020304050607'));
+        },
+
+        testInvalidIvSize: function () {
+            C.Rabbit.encrypt('Hi There', C.MD5('Jefe'), { iv: C.enc.Hex.parse('00010203') });
         }
     }));
 }, '$Rev$');
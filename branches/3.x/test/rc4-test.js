@@ -4,6 +4,12 @@ YUI.add('algo-rc4-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'RC4',
 
+        _should: {
+            error: {
+                testEmptyKey: C.err.KeySizeError
+            }
+        },
+
         testVector1: function () {
             Y.Assert.areEqual('7494c2e7104b0879', C.RC4.encrypt(C.enc.Hex.parse('0000000000000000'), C.enc.Hex.parse('0123456789abcdef')).ciphertext.toString());
         },
@@ -63,6 +69,10 @@ YUI.add('algo-rc4-test', function (Y) {
 
             // Restore random method
             C.lib.WordArray.random = random;
+        },
+
+        testEmptyKey: function () {
+            C.RC4.encrypt('Hi There', C.lib.WordArray.create());
         }
     }));
 }, '$Rev$');
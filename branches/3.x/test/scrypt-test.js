@@ -0,0 +1,122 @@
+YUI.add('algo-scrypt-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'Scrypt',
+
+        _should: {
+            error: {
+                testCostNotPowerOf2: true,
+                testAsyncThrowsWithoutErrback: C.err.ParameterError
+            }
+        },
+
+        testVector1: function () {
+            Y.Assert.areEqual('77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906', C.Scrypt('', '', { keySize: 512/32, N: 16, r: 1, p: 1 }).toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640', C.Scrypt('password', 'NaCl', { keySize: 512/32, N: 1024, r: 8, p: 16 }).toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2d5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887', C.Scrypt('pleaseletmein', 'SodiumChloride', { keySize: 512/32, N: 16384, r: 8, p: 1 }).toString());
+        },
+
+        testCostNotPowerOf2: function () {
+            C.Scrypt('password', 'salt', { N: 1000 });
+        },
+
+        testAsync: function () {
+            var test = this;
+
+            C.Scrypt.async('password', 'salt', { N: 16, r: 1, p: 1, asyncChunkSize: 5 }, function (key) {
+                test.resume(function () {
+                    Y.Assert.areEqual('45133c3dfba48c82235df51a53499241', key.toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testAsyncPromise: function () {
+            var test = this;
+
+            C.async.Scrypt('password', 'salt', { N: 16, r: 1, p: 1 }).then(function (key) {
+                test.resume(function () {
+                    Y.Assert.areEqual('45133c3dfba48c82235df51a53499241', key.toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testAsyncPromiseRejectsInvalidCost: function () {
+            var test = this;
+
+            C.async.Scrypt('password', 'salt', { N: 3 }).then(function () {
+                test.resume(function () {
+                    Y.Assert.fail('The promise was not rejected.');
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.isInstanceOf(C.err.ParameterError, e);
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testAsyncErrback: function () {
+            var test = this;
+
+            C.Scrypt.async('password', 'salt', { N: 3 }, function () {
+                test.resume(function () {
+                    Y.Assert.fail('The callback was called.');
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.isInstanceOf(C.err.ParameterError, e);
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testAsyncThrowsWithoutErrback: function () {
+            C.Scrypt.async('password', 'salt', { N: 3 }, function () {
+            });
+        },
+
+        testAsyncCallbackIsAsynchronous: function () {
+            var test = this;
+            var isReturned = false;
+
+            C.Scrypt.async('password', 'salt', { N: 2, r: 1, p: 1 }, function () {
+                test.resume(function () {
+                    Y.Assert.isTrue(isReturned);
+                });
+            });
+            isReturned = true;
+
+            this.wait(10000);
+        },
+
+        testInputIntegrity: function () {
+            var password = C.lib.WordArray.create([0x12345678]);
+            var salt = C.lib.WordArray.create([0x12345678]);
+
+            var expectedPassword = password.toString();
+            var expectedSalt = salt.toString();
+
+            C.Scrypt(password, salt, { N: 16, r: 1, p: 1 });
+
+            Y.Assert.areEqual(expectedPassword, password.toString());
+            Y.Assert.areEqual(expectedSalt, salt.toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.Scrypt.create({ keySize: 256/32, N: 16, r: 1, p: 1 }).compute('password', 'salt').toString(), C.Scrypt('password', 'salt', { keySize: 256/32, N: 16, r: 1, p: 1 }).toString());
+        }
+    }));
+}, '$Rev$');
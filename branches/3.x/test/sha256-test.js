@@ -65,6 +65,34 @@ YUI.add('algo-sha256-test', function (Y) {
 
         testHmacHelper: function () {
             Y.Assert.areEqual(C.algo.HMAC.create(C.algo.SHA256, C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).finalize('Hi There').toString(), C.HmacSHA256('Hi There', C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).toString());
+        },
+
+        testAsync: function () {
+            var test = this;
+
+            C.SHA256.async('12345678901234567890123456789012345678901234567890123456789012345678901234567890', null, { chunkSize: 7 }).then(function (hash) {
+                test.resume(function () {
+                    Y.Assert.areEqual('f371bc4a311f2b009eef952dd83ca80e2b60026c8e935592d0f9c308453c813e', hash.toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testAsyncBlob: function () {
+            var test = this;
+
+            if (typeof Blob == 'undefined') {
+                return;
+            }
+
+            C.SHA256.async(new Blob(['1234567890123456789012345678901234567890', '1234567890123456789012345678901234567890']), null, { chunkSize: 64 }).then(function (hash) {
+                test.resume(function () {
+                    Y.Assert.areEqual('f371bc4a311f2b009eef952dd83ca80e2b60026c8e935592d0f9c308453c813e', hash.toString());
+                });
+            });
+
+            this.wait(10000);
         }
     }));
 }, '$Rev$');
@@ -4,6 +4,13 @@ YUI.add('algo-sha3-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'SHA3',
 
+        _should: {
+            error: {
+                testUnknownPadding: C.err.ParameterError,
+                testInvalidOutputLength: C.err.ParameterError
+            }
+        },
+
         testVector1: function () {
             Y.Assert.areEqual('0eab42de4c3ceb9235fc91acffe746b29c29a8c366b7c60e4e67c466f36a4304c00fa9caf9d87976ba469bcbe06713b435f091ef2769fb160cdab33d3670680e', C.SHA3('', { outputLength: 512 }).toString());
         },
@@ -36,6 +43,26 @@ YUI.add('algo-sha3-test', function (Y) {
             Y.Assert.areEqual('5af56987ea9cf11fcd0eac5ebc14b037365e9b1123e31cb2dfc7929a', C.SHA3(C.enc.Hex.parse('3a3a819c48efde2ad914fbf00e18ab6bc4f14513ab27d0c178a188b61431e7f5623cb66b23346775d386b50e982c493adbbfc54b9a3cd383382336a1a0b2150a15358f336d03ae18f666c7573d55c4fd181c29e6ccfde63ea35f0adf5885cfc0a3d84a2b2e4dd24496db789e663170cef74798aa1bbcd4574ea0bba40489d764b2f83aadc66b148b4a0cd95246c127d5871c4f11418690a5ddf01246a0c80a43c70088b6183639dcfda4125bd113a8f49ee23ed306faac576c3fb0c1e256671d817fc2534a52f5b439f72e424de376f4c565cca82307dd9ef76da5b7c4eb7e085172e328807c02d011ffbf33785378d79dc266f6a5be6bb0e4a92eceebaeb1'), { outputLength: 224 }).toString());
         },
 
+        testFips202Vector1: function () {
+            Y.Assert.areEqual('a7ffc6f8bf1ed76651c14756a061d662f580ff4de43b49fa82d80a4b80f8434a', C.SHA3('', { outputLength: 256, padding: 'fips202' }).toString());
+        },
+
+        testFips202Vector2: function () {
+            Y.Assert.areEqual('3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532', C.SHA3('abc', { outputLength: 256, padding: 'fips202' }).toString());
+        },
+
+        testFips202Vector3: function () {
+            Y.Assert.areEqual('b751850b1a57168a5693cd924b6b096e08f621827444f70d884f5d0240d2712e10e116e9192af3c91a7ec57647e3934057340b4cf408d5a56592f8274eec53f0', C.SHA3('abc', { outputLength: 512, padding: 'fips202' }).toString());
+        },
+
+        testKeccakPadding: function () {
+            Y.Assert.areEqual('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470', C.SHA3('', { outputLength: 256, padding: 'keccak' }).toString());
+        },
+
+        testUnknownPadding: function () {
+            C.SHA3('', { padding: 'sha3' });
+        },
+
         testDefaultOutputLength: function () {
             Y.Assert.areEqual('0eab42de4c3ceb9235fc91acffe746b29c29a8c366b7c60e4e67c466f36a4304c00fa9caf9d87976ba469bcbe06713b435f091ef2769fb160cdab33d3670680e', C.SHA3('').toString());
         },
@@ -64,6 +91,83 @@ YUI.add('algo-sha3-test', function (Y) {
 
         testHmacHelper: function () {
             Y.Assert.areEqual(C.algo.HMAC.create(C.algo.SHA3, C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).finalize('Hi There').toString(), C.HmacSHA3('Hi There', C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).toString());
+        },
+
+        testInvalidOutputLength: function () {
+            C.SHA3('', { outputLength: 128 });
+        }
+    }));
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'SHAKE',
+
+        _should: {
+            error: {
+                testUpdateAfterSqueeze: C.err.StateError,
+                testInvalidOutputLength: C.err.ParameterError
+            }
+        },
+
+        testShake128Vector1: function () {
+            Y.Assert.areEqual('7f9c2ba4e88f827d616045507605853ed73b8093f6efbc88eb1a6eacfa66ef26', C.SHAKE128('').toString());
+        },
+
+        testShake128Vector2: function () {
+            Y.Assert.areEqual('f4202e3c5852f9182a0430fd8144f0a74b95e7417ecae17db0f8cfeed0e3e66e', C.SHAKE128('The quick brown fox jumps over the lazy dog').toString());
+        },
+
+        testShake128Vector3: function () {
+            Y.Assert.areEqual('44c9fb359fd56ac0a9a75a743cff6862f17d7259ab075216c0699511643b6439', C.SHAKE128(C.enc.Hex.parse('a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3a3'), { outputLength: 4096 }).toString().substr(960));
+        },
+
+        testShake256Vector1: function () {
+            Y.Assert.areEqual('46b9dd2b0ba88d13233b3feb743eeb243fcd52ea62b81b82b50c27646ed5762fd75dc4ddd8c0f200cb05019d67b592f6fc821c49479ab48640292eacb3b7c4be', C.SHAKE256('').toString());
+        },
+
+        testShake256Vector2: function () {
+            Y.Assert.areEqual('3229183a94cf455ece91fdaf5b9c707fa4b40ec39816c1120c7aaaf47920977b', C.SHAKE256('The quick brown fox jumps over the lazy dog', { outputLength: 2400 }).toString().substr(536));
+        },
+
+        testIncrementalSqueeze: function () {
+            var expected = C.SHAKE256('The quick brown fox jumps over the lazy dog', { outputLength: 2400 }).toString();
+
+            var shake = C.algo.SHAKE256.create().update('The quick brown fox jumps over the lazy dog');
+            var output = C.lib.WordArray.create();
+            output.concat(shake.squeeze(1));
+            output.concat(shake.squeeze(135));
+            output.concat(shake.squeeze(3));
+            output.concat(shake.squeeze(161));
+
+            Y.Assert.areEqual(expected, output.toString());
+        },
+
+        testReset: function () {
+            var shake = C.algo.SHAKE128.create();
+            shake.update('abc').squeeze(10);
+            shake.reset();
+
+            Y.Assert.areEqual(C.SHAKE128('').toString(), shake.finalize('').toString());
+        },
+
+        testUpdateAfterSqueeze: function () {
+            var shake = C.algo.SHAKE128.create();
+            shake.squeeze(32);
+            shake.update('abc');
+        },
+
+        testInvalidOutputLength: function () {
+            C.SHAKE128('', { outputLength: 12 });
+        },
+
+        testClone: function () {
+            var shake = C.algo.SHAKE128.create().update('abc');
+            shake.squeeze(100);
+
+            Y.Assert.areEqual(shake.clone().squeeze(100).toString(), shake.squeeze(100).toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.SHAKE256.create({ outputLength: 128 }).finalize('').toString(), C.SHAKE256('', { outputLength: 128 }).toString());
         }
     }));
 }, '$Rev$');
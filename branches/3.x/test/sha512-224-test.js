@@ -0,0 +1,54 @@
+YUI.add('algo-sha512-224-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'SHA512_224',
+
+        testVector1: function () {
+            Y.Assert.areEqual('6ed0dd02806fa89e25de060c19d3ac86cabb87d6a0ddd05c333b84f4', C.SHA512_224('').toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('944cd2847fb54558d4775db0485a50003111c8e5daa63fe722c6aa37', C.SHA512_224('The quick brown fox jumps over the lazy dog').toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('6d6a9279495ec4061769752e7ff9c68b6b0b3c5a281b7917ce0572de', C.SHA512_224('The quick brown fox jumps over the lazy dog.').toString());
+        },
+
+        testUpdateAndLongMessage: function () {
+            var sha512_224 = C.algo.SHA512_224.create();
+            for (var i = 0; i < 100; i++) {
+                sha512_224.update('12345678901234567890123456789012345678901234567890');
+            }
+
+            Y.Assert.areEqual('1615d441821a7aaea5c8610944ba9ba13a54a60c7dc3889999f51ec6', sha512_224.finalize().toString());
+        },
+
+        testClone: function () {
+            var sha512_224 = C.algo.SHA512_224.create();
+
+            Y.Assert.areEqual(C.SHA512_224('a').toString(), sha512_224.update('a').clone().finalize().toString());
+            Y.Assert.areEqual(C.SHA512_224('ab').toString(), sha512_224.update('b').clone().finalize().toString());
+            Y.Assert.areEqual(C.SHA512_224('abc').toString(), sha512_224.update('c').clone().finalize().toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = C.lib.WordArray.create([0x12345678]);
+
+            var expected = message.toString();
+
+            C.SHA512_224(message);
+
+            Y.Assert.areEqual(expected, message.toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.SHA512_224.create().finalize('').toString(), C.SHA512_224('').toString());
+        },
+
+        testHmacHelper: function () {
+            Y.Assert.areEqual(C.algo.HMAC.create(C.algo.SHA512_224, C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).finalize('Hi There').toString(), C.HmacSHA512_224('Hi There', C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).toString());
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,54 @@
+YUI.add('algo-sha512-256-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'SHA512_256',
+
+        testVector1: function () {
+            Y.Assert.areEqual('c672b8d1ef56ed28ab87c3622c5114069bdd3ad7b8f9737498d0c01ecef0967a', C.SHA512_256('').toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('dd9d67b371519c339ed8dbd25af90e976a1eeefd4ad3d889005e532fc5bef04d', C.SHA512_256('The quick brown fox jumps over the lazy dog').toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('1546741840f8a492b959d9b8b2344b9b0eb51b004bba35c0aebaac86d45264c3', C.SHA512_256('The quick brown fox jumps over the lazy dog.').toString());
+        },
+
+        testUpdateAndLongMessage: function () {
+            var sha512_256 = C.algo.SHA512_256.create();
+            for (var i = 0; i < 100; i++) {
+                sha512_256.update('12345678901234567890123456789012345678901234567890');
+            }
+
+            Y.Assert.areEqual('c60995df5cbbc7a42cc0928d699087c9ff20703c07a3c329b97d06bfe1422c41', sha512_256.finalize().toString());
+        },
+
+        testClone: function () {
+            var sha512_256 = C.algo.SHA512_256.create();
+
+            Y.Assert.areEqual(C.SHA512_256('a').toString(), sha512_256.update('a').clone().finalize().toString());
+            Y.Assert.areEqual(C.SHA512_256('ab').toString(), sha512_256.update('b').clone().finalize().toString());
+            Y.Assert.areEqual(C.SHA512_256('abc').toString(), sha512_256.update('c').clone().finalize().toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = C.lib.WordArray.create([0x12345678]);
+
+            var expected = message.toString();
+
+            C.SHA512_256(message);
+
+            Y.Assert.areEqual(expected, message.toString());
+        },
+
+        testHelper: function () {
+            Y.Assert.areEqual(C.algo.SHA512_256.create().finalize('').toString(), C.SHA512_256('').toString());
+        },
+
+        testHmacHelper: function () {
+            Y.Assert.areEqual(C.algo.HMAC.create(C.algo.SHA512_256, C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).finalize('Hi There').toString(), C.HmacSHA512_256('Hi There', C.enc.Hex.parse('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b')).toString());
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,172 @@
+YUI.add('stream-test', function (Y) {
+    var C = CryptoJS;
+
+    /**
+     * Writes chunks to a Node.js or WHATWG transform stream, and collects what it emits.
+     */
+    function pipe(stream, chunks, callback) {
+        var output = [];
+
+        if (stream.pipe) {
+            stream.on('data', function (chunk) {
+                output.push(C.lib.WordArray.create(chunk));
+            });
+            stream.on('error', function (e) {
+                callback(null, e);
+            });
+            stream.on('end', function () {
+                callback(output);
+            });
+
+            for (var i = 0; i < chunks.length; i++) {
+                stream.write(chunks[i]);
+            }
+            stream.end();
+        } else {
+            var reader = stream.readable.getReader();
+            var writer = stream.writable.getWriter();
+
+            (function read() {
+                reader.read().then(function (result) {
+                    if (result.done) {
+                        return callback(output);
+                    }
+
+                    output.push(C.lib.WordArray.create(result.value));
+                    read();
+                }, function (e) {
+                    callback(null, e);
+                });
+            }());
+
+            for (var i = 0; i < chunks.length; i++) {
+                writer.write(chunks[i])['catch'](function () {
+                });
+            }
+            writer.close()['catch'](function () {
+            });
+        }
+    }
+
+    function concat(wordArrays) {
+        var wordArray = C.lib.WordArray.create();
+        for (var i = 0; i < wordArrays.length; i++) {
+            wordArray.concat(wordArrays[i]);
+        }
+
+        return wordArray;
+    }
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'Stream',
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            this.data.iv = C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f');
+            this.data.message = C.enc.Hex.parse(
+                '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f' +
+                '202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f' +
+                '4041424344454647'
+            );
+
+            // Split the message across block boundaries
+            this.data.chunks = [
+                new Uint8Array(this.data.message.toUint8Array().subarray(0, 5)),
+                new Uint8Array(this.data.message.toUint8Array().subarray(5, 37)),
+                new Uint8Array(this.data.message.toUint8Array().subarray(37))
+            ];
+        },
+
+        testHash: function () {
+            var test = this;
+
+            pipe(C.stream.hash(C.algo.SHA256), this.data.chunks, function (output) {
+                test.resume(function () {
+                    Y.Assert.areEqual(1, output.length);
+                    Y.Assert.areEqual(C.SHA256(test.data.message).toString(), output[0].toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testHashString: function () {
+            var test = this;
+
+            pipe(C.stream.hash(C.algo.MD5), ['Message Part 1', 'Message Part 2'], function (output) {
+                test.resume(function () {
+                    Y.Assert.areEqual(C.MD5('Message Part 1Message Part 2').toString(), output[0].toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testEncrypt: function () {
+            var test = this;
+
+            pipe(C.stream.encrypt(C.algo.AES, this.data.key, { iv: this.data.iv }), this.data.chunks, function (output) {
+                test.resume(function () {
+                    Y.Assert.areEqual(
+                        C.AES.encrypt(test.data.message, test.data.key, { iv: test.data.iv }).ciphertext.toString(),
+                        concat(output).toString()
+                    );
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testDecryptHoldsBackLastBlock: function () {
+            var test = this;
+            var ciphertext = C.AES.encrypt(this.data.message, this.data.key, { iv: this.data.iv }).ciphertext.toUint8Array();
+            var chunks = [ciphertext.subarray(0, 32), ciphertext.subarray(32, 80)];
+
+            pipe(C.stream.decrypt(C.algo.AES, this.data.key, { iv: this.data.iv }), chunks, function (output) {
+                test.resume(function () {
+                    Y.Assert.areEqual(3, output.length);
+                    Y.Assert.areEqual(16, output[0].sigBytes);
+                    Y.Assert.areEqual(48, output[1].sigBytes);
+                    Y.Assert.areEqual(8, output[2].sigBytes);
+                    Y.Assert.areEqual(test.data.message.toString(), concat(output).toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testEncryptTag: function () {
+            var test = this;
+            var cfg = { iv: C.enc.Hex.parse('101112131415161718191a1b'), mode: C.mode.GCM, padding: C.pad.NoPadding };
+            var stream = C.stream.encrypt(C.algo.AES, this.data.key, cfg);
+
+            pipe(stream, this.data.chunks, function (output) {
+                test.resume(function () {
+                    var encrypted = C.AES.encrypt(test.data.message, test.data.key, cfg);
+
+                    Y.Assert.areEqual(encrypted.ciphertext.toString(), concat(output).toString());
+                    Y.Assert.areEqual(encrypted.tag.toString(), stream.tag.toString());
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testDecryptBadTag: function () {
+            var test = this;
+            var cfg = { iv: C.enc.Hex.parse('101112131415161718191a1b'), mode: C.mode.GCM, padding: C.pad.NoPadding };
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, cfg);
+            cfg.tag = C.enc.Hex.parse('00000000000000000000000000000000');
+
+            pipe(C.stream.decrypt(C.algo.AES, this.data.key, cfg), [encrypted.ciphertext.toUint8Array()], function (output, error) {
+                test.resume(function () {
+                    Y.Assert.isInstanceOf(Error, error);
+                });
+            });
+
+            this.wait(10000);
+        }
+    }));
+}, '$Rev$');
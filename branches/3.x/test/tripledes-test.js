@@ -4,6 +4,12 @@ YUI.add('algo-tripledes-test', function (Y) {
     Y.Test.Runner.add(new Y.Test.Case({
         name: 'TripleDES',
 
+        _should: {
+            error: {
+                testInvalidKeySize: C.err.KeySizeError
+            }
+        },
+
         testEncrypt1: function () {
             Y.Assert.areEqual('95a8d72813daa94d', C.TripleDES.encrypt(C.enc.Hex.parse('0000000000000000'), C.enc.Hex.parse('800101010101010180010101010101018001010101010101'), { mode: C.mode.ECB, padding: C.pad.NoPadding }).ciphertext.toString());
         },
@@ -83,6 +89,24 @@ YUI.add('algo-tripledes-test', function (Y) {
 
             // Restore random method
             C.lib.WordArray.random = random;
+        },
+
+        testLongKeyUsesFirst192Bits: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011121314151617');
+            var longKey = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+
+            Y.Assert.areEqual(C.TripleDES.encrypt('Hi There', key, { mode: C.mode.ECB }).toString(), C.TripleDES.encrypt('Hi There', longKey, { mode: C.mode.ECB }).toString());
+        },
+
+        testTwoKeyOption: function () {
+            var twoKey = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            var threeKey = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f0001020304050607');
+
+            Y.Assert.areEqual(C.TripleDES.encrypt('Hi There', threeKey, { mode: C.mode.ECB }).toString(), C.TripleDES.encrypt('Hi There', twoKey, { mode: C.mode.ECB }).toString());
+        },
+
+        testInvalidKeySize: function () {
+            C.TripleDES.encrypt('Hi There', C.enc.Hex.parse('0001020304050607'));
         }
     }));
 }, '$Rev$');
@@ -0,0 +1,205 @@
+YUI.add('webcrypto-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.Test.Runner.add(new Y.Test.Case({
+        name: 'WebCrypto',
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            this.data.iv = C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f');
+            this.data.message = C.enc.Hex.parse(
+                '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f' +
+                '2021222324252627'
+            );
+        },
+
+        /**
+         * Waits for a promise, then runs the assertions on its result.
+         */
+        _resumeWith: function (promise, assertions) {
+            var test = this;
+
+            promise.then(function (result) {
+                test.resume(function () {
+                    assertions(result);
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.fail(e.message);
+                });
+            });
+
+            this.wait(10000);
+        },
+
+        testHash: function () {
+            var message = this.data.message;
+            var promise = Promise.all([
+                C.webCrypto.hash(C.algo.SHA1, message),
+                C.webCrypto.hash(C.algo.SHA256, message),
+                C.webCrypto.hash(C.algo.SHA384, message),
+                C.webCrypto.hash(C.algo.SHA512, 'Hello, World!')
+            ]);
+
+            this._resumeWith(promise, function (hashes) {
+                Y.Assert.areEqual(C.SHA1(message).toString(), hashes[0].toString());
+                Y.Assert.areEqual(C.SHA256(message).toString(), hashes[1].toString());
+                Y.Assert.areEqual(C.SHA384(message).toString(), hashes[2].toString());
+                Y.Assert.areEqual(C.SHA512('Hello, World!').toString(), hashes[3].toString());
+            });
+        },
+
+        testHashFallback: function () {
+            var message = this.data.message;
+
+            this._resumeWith(C.webCrypto.hash(C.algo.MD5, message), function (hash) {
+                Y.Assert.areEqual(C.MD5(message).toString(), hash.toString());
+            });
+        },
+
+        testHmac: function () {
+            var message = this.data.message;
+            var key = this.data.key;
+            var promise = Promise.all([
+                C.webCrypto.hmac(C.algo.SHA256, message, key),
+                C.webCrypto.hmac(C.algo.SHA512, 'Hello, World!', 'Jefe'),
+                C.webCrypto.hmac(C.algo.MD5, message, key)
+            ]);
+
+            this._resumeWith(promise, function (hmacs) {
+                Y.Assert.areEqual(C.HmacSHA256(message, key).toString(), hmacs[0].toString());
+                Y.Assert.areEqual(C.HmacSHA512('Hello, World!', 'Jefe').toString(), hmacs[1].toString());
+                Y.Assert.areEqual(C.HmacMD5(message, key).toString(), hmacs[2].toString());
+            });
+        },
+
+        testPBKDF2: function () {
+            var promise = Promise.all([
+                C.webCrypto.PBKDF2('password', 'ATHENA.MIT.EDUraeburn', { keySize: 256/32, iterations: 2 }),
+                C.webCrypto.PBKDF2('password', 'salt', { keySize: 5, iterations: 10, hasher: C.algo.SHA256 }),
+                C.webCrypto.PBKDF2('password', 'salt', { keySize: 4, iterations: 2, hasher: C.algo.MD5 })
+            ]);
+
+            this._resumeWith(promise, function (keys) {
+                Y.Assert.areEqual('01dbee7f4a9e243e988b62c73cda935da05378b93244ec8f48a99e61ad799d86', keys[0].toString());
+                Y.Assert.areEqual(C.PBKDF2('password', 'salt', { keySize: 5, iterations: 10, hasher: C.algo.SHA256 }).toString(), keys[1].toString());
+                Y.Assert.areEqual(C.PBKDF2('password', 'salt', { keySize: 4, iterations: 2, hasher: C.algo.MD5 }).toString(), keys[2].toString());
+            });
+        },
+
+        testEncryptCBC: function () {
+            var data = this.data;
+
+            this._resumeWith(C.webCrypto.encrypt(C.algo.AES, data.message, data.key, { iv: data.iv }), function (ciphertextParams) {
+                var expected = C.AES.encrypt(data.message, data.key, { iv: data.iv });
+
+                Y.Assert.areEqual(expected.ciphertext.toString(), ciphertextParams.ciphertext.toString());
+                Y.Assert.areEqual(expected.toString(), ciphertextParams.toString());
+                Y.Assert.areEqual(data.key.toString(), ciphertextParams.key.toString());
+                Y.Assert.areEqual(data.iv.toString(), ciphertextParams.iv.toString());
+                Y.Assert.areEqual(C.algo.AES, ciphertextParams.algorithm);
+                Y.Assert.areEqual(C.mode.CBC, ciphertextParams.mode);
+                Y.Assert.areEqual(C.pad.Pkcs7, ciphertextParams.padding);
+                Y.Assert.areEqual(4, ciphertextParams.blockSize);
+            });
+        },
+
+        testEncryptCTR: function () {
+            var data = this.data;
+            var iv = C.enc.Hex.parse('101112131415161718191a1bfffffffe');
+            var cfg = { iv: iv, mode: C.mode.CTR };
+            var cfgNoPadding = { iv: iv, mode: C.mode.CTR, padding: C.pad.NoPadding };
+            var promise = Promise.all([
+                C.webCrypto.encrypt(C.algo.AES, data.message, data.key, cfg),
+                C.webCrypto.encrypt(C.algo.AES, data.message, data.key, cfgNoPadding)
+            ]);
+
+            this._resumeWith(promise, function (ciphertexts) {
+                Y.Assert.areEqual(C.AES.encrypt(data.message, data.key, cfg).toString(), ciphertexts[0].toString());
+                Y.Assert.areEqual(C.AES.encrypt(data.message, data.key, cfgNoPadding).toString(), ciphertexts[1].toString());
+                Y.Assert.areEqual(40, ciphertexts[1].ciphertext.sigBytes);
+            });
+        },
+
+        testEncryptPassword: function () {
+            var data = this.data;
+
+            // Replace random method with one that returns a predictable salt
+            var random = C.lib.WordArray.random;
+            C.lib.WordArray.random = function (nBytes) {
+                return C.enc.Hex.parse('0011223344556677').clone();
+            };
+
+            var actual = C.webCrypto.encrypt(C.algo.AES, data.message, 'password');
+            var expected = C.AES.encrypt(data.message, 'password');
+
+            // Restore random method
+            C.lib.WordArray.random = random;
+
+            this._resumeWith(actual, function (ciphertextParams) {
+                Y.Assert.areEqual(expected.toString(), ciphertextParams.toString());
+                Y.Assert.areEqual(expected.key.toString(), ciphertextParams.key.toString());
+                Y.Assert.areEqual(expected.iv.toString(), ciphertextParams.iv.toString());
+                Y.Assert.areEqual('0011223344556677', ciphertextParams.salt.toString());
+            });
+        },
+
+        testEncryptFallback: function () {
+            var data = this.data;
+            var cfgECB = { mode: C.mode.ECB };
+            var cfgPadding = { iv: data.iv, padding: C.pad.AnsiX923 };
+            var tripleDesKey = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f1011121314151617');
+            var tripleDesIv = C.enc.Hex.parse('1011121314151617');
+            var promise = Promise.all([
+                C.webCrypto.encrypt(C.algo.AES, data.message, data.key, cfgECB),
+                C.webCrypto.encrypt(C.algo.AES, data.message, data.key, cfgPadding),
+                C.webCrypto.encrypt(C.algo.TripleDES, data.message, tripleDesKey, { iv: tripleDesIv })
+            ]);
+
+            this._resumeWith(promise, function (ciphertexts) {
+                Y.Assert.areEqual(C.AES.encrypt(data.message, data.key, cfgECB).toString(), ciphertexts[0].toString());
+                Y.Assert.areEqual(C.AES.encrypt(data.message, data.key, cfgPadding).toString(), ciphertexts[1].toString());
+                Y.Assert.areEqual(C.TripleDES.encrypt(data.message, tripleDesKey, { iv: tripleDesIv }).toString(), ciphertexts[2].toString());
+            });
+        },
+
+        testDecrypt: function () {
+            var data = this.data;
+            var cfgCTR = { iv: data.iv, mode: C.mode.CTR };
+            var promise = Promise.all([
+                C.webCrypto.decrypt(C.algo.AES, C.AES.encrypt(data.message, data.key, { iv: data.iv }), data.key, { iv: data.iv }),
+                C.webCrypto.decrypt(C.algo.AES, C.AES.encrypt(data.message, data.key, cfgCTR), data.key, cfgCTR),
+                C.webCrypto.decrypt(C.algo.AES, C.AES.encrypt(data.message, 'password').toString(), 'password')
+            ]);
+
+            this._resumeWith(promise, function (plaintexts) {
+                Y.Assert.areEqual(data.message.toString(), plaintexts[0].toString());
+                Y.Assert.areEqual(data.message.toString(), plaintexts[1].toString());
+                Y.Assert.areEqual(data.message.toString(), plaintexts[2].toString());
+            });
+        },
+
+        testDecryptWrongKey: function () {
+            var data = this.data;
+            var ciphertext = C.AES.encrypt(data.message, data.key, { iv: data.iv });
+            var wrongKey = C.enc.Hex.parse('0f0e0d0c0b0a09080706050403020100');
+
+            var test = this;
+
+            // WebCrypto rejects the bad padding, so the error should be the same as the JavaScript implementation's
+            C.webCrypto.decrypt(C.algo.AES, ciphertext, wrongKey, { iv: data.iv }).then(function () {
+                test.resume(function () {
+                    Y.Assert.fail('Decryption should have failed.');
+                });
+            }, function (e) {
+                test.resume(function () {
+                    Y.Assert.areEqual('Invalid padding.', e.message);
+                });
+            });
+
+            this.wait(10000);
+        }
+    }));
+}, '$Rev$');
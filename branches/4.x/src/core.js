@@ -339,6 +339,7 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
         {
             /**
              * Creates a word array filled with random bytes.
+             * The bytes are drawn from CryptoJS.random.source, a cryptographically secure generator by default.
              *
              * @param {number} nBytes The number of random bytes to generate.
              *
@@ -346,21 +347,119 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
              *
              * @static
              *
+             * @throws Error If the random source cannot generate secure random bytes.
+             *
              * @example
              *
              *     var wordArray = CryptoJS.lib.WordArray.random(16);
              */
             random: function (nBytes) {
-                var words = [];
-                for (var i = 0; i < nBytes; i += 4) {
-                    words[i >>> 2] = (Math.random() * 0x100000000) | 0;
-                }
+                var words = C_RANDOM.source.getWords(Math.ceil(nBytes / 4));
 
                 return new WordArray(words, nBytes);
             }
         }
     );
 
+    /**
+     * Random source namespace.
+     *
+     * @property {RandomSource} source The random source that WordArray.random draws from. Default: CryptoJS.random.Native
+     */
+    var C_RANDOM = C.random = {};
+
+    /**
+     * Native random source strategy.
+     *
+     * Uses the platform's cryptographically secure random number generator:
+     * crypto.getRandomValues in browsers and web workers, or crypto.randomBytes in Node.js.
+     */
+    var NativeRandom = C_RANDOM.Native = (function () {
+        /*global crypto:false, window:false, require:false */
+
+        // Find the platform's CSPRNG
+        var nativeCrypto;
+        if (typeof crypto !== 'undefined') {
+            nativeCrypto = crypto;
+        } else if (typeof window !== 'undefined' && window.msCrypto) {
+            nativeCrypto = window.msCrypto;
+        } else if (typeof require === 'function') {
+            try {
+                nativeCrypto = require('crypto');
+            } catch (e) {
+            }
+        }
+
+        // The largest request that getRandomValues accepts, in 32-bit words
+        var MAX_GET_RANDOM_VALUES_WORDS = 65536 / 4;
+
+        return {
+            /**
+             * Tests whether a secure random number generator is available on this platform.
+             *
+             * @return {boolean} True if random words can be generated.
+             *
+             * @static
+             *
+             * @example
+             *
+             *     if (CryptoJS.random.Native.isSupported()) {
+             *     }
+             */
+            isSupported: function () {
+                return !!nativeCrypto && (
+                    typeof nativeCrypto.getRandomValues === 'function' ||
+                    typeof nativeCrypto.randomBytes === 'function'
+                );
+            },
+
+            /**
+             * Generates random 32-bit words.
+             *
+             * @param {number} nWords The number of random words to generate.
+             *
+             * @return {Array} The random words.
+             *
+             * @static
+             *
+             * @throws UnsupportedError If no secure random number generator is available.
+             *
+             * @example
+             *
+             *     var words = CryptoJS.random.Native.getWords(4);
+             */
+            getWords: function (nWords) {
+                var words = [];
+
+                if (nativeCrypto && typeof nativeCrypto.getRandomValues === 'function') {
+                    // Browsers limit the size of each request
+                    for (var i = 0; i < nWords; i += MAX_GET_RANDOM_VALUES_WORDS) {
+                        var randomValues = nativeCrypto.getRandomValues(
+                            new Uint32Array(Math.min(nWords - i, MAX_GET_RANDOM_VALUES_WORDS))
+                        );
+                        for (var j = 0; j < randomValues.length; j++) {
+                            words.push(randomValues[j] | 0);
+                        }
+                    }
+                } else if (nativeCrypto && typeof nativeCrypto.randomBytes === 'function') {
+                    var randomBytes = nativeCrypto.randomBytes(nWords * 4);
+                    for (var i = 0; i < nWords; i++) {
+                        words.push(randomBytes.readInt32BE(i * 4));
+                    }
+                } else {
+                    throw new UnsupportedError(
+                        'No secure random number generator is available. Set CryptoJS.random.source to provide one.'
+                    );
+                }
+
+                return words;
+            }
+        };
+    }());
+
+    // Default random source
+    C_RANDOM.source = NativeRandom;
+
     /**
      * Encoder namespace.
      */
@@ -865,13 +964,25 @@ var CryptoJS = CryptoJS || (function (Math, undefined) {
         }
     );
 
+    /**
+     * Error namespace.
+     */
+    var C_ERR = C.err = {};
+
+    /**
+     * Unsupported platform error. Unlike the validation errors, it's thrown in every build,
+     * because there's no safe way to carry on without a secure random number generator.
+     */
+    var UnsupportedError = C_ERR.UnsupportedError = O.extend.call(Error, {
+        constructor: function UnsupportedError(message) {
+            this.message = message;
+        },
+
+        name: 'UnsupportedError'
+    });
+
     // <?php if ($debug): ?>
     {
-        /**
-         * Error namespace.
-         */
-        var C_ERR = C.err = {};
-
         /**
          * Octet error.
          */
@@ -0,0 +1,112 @@
+(function () {
+    /*global CryptoJS:true, ArrayBuffer:false, DataView:false,
+             Int8Array:false, Uint8Array:false, Uint8ClampedArray:false, Int16Array:false, Uint16Array:false,
+             Int32Array:false, Uint32Array:false, Float32Array:false, Float64Array:false */
+
+    'use strict';
+
+    // Ensure typed arrays are supported before proceeding
+    if (typeof ArrayBuffer === 'undefined') {
+        return;
+    }
+
+    // Shortcuts
+    var C = CryptoJS;
+    var C_LIB = C.lib;
+    var O = C_LIB.Object;
+    var X32WordArray = C_LIB.WordArray;
+
+    /**
+     * An array of 32-bit words that can also be constructed from typed arrays.
+     */
+    var WordArray = C_LIB.WordArray = X32WordArray.extend({
+        /**
+         * Constructor.
+         *
+         * @param {Array|ArrayBuffer|ArrayBufferView} words (Optional) An array of 32-bit words, or a typed array.
+         * @param {number} sigBytes (Optional) The number of significant bytes in the words. Ignored for typed arrays.
+         *
+         * @example
+         *
+         *     var wordArray = new CryptoJS.lib.WordArray(arrayBuffer);
+         *     var wordArray = new CryptoJS.lib.WordArray(new Uint8Array(arrayBuffer, 8, 16));
+         *     var wordArray = new CryptoJS.lib.WordArray([0x00010203, 0x04050607], 6);
+         */
+        constructor: function (words, sigBytes) {
+            // Convert ArrayBuffer to Uint8Array
+            if (words instanceof ArrayBuffer) {
+                words = new Uint8Array(words);
+            }
+
+            // Convert other ArrayBufferViews to Uint8Array
+            if (
+                words instanceof Int8Array ||
+                (
+                    // Safari doesn't seem to support Uint8ClampedArray
+                    typeof Uint8ClampedArray !== 'undefined' && words instanceof Uint8ClampedArray
+                ) ||
+                words instanceof Int16Array ||
+                words instanceof Uint16Array ||
+                words instanceof Int32Array ||
+                words instanceof Uint32Array ||
+                words instanceof Float32Array ||
+                words instanceof Float64Array ||
+                words instanceof DataView
+            ) {
+                words = new Uint8Array(words.buffer, words.byteOffset, words.byteLength);
+            }
+
+            // Extract bytes from Uint8Array
+            if (words instanceof Uint8Array) {
+                // Shortcuts
+                var typedArray = words;
+                var typedArrayByteLength = typedArray.byteLength;
+
+                words = [];
+                for (var i = 0; i < typedArrayByteLength; i++) {
+                    // Shortcut
+                    var wordIndex = i >>> 2;
+
+                    // Initialize word to zero to avoid ORing with undefined
+                    if (i % 4 === 0) {
+                        words[wordIndex] = 0;
+                    }
+
+                    words[wordIndex] |= typedArray[i] << (24 - (i % 4) * 8);
+                }
+                sigBytes = typedArrayByteLength;
+            }
+
+            WordArray.$super.call(this, words, sigBytes);
+        }
+    });
+
+    // Every word array can be converted, including those created by the core
+    O.mixIn(X32WordArray.prototype, {
+        /**
+         * Converts this word array to an array buffer.
+         *
+         * @return {ArrayBuffer} The array buffer.
+         *
+         * @example
+         *
+         *     var arrayBuffer = wordArray.toArrayBuffer();
+         */
+        toArrayBuffer: function () {
+            // Shortcuts
+            var words = this.words;
+            var sigBytes = this.sigBytes;
+
+            // Create buffer
+            var arrayBuffer = new ArrayBuffer(sigBytes);
+            var uint8View = new Uint8Array(arrayBuffer);
+
+            // Copy data into buffer
+            for (var i = 0; i < sigBytes; i++) {
+                uint8View[i] = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+            }
+
+            return arrayBuffer;
+        }
+    });
+}());
@@ -0,0 +1,75 @@
+/** @preserve
+ * Counter block mode compatible with  Dr Brian Gladman fileenc.c
+ * derived from CryptoJS.mode.CTR
+ * Jan Hruby jhruby.web@gmail.com
+ */
+(function (undefined) {
+    /*global CryptoJS:true */
+
+    'use strict';
+
+    // Shortcuts
+    var C = CryptoJS;
+    var C_lib = C.lib;
+    var BlockCipherMode = C_lib.BlockCipherMode;
+    var C_mode = C.mode;
+
+    /**
+     * Counter mode, as used by Dr Brian Gladman's fileenc.c.
+     * The counter is incremented before each block, and its bytes are little-endian.
+     */
+    C_mode.CTRGladman = (function () {
+        var CTRGladman = BlockCipherMode.extend();
+
+        CTRGladman.Encryptor = CTRGladman.Decryptor = CTRGladman.extend({
+            processBlock: function (words, offset) {
+                // Shortcuts
+                var cipher = this._cipher;
+                var blockSize = cipher.blockSize;
+                var iv = this._iv;
+                var counter = this._counter;
+
+                // Generate keystream
+                if (iv) {
+                    counter = this._counter = iv.slice(0);
+
+                    // Remove IV for subsequent blocks
+                    this._iv = undefined;
+                }
+
+                incrementCounter(counter);
+
+                var keystream = counter.slice(0);
+                cipher.encryptBlock(keystream, 0);
+
+                // Encrypt
+                for (var i = 0; i < blockSize; i++) {
+                    words[offset + i] ^= keystream[i];
+                }
+            }
+        });
+
+        function incrementCounter(counter) {
+            // fileenc.c counts with only the first two words
+            if ((counter[0] = incrementWord(counter[0])) === 0) {
+                counter[1] = incrementWord(counter[1]);
+            }
+        }
+
+        function incrementWord(word) {
+            // Add one to the lowest byte, which comes first, and carry into the following bytes
+            for (var shift = 24; shift >= 0; shift -= 8) {
+                var bite = (word >>> shift) & 0xff;
+                word = (word & ~(0xff << shift)) | (((bite + 1) & 0xff) << shift);
+
+                if (bite !== 0xff) {
+                    break;
+                }
+            }
+
+            return word;
+        }
+
+        return CTRGladman;
+    }());
+}());
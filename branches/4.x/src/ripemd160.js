@@ -0,0 +1,190 @@
+/** @preserve
+(c) 2012 by Cédric Mesnil. All rights reserved.
+
+Redistribution and use in source and binary forms, with or without modification, are permitted provided that the following conditions are met:
+
+    - Redistributions of source code must retain the above copyright notice, this list of conditions and the following disclaimer.
+    - Redistributions in binary form must reproduce the above copyright notice, this list of conditions and the following disclaimer in the documentation and/or other materials provided with the distribution.
+
+THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+(function () {
+    /*global CryptoJS:true */
+
+    'use strict';
+
+    // Shortcuts
+    var C = CryptoJS;
+    var C_LIB = C.lib;
+    var WordArray = C_LIB.WordArray;
+    var Hasher = C_LIB.Hasher;
+
+    // Constants tables
+    var LEFT_WORD_INDEXES = [
+         0,  1,  2,  3,  4,  5,  6,  7,  8,  9, 10, 11, 12, 13, 14, 15,
+         7,  4, 13,  1, 10,  6, 15,  3, 12,  0,  9,  5,  2, 14, 11,  8,
+         3, 10, 14,  4,  9, 15,  8,  1,  2,  7,  0,  6, 13, 11,  5, 12,
+         1,  9, 11, 10,  0,  8, 12,  4, 13,  3,  7, 15, 14,  5,  6,  2,
+         4,  0,  5,  9,  7, 12,  2, 10, 14,  1,  3,  8, 11,  6, 15, 13
+    ];
+    var RIGHT_WORD_INDEXES = [
+         5, 14,  7,  0,  9,  2, 11,  4, 13,  6, 15,  8,  1, 10,  3, 12,
+         6, 11,  3,  7,  0, 13,  5, 10, 14, 15,  8, 12,  4,  9,  1,  2,
+        15,  5,  1,  3,  7, 14,  6,  9, 11,  8, 12,  2, 10,  0,  4, 13,
+         8,  6,  4,  1,  3, 11, 15,  0,  5, 12,  2, 13,  9,  7, 10, 14,
+        12, 15, 10,  4,  1,  5,  8,  7,  6,  2, 13, 14,  0,  3,  9, 11
+    ];
+    var LEFT_ROTATION_OFFSETS = [
+        11, 14, 15, 12,  5,  8,  7,  9, 11, 13, 14, 15,  6,  7,  9,  8,
+         7,  6,  8, 13, 11,  9,  7, 15,  7, 12, 15,  9, 11,  7, 13, 12,
+        11, 13,  6,  7, 14,  9, 13, 15, 14,  8, 13,  6,  5, 12,  7,  5,
+        11, 12, 14, 15, 14, 15,  9,  8,  9, 14,  5,  6,  8,  6,  5, 12,
+         9, 15,  5, 11,  6,  8, 13, 12,  5, 12, 13, 14, 11,  8,  5,  6
+    ];
+    var RIGHT_ROTATION_OFFSETS = [
+         8,  9,  9, 11, 13, 15, 15,  5,  7,  7,  8, 11, 14, 14, 12,  6,
+         9, 13, 15,  7, 12,  8,  9, 11,  7,  7, 12,  7,  6, 15, 13, 11,
+         9,  7, 15, 11,  8,  6,  6, 14, 12, 13,  5, 14, 13, 13,  7,  5,
+        15,  5,  8, 11, 14, 14,  6, 14,  6,  9, 12,  9, 12,  5, 15,  8,
+         8,  5, 12,  9, 12,  5, 14,  6,  8, 13,  6,  5, 15, 13, 11, 11
+    ];
+    var LEFT_ROUND_CONSTANTS  = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+    var RIGHT_ROUND_CONSTANTS = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+
+    /**
+     * RIPEMD-160 hash algorithm.
+     */
+    var RIPEMD160 = C.RIPEMD160 = Hasher.extend({
+        _doInit: function () {
+        },
+
+        _doReset: function () {
+            this._state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+        },
+
+        _doProcessBlock: function (m) {
+            // Swap endian
+            for (var i = 0; i < 16; i++) {
+                var word = m[i];
+                m[i] = (
+                    (((word << 8)  | (word >>> 24)) & 0x00ff00ff) |
+                    (((word << 24) | (word >>> 8))  & 0xff00ff00)
+                );
+            }
+
+            // Shortcut
+            var s = this._state;
+
+            // Working variables
+            var al = s[0], ar = s[0];
+            var bl = s[1], br = s[1];
+            var cl = s[2], cr = s[2];
+            var dl = s[3], dr = s[3];
+            var el = s[4], er = s[4];
+
+            // Rounds
+            for (var round = 0; round < 80; round++) {
+                // Shortcut
+                var group = (round / 16) | 0;
+
+                // Left line
+                var t = (al + m[LEFT_WORD_INDEXES[round]] + f(group, bl, cl, dl) + LEFT_ROUND_CONSTANTS[group]) | 0;
+                t = (rotl(t, LEFT_ROTATION_OFFSETS[round]) + el) | 0;
+                al = el;
+                el = dl;
+                dl = rotl(cl, 10);
+                cl = bl;
+                bl = t;
+
+                // Right line, which applies the boolean functions in reverse order
+                var t = (ar + m[RIGHT_WORD_INDEXES[round]] + f(4 - group, br, cr, dr) + RIGHT_ROUND_CONSTANTS[group]) | 0;
+                t = (rotl(t, RIGHT_ROTATION_OFFSETS[round]) + er) | 0;
+                ar = er;
+                er = dr;
+                dr = rotl(cr, 10);
+                cr = br;
+                br = t;
+            }
+
+            // Update state
+            var t = (s[1] + cl + dr) | 0;
+            s[1] = (s[2] + dl + er) | 0;
+            s[2] = (s[3] + el + ar) | 0;
+            s[3] = (s[4] + al + br) | 0;
+            s[4] = (s[0] + bl + cr) | 0;
+            s[0] = t;
+        },
+
+        _doFinalize: function () {
+            // Shortcuts
+            var data = this._data;
+            var dataWords = data.words;
+            var nBitsLeft = data.sigBytes * 8;
+            var nBitsTotalMsw = this._nDataBitsMsw;
+            var nBitsTotalLsw = this._nDataBitsLsw;
+
+            // Add padding
+            dataWords[nBitsLeft >>> 5] |= 0x80 << (24 - nBitsLeft % 32);
+
+            var lengthStartIndex = (((nBitsLeft + 64) >>> 9) << 4) + 14;
+            dataWords[lengthStartIndex] = (
+                (((nBitsTotalLsw << 8)  | (nBitsTotalLsw >>> 24)) & 0x00ff00ff) |
+                (((nBitsTotalLsw << 24) | (nBitsTotalLsw >>> 8))  & 0xff00ff00)
+            );
+            dataWords[lengthStartIndex + 1] = (
+                (((nBitsTotalMsw << 8)  | (nBitsTotalMsw >>> 24)) & 0x00ff00ff) |
+                (((nBitsTotalMsw << 24) | (nBitsTotalMsw >>> 8))  & 0xff00ff00)
+            );
+
+            data.sigBytes = dataWords.length * 4;
+
+            // Hash final blocks
+            this._process();
+
+            // Shortcut
+            var s = this._state;
+
+            // Swap endian
+            for (var i = 0; i < 5; i++) {
+                var word = s[i];
+                s[i] = (
+                    (((word << 8)  | (word >>> 24)) & 0x00ff00ff) |
+                    (((word << 24) | (word >>> 8))  & 0xff00ff00)
+                );
+            }
+
+            // Return final hash
+            return new WordArray(s);
+        },
+
+        clone: function () {
+            var clone = RIPEMD160.$super.prototype.clone.call(this);
+            clone._state = clone._state.slice(0);
+
+            return clone;
+        }
+    });
+
+    /**
+     * The boolean function for a group of 16 rounds.
+     */
+    function f(group, x, y, z) {
+        switch (group) {
+            case 0:
+                return x ^ y ^ z;
+            case 1:
+                return (x & y) | (~x & z);
+            case 2:
+                return (x | ~y) ^ z;
+            case 3:
+                return (x & z) | (y & ~z);
+            default:
+                return x ^ (y | ~z);
+        }
+    }
+
+    function rotl(x, n) {
+        return (x << n) | (x >>> (32 - n));
+    }
+}());
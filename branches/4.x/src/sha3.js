@@ -42,6 +42,21 @@
         }
     }());
 
+    // Absorbing an all-zero block applies the bare permutation
+    var ZERO_BLOCK = [
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0
+    ];
+
+    // Domain separation bits, including the first bit of padding
+    var PADDING_SUFFIXES = {
+        keccak: 0x01,
+        fips202: 0x06
+    };
+
     /**
      * SHA-3 hash algorithm.
      */
@@ -53,14 +68,20 @@
          *   The desired number of bits in the output hash.
          *   The output length must be one of 224, 256, 384, or 512.
          *   Default: 512
+         * @property {string} padding
+         *   'keccak' for the original Keccak padding, as used by Ethereum's keccak256,
+         *   or 'fips202' for the padding of the final SHA-3 standard.
+         *   Default: 'keccak'
          */
         cfg: Hasher.prototype.cfg.extend({
-            outputLength: 512
+            outputLength: 512,
+            padding: 'keccak'
         }),
 
         _doInit: function () {
-            // Shortcut
+            // Shortcuts
             var outputLength = this.cfg.outputLength;
+            var padding = this.cfg.padding;
 
             // <?php if ($debug): ?>
             {
@@ -70,10 +91,15 @@
                 ) {
                     throw new OutputLengthError('The output length must be one of 224, 256, 384, or 512.');
                 }
+
+                if (!PADDING_SUFFIXES.hasOwnProperty(padding)) {
+                    throw new PaddingError('The padding must be either keccak or fips202.');
+                }
             }
             // <?php endif ?>
 
             this.blockSize = 50 - outputLength / 16;
+            this._paddingSuffix = PADDING_SUFFIXES[padding];
         },
 
         _doReset: function () {
@@ -84,6 +110,9 @@
                 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
                 0, 0, 0, 0, 0, 0, 0, 0, 0, 0
             ];
+
+            // Not squeezing yet
+            this._squeezeOffset = -1;
         },
 
         _doProcessBlock: function (m) {
@@ -581,49 +610,56 @@
         },
 
         _doFinalize: function () {
+            return this._squeeze(this.cfg.outputLength / 8);
+        },
+
+        /**
+         * Reads bytes from the sponge, padding and absorbing the final block first if that hasn't happened yet.
+         *
+         * @param {number} nBytes The number of bytes to read.
+         *
+         * @return {WordArray} The bytes.
+         */
+        _squeeze: function (nBytes) {
             // Shortcuts
-            var data = this._data;
-            var dataWords = data.words;
-            var nBitsLeft = data.sigBytes * 8;
-            var blockSizeBits = this.blockSize * 32;
+            var s = this._state;
+            var blockSizeBytes = this.blockSize * 4;
 
-            // Add padding
-            dataWords[nBitsLeft >>> 5] |= 0x1 << (24 - nBitsLeft % 32);
-            dataWords[((Math.ceil((nBitsLeft + 1) / blockSizeBits) * blockSizeBits) >>> 5) - 1] |= 0x80;
-            data.sigBytes = dataWords.length * 4;
+            // Add padding, and hash final blocks
+            if (this._squeezeOffset < 0) {
+                // Shortcuts
+                var data = this._data;
+                var dataWords = data.words;
+                var nBitsLeft = data.sigBytes * 8;
+                var blockSizeBits = this.blockSize * 32;
 
-            // Hash final blocks
-            this._process();
+                dataWords[nBitsLeft >>> 5] |= this._paddingSuffix << (24 - nBitsLeft % 32);
+                dataWords[((Math.ceil((nBitsLeft + 1) / blockSizeBits) * blockSizeBits) >>> 5) - 1] |= 0x80;
+                data.sigBytes = dataWords.length * 4;
 
-            // Shortcuts
-            var s = this._state;
-            var outputLengthBytes = this.cfg.outputLength / 8;
-            var outputLengthLanes2 = outputLengthBytes / 8 * 2;
+                this._process();
+
+                this._squeezeOffset = 0;
+            }
 
             // Squeeze
-            var hashWords = [];
-            for (var i = 0; i < outputLengthLanes2; i += 2) {
-                // Shortcuts
-                var laneMsw = s[i];
-                var laneLsw = s[i + 1];
+            var words = [];
+            for (var i = 0; i < nBytes; i++) {
+                // Permute once the rate part of the state has been read
+                if (this._squeezeOffset === blockSizeBytes) {
+                    this._doProcessBlock(ZERO_BLOCK);
+                    this._squeezeOffset = 0;
+                }
 
-                // Swap endian
-                laneMsw = (
-                    (((laneMsw << 8)  | (laneMsw >>> 24)) & 0x00ff00ff) |
-                    (((laneMsw << 24) | (laneMsw >>> 8))  & 0xff00ff00)
-                );
-                laneLsw = (
-                    (((laneLsw << 8)  | (laneLsw >>> 24)) & 0x00ff00ff) |
-                    (((laneLsw << 24) | (laneLsw >>> 8))  & 0xff00ff00)
-                );
+                // Lanes are little-endian, and stored most significant word first
+                var offset = this._squeezeOffset++;
+                var laneWord = s[(offset >>> 3) * 2 + (offset % 8 < 4 ? 1 : 0)];
+                var laneByte = (laneWord >>> ((offset % 4) * 8)) & 0xff;
 
-                // Squeeze state to retrieve hash
-                hashWords.push(laneLsw);
-                hashWords.push(laneMsw);
+                words[i >>> 2] |= laneByte << (24 - (i % 4) * 8);
             }
 
-            // Return final computed hash
-            return new WordArray(hashWords, outputLengthBytes);
+            return new WordArray(words, nBytes);
         },
 
         clone: function () {
@@ -637,6 +673,93 @@
         blockSize: null
     });
 
+    /**
+     * Base of the SHAKE extendable-output functions, which can produce output of any length.
+     */
+    var SHAKE = SHA3.extend({
+        _doInit: function () {
+            // <?php if ($debug): ?>
+            {
+                // Shortcut
+                var outputLength = this.cfg.outputLength;
+
+                if (!(outputLength > 0) || outputLength % 8) {
+                    throw new OutputLengthError('The output length must be a positive multiple of 8.');
+                }
+            }
+            // <?php endif ?>
+
+            // The rate depends on the security strength rather than the output length
+            this.blockSize = 50 - this._securityStrength / 16;
+            this._paddingSuffix = 0x1f;
+        },
+
+        _append: function (newData) {
+            // <?php if ($debug): ?>
+            {
+                if (this._squeezeOffset >= 0) {
+                    throw new SqueezeError('No more data can be absorbed once squeezing has started.');
+                }
+            }
+            // <?php endif ?>
+
+            SHAKE.$super.prototype._append.call(this, newData);
+        },
+
+        /**
+         * Reads the next bytes of output. Successive calls continue the same output stream,
+         * and no more data can be added until this function is finalized or reset.
+         *
+         * @param {number} nBytes The number of bytes to read.
+         *
+         * @return {WordArray} The output bytes.
+         *
+         * @example
+         *
+         *     var first32Bytes = shake.squeeze(32);
+         *     var next64Bytes = shake.squeeze(64);
+         */
+        squeeze: function (nBytes) {
+            return this._squeeze(nBytes);
+        }
+    });
+
+    /**
+     * SHAKE128 extendable-output function.
+     */
+    C.SHAKE128 = SHAKE.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} outputLength
+         *   The number of bits that finalize outputs. Any multiple of 8 is permitted.
+         *   Default: 256
+         */
+        cfg: SHAKE.prototype.cfg.extend({
+            outputLength: 256
+        }),
+
+        _securityStrength: 128
+    });
+
+    /**
+     * SHAKE256 extendable-output function.
+     */
+    C.SHAKE256 = SHAKE.extend({
+        /**
+         * Configuration options.
+         *
+         * @property {number} outputLength
+         *   The number of bits that finalize outputs. Any multiple of 8 is permitted.
+         *   Default: 512
+         */
+        cfg: SHAKE.prototype.cfg.extend({
+            outputLength: 512
+        }),
+
+        _securityStrength: 256
+    });
+
     // <?php if ($debug): ?>
     {
         // Shortcut
@@ -646,6 +769,16 @@
          * Output length error.
          */
         var OutputLengthError = C_ERR.OutputLengthError = Hasher.extend.call(Error);
+
+        /**
+         * Padding error.
+         */
+        var PaddingError = C_ERR.PaddingError = Hasher.extend.call(Error);
+
+        /**
+         * Squeeze error.
+         */
+        var SqueezeError = C_ERR.SqueezeError = Hasher.extend.call(Error);
     }
     // <?php endif ?>
 }(Math));
@@ -0,0 +1,31 @@
+(function () {
+    /*global CryptoJS:true */
+
+    'use strict';
+
+    // Shortcuts
+    var C = CryptoJS;
+    var SHA512 = C.SHA512;
+
+    /**
+     * SHA-512/224 hash algorithm.
+     */
+    var SHA512_224 = C.SHA512_224 = SHA512.extend({
+        _doReset: function () {
+            this._state = [
+                0x8c3d37c8, 0x19544da2, 0x73e19966, 0x89dcd4d6,
+                0x1dfab7ae, 0x32ff9c82, 0x679dd514, 0x582f9fcf,
+                0x0f6d2b69, 0x7bd44da8, 0x77e36f73, 0x04c48942,
+                0x3f9d85a8, 0x6a1d36c8, 0x1112e6ad, 0x91d692a1
+            ];
+        },
+
+        _doFinalize: function () {
+            var hash = SHA512_224.$super.prototype._doFinalize.call(this);
+
+            hash.sigBytes -= 36;
+
+            return hash;
+        }
+    });
+}());
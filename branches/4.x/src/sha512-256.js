@@ -0,0 +1,31 @@
+(function () {
+    /*global CryptoJS:true */
+
+    'use strict';
+
+    // Shortcuts
+    var C = CryptoJS;
+    var SHA512 = C.SHA512;
+
+    /**
+     * SHA-512/256 hash algorithm.
+     */
+    var SHA512_256 = C.SHA512_256 = SHA512.extend({
+        _doReset: function () {
+            this._state = [
+                0x22312194, 0xfc2bf72c, 0x9f555fa3, 0xc84c64c2,
+                0x2393b86b, 0x6f53b151, 0x96387719, 0x5940eabd,
+                0x96283ee2, 0xa88effe3, 0xbe5e1e25, 0x53863992,
+                0x2b0199fc, 0x2c85b8aa, 0x0eb72ddc, 0x81c52ca2
+            ];
+        },
+
+        _doFinalize: function () {
+            var hash = SHA512_256.$super.prototype._doFinalize.call(this);
+
+            hash.sigBytes -= 32;
+
+            return hash;
+        }
+    });
+}());
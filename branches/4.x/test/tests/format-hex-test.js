@@ -0,0 +1,33 @@
+YUI.add('format-hex-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.CryptoJSTestSuite.add(new Y.Test.Case({
+        name: 'HexFormatter',
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.ciphertext = C.enc.Hex.parse('0001020304050607080910111213141516171819');
+        },
+
+        testStringify: function () {
+            var cipherParams = C.lib.CipherParams.create({ ciphertext: this.data.ciphertext, salt: C.enc.Hex.parse('0102030405060708') });
+
+            Y.Assert.areEqual('0001020304050607080910111213141516171819', C.format.Hex.stringify(cipherParams));
+        },
+
+        testParse: function () {
+            var cipherParams = C.format.Hex.parse('0001020304050607080910111213141516171819');
+
+            Y.Assert.areEqual(this.data.ciphertext.toString(), cipherParams.ciphertext.toString());
+        },
+
+        testDecrypt: function () {
+            var key = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f');
+            var iv = C.enc.Hex.parse('101112131415161718191a1b1c1d1e1f');
+            var encrypted = C.AES.encrypt('Hi There', key, { iv: iv, format: C.format.Hex }).toString();
+
+            Y.Assert.areEqual('Hi There', C.AES.decrypt(encrypted, key, { iv: iv, format: C.format.Hex }).toString(C.enc.Utf8));
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,90 @@
+if (typeof ArrayBuffer !== 'undefined') {
+    YUI.add('lib-typedarrays-test', function (Y) {
+        var WordArray = CryptoJS.lib.WordArray;
+
+        Y.CryptoJSTestSuite.add(new Y.Test.Case({
+            name: 'TypedArrays',
+
+            setUp: function () {
+                this.data = {};
+
+                this.data.buffer = new ArrayBuffer(8);
+
+                var uint8View = this.data.uint8View = new Uint8Array(this.data.buffer);
+                uint8View[0] = 0x01;
+                uint8View[1] = 0x23;
+                uint8View[2] = 0x45;
+                uint8View[3] = 0x67;
+                uint8View[4] = 0x89;
+                uint8View[5] = 0xab;
+                uint8View[6] = 0xcd;
+                uint8View[7] = 0xef;
+            },
+
+            testArrayBuffer: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(this.data.buffer)).toString());
+            },
+
+            testInt8Array: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new Int8Array(this.data.buffer))).toString());
+            },
+
+            testUint8Array: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new Uint8Array(this.data.buffer))).toString());
+            },
+
+            testUint8ClampedArray: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new Uint8ClampedArray(this.data.buffer))).toString());
+            },
+
+            testInt16Array: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new Int16Array(this.data.buffer))).toString());
+            },
+
+            testUint16Array: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new Uint16Array(this.data.buffer))).toString());
+            },
+
+            testInt32Array: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new Int32Array(this.data.buffer))).toString());
+            },
+
+            testUint32Array: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new Uint32Array(this.data.buffer))).toString());
+            },
+
+            testDataView: function () {
+                Y.Assert.areEqual('0123456789abcdef', (new WordArray(new DataView(this.data.buffer))).toString());
+            },
+
+            testPartialView: function () {
+                Y.Assert.areEqual('456789ab', (new WordArray(new Int16Array(this.data.buffer, 2, 2))).toString());
+            },
+
+            testWords: function () {
+                Y.Assert.areEqual('1234', (new WordArray([0x12345678], 2)).toString());
+            },
+
+            testToArrayBuffer: function () {
+                var arrayBuffer = CryptoJS.enc.Hex.parse('0123456789abcdef').toArrayBuffer();
+                var uint8View = new Uint8Array(arrayBuffer);
+
+                Y.Assert.areEqual(0x01, uint8View[0]);
+                Y.Assert.areEqual(0x23, uint8View[1]);
+                Y.Assert.areEqual(0x45, uint8View[2]);
+                Y.Assert.areEqual(0x67, uint8View[3]);
+                Y.Assert.areEqual(0x89, uint8View[4]);
+                Y.Assert.areEqual(0xab, uint8View[5]);
+                Y.Assert.areEqual(0xcd, uint8View[6]);
+                Y.Assert.areEqual(0xef, uint8View[7]);
+            },
+
+            testHash: function () {
+                Y.Assert.areEqual(
+                    CryptoJS.MD5.hash(CryptoJS.enc.Hex.parse('0123456789abcdef')).toString(),
+                    CryptoJS.MD5.hash(new WordArray(this.data.uint8View)).toString()
+                );
+            }
+        }));
+    }, '$Rev$');
+}
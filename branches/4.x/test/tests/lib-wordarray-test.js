@@ -65,6 +65,30 @@ YUI.add('lib-wordarray-test', function (Y) {
         testRandom: function () {
             Y.Assert.areNotEqual(WordArray.random(8).toString(), WordArray.random(8).toString());
             Y.Assert.areEqual(8, WordArray.random(8).sigBytes);
+        },
+
+        testRandomSource: function () {
+            // Save original random source
+            var source = CryptoJS.random.source;
+
+            // Replace random source with one that returns a predictable value
+            CryptoJS.random.source = {
+                getWords: function (nWords) {
+                    var words = [];
+                    for (var i = 0; i < nWords; i++) {
+                        words.push(0x12345678);
+                    }
+
+                    return words;
+                }
+            };
+
+            var actual = WordArray.random(6).toString();
+
+            // Restore random source
+            CryptoJS.random.source = source;
+
+            Y.Assert.areEqual('123456781234', actual);
         }
     }));
 }, '$Rev$');
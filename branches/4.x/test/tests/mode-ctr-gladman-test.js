@@ -0,0 +1,72 @@
+YUI.add('mode-ctr-gladman-test', function (Y) {
+    var C = CryptoJS;
+
+    Y.CryptoJSTestSuite.add(new Y.Test.Case({
+        name: 'CTRGladman',
+
+        setUp: function () {
+            this.data = {};
+
+            this.data.message = C.enc.Hex.parse('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+            this.data.key = C.enc.Hex.parse('202122232425262728292a2b2c2d2e2f');
+            this.data.iv = C.enc.Hex.parse('303132333435363738393a3b3c3d3e3f');
+        },
+
+        testEncryptor: function () {
+            // Compute expected
+            var expected = this.data.message.clone();
+            var aes = C.algo.AES.createEncryptor(this.data.key);
+
+            // Counter incremented before each block, starting from the lowest byte of the first word
+            var counter = this.data.iv.words.slice(0);
+
+            counter[0] = 0x31313233;
+            var keystream = counter.slice(0);
+            aes.encryptBlock(keystream, 0);
+            for (var i = 0; i < 4; i++) {
+                expected.words[i] ^= keystream[i];
+            }
+
+            counter[0] = 0x32313233;
+            var keystream = counter.slice(0);
+            aes.encryptBlock(keystream, 0);
+            for (var i = 4; i < 8; i++) {
+                expected.words[i] ^= keystream[i % 4];
+            }
+
+            // Compute actual
+            var actual = C.AES.encrypt(this.data.message, this.data.key, { iv: this.data.iv, mode: C.mode.CTRGladman, padding: C.pad.NoPadding }).ciphertext;
+
+            // Test
+            Y.Assert.areEqual(expected.toString(), actual.toString());
+        },
+
+        testVector: function () {
+            Y.Assert.areEqual(
+                'd6a4c1fc7decd27de0ef798fe53950316cf7402e7d31eafff2e669bcc3a8f1c3',
+                C.AES.encrypt(this.data.message, this.data.key, { iv: this.data.iv, mode: C.mode.CTRGladman, padding: C.pad.NoPadding }).ciphertext.toString()
+            );
+        },
+
+        testCarryIntoSecondWord: function () {
+            Y.Assert.areEqual(
+                'bcfbff7ccf2fba09de329c0538410e2e5fa59d9fc23839c1c6cb6bc564c3a1f9',
+                C.AES.encrypt(this.data.message, this.data.key, { iv: C.enc.Hex.parse('ffffffff0000000038393a3b3c3d3e3f'), mode: C.mode.CTRGladman, padding: C.pad.NoPadding }).ciphertext.toString()
+            );
+        },
+
+        testCarryStopsAtSecondWord: function () {
+            Y.Assert.areEqual(
+                'd5fa8a8ac74b6146f9509737ab3cbe84eddec8af02a2b4a084577ea9e65b6400',
+                C.AES.encrypt(this.data.message, this.data.key, { iv: C.enc.Hex.parse('ffffffffffffffff38393a3b3c3d3e3f'), mode: C.mode.CTRGladman, padding: C.pad.NoPadding }).ciphertext.toString()
+            );
+        },
+
+        testDecryptor: function () {
+            var encrypted = C.AES.encrypt(this.data.message, this.data.key, { iv: this.data.iv, mode: C.mode.CTRGladman, padding: C.pad.NoPadding });
+            var decrypted = C.AES.decrypt(encrypted, this.data.key, { iv: this.data.iv, mode: C.mode.CTRGladman, padding: C.pad.NoPadding });
+
+            Y.Assert.areEqual(this.data.message.toString(), decrypted.toString());
+        }
+    }));
+}, '$Rev$');
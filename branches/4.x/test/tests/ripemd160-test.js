@@ -0,0 +1,64 @@
+YUI.add('ripemd160-test', function (Y) {
+    var RIPEMD160 = CryptoJS.RIPEMD160;
+
+    Y.CryptoJSTestSuite.add(new Y.Test.Case({
+        name: 'RIPEMD160',
+
+        testVector1: function () {
+            Y.Assert.areEqual('9c1185a5c5e9fc54612808977ee8f548b2258d31', RIPEMD160.hash('').toString());
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual('0bdc9d2d256b3ee9daae347be6f4dc835a467ffe', RIPEMD160.hash('a').toString());
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual('8eb208f7e05d987a9b044a8e98c6b087f15a0bfc', RIPEMD160.hash('abc').toString());
+        },
+
+        testVector4: function () {
+            Y.Assert.areEqual('5d0689ef49d2fae572b881b123a85ffa21595f36', RIPEMD160.hash('message digest').toString());
+        },
+
+        testVector5: function () {
+            Y.Assert.areEqual('f71c27109c692c1b56bbdceb5b9d2865b3708dbc', RIPEMD160.hash('abcdefghijklmnopqrstuvwxyz').toString());
+        },
+
+        testVector6: function () {
+            Y.Assert.areEqual(
+                'b0e20b6e3116640286ed3a87a5713079b21f5189',
+                RIPEMD160.hash('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789').toString()
+            );
+        },
+
+        testVector7: function () {
+            Y.Assert.areEqual(
+                '9b752e45573d4b39f4dbd3323cab82bf63326bfb',
+                RIPEMD160.hash('12345678901234567890123456789012345678901234567890123456789012345678901234567890').toString()
+            );
+        },
+
+        testVector8: function () {
+            Y.Assert.areEqual(
+                '37f332f68db77bd9d7edd4969571ad671cf9dd3b',
+                RIPEMD160.hash('The quick brown fox jumps over the lazy dog').toString()
+            );
+        },
+
+        testClone: function () {
+            var ripemd160 = new RIPEMD160();
+
+            Y.Assert.areEqual(RIPEMD160.hash('a').toString(), ripemd160.update('a').clone().finalize().toString());
+            Y.Assert.areEqual(RIPEMD160.hash('ab').toString(), ripemd160.update('b').clone().finalize().toString());
+            Y.Assert.areEqual(RIPEMD160.hash('abc').toString(), ripemd160.update('c').clone().finalize().toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = new CryptoJS.lib.WordArray([0x12345678]);
+            var expected = message.toString();
+            RIPEMD160.hash(message);
+
+            Y.Assert.areEqual(expected, message.toString());
+        }
+    }));
+}, '$Rev$');
@@ -1,5 +1,7 @@
 YUI.add('sha3-test', function (Y) {
     var SHA3 = CryptoJS.SHA3;
+    var SHAKE128 = CryptoJS.SHAKE128;
+    var SHAKE256 = CryptoJS.SHAKE256;
     var Hex = CryptoJS.enc.Hex;
 
     Y.CryptoJSTestSuite.add(new Y.Test.Case({
@@ -7,7 +9,8 @@ YUI.add('sha3-test', function (Y) {
 
         _should: {
             error: {
-                testInvalidOutputLength: true
+                testInvalidOutputLength: true,
+                testInvalidPadding: true
             }
         },
 
@@ -113,6 +116,28 @@ YUI.add('sha3-test', function (Y) {
             );
         },
 
+        testFips202Vector1: function () {
+            Y.Assert.areEqual(
+                'a7ffc6f8bf1ed76651c14756a061d662f580ff4de43b49fa82d80a4b80f8434a',
+                SHA3.hash('', { outputLength: 256, padding: 'fips202' }).toString()
+            );
+        },
+
+        testFips202Vector2: function () {
+            Y.Assert.areEqual(
+                'b751850b1a57168a5693cd924b6b096e08f621827444f70d884f5d0240d2712e' +
+                '10e116e9192af3c91a7ec57647e3934057340b4cf408d5a56592f8274eec53f0',
+                SHA3.hash('abc', { outputLength: 512, padding: 'fips202' }).toString()
+            );
+        },
+
+        testKeccakPadding: function () {
+            Y.Assert.areEqual(
+                'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470',
+                SHA3.hash('', { outputLength: 256, padding: 'keccak' }).toString()
+            );
+        },
+
         testDefaultOutputLength: function () {
             Y.Assert.areEqual(SHA3.hash('', { outputLength: 512 }).toString(), SHA3.hash('').toString());
         },
@@ -121,6 +146,10 @@ YUI.add('sha3-test', function (Y) {
             SHA3.hash('', { outputLength: 128 });
         },
 
+        testInvalidPadding: function () {
+            SHA3.hash('', { padding: 'sha3' });
+        },
+
         testClone: function () {
             var sha3 = new SHA3();
 
@@ -137,4 +166,83 @@ YUI.add('sha3-test', function (Y) {
             Y.Assert.areEqual(expected, message.toString());
         }
     }));
+
+    Y.CryptoJSTestSuite.add(new Y.Test.Case({
+        name: 'SHAKE',
+
+        _should: {
+            error: {
+                testInvalidOutputLength: true,
+                testUpdateAfterSqueeze: true
+            }
+        },
+
+        testShake128Vector1: function () {
+            Y.Assert.areEqual(
+                '7f9c2ba4e88f827d616045507605853ed73b8093f6efbc88eb1a6eacfa66ef26',
+                SHAKE128.hash('').toString()
+            );
+        },
+
+        testShake128Vector2: function () {
+            Y.Assert.areEqual(
+                'f4202e3c5852f9182a0430fd8144f0a74b95e7417ecae17db0f8cfeed0e3e66e',
+                SHAKE128.hash('The quick brown fox jumps over the lazy dog').toString()
+            );
+        },
+
+        testShake256Vector1: function () {
+            Y.Assert.areEqual(
+                '46b9dd2b0ba88d13233b3feb743eeb243fcd52ea62b81b82b50c27646ed5762f' +
+                'd75dc4ddd8c0f200cb05019d67b592f6fc821c49479ab48640292eacb3b7c4be',
+                SHAKE256.hash('').toString()
+            );
+        },
+
+        testShake256Vector2: function () {
+            Y.Assert.areEqual(
+                '3229183a94cf455ece91fdaf5b9c707fa4b40ec39816c1120c7aaaf47920977b',
+                SHAKE256.hash('The quick brown fox jumps over the lazy dog', { outputLength: 2400 }).toString().substr(536)
+            );
+        },
+
+        testIncrementalSqueeze: function () {
+            var expected = SHAKE256.hash('The quick brown fox jumps over the lazy dog', { outputLength: 2400 }).toString();
+
+            var shake = new SHAKE256();
+            shake.update('The quick brown fox jumps over the lazy dog');
+            var output = new CryptoJS.lib.WordArray();
+            output.concat(shake.squeeze(1));
+            output.concat(shake.squeeze(135));
+            output.concat(shake.squeeze(3));
+            output.concat(shake.squeeze(161));
+
+            Y.Assert.areEqual(expected, output.toString());
+        },
+
+        testFinalizeResets: function () {
+            var shake = new SHAKE128();
+            shake.update('abc').squeeze(10);
+            shake.finalize();
+
+            Y.Assert.areEqual(SHAKE128.hash('').toString(), shake.finalize('').toString());
+        },
+
+        testInvalidOutputLength: function () {
+            SHAKE128.hash('', { outputLength: 12 });
+        },
+
+        testUpdateAfterSqueeze: function () {
+            var shake = new SHAKE128();
+            shake.squeeze(32);
+            shake.update('abc');
+        },
+
+        testClone: function () {
+            var shake = new SHAKE128();
+            shake.update('abc').squeeze(100);
+
+            Y.Assert.areEqual(shake.clone().squeeze(100).toString(), shake.squeeze(100).toString());
+        }
+    }));
 }, '$Rev$');
@@ -0,0 +1,65 @@
+YUI.add('sha512-224-test', function (Y) {
+    var SHA512_224 = CryptoJS.SHA512_224;
+
+    Y.CryptoJSTestSuite.add(new Y.Test.Case({
+        name: 'SHA512_224',
+
+        _should: {
+            ignore: {
+                // This test could take a while.
+                // So it's disabled by default,
+                // but can be switched on at any time.
+                testUpdateAndLongMessage: true
+            }
+        },
+
+        testVector1: function () {
+            Y.Assert.areEqual(
+                '6ed0dd02806fa89e25de060c19d3ac86cabb87d6a0ddd05c333b84f4',
+                SHA512_224.hash('').toString()
+            );
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual(
+                '944cd2847fb54558d4775db0485a50003111c8e5daa63fe722c6aa37',
+                SHA512_224.hash('The quick brown fox jumps over the lazy dog').toString()
+            );
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual(
+                '6d6a9279495ec4061769752e7ff9c68b6b0b3c5a281b7917ce0572de',
+                SHA512_224.hash('The quick brown fox jumps over the lazy dog.').toString()
+            );
+        },
+
+        testUpdateAndLongMessage: function () {
+            var sha512_224 = new SHA512_224();
+            for (var i = 0; i < 100; i++) {
+                sha512_224.update('12345678901234567890123456789012345678901234567890');
+            }
+
+            Y.Assert.areEqual(
+                '1615d441821a7aaea5c8610944ba9ba13a54a60c7dc3889999f51ec6',
+                sha512_224.finalize().toString()
+            );
+        },
+
+        testClone: function () {
+            var sha512_224 = new SHA512_224();
+
+            Y.Assert.areEqual(SHA512_224.hash('a').toString(), sha512_224.update('a').clone().finalize().toString());
+            Y.Assert.areEqual(SHA512_224.hash('ab').toString(), sha512_224.update('b').clone().finalize().toString());
+            Y.Assert.areEqual(SHA512_224.hash('abc').toString(), sha512_224.update('c').clone().finalize().toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = new CryptoJS.lib.WordArray([0x12345678]);
+            var expected = message.toString();
+            SHA512_224.hash(message);
+
+            Y.Assert.areEqual(expected, message.toString());
+        }
+    }));
+}, '$Rev$');
@@ -0,0 +1,65 @@
+YUI.add('sha512-256-test', function (Y) {
+    var SHA512_256 = CryptoJS.SHA512_256;
+
+    Y.CryptoJSTestSuite.add(new Y.Test.Case({
+        name: 'SHA512_256',
+
+        _should: {
+            ignore: {
+                // This test could take a while.
+                // So it's disabled by default,
+                // but can be switched on at any time.
+                testUpdateAndLongMessage: true
+            }
+        },
+
+        testVector1: function () {
+            Y.Assert.areEqual(
+                'c672b8d1ef56ed28ab87c3622c5114069bdd3ad7b8f9737498d0c01ecef0967a',
+                SHA512_256.hash('').toString()
+            );
+        },
+
+        testVector2: function () {
+            Y.Assert.areEqual(
+                'dd9d67b371519c339ed8dbd25af90e976a1eeefd4ad3d889005e532fc5bef04d',
+                SHA512_256.hash('The quick brown fox jumps over the lazy dog').toString()
+            );
+        },
+
+        testVector3: function () {
+            Y.Assert.areEqual(
+                '1546741840f8a492b959d9b8b2344b9b0eb51b004bba35c0aebaac86d45264c3',
+                SHA512_256.hash('The quick brown fox jumps over the lazy dog.').toString()
+            );
+        },
+
+        testUpdateAndLongMessage: function () {
+            var sha512_256 = new SHA512_256();
+            for (var i = 0; i < 100; i++) {
+                sha512_256.update('12345678901234567890123456789012345678901234567890');
+            }
+
+            Y.Assert.areEqual(
+                'c60995df5cbbc7a42cc0928d699087c9ff20703c07a3c329b97d06bfe1422c41',
+                sha512_256.finalize().toString()
+            );
+        },
+
+        testClone: function () {
+            var sha512_256 = new SHA512_256();
+
+            Y.Assert.areEqual(SHA512_256.hash('a').toString(), sha512_256.update('a').clone().finalize().toString());
+            Y.Assert.areEqual(SHA512_256.hash('ab').toString(), sha512_256.update('b').clone().finalize().toString());
+            Y.Assert.areEqual(SHA512_256.hash('abc').toString(), sha512_256.update('c').clone().finalize().toString());
+        },
+
+        testInputIntegrity: function () {
+            var message = new CryptoJS.lib.WordArray([0x12345678]);
+            var expected = message.toString();
+            SHA512_256.hash(message);
+
+            Y.Assert.areEqual(expected, message.toString());
+        }
+    }));
+}, '$Rev$');